@@ -1,8 +1,8 @@
 // Auto-generated vibes menu components
 // Run: bun scripts/build-components.js --force to regenerate
 // Source: components/
-// Generated: 2026-04-06T18:17:07.651Z
-// Components: 26/26
+// Generated: 2026-10-19T17:22:15.376Z
+// Components: 30/30
 
 // === useMobile ===
 function useMobile() {
@@ -332,6 +332,85 @@ function DesignIcon({
 }
 
 
+// === DataIcon ===
+function DataIcon({
+  bgFill = "#fff",
+  fill = "#2a2a2a",
+  width = 44,
+  height = 44
+}) {
+  return /* @__PURE__ */ React.createElement(
+    "svg",
+    {
+      width,
+      height,
+      viewBox: "0 0 44 44",
+      fill: "none",
+      xmlns: "http://www.w3.org/2000/svg"
+    },
+    /* @__PURE__ */ React.createElement("circle", { cx: "22", cy: "22", r: "22", fill: bgFill }),
+    /* @__PURE__ */ React.createElement("ellipse", { cx: "22", cy: "13.5", rx: "9", ry: "3.5", stroke: fill, strokeWidth: "2.2" }),
+    /* @__PURE__ */ React.createElement(
+      "path",
+      {
+        d: "M13 13.5V30.5C13 32.43 17.03 34 22 34C26.97 34 31 32.43 31 30.5V13.5",
+        stroke: fill,
+        strokeWidth: "2.2"
+      }
+    ),
+    /* @__PURE__ */ React.createElement(
+      "path",
+      {
+        d: "M13 22C13 23.93 17.03 25.5 22 25.5C26.97 25.5 31 23.93 31 22",
+        stroke: fill,
+        strokeWidth: "2.2"
+      }
+    )
+  );
+}
+
+
+// === SyncIcon ===
+function SyncIcon({
+  bgFill = "#fff",
+  fill = "#2a2a2a",
+  width = 44,
+  height = 44
+}) {
+  return /* @__PURE__ */ React.createElement(
+    "svg",
+    {
+      width,
+      height,
+      viewBox: "0 0 44 44",
+      fill: "none",
+      xmlns: "http://www.w3.org/2000/svg"
+    },
+    /* @__PURE__ */ React.createElement("circle", { cx: "22", cy: "22", r: "22", fill: bgFill }),
+    /* @__PURE__ */ React.createElement(
+      "path",
+      {
+        d: "M31 19C29.76 15.5 26.18 13 22 13C17.82 13 14.24 15.5 13 19",
+        stroke: fill,
+        strokeWidth: "2.2",
+        strokeLinecap: "round"
+      }
+    ),
+    /* @__PURE__ */ React.createElement("path", { d: "M31 13.5V19H25.5", stroke: fill, strokeWidth: "2.2", strokeLinecap: "round", strokeLinejoin: "round" }),
+    /* @__PURE__ */ React.createElement(
+      "path",
+      {
+        d: "M13 25C14.24 28.5 17.82 31 22 31C26.18 31 29.76 28.5 31 25",
+        stroke: fill,
+        strokeWidth: "2.2",
+        strokeLinecap: "round"
+      }
+    ),
+    /* @__PURE__ */ React.createElement("path", { d: "M13 30.5V25H18.5", stroke: fill, strokeWidth: "2.2", strokeLinecap: "round", strokeLinejoin: "round" })
+  );
+}
+
+
 // === BrutalistCard.styles ===
 function getShadowColor(variant) {
   switch (variant) {
@@ -1520,7 +1599,9 @@ const iconMap = {
   back: BackIcon,
   google: GoogleIcon,
   github: GitHubIcon,
-  design: DesignIcon
+  design: DesignIcon,
+  data: DataIcon,
+  sync: SyncIcon
 };
 function VibesButton({
   variant = "blue",
@@ -1745,6 +1826,17 @@ function getInviteStatusStyle() {
     textAlign: "center"
   };
 }
+function getSyncListStyle() {
+  return {
+    margin: 0,
+    paddingLeft: "1.25rem",
+    maxHeight: "8rem",
+    overflowY: "auto",
+    fontSize: "0.85em",
+    textAlign: "left",
+    overflowWrap: "anywhere"
+  };
+}
 function getVibesPanelResponsiveLabelStyle(isMobile) {
   if (isMobile) {
     return {
@@ -1841,7 +1933,192 @@ function getAnimatedButtonContainerStyle() {
 }
 
 
+// === VibesPanel.data ===
+const DATA_EXPORT_FORMAT = "vibes-data";
+function buildDataExport(content, app, now = /* @__PURE__ */ new Date()) {
+  return {
+    format: DATA_EXPORT_FORMAT,
+    version: 1,
+    app,
+    exportedAt: now.toISOString(),
+    tables: content.tables,
+    values: content.values
+  };
+}
+function csvField(value) {
+  if (value === void 0 || value === null) return "";
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && typeof value === "string") text = "'" + text;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+function dataTableToCsv(table) {
+  const cellIds = [...new Set(Object.values(table).flatMap((row) => Object.keys(row)))].sort();
+  const idColumn = cellIds.includes("id") ? "_id" : "id";
+  const lines = [[idColumn, ...cellIds].map(csvField).join(",")];
+  for (const [rowId, row] of Object.entries(table)) {
+    lines.push([rowId, ...cellIds.map((cellId) => row[cellId])].map(csvField).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+function isCell(value) {
+  return typeof value === "string" || typeof value === "boolean" || typeof value === "number" && Number.isFinite(value);
+}
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+function parseDataImport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("This file isn't valid JSON.");
+  }
+  let tables;
+  let values;
+  if (Array.isArray(parsed) && parsed.length === 2) {
+    [tables, values] = parsed;
+  } else if (isObject(parsed) && ("tables" in parsed || "values" in parsed)) {
+    ({ tables, values } = parsed);
+  } else {
+    throw new Error("This file isn't a data export.");
+  }
+  tables ?? (tables = {});
+  values ?? (values = {});
+  if (!isObject(tables) || !isObject(values)) {
+    throw new Error("This file isn't a data export.");
+  }
+  for (const [tableId, table] of Object.entries(tables)) {
+    if (!isObject(table)) throw new Error(`Table "${tableId}" isn't a set of rows.`);
+    for (const [rowId, row] of Object.entries(table)) {
+      if (!isObject(row)) throw new Error(`Row "${tableId}/${rowId}" isn't a set of cells.`);
+      for (const [cellId, cell] of Object.entries(row)) {
+        if (!isCell(cell)) throw new Error(`Cell "${tableId}/${rowId}/${cellId}" must be text, a number or true/false.`);
+      }
+    }
+  }
+  for (const [valueId, value] of Object.entries(values)) {
+    if (!isCell(value)) throw new Error(`Value "${valueId}" must be text, a number or true/false.`);
+  }
+  return { tables, values };
+}
+function countChanges(current, incoming, differs) {
+  const counts = { added: 0, updated: 0, unchanged: 0 };
+  for (const [id, next] of Object.entries(incoming)) {
+    if (!current || !(id in current)) counts.added++;
+    else if (differs(current[id], next)) counts.updated++;
+    else counts.unchanged++;
+  }
+  return counts;
+}
+const rowDiffers = (before, after) => Object.entries(after).some(([cellId, cell]) => before[cellId] !== cell);
+function summarizeDataImport(current, incoming) {
+  const tables = Object.entries(incoming.tables).map(([id, rows]) => ({
+    id,
+    ...countChanges(current.tables[id], rows, rowDiffers)
+  }));
+  const values = countChanges(current.values, incoming.values, (a, b) => a !== b);
+  const changes = tables.reduce((sum, t) => sum + t.added + t.updated, values.added + values.updated);
+  return { tables, values, changes };
+}
+function applyDataImport(store, incoming) {
+  store.transaction(() => {
+    for (const [tableId, rows] of Object.entries(incoming.tables)) {
+      for (const [rowId, row] of Object.entries(rows)) {
+        store.setPartialRow(tableId, rowId, row);
+      }
+    }
+    if (Object.keys(incoming.values).length > 0) store.setPartialValues(incoming.values);
+  });
+}
+function describeCounts(counts, noun) {
+  const parts = [];
+  if (counts.added) parts.push(`${counts.added} new`);
+  if (counts.updated) parts.push(`${counts.updated} updated`);
+  if (parts.length === 0) parts.push("no changes");
+  return `${noun}: ${parts.join(", ")}`;
+}
+function describeDataImport(summary) {
+  const lines = summary.tables.map((t) => describeCounts(t, t.id));
+  const { added, updated, unchanged } = summary.values;
+  if (added + updated + unchanged > 0) lines.push(describeCounts(summary.values, "Settings"));
+  return lines;
+}
+
+
+// === VibesPanel.sync ===
+const HLC_DIGITS = "-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz";
+const HLC_TIME_LENGTH = 7;
+const HLC_CLIENT_LENGTH = 5;
+function hlcTime(hlc) {
+  let time = 0;
+  for (let i = 0; i < HLC_TIME_LENGTH; i++) {
+    time = time * 64 + Math.max(0, HLC_DIGITS.indexOf(hlc[i]));
+  }
+  return time;
+}
+function hlcClient(hlc) {
+  return hlc.slice(-HLC_CLIENT_LENGTH);
+}
+function toSyncWrite(tableId, rowId, id, [value, hlc]) {
+  if (!hlc) return null;
+  return { tableId, rowId, id, hlc, time: hlcTime(hlc), client: hlcClient(hlc), deleted: value == null };
+}
+function listSyncWrites(tablesStamp, valuesStamp) {
+  const writes = [];
+  const add = (write) => write && writes.push(write);
+  for (const [tableId, [rows = {}] = [{}]] of Object.entries(tablesStamp?.[0] || {})) {
+    for (const [rowId, [cells = {}] = [{}]] of Object.entries(rows)) {
+      for (const [cellId, stamp] of Object.entries(cells)) add(toSyncWrite(tableId, rowId, cellId, stamp));
+    }
+  }
+  for (const [valueId, stamp] of Object.entries(valuesStamp?.[0] || {})) add(toSyncWrite(null, null, valueId, stamp));
+  return writes;
+}
+function syncWriteKey(write) {
+  return JSON.stringify([write.tableId, write.rowId, write.id]);
+}
+const newestWriteFirst = (a, b) => a.hlc < b.hlc ? 1 : a.hlc > b.hlc ? -1 : 0;
+function buildSyncDiagnostics(options) {
+  const { content, localClient, status, offlineEdits, history, limit = 20 } = options;
+  const writes = listSyncWrites(content[0], content[1]);
+  const current = new Map(writes.map((write) => [syncWriteKey(write), write]));
+  const edits = [...offlineEdits].sort(newestWriteFirst);
+  return {
+    status,
+    lastSyncAt: status === "synced" ? options.now ?? Date.now() : options.lastSyncAt,
+    pending: status === "synced" ? [] : edits,
+    offlineEdits: status !== "synced" ? [] : edits.map((edit) => {
+      const latest = current.get(syncWriteKey(edit));
+      return latest && latest.client !== localClient && latest.hlc > edit.hlc ? { ...edit, outcome: "overwritten", by: latest.client } : { ...edit, outcome: "kept" };
+    }),
+    remoteWrites: writes.filter((write) => write.client !== localClient).sort(newestWriteFirst).slice(0, limit),
+    history: [...history].sort((a, b) => b.at - a.at).slice(0, limit)
+  };
+}
+function describeSyncWrite(write) {
+  const path = write.tableId === null ? write.id : `${write.tableId} \u203A ${write.rowId} \u203A ${write.id}`;
+  return write.deleted ? `${path} (deleted)` : path;
+}
+function describeSyncTime(at, now = Date.now()) {
+  if (at === null) return "never";
+  const seconds = Math.max(0, Math.round((now - at) / 1e3));
+  if (seconds < 10) return "just now";
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+  return new Date(at).toLocaleString();
+}
+
+
 // === VibesPanel ===
+const SYNC_REFRESH_MS = 2e3;
+const SYNC_STATUS_TEXT = {
+  idle: "Not syncing",
+  connecting: "Connecting...",
+  synced: "Synced",
+  reconnecting: "Offline \u2014 reconnecting",
+  error: "Offline"
+};
 function VibesPanel({
   style,
   className,
@@ -1858,6 +2135,12 @@ function VibesPanel({
   const [publicLink, setPublicLink] = React.useState("");
   const [publicLinkError, setPublicLinkError] = React.useState("");
   const [publicLinkCopied, setPublicLinkCopied] = React.useState(false);
+  const importFileId = React.useId();
+  const [exportMessage, setExportMessage] = React.useState("");
+  const [importStatus, setImportStatus] = React.useState("idle");
+  const [importMessage, setImportMessage] = React.useState("");
+  const [importSummary, setImportSummary] = React.useState(null);
+  const [syncDiagnostics, setSyncDiagnostics] = React.useState(void 0);
   const handleInviteClick = () => {
     if (mode === "default") {
       setMode("invite");
@@ -1877,8 +2160,61 @@ function VibesPanel({
     }
   };
   const handleBackClick = () => {
+    if (mode === "data" && importStatus === "confirm") {
+      document.dispatchEvent(new CustomEvent("vibes-data-import-cancel"));
+    }
     setMode("default");
   };
+  const handleDataClick = () => {
+    setMode("data");
+    setExportMessage("");
+    setImportStatus("idle");
+    setImportMessage("");
+    setImportSummary(null);
+  };
+  const handleSyncClick = () => {
+    setMode("sync");
+    setSyncDiagnostics(void 0);
+  };
+  React.useEffect(() => {
+    if (mode !== "sync") return;
+    const request = () => document.dispatchEvent(new CustomEvent("vibes-sync-diagnostics-request"));
+    request();
+    const timer = setInterval(request, SYNC_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [mode]);
+  const handleExport = (format) => {
+    setExportMessage("");
+    document.dispatchEvent(
+      new CustomEvent("vibes-data-export-request", { detail: { format } })
+    );
+  };
+  const handleImportFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setImportStatus("reading");
+    file.text().then(
+      (text) => {
+        document.dispatchEvent(
+          new CustomEvent("vibes-data-import-request", { detail: { text, name: file.name } })
+        );
+      },
+      () => {
+        setImportStatus("error");
+        setImportMessage("Couldn't read that file.");
+      }
+    );
+  };
+  const handleImportConfirm = () => {
+    setImportStatus("importing");
+    document.dispatchEvent(new CustomEvent("vibes-data-import-confirm"));
+  };
+  const handleImportCancel = () => {
+    document.dispatchEvent(new CustomEvent("vibes-data-import-cancel"));
+    setImportStatus("idle");
+    setImportSummary(null);
+  };
   const handleCopyPublicLink = () => {
     if (publicLink) {
       navigator.clipboard.writeText(publicLink).then(() => {
@@ -1942,6 +2278,39 @@ function VibesPanel({
         customEvent.detail?.error?.message || "Failed to generate public link."
       );
     };
+    const handleExportDone = (event) => {
+      const customEvent = event;
+      const files = customEvent.detail?.files || 0;
+      setExportMessage(
+        customEvent.detail?.error?.message || (files === 1 ? "Downloaded 1 file." : `Downloaded ${files} files.`)
+      );
+    };
+    const handleImportPreview = (event) => {
+      const customEvent = event;
+      setImportSummary(customEvent.detail.summary);
+      setImportStatus("confirm");
+    };
+    const handleImportSuccess = (event) => {
+      const customEvent = event;
+      const changes = customEvent.detail?.summary?.changes ?? 0;
+      setImportStatus("success");
+      setImportMessage(changes === 1 ? "Imported 1 change." : `Imported ${changes} changes.`);
+    };
+    const handleImportError = (event) => {
+      const customEvent = event;
+      setImportStatus("error");
+      setImportMessage(customEvent.detail?.error?.message || "Import failed.");
+    };
+    const handleSyncDiagnostics = (event) => {
+      const customEvent = event;
+      setSyncDiagnostics(customEvent.detail?.diagnostics ?? null);
+    };
+    document.addEventListener("vibes-data-export-success", handleExportDone);
+    document.addEventListener("vibes-data-export-error", handleExportDone);
+    document.addEventListener("vibes-data-import-preview", handleImportPreview);
+    document.addEventListener("vibes-data-import-success", handleImportSuccess);
+    document.addEventListener("vibes-data-import-error", handleImportError);
+    document.addEventListener("vibes-sync-diagnostics", handleSyncDiagnostics);
     document.addEventListener("vibes-share-success", handleShareSuccess);
     document.addEventListener("vibes-share-error", handleShareError);
     document.addEventListener("vibes-public-link-success", handlePublicLinkSuccess);
@@ -1951,6 +2320,12 @@ function VibesPanel({
       document.removeEventListener("vibes-share-error", handleShareError);
       document.removeEventListener("vibes-public-link-success", handlePublicLinkSuccess);
       document.removeEventListener("vibes-public-link-error", handlePublicLinkError);
+      document.removeEventListener("vibes-data-export-success", handleExportDone);
+      document.removeEventListener("vibes-data-export-error", handleExportDone);
+      document.removeEventListener("vibes-data-import-preview", handleImportPreview);
+      document.removeEventListener("vibes-data-import-success", handleImportSuccess);
+      document.removeEventListener("vibes-data-import-error", handleImportError);
+      document.removeEventListener("vibes-sync-diagnostics", handleSyncDiagnostics);
     };
   }, []);
   const handleCopyLink = () => {
@@ -1974,7 +2349,42 @@ function VibesPanel({
         className: mode === "default" ? "vibes-panel-stagger" : void 0,
         style: getButtonContainerStyle(isMobile)
       },
-      mode === "invite" ? /* @__PURE__ */ React.createElement("div", { className: "vibes-panel-stagger", style: getInviteRowStyle(isMobile) }, /* @__PURE__ */ React.createElement(
+      mode === "sync" ? /* @__PURE__ */ React.createElement("div", { className: "vibes-panel-stagger", style: getInviteRowStyle(isMobile) }, /* @__PURE__ */ React.createElement(VibesButton, { variant: BLUE, onClick: () => {
+      }, icon: "sync" }, "Sync"), /* @__PURE__ */ React.createElement("div", { style: getInviteDualFormStyle(isMobile) }, syncDiagnostics === void 0 ? /* @__PURE__ */ React.createElement("div", { role: "status", style: getInviteStatusStyle() }, "Loading...") : syncDiagnostics === null ? /* @__PURE__ */ React.createElement("div", { role: "status", style: getInviteStatusStyle() }, "This app doesn't sync its data.") : /* @__PURE__ */ React.createElement(React.Fragment, null, /* @__PURE__ */ React.createElement("div", { style: getInviteFormStyle(isMobile) }, /* @__PURE__ */ React.createElement("label", { style: getInviteLabelStyle() }, "Connection"), /* @__PURE__ */ React.createElement(
+        BrutalistCard,
+        {
+          role: "status",
+          "aria-live": "polite",
+          size: "sm",
+          variant: syncDiagnostics.status === "synced" ? "success" : syncDiagnostics.status === "error" ? "error" : "default",
+          style: getInviteStatusStyle()
+        },
+        /* @__PURE__ */ React.createElement("div", null, SYNC_STATUS_TEXT[syncDiagnostics.status]),
+        /* @__PURE__ */ React.createElement("div", { style: { fontSize: "0.85em" } }, "Last synced ", describeSyncTime(syncDiagnostics.lastSyncAt))
+      ), syncDiagnostics.history.length > 0 && /* @__PURE__ */ React.createElement("ul", { style: getSyncListStyle() }, syncDiagnostics.history.map((event) => /* @__PURE__ */ React.createElement("li", { key: `${event.at}-${event.status}` }, SYNC_STATUS_TEXT[event.status], " \xB7 ", describeSyncTime(event.at))))), /* @__PURE__ */ React.createElement("div", { style: getInviteDividerStyle(isMobile) }), /* @__PURE__ */ React.createElement("div", { style: getInviteFormStyle(isMobile) }, /* @__PURE__ */ React.createElement("label", { style: getInviteLabelStyle() }, syncDiagnostics.status === "synced" ? "Offline edits" : "Waiting to sync"), syncDiagnostics.status !== "synced" ? syncDiagnostics.pending.length === 0 ? /* @__PURE__ */ React.createElement("div", { style: getInviteStatusStyle() }, "No local changes.") : /* @__PURE__ */ React.createElement("ul", { style: getSyncListStyle() }, syncDiagnostics.pending.map((write) => /* @__PURE__ */ React.createElement("li", { key: write.hlc }, describeSyncWrite(write)))) : syncDiagnostics.offlineEdits.length === 0 ? /* @__PURE__ */ React.createElement("div", { style: getInviteStatusStyle() }, "Nothing was edited offline.") : /* @__PURE__ */ React.createElement("ul", { style: getSyncListStyle() }, syncDiagnostics.offlineEdits.map((edit) => /* @__PURE__ */ React.createElement("li", { key: edit.hlc }, describeSyncWrite(edit), " \u2014", " ", edit.outcome === "kept" ? "merged" : `overwritten by peer ${edit.by}`))), /* @__PURE__ */ React.createElement("label", { style: getInviteLabelStyle() }, "Last written by peers"), syncDiagnostics.remoteWrites.length === 0 ? /* @__PURE__ */ React.createElement("div", { style: getInviteStatusStyle() }, "No changes from other devices yet.") : /* @__PURE__ */ React.createElement("ul", { style: getSyncListStyle() }, syncDiagnostics.remoteWrites.map((write) => /* @__PURE__ */ React.createElement("li", { key: write.hlc }, describeSyncWrite(write), " \xB7 ", write.client, " \xB7 ", describeSyncTime(write.time))))))), /* @__PURE__ */ React.createElement(VibesButton, { variant: GRAY, onClick: handleBackClick, icon: "back" }, "Back")) : mode === "data" ? /* @__PURE__ */ React.createElement("div", { className: "vibes-panel-stagger", style: getInviteRowStyle(isMobile) }, /* @__PURE__ */ React.createElement(VibesButton, { variant: RED, onClick: () => {
+      }, icon: "data" }, "Data"), /* @__PURE__ */ React.createElement("div", { style: getInviteDualFormStyle(isMobile) }, /* @__PURE__ */ React.createElement("div", { style: getInviteFormStyle(isMobile) }, /* @__PURE__ */ React.createElement("label", { style: getInviteLabelStyle() }, "Export data"), /* @__PURE__ */ React.createElement(VibesButton, { variant: RED, onClick: () => handleExport("json") }, "JSON"), /* @__PURE__ */ React.createElement(VibesButton, { variant: RED, onClick: () => handleExport("csv") }, "CSV"), exportMessage && /* @__PURE__ */ React.createElement("div", { role: "status", style: getInviteStatusStyle() }, exportMessage)), /* @__PURE__ */ React.createElement("div", { style: getInviteDividerStyle(isMobile) }), /* @__PURE__ */ React.createElement("div", { style: getInviteFormStyle(isMobile) }, /* @__PURE__ */ React.createElement("label", { htmlFor: importFileId, style: getInviteLabelStyle() }, "Import JSON"), importStatus === "idle" ? /* @__PURE__ */ React.createElement(
+        "input",
+        {
+          id: importFileId,
+          type: "file",
+          accept: ".json,application/json",
+          onChange: handleImportFile,
+          style: getInviteInputStyle()
+        }
+      ) : /* @__PURE__ */ React.createElement(
+        BrutalistCard,
+        {
+          role: "status",
+          "aria-live": "polite",
+          size: "sm",
+          variant: importStatus === "error" ? "error" : importStatus === "success" ? "success" : "default",
+          style: getInviteStatusStyle()
+        },
+        importStatus === "reading" && "Reading...",
+        importStatus === "importing" && "Importing...",
+        (importStatus === "success" || importStatus === "error") && /* @__PURE__ */ React.createElement(React.Fragment, null, /* @__PURE__ */ React.createElement("div", null, importMessage), /* @__PURE__ */ React.createElement("div", { style: { marginTop: "0.5rem" } }, /* @__PURE__ */ React.createElement(VibesButton, { variant: GRAY, onClick: handleImportCancel }, importStatus === "error" ? "Try again" : "Import more"))),
+        importStatus === "confirm" && importSummary && /* @__PURE__ */ React.createElement(React.Fragment, null, importSummary.changes === 0 ? /* @__PURE__ */ React.createElement("div", null, "Nothing to import \u2014 this data is already here.") : /* @__PURE__ */ React.createElement(React.Fragment, null, /* @__PURE__ */ React.createElement("div", null, "This will merge:"), /* @__PURE__ */ React.createElement("ul", { style: { margin: "0.5rem 0", paddingLeft: "1.25rem", textAlign: "left" } }, describeDataImport(importSummary).map((line) => /* @__PURE__ */ React.createElement("li", { key: line }, line))), /* @__PURE__ */ React.createElement("div", { style: { fontSize: "0.85em" } }, "Existing data not in the file is kept.")), /* @__PURE__ */ React.createElement("div", { style: { display: "flex", gap: "8px", justifyContent: "center", marginTop: "0.5rem" } }, importSummary.changes > 0 && /* @__PURE__ */ React.createElement(VibesButton, { variant: RED, onClick: handleImportConfirm }, "Import"), /* @__PURE__ */ React.createElement(VibesButton, { variant: GRAY, onClick: handleImportCancel }, "Cancel")))
+      ))), /* @__PURE__ */ React.createElement(VibesButton, { variant: GRAY, onClick: handleBackClick, icon: "back" }, "Back")) : mode === "invite" ? /* @__PURE__ */ React.createElement("div", { className: "vibes-panel-stagger", style: getInviteRowStyle(isMobile) }, /* @__PURE__ */ React.createElement(
         VibesButton,
         {
           variant: YELLOW,
@@ -2068,6 +2478,22 @@ function VibesPanel({
           icon: "invite"
         },
         "Invite"
+      ), /* @__PURE__ */ React.createElement(
+        VibesButton,
+        {
+          variant: RED,
+          onClick: handleDataClick,
+          icon: "data"
+        },
+        "Data"
+      ), /* @__PURE__ */ React.createElement(
+        VibesButton,
+        {
+          variant: BLUE,
+          onClick: handleSyncClick,
+          icon: "sync"
+        },
+        "Sync"
       ))
     )
   ));
@@ -2107,4 +2533,6 @@ if (typeof window !== 'undefined') {
   window.MoonIcon = MoonIcon;
   window.SunIcon = SunIcon;
   window.DesignIcon = DesignIcon;
+  window.DataIcon = DataIcon;
+  window.SyncIcon = SyncIcon;
 }
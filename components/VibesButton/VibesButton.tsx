@@ -16,6 +16,8 @@ import {
   GoogleIcon,
   GitHubIcon,
   DesignIcon,
+  DataIcon,
+  SyncIcon,
 } from "../icons/index.js";
 import { useMobile } from "../mocks/use-vibes-base.js";
 
@@ -34,7 +36,9 @@ type IconName =
   | "back"
   | "google"
   | "github"
-  | "design";
+  | "design"
+  | "data"
+  | "sync";
 
 const iconMap: Record<
   IconName,
@@ -54,6 +58,8 @@ const iconMap: Record<
   google: GoogleIcon,
   github: GitHubIcon,
   design: DesignIcon,
+  data: DataIcon,
+  sync: SyncIcon,
 };
 
 export interface MenuButtonProps extends React.ButtonHTMLAttributes<HTMLButtonElement> {
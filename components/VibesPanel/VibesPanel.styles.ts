@@ -158,6 +158,18 @@ export function getInviteStatusStyle(): React.CSSProperties {
   };
 }
 
+export function getSyncListStyle(): React.CSSProperties {
+  return {
+    margin: 0,
+    paddingLeft: "1.25rem",
+    maxHeight: "8rem",
+    overflowY: "auto",
+    fontSize: "0.85em",
+    textAlign: "left",
+    overflowWrap: "anywhere",
+  };
+}
+
 export function getResponsiveLabelStyle(
   isMobile: boolean,
 ): React.CSSProperties {
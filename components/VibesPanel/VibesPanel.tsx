@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useId } from "react";
-import { VibesButton, BLUE, YELLOW, GRAY } from "../VibesButton/VibesButton.js";
+import { VibesButton, BLUE, RED, YELLOW, GRAY } from "../VibesButton/VibesButton.js";
 import { BrutalistCard } from "../BrutalistCard/index.js";
 import { LabelContainer } from "../LabelContainer/index.js";
 import {
@@ -12,8 +12,16 @@ import {
   getInviteRowStyle,
   getInviteDualFormStyle,
   getInviteDividerStyle,
+  getSyncListStyle,
 } from "./VibesPanel.styles.js";
 import { useIsMobile } from "../hooks/useIsMobile.js";
+import { describeDataImport, type DataImportSummary } from "./data-transfer.js";
+import {
+  describeSyncTime,
+  describeSyncWrite,
+  type SyncDiagnostics,
+  type SyncStatus,
+} from "./sync-diagnostics.js";
 
 export interface VibesPanelProps {
   style?: React.CSSProperties;
@@ -21,7 +29,18 @@ export interface VibesPanelProps {
   token?: string;
 }
 
-type PanelMode = "default" | "invite";
+type PanelMode = "default" | "invite" | "data" | "sync";
+
+/** How often the Sync view asks the template for fresh diagnostics. */
+const SYNC_REFRESH_MS = 2000;
+
+const SYNC_STATUS_TEXT: Record<SyncStatus, string> = {
+  idle: "Not syncing",
+  connecting: "Connecting...",
+  synced: "Synced",
+  reconnecting: "Offline — reconnecting",
+  error: "Offline",
+};
 
 export function VibesPanel({
   style,
@@ -41,6 +60,15 @@ export function VibesPanel({
   const [publicLink, setPublicLink] = useState("");
   const [publicLinkError, setPublicLinkError] = useState("");
   const [publicLinkCopied, setPublicLinkCopied] = useState(false);
+  const importFileId = useId();
+  const [exportMessage, setExportMessage] = useState("");
+  const [importStatus, setImportStatus] = useState<
+    "idle" | "reading" | "confirm" | "importing" | "success" | "error"
+  >("idle");
+  const [importMessage, setImportMessage] = useState("");
+  const [importSummary, setImportSummary] = useState<DataImportSummary | null>(null);
+  // undefined until the template answers; null when the app has no store
+  const [syncDiagnostics, setSyncDiagnostics] = useState<SyncDiagnostics | null | undefined>(undefined);
 
   const handleInviteClick = () => {
     if (mode === "default") {
@@ -63,9 +91,71 @@ export function VibesPanel({
   };
 
   const handleBackClick = () => {
+    if (mode === "data" && importStatus === "confirm") {
+      document.dispatchEvent(new CustomEvent("vibes-data-import-cancel"));
+    }
     setMode("default");
   };
 
+  const handleDataClick = () => {
+    setMode("data");
+    setExportMessage("");
+    setImportStatus("idle");
+    setImportMessage("");
+    setImportSummary(null);
+  };
+
+  const handleSyncClick = () => {
+    setMode("sync");
+    setSyncDiagnostics(undefined);
+  };
+
+  // Keep the Sync view current while it's open
+  useEffect(() => {
+    if (mode !== "sync") return;
+    const request = () => document.dispatchEvent(new CustomEvent("vibes-sync-diagnostics-request"));
+    request();
+    const timer = setInterval(request, SYNC_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [mode]);
+
+  const handleExport = (format: "json" | "csv") => {
+    setExportMessage("");
+    document.dispatchEvent(
+      new CustomEvent("vibes-data-export-request", { detail: { format } }),
+    );
+  };
+
+  const handleImportFile = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setImportStatus("reading");
+    file.text().then(
+      (text) => {
+        // The template answers with a preview (or an error) to confirm
+        document.dispatchEvent(
+          new CustomEvent("vibes-data-import-request", { detail: { text, name: file.name } }),
+        );
+      },
+      () => {
+        setImportStatus("error");
+        setImportMessage("Couldn't read that file.");
+      },
+    );
+  };
+
+  const handleImportConfirm = () => {
+    setImportStatus("importing");
+    document.dispatchEvent(new CustomEvent("vibes-data-import-confirm"));
+  };
+
+  const handleImportCancel = () => {
+    document.dispatchEvent(new CustomEvent("vibes-data-import-cancel"));
+    setImportStatus("idle");
+    setImportSummary(null);
+  };
+
   const handleCopyPublicLink = () => {
     if (publicLink) {
       navigator.clipboard.writeText(publicLink).then(() => {
@@ -145,6 +235,45 @@ export function VibesPanel({
       );
     };
 
+    const handleExportDone = (event: Event) => {
+      const customEvent = event as CustomEvent<{ files?: number; error?: { message: string } }>;
+      const files = customEvent.detail?.files || 0;
+      setExportMessage(
+        customEvent.detail?.error?.message ||
+          (files === 1 ? "Downloaded 1 file." : `Downloaded ${files} files.`),
+      );
+    };
+
+    const handleImportPreview = (event: Event) => {
+      const customEvent = event as CustomEvent<{ summary: DataImportSummary }>;
+      setImportSummary(customEvent.detail.summary);
+      setImportStatus("confirm");
+    };
+
+    const handleImportSuccess = (event: Event) => {
+      const customEvent = event as CustomEvent<{ summary: DataImportSummary }>;
+      const changes = customEvent.detail?.summary?.changes ?? 0;
+      setImportStatus("success");
+      setImportMessage(changes === 1 ? "Imported 1 change." : `Imported ${changes} changes.`);
+    };
+
+    const handleImportError = (event: Event) => {
+      const customEvent = event as CustomEvent<{ error: { message: string } }>;
+      setImportStatus("error");
+      setImportMessage(customEvent.detail?.error?.message || "Import failed.");
+    };
+
+    const handleSyncDiagnostics = (event: Event) => {
+      const customEvent = event as CustomEvent<{ diagnostics: SyncDiagnostics | null }>;
+      setSyncDiagnostics(customEvent.detail?.diagnostics ?? null);
+    };
+
+    document.addEventListener("vibes-data-export-success", handleExportDone);
+    document.addEventListener("vibes-data-export-error", handleExportDone);
+    document.addEventListener("vibes-data-import-preview", handleImportPreview);
+    document.addEventListener("vibes-data-import-success", handleImportSuccess);
+    document.addEventListener("vibes-data-import-error", handleImportError);
+    document.addEventListener("vibes-sync-diagnostics", handleSyncDiagnostics);
     document.addEventListener("vibes-share-success", handleShareSuccess);
     document.addEventListener("vibes-share-error", handleShareError);
     document.addEventListener("vibes-public-link-success", handlePublicLinkSuccess);
@@ -155,6 +284,12 @@ export function VibesPanel({
       document.removeEventListener("vibes-share-error", handleShareError);
       document.removeEventListener("vibes-public-link-success", handlePublicLinkSuccess);
       document.removeEventListener("vibes-public-link-error", handlePublicLinkError);
+      document.removeEventListener("vibes-data-export-success", handleExportDone);
+      document.removeEventListener("vibes-data-export-error", handleExportDone);
+      document.removeEventListener("vibes-data-import-preview", handleImportPreview);
+      document.removeEventListener("vibes-data-import-success", handleImportSuccess);
+      document.removeEventListener("vibes-data-import-error", handleImportError);
+      document.removeEventListener("vibes-sync-diagnostics", handleSyncDiagnostics);
     };
   }, []);
 
@@ -178,7 +313,196 @@ export function VibesPanel({
           className={mode === "default" ? "vibes-panel-stagger" : undefined}
           style={getButtonContainerStyle(isMobile)}
         >
-          {mode === "invite" ? (
+          {mode === "sync" ? (
+            <div className="vibes-panel-stagger" style={getInviteRowStyle(isMobile)}>
+              <VibesButton variant={BLUE} onClick={() => {}} icon="sync">
+                Sync
+              </VibesButton>
+              <div style={getInviteDualFormStyle(isMobile)}>
+                {syncDiagnostics === undefined ? (
+                  <div role="status" style={getInviteStatusStyle()}>Loading...</div>
+                ) : syncDiagnostics === null ? (
+                  <div role="status" style={getInviteStatusStyle()}>This app doesn't sync its data.</div>
+                ) : (
+                  <>
+                    {/* Connection */}
+                    <div style={getInviteFormStyle(isMobile)}>
+                      <label style={getInviteLabelStyle()}>Connection</label>
+                      <BrutalistCard
+                        role="status"
+                        aria-live="polite"
+                        size="sm"
+                        variant={
+                          syncDiagnostics.status === "synced"
+                            ? "success"
+                            : syncDiagnostics.status === "error"
+                              ? "error"
+                              : "default"
+                        }
+                        style={getInviteStatusStyle()}
+                      >
+                        <div>{SYNC_STATUS_TEXT[syncDiagnostics.status]}</div>
+                        <div style={{ fontSize: "0.85em" }}>
+                          Last synced {describeSyncTime(syncDiagnostics.lastSyncAt)}
+                        </div>
+                      </BrutalistCard>
+                      {syncDiagnostics.history.length > 0 && (
+                        <ul style={getSyncListStyle()}>
+                          {syncDiagnostics.history.map((event) => (
+                            <li key={`${event.at}-${event.status}`}>
+                              {SYNC_STATUS_TEXT[event.status]} · {describeSyncTime(event.at)}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                    {/* Divider */}
+                    <div style={getInviteDividerStyle(isMobile)} />
+                    {/* Changes */}
+                    <div style={getInviteFormStyle(isMobile)}>
+                      <label style={getInviteLabelStyle()}>
+                        {syncDiagnostics.status === "synced" ? "Offline edits" : "Waiting to sync"}
+                      </label>
+                      {syncDiagnostics.status !== "synced" ? (
+                        syncDiagnostics.pending.length === 0 ? (
+                          <div style={getInviteStatusStyle()}>No local changes.</div>
+                        ) : (
+                          <ul style={getSyncListStyle()}>
+                            {syncDiagnostics.pending.map((write) => (
+                              <li key={write.hlc}>{describeSyncWrite(write)}</li>
+                            ))}
+                          </ul>
+                        )
+                      ) : syncDiagnostics.offlineEdits.length === 0 ? (
+                        <div style={getInviteStatusStyle()}>Nothing was edited offline.</div>
+                      ) : (
+                        <ul style={getSyncListStyle()}>
+                          {syncDiagnostics.offlineEdits.map((edit) => (
+                            <li key={edit.hlc}>
+                              {describeSyncWrite(edit)} —{" "}
+                              {edit.outcome === "kept" ? "merged" : `overwritten by peer ${edit.by}`}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      <label style={getInviteLabelStyle()}>Last written by peers</label>
+                      {syncDiagnostics.remoteWrites.length === 0 ? (
+                        <div style={getInviteStatusStyle()}>No changes from other devices yet.</div>
+                      ) : (
+                        <ul style={getSyncListStyle()}>
+                          {syncDiagnostics.remoteWrites.map((write) => (
+                            <li key={write.hlc}>
+                              {describeSyncWrite(write)} · {write.client} · {describeSyncTime(write.time)}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  </>
+                )}
+              </div>
+              <VibesButton variant={GRAY} onClick={handleBackClick} icon="back">
+                Back
+              </VibesButton>
+            </div>
+          ) : mode === "data" ? (
+            <div className="vibes-panel-stagger" style={getInviteRowStyle(isMobile)}>
+              <VibesButton variant={RED} onClick={() => {}} icon="data">
+                Data
+              </VibesButton>
+              <div style={getInviteDualFormStyle(isMobile)}>
+                {/* Export */}
+                <div style={getInviteFormStyle(isMobile)}>
+                  <label style={getInviteLabelStyle()}>Export data</label>
+                  <VibesButton variant={RED} onClick={() => handleExport("json")}>
+                    JSON
+                  </VibesButton>
+                  <VibesButton variant={RED} onClick={() => handleExport("csv")}>
+                    CSV
+                  </VibesButton>
+                  {exportMessage && (
+                    <div role="status" style={getInviteStatusStyle()}>
+                      {exportMessage}
+                    </div>
+                  )}
+                </div>
+                {/* Divider */}
+                <div style={getInviteDividerStyle(isMobile)} />
+                {/* Import */}
+                <div style={getInviteFormStyle(isMobile)}>
+                  <label htmlFor={importFileId} style={getInviteLabelStyle()}>
+                    Import JSON
+                  </label>
+                  {importStatus === "idle" ? (
+                    <input
+                      id={importFileId}
+                      type="file"
+                      accept=".json,application/json"
+                      onChange={handleImportFile}
+                      style={getInviteInputStyle()}
+                    />
+                  ) : (
+                    <BrutalistCard
+                      role="status"
+                      aria-live="polite"
+                      size="sm"
+                      variant={
+                        importStatus === "error"
+                          ? "error"
+                          : importStatus === "success"
+                            ? "success"
+                            : "default"
+                      }
+                      style={getInviteStatusStyle()}
+                    >
+                      {importStatus === "reading" && "Reading..."}
+                      {importStatus === "importing" && "Importing..."}
+                      {(importStatus === "success" || importStatus === "error") && (
+                        <>
+                          <div>{importMessage}</div>
+                          <div style={{ marginTop: "0.5rem" }}>
+                            <VibesButton variant={GRAY} onClick={handleImportCancel}>
+                              {importStatus === "error" ? "Try again" : "Import more"}
+                            </VibesButton>
+                          </div>
+                        </>
+                      )}
+                      {importStatus === "confirm" && importSummary && (
+                        <>
+                          {importSummary.changes === 0 ? (
+                            <div>Nothing to import — this data is already here.</div>
+                          ) : (
+                            <>
+                              <div>This will merge:</div>
+                              <ul style={{ margin: "0.5rem 0", paddingLeft: "1.25rem", textAlign: "left" }}>
+                                {describeDataImport(importSummary).map((line) => (
+                                  <li key={line}>{line}</li>
+                                ))}
+                              </ul>
+                              <div style={{ fontSize: "0.85em" }}>Existing data not in the file is kept.</div>
+                            </>
+                          )}
+                          <div style={{ display: "flex", gap: "8px", justifyContent: "center", marginTop: "0.5rem" }}>
+                            {importSummary.changes > 0 && (
+                              <VibesButton variant={RED} onClick={handleImportConfirm}>
+                                Import
+                              </VibesButton>
+                            )}
+                            <VibesButton variant={GRAY} onClick={handleImportCancel}>
+                              Cancel
+                            </VibesButton>
+                          </div>
+                        </>
+                      )}
+                    </BrutalistCard>
+                  )}
+                </div>
+              </div>
+              <VibesButton variant={GRAY} onClick={handleBackClick} icon="back">
+                Back
+              </VibesButton>
+            </div>
+          ) : mode === "invite" ? (
             <div className="vibes-panel-stagger" style={getInviteRowStyle(isMobile)}>
               <VibesButton
                 variant={YELLOW}
@@ -296,6 +620,20 @@ export function VibesPanel({
               >
                 Invite
               </VibesButton>
+              <VibesButton
+                variant={RED}
+                onClick={handleDataClick}
+                icon="data"
+              >
+                Data
+              </VibesButton>
+              <VibesButton
+                variant={BLUE}
+                onClick={handleSyncClick}
+                icon="sync"
+              >
+                Sync
+              </VibesButton>
             </>
           )}
         </div>
@@ -0,0 +1,199 @@
+/**
+ * Export/import of app data for the VibesPanel "Data" actions.
+ *
+ * Works on plain TinyBase Tables/Values objects so it stays independent of
+ * the store; the template answers the panel's data events with these
+ * (see useVibesPanelEvents in the base template).
+ */
+
+export type DataCell = string | number | boolean;
+export type DataTables = Record<string, Record<string, Record<string, DataCell>>>;
+export type DataValues = Record<string, DataCell>;
+
+export interface DataContent {
+  tables: DataTables;
+  values: DataValues;
+}
+
+export interface DataExport extends DataContent {
+  format: "vibes-data";
+  version: 1;
+  app: string;
+  exportedAt: string;
+}
+
+export interface DataChangeCounts {
+  added: number;
+  updated: number;
+  unchanged: number;
+}
+
+export interface DataImportSummary {
+  tables: Array<DataChangeCounts & { id: string }>;
+  values: DataChangeCounts;
+  /** Rows and values that the import adds or changes. */
+  changes: number;
+}
+
+/** The subset of a TinyBase Store that an import writes through. */
+interface DataStore {
+  transaction(fn: () => void): unknown;
+  setPartialRow(tableId: string, rowId: string, row: Record<string, DataCell>): unknown;
+  setPartialValues(values: DataValues): unknown;
+}
+
+export const DATA_EXPORT_FORMAT = "vibes-data";
+
+export function buildDataExport(
+  content: DataContent,
+  app: string,
+  now: Date = new Date(),
+): DataExport {
+  return {
+    format: DATA_EXPORT_FORMAT,
+    version: 1,
+    app,
+    exportedAt: now.toISOString(),
+    tables: content.tables,
+    values: content.values,
+  };
+}
+
+function csvField(value: unknown): string {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating cell text as a formula
+  if (/^[=+\-@]/.test(text) && typeof value === "string") text = "'" + text;
+  return /[",\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * One table as CSV: a row id column, then every cell id used by any row.
+ */
+export function dataTableToCsv(table: Record<string, Record<string, DataCell>>): string {
+  const cellIds = [...new Set(Object.values(table).flatMap((row) => Object.keys(row)))].sort();
+  const idColumn = cellIds.includes("id") ? "_id" : "id";
+  const lines = [[idColumn, ...cellIds].map(csvField).join(",")];
+  for (const [rowId, row] of Object.entries(table)) {
+    lines.push([rowId, ...cellIds.map((cellId) => row[cellId])].map(csvField).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+function isCell(value: unknown): value is DataCell {
+  return typeof value === "string" || typeof value === "boolean" ||
+    (typeof value === "number" && Number.isFinite(value));
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Parse an import file. Accepts a Vibes data export, a bare
+ * `{ tables, values }` object, or TinyBase `[tables, values]` content.
+ * Throws with a readable message when the file can't be imported.
+ */
+export function parseDataImport(text: string): DataContent {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("This file isn't valid JSON.");
+  }
+
+  let tables: unknown;
+  let values: unknown;
+  if (Array.isArray(parsed) && parsed.length === 2) {
+    [tables, values] = parsed;
+  } else if (isObject(parsed) && ("tables" in parsed || "values" in parsed)) {
+    ({ tables, values } = parsed);
+  } else {
+    throw new Error("This file isn't a data export.");
+  }
+  tables ??= {};
+  values ??= {};
+  if (!isObject(tables) || !isObject(values)) {
+    throw new Error("This file isn't a data export.");
+  }
+
+  for (const [tableId, table] of Object.entries(tables)) {
+    if (!isObject(table)) throw new Error(`Table "${tableId}" isn't a set of rows.`);
+    for (const [rowId, row] of Object.entries(table)) {
+      if (!isObject(row)) throw new Error(`Row "${tableId}/${rowId}" isn't a set of cells.`);
+      for (const [cellId, cell] of Object.entries(row)) {
+        if (!isCell(cell)) throw new Error(`Cell "${tableId}/${rowId}/${cellId}" must be text, a number or true/false.`);
+      }
+    }
+  }
+  for (const [valueId, value] of Object.entries(values)) {
+    if (!isCell(value)) throw new Error(`Value "${valueId}" must be text, a number or true/false.`);
+  }
+  return { tables: tables as DataTables, values: values as DataValues };
+}
+
+function countChanges(
+  current: Record<string, unknown> | undefined,
+  incoming: Record<string, unknown>,
+  differs: (before: any, after: any) => boolean,
+): DataChangeCounts {
+  const counts = { added: 0, updated: 0, unchanged: 0 };
+  for (const [id, next] of Object.entries(incoming)) {
+    if (!current || !(id in current)) counts.added++;
+    else if (differs(current[id], next)) counts.updated++;
+    else counts.unchanged++;
+  }
+  return counts;
+}
+
+const rowDiffers = (before: Record<string, DataCell>, after: Record<string, DataCell>) =>
+  Object.entries(after).some(([cellId, cell]) => before[cellId] !== cell);
+
+/**
+ * What merging `incoming` into `current` would do, per table and for values.
+ * Rows and values missing from the file are left alone, so nothing is deleted.
+ */
+export function summarizeDataImport(current: DataContent, incoming: DataContent): DataImportSummary {
+  const tables = Object.entries(incoming.tables).map(([id, rows]) => ({
+    id,
+    ...countChanges(current.tables[id], rows, rowDiffers),
+  }));
+  const values = countChanges(current.values, incoming.values, (a, b) => a !== b);
+  const changes = tables.reduce((sum, t) => sum + t.added + t.updated, values.added + values.updated);
+  return { tables, values, changes };
+}
+
+/**
+ * Merge imported data into the store in one transaction: each row's cells
+ * are set over the existing row, and values over existing values.
+ */
+export function applyDataImport(store: DataStore, incoming: DataContent): void {
+  store.transaction(() => {
+    for (const [tableId, rows] of Object.entries(incoming.tables)) {
+      for (const [rowId, row] of Object.entries(rows)) {
+        store.setPartialRow(tableId, rowId, row);
+      }
+    }
+    if (Object.keys(incoming.values).length > 0) store.setPartialValues(incoming.values);
+  });
+}
+
+function describeCounts(counts: DataChangeCounts, noun: string): string {
+  const parts: string[] = [];
+  if (counts.added) parts.push(`${counts.added} new`);
+  if (counts.updated) parts.push(`${counts.updated} updated`);
+  if (parts.length === 0) parts.push("no changes");
+  return `${noun}: ${parts.join(", ")}`;
+}
+
+/**
+ * One line per table (and for values) for the import confirmation.
+ */
+export function describeDataImport(summary: DataImportSummary): string[] {
+  const lines = summary.tables.map((t) => describeCounts(t, t.id));
+  const { added, updated, unchanged } = summary.values;
+  if (added + updated + unchanged > 0) lines.push(describeCounts(summary.values, "Settings"));
+  return lines;
+}
@@ -0,0 +1,154 @@
+/**
+ * Sync diagnostics for the VibesPanel "Sync" view.
+ *
+ * Every cell and value in a TinyBase MergeableStore carries the HLC (hybrid
+ * logical clock) of its last write: a 16 character string of a millisecond
+ * time, a counter and a 5 character hash of the writing client. These
+ * helpers read that metadata from plain stamps, so they stay independent of
+ * the store; the template's sync tracker feeds them (see
+ * addSyncDiagnosticsHandlers in the base template).
+ */
+
+/** [value, hlc, hash?] */
+type Stamp = [unknown, string?, number?];
+type ThingsStamp = [Record<string, Stamp>, string?, number?];
+type RowsStamp = [Record<string, ThingsStamp>, string?, number?];
+export type TablesStamp = [Record<string, RowsStamp>, string?, number?];
+export type ValuesStamp = ThingsStamp;
+
+/** A cell (or, with no table, a value) and its last write. */
+export interface SyncWrite {
+  tableId: string | null;
+  rowId: string | null;
+  id: string;
+  hlc: string;
+  /** Milliseconds since the epoch. */
+  time: number;
+  /** Hash of the writing client, as in the HLC. */
+  client: string;
+  deleted: boolean;
+}
+
+/** window.__VIBES_SYNC_STATUS__; "idle" until the app starts syncing. */
+export type SyncStatus = "idle" | "connecting" | "synced" | "reconnecting" | "error";
+
+export interface SyncConnectionEvent {
+  status: SyncStatus;
+  at: number;
+}
+
+export type OfflineEditOutcome = "kept" | "overwritten";
+
+export interface SyncDiagnostics {
+  status: SyncStatus;
+  /** Connected now, else when the connection was last up; null if never. */
+  lastSyncAt: number | null;
+  /** Local writes the server hasn't seen yet. */
+  pending: SyncWrite[];
+  /** Edits made offline before the last reconnect, and what became of them. */
+  offlineEdits: Array<SyncWrite & { outcome: OfflineEditOutcome; by?: string }>;
+  /** The most recent writes by other clients. */
+  remoteWrites: SyncWrite[];
+  /** Newest first. */
+  history: SyncConnectionEvent[];
+}
+
+const HLC_DIGITS = "-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz";
+const HLC_TIME_LENGTH = 7;
+const HLC_CLIENT_LENGTH = 5;
+
+/** The millisecond time an HLC was issued at. */
+export function hlcTime(hlc: string): number {
+  let time = 0;
+  for (let i = 0; i < HLC_TIME_LENGTH; i++) {
+    time = time * 64 + Math.max(0, HLC_DIGITS.indexOf(hlc[i]));
+  }
+  return time;
+}
+
+/** The hash of the client that issued an HLC. */
+export function hlcClient(hlc: string): string {
+  return hlc.slice(-HLC_CLIENT_LENGTH);
+}
+
+function toSyncWrite(tableId: string | null, rowId: string | null, id: string, [value, hlc]: Stamp): SyncWrite | null {
+  if (!hlc) return null;
+  // Deletions are stamped undefined in the store and null once sent
+  return { tableId, rowId, id, hlc, time: hlcTime(hlc), client: hlcClient(hlc), deleted: value == null };
+}
+
+/**
+ * Every stamped cell and value write, in no particular order. Takes the
+ * stamps of `getMergeableContent()` or `getTransactionMergeableChanges()`.
+ */
+export function listSyncWrites(tablesStamp?: TablesStamp, valuesStamp?: ValuesStamp): SyncWrite[] {
+  const writes: SyncWrite[] = [];
+  const add = (write: SyncWrite | null) => write && writes.push(write);
+  for (const [tableId, [rows = {}] = [{}]] of Object.entries(tablesStamp?.[0] || {})) {
+    for (const [rowId, [cells = {}] = [{}]] of Object.entries(rows)) {
+      for (const [cellId, stamp] of Object.entries(cells)) add(toSyncWrite(tableId, rowId, cellId, stamp));
+    }
+  }
+  for (const [valueId, stamp] of Object.entries(valuesStamp?.[0] || {})) add(toSyncWrite(null, null, valueId, stamp));
+  return writes;
+}
+
+/** Key of the cell or value a write is to. */
+export function syncWriteKey(write: Pick<SyncWrite, "tableId" | "rowId" | "id">): string {
+  return JSON.stringify([write.tableId, write.rowId, write.id]);
+}
+
+const newestWriteFirst = (a: SyncWrite, b: SyncWrite) => (a.hlc < b.hlc ? 1 : a.hlc > b.hlc ? -1 : 0);
+
+/**
+ * Put together what the Sync view shows. `offlineEdits` are the local
+ * writes the tracker saw while disconnected; each is `pending` until the
+ * next reconnect, then `kept` if the store still holds a write from this
+ * client or `overwritten` if a peer's later write won.
+ */
+export function buildSyncDiagnostics(options: {
+  content: [TablesStamp, ValuesStamp];
+  localClient: string;
+  status: SyncDiagnostics["status"];
+  lastSyncAt: number | null;
+  offlineEdits: SyncWrite[];
+  history: SyncConnectionEvent[];
+  now?: number;
+  limit?: number;
+}): SyncDiagnostics {
+  const { content, localClient, status, offlineEdits, history, limit = 20 } = options;
+  const writes = listSyncWrites(content[0], content[1]);
+  const current = new Map(writes.map((write) => [syncWriteKey(write), write]));
+  const edits = [...offlineEdits].sort(newestWriteFirst);
+
+  return {
+    status,
+    lastSyncAt: status === "synced" ? options.now ?? Date.now() : options.lastSyncAt,
+    pending: status === "synced" ? [] : edits,
+    offlineEdits: status !== "synced" ? [] : edits.map((edit) => {
+      const latest = current.get(syncWriteKey(edit));
+      return latest && latest.client !== localClient && latest.hlc > edit.hlc
+        ? { ...edit, outcome: "overwritten" as const, by: latest.client }
+        : { ...edit, outcome: "kept" as const };
+    }),
+    remoteWrites: writes.filter((write) => write.client !== localClient).sort(newestWriteFirst).slice(0, limit),
+    history: [...history].sort((a, b) => b.at - a.at).slice(0, limit),
+  };
+}
+
+/** "notes › n1 › text", or the value id for values. */
+export function describeSyncWrite(write: Pick<SyncWrite, "tableId" | "rowId" | "id" | "deleted">): string {
+  const path = write.tableId === null ? write.id : `${write.tableId} › ${write.rowId} › ${write.id}`;
+  return write.deleted ? `${path} (deleted)` : path;
+}
+
+/** "just now", "5 min ago", "3 h ago", else a date and time. */
+export function describeSyncTime(at: number | null, now: number = Date.now()): string {
+  if (at === null) return "never";
+  const seconds = Math.max(0, Math.round((now - at) / 1000));
+  if (seconds < 10) return "just now";
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+  return new Date(at).toLocaleString();
+}
@@ -0,0 +1,38 @@
+import React from "react";
+
+interface DataIconProps {
+  bgFill?: string;
+  fill?: string;
+  width?: number;
+  height?: number;
+}
+
+export function DataIcon({
+  bgFill = "#fff",
+  fill = "#2a2a2a",
+  width = 44,
+  height = 44,
+}: DataIconProps) {
+  return (
+    <svg
+      width={width}
+      height={height}
+      viewBox="0 0 44 44"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+    >
+      <circle cx="22" cy="22" r="22" fill={bgFill} />
+      <ellipse cx="22" cy="13.5" rx="9" ry="3.5" stroke={fill} strokeWidth="2.2" />
+      <path
+        d="M13 13.5V30.5C13 32.43 17.03 34 22 34C26.97 34 31 32.43 31 30.5V13.5"
+        stroke={fill}
+        strokeWidth="2.2"
+      />
+      <path
+        d="M13 22C13 23.93 17.03 25.5 22 25.5C26.97 25.5 31 23.93 31 22"
+        stroke={fill}
+        strokeWidth="2.2"
+      />
+    </svg>
+  );
+}
@@ -0,0 +1,41 @@
+import React from "react";
+
+interface SyncIconProps {
+  bgFill?: string;
+  fill?: string;
+  width?: number;
+  height?: number;
+}
+
+export function SyncIcon({
+  bgFill = "#fff",
+  fill = "#2a2a2a",
+  width = 44,
+  height = 44,
+}: SyncIconProps) {
+  return (
+    <svg
+      width={width}
+      height={height}
+      viewBox="0 0 44 44"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+    >
+      <circle cx="22" cy="22" r="22" fill={bgFill} />
+      <path
+        d="M31 19C29.76 15.5 26.18 13 22 13C17.82 13 14.24 15.5 13 19"
+        stroke={fill}
+        strokeWidth="2.2"
+        strokeLinecap="round"
+      />
+      <path d="M31 13.5V19H25.5" stroke={fill} strokeWidth="2.2" strokeLinecap="round" strokeLinejoin="round" />
+      <path
+        d="M13 25C14.24 28.5 17.82 31 22 31C26.18 31 29.76 28.5 31 25"
+        stroke={fill}
+        strokeWidth="2.2"
+        strokeLinecap="round"
+      />
+      <path d="M13 30.5V25H18.5" stroke={fill} strokeWidth="2.2" strokeLinecap="round" strokeLinejoin="round" />
+    </svg>
+  );
+}
@@ -8,3 +8,5 @@ export { GitHubIcon } from "./GitHubIcon.js";
 export { MoonIcon } from "./MoonIcon.js";
 export { SunIcon } from "./SunIcon.js";
 export { DesignIcon } from "./DesignIcon.js";
+export { DataIcon } from "./DataIcon.js";
+export { SyncIcon } from "./SyncIcon.js";
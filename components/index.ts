@@ -31,3 +31,5 @@ export { GoogleIcon } from "./icons/GoogleIcon";
 export { GitHubIcon } from "./icons/GitHubIcon";
 export { MoonIcon } from "./icons/MoonIcon";
 export { SunIcon } from "./icons/SunIcon";
+export { DataIcon } from "./icons/DataIcon";
+export { SyncIcon } from "./icons/SyncIcon";
@@ -0,0 +1,217 @@
+/**
+ * Integration tests for the local Deploy API emulator.
+ *
+ * Drives the emulator through the same helpers the deploy paths use
+ * (uploadR2Assets, provisionInviteLink), syncs two TinyBase clients through
+ * it, and runs full `deploy-cloudflare.js` deploys (including stages,
+ * promotion and rollback) against it with DEPLOY_API_URL pointed at the
+ * emulator.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { request } from 'http';
+import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync, copyFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { WebSocket } from 'ws';
+import { createMergeableStore } from 'tinybase';
+import { createWsSynchronizer } from 'tinybase/synchronizers/synchronizer-ws-client';
+import { startDeployEmulator } from '../../server/deploy-emulator.ts';
+import { uploadR2Assets } from '../../lib/deploy-files.js';
+import { provisionInviteLink } from '../../lib/provision-invite-link.js';
+
+const SCRIPTS_DIR = resolve(__dirname, '../..');
+const FIXTURES_DIR = resolve(__dirname, '../fixtures');
+
+const PAGE = '<script>window.__APP_CONFIG__ = { appName: "__APP_NAME__", wsUrl: "__WS_URL__", public: __APP_PUBLIC__ };</script>';
+const auth = (token) => ({ Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' });
+
+let workDir;
+let emulator;
+
+function deploy(body, token = 'owner-token') {
+  return fetch(`${emulator.url}/deploy`, { method: 'POST', headers: auth(token), body: JSON.stringify(body) });
+}
+
+/** GET with an explicit Host header (fetch doesn't allow overriding it). */
+function getWithHost(path, host) {
+  return new Promise((done, fail) => {
+    request({ port: emulator.port, path, headers: { Host: host } }, (res) => {
+      let body = '';
+      res.on('data', (c) => { body += c; });
+      res.on('end', () => done({ status: res.statusCode, body }));
+    }).on('error', fail).end();
+  });
+}
+
+beforeAll(async () => {
+  workDir = join(tmpdir(), `vibes-deploy-emulator-test-${Date.now()}`);
+  mkdirSync(workDir, { recursive: true });
+  emulator = await startDeployEmulator({ port: 0, dataDir: join(workDir, 'data') });
+});
+
+afterAll(async () => {
+  await emulator?.shutdown();
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('deploy emulator API', () => {
+  it('deploys files and serves them with the app config filled in', async () => {
+    const res = await deploy({ name: 'notes', files: { 'index.html': PAGE, 'assets/logo.svg': '<svg/>' } });
+    expect(res.status).toBe(200);
+    const result = await res.json();
+    expect(result.url).toBe(`http://notes.localhost:${emulator.port}`);
+    expect(result.wsUrl).toBe(`ws://localhost:${emulator.port}/sync/notes`);
+
+    const page = await (await fetch(`${emulator.url}/apps/notes/`)).text();
+    expect(page).toContain('appName: "notes"');
+    expect(page).toContain(`wsUrl: "${result.wsUrl}"`);
+    expect(page).toContain('public: true');
+
+    const bySubdomain = await getWithHost('/assets/logo.svg', `notes.localhost:${emulator.port}`);
+    expect(bySubdomain).toEqual({ status: 200, body: '<svg/>' });
+  });
+
+  it('requires a token and keeps apps to their owner', async () => {
+    const anonymous = await fetch(`${emulator.url}/deploy`, { method: 'POST', body: '{}' });
+    expect(anonymous.status).toBe(401);
+
+    const other = await deploy({ name: 'notes', files: { 'index.html': PAGE } }, 'someone-else');
+    expect(other.status).toBe(403);
+    expect((await other.json()).error).toMatch(/another user/);
+  });
+
+  it('rejects bad names and file paths', async () => {
+    expect((await deploy({ name: 'Bad Name', files: { 'index.html': PAGE } })).status).toBe(400);
+    expect((await deploy({ name: 'sneaky', files: { 'index.html': PAGE, '../../escape.txt': 'x' } })).status).toBe(400);
+    expect(existsSync(join(emulator.dataDir, '..', 'escape.txt'))).toBe(false);
+  });
+
+  it('stores large assets uploaded before the deploy', async () => {
+    const png = 'base64:' + Buffer.from('not really a png').toString('base64');
+    const ok = await uploadR2Assets(emulator.url, 'gallery', { 'assets/big.png': png }, 'owner-token', () => {});
+    expect(ok).toBe(true);
+    await deploy({ name: 'gallery', files: { 'index.html': PAGE } });
+
+    const asset = await fetch(`${emulator.url}/apps/gallery/assets/big.png`);
+    expect(asset.headers.get('content-type')).toBe('image/png');
+    expect(await asset.text()).toBe('not really a png');
+  });
+
+  it('provisions an invite link for private apps and redeems it', async () => {
+    await deploy({ name: 'secret', files: { 'index.html': PAGE }, public: false });
+    const joinUrl = await provisionInviteLink(emulator.url, 'secret', 'owner-token');
+    expect(joinUrl).toMatch(new RegExp(`^${emulator.url}/join/secret/[0-9a-f]{32}$`));
+
+    const status = await (await fetch(`${emulator.url}/status/secret`, { headers: auth('owner-token') })).json();
+    expect(status.public).toBe(false);
+    expect(status.oidcClientId).toMatch(/^local-secret-/);
+    expect(joinUrl).toContain(status.publicInvite.token);
+
+    // A second provision reuses the existing link
+    expect(await provisionInviteLink(emulator.url, 'secret', 'owner-token')).toBe(joinUrl);
+
+    const joined = await fetch(joinUrl, { redirect: 'manual' });
+    expect(joined.status).toBe(302);
+    expect(joined.headers.get('location')).toBe(`http://secret.localhost:${emulator.port}/`);
+    expect((await fetch(`${emulator.url}/join/secret/nope`, { redirect: 'manual' })).status).toBe(404);
+  });
+
+  it('issues email invites', async () => {
+    const res = await fetch(`${emulator.url}/apps/secret/invite`, {
+      method: 'POST', headers: auth('owner-token'), body: JSON.stringify({ email: 'friend@example.com' }),
+    });
+    const { inviteUrl } = await res.json();
+    expect((await fetch(inviteUrl, { redirect: 'manual' })).status).toBe(302);
+  });
+
+  it('syncs TinyBase clients per app and persists the data', async () => {
+    const connect = async (store) => {
+      const ws = new WebSocket(`ws://localhost:${emulator.port}/sync/notes`);
+      await new Promise((open, fail) => { ws.on('open', open); ws.on('error', fail); });
+      const sync = await createWsSynchronizer(store, ws);
+      await sync.startSync();
+      return sync;
+    };
+    const store1 = createMergeableStore('client-1');
+    const store2 = createMergeableStore('client-2');
+    const sync1 = await connect(store1);
+    const sync2 = await connect(store2);
+
+    store1.setRow('notes', 'n1', { text: 'hello' });
+    await new Promise(r => setTimeout(r, 500));
+    expect(store2.getRow('notes', 'n1')).toEqual({ text: 'hello' });
+
+    sync1.destroy();
+    sync2.destroy();
+    await new Promise(r => setTimeout(r, 200));
+    expect(readFileSync(join(emulator.dataDir, 'notes', 'sync.json'), 'utf8')).toContain('hello');
+  }, 10_000);
+
+  it('refuses sync connections for apps that were never deployed', async () => {
+    const ws = new WebSocket(`ws://localhost:${emulator.port}/sync/missing`);
+    await expect(new Promise((open, fail) => { ws.on('open', open); ws.on('error', fail); })).rejects.toThrow();
+  });
+});
+
+describe('deploy-cloudflare.js against the emulator', () => {
+  it('assembles, deploys and records the app', async () => {
+    const home = join(workDir, 'home');
+    const appDir = join(workDir, 'cli-app');
+    mkdirSync(join(home, '.vibes'), { recursive: true });
+    mkdirSync(appDir, { recursive: true });
+    copyFileSync(join(FIXTURES_DIR, 'minimal.jsx'), join(appDir, 'app.jsx'));
+    // A cached, unexpired token skips the browser login
+    writeFileSync(join(home, '.vibes', 'auth.json'), JSON.stringify({
+      accessToken: 'cli-token', refreshToken: null, idToken: null,
+      expiresAt: Math.floor(Date.now() / 1000) + 3600,
+    }));
+
+    // Async, so the emulator in this process can answer the CLI
+    const { stdout } = await promisify(execFile)('bun', [join(SCRIPTS_DIR, 'deploy-cloudflare.js'), '--name', 'cli-app', '--app', 'app.jsx'], {
+      cwd: appDir,
+      env: { ...process.env, HOME: home, VIBES_HOME: home, DEPLOY_API_URL: emulator.url },
+      timeout: 60_000,
+    });
+    expect(stdout).toContain(`Deployed to http://cli-app.localhost:${emulator.port}`);
+
+    const registry = JSON.parse(readFileSync(join(home, '.vibes', 'deployments.json'), 'utf8'));
+    expect(registry.apps['cli-app'].wsUrl).toBe(`ws://localhost:${emulator.port}/sync/cli-app`);
+
+    const page = readFileSync(join(emulator.dataDir, 'cli-app', 'files', 'index.html'), 'utf8');
+    expect(page).toContain('appName: "cli-app"');
+    expect(page).toContain(`deployApiUrl: "${emulator.url}"`);
+  }, 90_000);
+
+  it('deploys a stage, promotes it and rolls production back', async () => {
+    const home = join(workDir, 'home');
+    const appDir = join(workDir, 'cli-app');
+    const run = (...args) => promisify(execFile)('bun', [join(SCRIPTS_DIR, 'deploy-cloudflare.js'), '--name', 'cli-app', ...args], {
+      cwd: appDir,
+      env: { ...process.env, HOME: home, VIBES_HOME: home, DEPLOY_API_URL: emulator.url },
+      timeout: 60_000,
+    });
+    const deployedPage = (name) => readFileSync(join(emulator.dataDir, name, 'files', 'index.html'), 'utf8');
+    const registry = () => JSON.parse(readFileSync(join(home, '.vibes', 'deployments.json'), 'utf8'));
+    const [original] = registry().apps['cli-app'].deploys;
+
+    writeFileSync(join(appDir, 'app.jsx'), readFileSync(join(appDir, 'app.jsx'), 'utf8').replace('Vibes Test App', 'staged-change'));
+    await run('--app', 'app.jsx', '--stage', 'staging');
+    expect(deployedPage('cli-app-staging')).toContain('staged-change');
+    expect(deployedPage('cli-app')).not.toContain('staged-change');
+
+    await run('--promote', 'staging');
+    expect(deployedPage('cli-app')).toContain('staged-change');
+    const promoted = registry().apps['cli-app'].deploys.at(-1);
+    expect(promoted.promotedFrom).toBe(registry().apps['cli-app-staging'].deploys[0].id);
+
+    await run('--rollback', original.id);
+    expect(deployedPage('cli-app')).not.toContain('staged-change');
+    expect(registry().apps['cli-app'].deploys.at(-1)).toMatchObject({ rollbackOf: original.id, hash: original.hash });
+
+    const { stdout } = await run('--history');
+    expect(stdout.trim().split('\n')).toHaveLength(3);
+  }, 180_000);
+});
@@ -0,0 +1,72 @@
+/**
+ * Integration tests for the headless render check.
+ *
+ * Assembles apps with assemble.js and mounts them offline in happy-dom
+ * using a vendor bundle built into a temporary cache.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { execSync } from 'child_process';
+import { readFileSync, writeFileSync, mkdirSync, rmSync } from 'fs';
+import { join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { runRenderCheck, ensureVendorBundle } from '../../lib/render-check.js';
+
+const SCRIPTS_DIR = resolve(__dirname, '../..');
+const FIXTURES_DIR = resolve(__dirname, '../fixtures');
+
+let workDir;
+let cacheDir;
+
+function assemble(name, source) {
+  const appJsx = join(workDir, `${name}.jsx`);
+  const output = join(workDir, `${name}.html`);
+  writeFileSync(appJsx, source);
+  execSync(`bun ${join(SCRIPTS_DIR, 'assemble.js')} "${appJsx}" "${output}"`, { stdio: 'pipe', cwd: workDir });
+  return readFileSync(output, 'utf8');
+}
+
+beforeAll(async () => {
+  workDir = join(tmpdir(), `vibes-render-check-test-${Date.now()}`);
+  cacheDir = join(workDir, 'cache');
+  mkdirSync(workDir, { recursive: true });
+  await ensureVendorBundle(cacheDir);
+}, 120_000);
+
+afterAll(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('runRenderCheck', () => {
+  it('passes a working TinyBase app', async () => {
+    const html = assemble('crud', readFileSync(join(FIXTURES_DIR, 'tinybase-basic-crud.jsx'), 'utf8'));
+    const result = await runRenderCheck(html, { cacheDir });
+    expect(result).toMatchObject({ ok: true, empty: false, errors: [] });
+  }, 30_000);
+
+  it('reports an error caught by the error boundary', async () => {
+    const html = assemble('crash', `export default function App() {
+  const items = undefined;
+  return <ul>{items.map(i => <li>{i}</li>)}</ul>;
+}`);
+    const result = await runRenderCheck(html, { cacheDir });
+    expect(result.ok).toBe(false);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toMatch(/map/);
+  }, 30_000);
+
+  it('flags an app that renders nothing', async () => {
+    const html = assemble('empty', 'export default function App() {\n  return null;\n}');
+    const result = await runRenderCheck(html, { cacheDir });
+    expect(result).toMatchObject({ ok: false, empty: true, errors: [] });
+  }, 30_000);
+
+  it('collects React warnings without failing', async () => {
+    const html = assemble('keys', `export default function App() {
+  return <ul>{['a', 'b'].map(i => <li>{i}</li>)}</ul>;
+}`);
+    const result = await runRenderCheck(html, { cacheDir });
+    expect(result.ok).toBe(true);
+    expect(result.warnings.some(w => w.includes('unique "key" prop'))).toBe(true);
+  }, 30_000);
+});
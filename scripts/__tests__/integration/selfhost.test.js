@@ -0,0 +1,106 @@
+/**
+ * Integration tests for the `selfhost` deploy target.
+ *
+ * Writes a bundle with writeSelfhostBundle, runs its server.js under Node
+ * the way a user would, and checks the page, assets and persisted sync.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawn } from 'child_process';
+import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { WebSocket } from 'ws';
+import { createMergeableStore } from 'tinybase';
+import { createWsSynchronizer } from 'tinybase/synchronizers/synchronizer-ws-client';
+import { writeSelfhostBundle } from '../../server/selfhost.ts';
+
+const PAGE = '<script>window.__APP_CONFIG__ = { appName: "__APP_NAME__", wsUrl: "__WS_URL__", public: __APP_PUBLIC__ };</script>';
+
+let workDir;
+let outDir;
+
+/** Run the bundle's server.js on a free port; resolves with its base URL. */
+function runBundle() {
+  const child = spawn(process.execPath, ['server.js', '--port', '0'], { cwd: outDir });
+  const url = new Promise((ready, fail) => {
+    child.stdout.on('data', (chunk) => {
+      const m = /Serving on (http:\/\/\S+)/.exec(String(chunk));
+      if (m) ready(m[1]);
+    });
+    child.on('exit', (code) => fail(new Error(`server.js exited with ${code}`)));
+  });
+  return { child, url };
+}
+
+async function stop(child) {
+  const exited = new Promise(r => child.once('exit', r));
+  child.kill('SIGTERM');
+  await exited;
+}
+
+beforeAll(async () => {
+  workDir = join(tmpdir(), `vibes-selfhost-test-${Date.now()}`);
+  outDir = join(workDir, 'selfhost');
+  mkdirSync(workDir, { recursive: true });
+  await writeSelfhostBundle({
+    outDir,
+    appName: 'potluck',
+    files: {
+      'index.html': PAGE,
+      'vibes-ai.js': 'export {};',
+      'assets/pixel.png': 'base64:' + Buffer.from('png bytes').toString('base64'),
+    },
+  });
+}, 60_000);
+
+afterAll(() => {
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('writeSelfhostBundle', () => {
+  it('writes public files, a bundled server and a README', () => {
+    expect(readFileSync(join(outDir, 'public', 'index.html'), 'utf8')).toContain('appName: "potluck"');
+    expect(readFileSync(join(outDir, 'public', 'assets', 'pixel.png'), 'utf8')).toBe('png bytes');
+    expect(existsSync(join(outDir, 'server.js'))).toBe(true);
+    expect(readFileSync(join(outDir, 'README.md'), 'utf8')).toContain('bun server.js');
+  });
+
+  it('rejects paths outside public/', async () => {
+    await expect(writeSelfhostBundle({ outDir, appName: 'x', files: { 'index.html': PAGE, '../server.js': 'oops' } }))
+      .rejects.toThrow(/Invalid file path/);
+    expect(existsSync(join(outDir, 'public', 'index.html'))).toBe(true);
+  });
+});
+
+describe('bundled server.js', () => {
+  it('serves the app with a per-host sync URL and persists synced data', async () => {
+    const { child, url } = runBundle();
+    try {
+      const base = await url;
+      const page = await (await fetch(`${base}/`)).text();
+      expect(page).toContain(`wsUrl: "${base.replace('http', 'ws')}/sync"`);
+      expect(page).toContain('public: true');
+      expect((await fetch(`${base}/missing.js`)).status).toBe(404);
+
+      const store = createMergeableStore('guest');
+      const ws = new WebSocket(`${base.replace('http', 'ws')}/sync`);
+      await new Promise((open, fail) => { ws.on('open', open); ws.on('error', fail); });
+      const sync = await createWsSynchronizer(store, ws);
+      await sync.startSync();
+      store.setRow('dishes', 'd1', { name: 'Lasagna' });
+      await new Promise(r => setTimeout(r, 500));
+      sync.destroy();
+    } finally {
+      await stop(child);
+    }
+    expect(readFileSync(join(outDir, 'data', 'sync.json'), 'utf8')).toContain('Lasagna');
+  }, 30_000);
+
+  it('keeps data/ when the bundle is rebuilt', async () => {
+    writeFileSync(join(outDir, 'public', 'stale.txt'), 'old');
+    await writeSelfhostBundle({ outDir, appName: 'potluck', files: { 'index.html': PAGE } });
+    expect(existsSync(join(outDir, 'public', 'stale.txt'))).toBe(false);
+    expect(readFileSync(join(outDir, 'data', 'sync.json'), 'utf8')).toContain('Lasagna');
+  }, 30_000);
+});
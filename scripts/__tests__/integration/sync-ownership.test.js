@@ -0,0 +1,73 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { WebSocket } from 'ws';
+import { createMergeableStore } from 'tinybase';
+import { createWsSynchronizer } from 'tinybase/synchronizers/synchronizer-ws-client';
+import { startSyncServer } from '../../server/sync-server.ts';
+import { parsePermissions } from '../../lib/sync-permissions.js';
+
+const PORT = 3445;
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const jwt = (sub) => ['{}', JSON.stringify({ sub }), 'sig'].map(part => Buffer.from(part).toString('base64url')).join('.');
+
+describe('sync server permissions', () => {
+  let server;
+  const synchronizers = [];
+
+  afterEach(async () => {
+    for (const s of synchronizers.splice(0)) await s.destroy();
+    server?.shutdown();
+  });
+
+  async function connect(owner, query = `owner=${owner}`) {
+    const store = createMergeableStore();
+    const ws = new WebSocket(`ws://localhost:${PORT}/app?${query}`);
+    const synchronizer = await createWsSynchronizer(store, ws);
+    await synchronizer.startSync();
+    synchronizers.push(synchronizer);
+    return store;
+  }
+
+  it('only lets owners change rows of private tables', async () => {
+    server = startSyncServer(PORT, { privateTables: ['notes'] });
+    const alice = await connect('alice');
+    const bob = await connect('bob');
+
+    alice.setRow('notes', 'n1', { text: 'mine', owner: 'alice' });
+    alice.setRow('posts', 'p1', { text: 'shared' });
+    await wait(300);
+    expect(bob.getRow('notes', 'n1')).toEqual({ text: 'mine', owner: 'alice' });
+
+    bob.setCell('notes', 'n1', 'text', 'hijacked');
+    bob.setCell('posts', 'p1', 'text', 'edited');
+    bob.setRow('notes', 'n2', { text: 'unstamped' });
+    bob.setRow('notes', 'n3', { text: 'bob', owner: 'bob' });
+    await wait(300);
+    expect(alice.getCell('notes', 'n1', 'text')).toBe('mine');
+    expect(alice.getCell('posts', 'p1', 'text')).toBe('edited');
+    expect(alice.hasRow('notes', 'n2')).toBe(false);
+    expect(alice.getRow('notes', 'n3')).toEqual({ text: 'bob', owner: 'bob' });
+
+    const carol = await connect('carol');
+    await wait(300);
+    expect(carol.getRow('notes', 'n1')).toEqual({ text: 'mine', owner: 'alice' });
+    expect(carol.hasRow('notes', 'n2')).toBe(false);
+  }, 10000);
+
+  it('enforces vibes.json permissions for signed-in users', async () => {
+    server = startSyncServer(PORT, {
+      permissions: parsePermissions({ tables: { posts: { create: 'signedIn', update: 'owner', delete: 'nobody' } } }),
+    });
+    const alice = await connect('alice', `token=${jwt('alice')}`);
+    const guest = await connect('guest');
+
+    guest.setRow('posts', 'g1', { text: 'anonymous', owner: 'guest' });
+    alice.setRow('posts', 'a1', { text: 'hello', owner: 'alice' });
+    await wait(300);
+    expect(alice.hasRow('posts', 'g1')).toBe(false);
+    expect(guest.getRow('posts', 'a1')).toEqual({ text: 'hello', owner: 'alice' });
+
+    alice.delRow('posts', 'a1');
+    await wait(300);
+    expect(guest.hasRow('posts', 'a1')).toBe(true);
+  }, 10000);
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests for the accessibility audit (lib/a11y-audit.js).
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { Window } from 'happy-dom';
+import {
+  parseCssColor,
+  checkTokenContrast,
+  checkElements,
+  mergeFindings,
+  auditAccessibility,
+  formatA11yFindings,
+  buildA11yFixPrompt,
+} from '../../lib/a11y-audit.js';
+
+let window;
+
+function mount(html, head = '') {
+  window = new Window();
+  window.document.write(`<html><head>${head}</head><body><div id="root">${html}</div></body></html>`);
+  return window.document.getElementById('root');
+}
+
+function rules(findings) {
+  return findings.map(f => `${f.rule}:${f.element}`);
+}
+
+afterEach(async () => {
+  if (window) await window.happyDOM.close();
+  window = null;
+});
+
+describe('parseCssColor', () => {
+  it('reads hex, rgb(), oklch() and named colors', () => {
+    expect(parseCssColor('#FFF')).toBe('#ffffff');
+    expect(parseCssColor('#11223380')).toBe('#112233');
+    expect(parseCssColor('rgb(255, 0, 0)')).toBe('#ff0000');
+    expect(parseCssColor('rgba(0 128 0 / 50%)')).toBe('#008000');
+    expect(parseCssColor('oklch(1 0 0)')).toBe('#ffffff');
+    expect(parseCssColor('oklch(0% 0 0)')).toBe('#000000');
+    expect(parseCssColor(' Black ')).toBe('#000000');
+  });
+
+  it('returns null for what it cannot resolve', () => {
+    for (const value of ['', 'transparent', 'var(--x)', 'hsl(0 0% 0%)', 'linear-gradient(red, blue)', 'oklch(a b c)']) {
+      expect(parseCssColor(value)).toBeNull();
+    }
+  });
+});
+
+describe('checkTokenContrast', () => {
+  const tokens = {
+    '--comp-text': 'oklch(0.2 0 0)',
+    '--comp-bg': '#ffffff',
+    '--comp-muted': 'oklch(0.85 0.01 80)',
+    '--comp-accent': '#000000',
+    '--comp-accent-text': '#ffffff',
+  };
+
+  it('flags token pairs below WCAG AA, skipping unset tokens', () => {
+    const findings = checkTokenContrast(name => tokens[name] || '');
+    expect(findings.map(f => f.message.split(' has')[0])).toEqual(['`--comp-muted` (oklch(0.85 0.01 80)) on `--comp-bg` (#ffffff)']);
+    expect(findings[0].message).toMatch(/contrast ratio of 1\.\d\d:1; WCAG AA needs 4\.5:1/);
+  });
+
+  it('holds borders to the 3:1 non-text minimum', () => {
+    const findings = checkTokenContrast(name => ({ '--comp-border': '#949494', '--comp-bg': '#ffffff' })[name] || '');
+    expect(findings).toEqual([]);
+    const faint = checkTokenContrast(name => ({ '--comp-border': '#cccccc', '--comp-bg': '#ffffff' })[name] || '');
+    expect(faint.map(f => f.rule)).toEqual(['contrast']);
+  });
+});
+
+describe('checkElements', () => {
+  it('passes labeled, semantic markup', () => {
+    const root = mount(`
+      <img src="a.png" alt="Logo"><img src="b.png" alt="">
+      <label for="title">Title</label><input id="title">
+      <label>Done <input type="checkbox"></label>
+      <input aria-label="Search"><input type="hidden"><input type="submit" value="Go">
+      <button aria-label="Delete"><svg></svg></button><button><img src="x.png" alt="Edit"></button>
+      <a href="/about">About</a><span tabindex="0">Focusable</span>
+    `);
+    expect(checkElements(root)).toEqual([]);
+  });
+
+  it('flags missing alt text, labels and button names', () => {
+    const root = mount(`
+      <img src="a.png">
+      <input placeholder="Add todo"><textarea></textarea>
+      <button><svg></svg></button><div role="button"></div><a href="/x"></a>
+    `);
+    const findings = checkElements(root);
+    expect(rules(findings)).toEqual([
+      'missing-alt:<img src="a.png">',
+      'missing-label:<input placeholder="Add todo">',
+      'missing-label:<textarea>',
+      'unlabeled-button:<button>',
+      'unlabeled-button:<div role="button">',
+      'unlabeled-button:<a href="/x">',
+    ]);
+    expect(findings[1].message).toContain('A placeholder is not a label.');
+    expect(findings[5].message).toMatch(/^Link/);
+  });
+
+  it('flags focus order problems', () => {
+    const root = mount(`
+      <span tabindex="2">Jump</span>
+      <div aria-hidden="true"><button>Hidden</button><a href="/y" tabindex="-1">Skipped</a></div>
+    `);
+    const findings = checkElements(root);
+    expect(findings.map(f => `${f.rule}:${f.severity}`)).toEqual(['positive-tabindex:warning', 'hidden-focusable:error']);
+  });
+
+  it('flags React click handlers on elements keyboards cannot reach', () => {
+    const root = mount('<div class="row">Row</div><span role="button">Act</span><button>Ok</button><div tabindex="0">Reachable</div>');
+    const [row, span, button, reachable] = root.children;
+    for (const el of [row, span, button, reachable]) el['__reactProps$test'] = { onClick() {} };
+    const findings = checkElements(root);
+    expect(rules(findings)).toEqual(['clickable-non-button:<div class="row">', 'clickable-non-button:<span role="button">']);
+    expect(findings[0].message).toContain('use a <button>');
+    expect(findings[1].message).toContain('add tabIndex={0}');
+  });
+});
+
+describe('mergeFindings', () => {
+  it('counts repeats of the same finding on the same markup', () => {
+    const root = mount('<ul><li><button></button></li><li><button></button></li></ul><img src="a.png">');
+    const findings = mergeFindings(checkElements(root));
+    expect(findings.map(f => `${f.rule}:${f.count}`)).toEqual(['unlabeled-button:2', 'missing-alt:1']);
+  });
+});
+
+describe('auditAccessibility', () => {
+  it('reads the computed --comp-* tokens of the page', () => {
+    const root = mount('<button>Ok</button>', '<style>:root { --comp-bg: #ffffff; --gray: #eeeeee; --comp-text: var(--gray); }</style>');
+    expect(auditAccessibility(window, root).map(f => f.message.split(' (')[0])).toEqual(['`--comp-text`']);
+  });
+});
+
+describe('buildA11yFixPrompt', () => {
+  it('lists each finding with its element and count', () => {
+    const findings = [{ rule: 'unlabeled-button', severity: 'error', message: 'Button has no accessible name.', element: '<button>', count: 3 }];
+    expect(formatA11yFindings(findings)).toBe('error [unlabeled-button] Button has no accessible name. <button> (x3)');
+    expect(buildA11yFixPrompt(findings)).toContain('<button> (x3)');
+    expect(buildA11yFixPrompt(findings)).toContain('--comp-*');
+  });
+});
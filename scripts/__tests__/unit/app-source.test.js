@@ -0,0 +1,182 @@
+/**
+ * Tests for the multi-file app layout (lib/app-source.js): app.jsx (or
+ * app.tsx) plus src/ modules, bundled into one script at assembly time.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { existsSync, mkdtempSync, mkdirSync, rmSync, readFileSync, writeFileSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  listAppSourceFiles,
+  isAppSourceFile,
+  appSourceMtime,
+  findThemeSourceFile,
+  hasRelativeImports,
+  stripModuleForTemplate,
+  bundleAppSource,
+  resolveAppEntry,
+  writeTypeScriptSupport,
+} from '../../lib/app-source.js';
+import { sanitizeAppJsx } from '../../server/post-process.ts';
+
+let appDir;
+
+function write(rel, code) {
+  const path = join(appDir, rel);
+  mkdirSync(join(path, '..'), { recursive: true });
+  writeFileSync(path, code);
+  return path;
+}
+
+beforeEach(() => { appDir = mkdtempSync(join(tmpdir(), 'vibes-app-source-')); });
+afterEach(() => { rmSync(appDir, { recursive: true, force: true }); });
+
+describe('source layout', () => {
+  it('lists app.jsx then src/ modules, skipping backups and dot dirs', () => {
+    write('app.jsx', '');
+    write('src/b.jsx', '');
+    write('src/a/Card.jsx', '');
+    write('src/utils.js', '');
+    write('src/Board.20250208-120000.bak.jsx', '');
+    write('src/.cache/x.jsx', '');
+    write('src/notes.md', '');
+    expect(listAppSourceFiles(appDir).map(f => f.slice(appDir.length + 1))).toEqual([
+      'app.jsx', 'src/a/Card.jsx', 'src/b.jsx', 'src/utils.js',
+    ]);
+  });
+
+  it('recognizes app.jsx and src/ modules as app source', () => {
+    expect(isAppSourceFile(appDir, join(appDir, 'app.jsx'))).toBe(true);
+    expect(isAppSourceFile(appDir, 'src/Board.jsx')).toBe(true);
+    expect(isAppSourceFile(appDir, join(appDir, 'src', 'lib', 'dates.js'))).toBe(true);
+    expect(isAppSourceFile(appDir, join(appDir, 'index.html'))).toBe(false);
+    expect(isAppSourceFile(appDir, join(appDir, 'Board.jsx'))).toBe(false);
+    expect(isAppSourceFile(undefined, 'src/Board.jsx')).toBe(false);
+  });
+
+  it('takes the latest mtime across all source files', () => {
+    expect(appSourceMtime(appDir)).toBe(0);
+    const app = write('app.jsx', '');
+    const mod = write('src/Board.jsx', '');
+    utimesSync(app, 1000, 1000);
+    utimesSync(mod, 2000, 2000);
+    expect(appSourceMtime(appDir)).toBe(2000 * 1000);
+  });
+
+  it('finds the file holding the theme markers', () => {
+    write('app.jsx', 'export default function App() {}');
+    expect(findThemeSourceFile(appDir)).toBe(join(appDir, 'app.jsx'));
+    write('src/theme.jsx', 'export const STYLE = `/* @theme:tokens */\n:root {}\n/* @theme:tokens:end */`;');
+    expect(findThemeSourceFile(appDir)).toBe(join(appDir, 'src', 'theme.jsx'));
+  });
+
+  it('sanitizes src/ modules along with app.jsx', () => {
+    write('app.jsx', 'export default function App() {}');
+    const mod = write('src/Arrow.jsx', "export const STYLE = `.next::after { content: '\\2192'; }`;");
+    sanitizeAppJsx(appDir);
+    expect(readFileSync(mod, 'utf-8')).toContain("content: '→'");
+  });
+});
+
+describe('stripModuleForTemplate', () => {
+  it('strips package imports and destructuring but keeps relative imports', () => {
+    const code = [
+      'import React, { useState } from "react";',
+      "import {\n  useCell,\n  useRowIds\n} from 'tinybase/ui-react';",
+      "import { Card } from './Card.jsx';",
+      'const { useEffect } = React;',
+      'export function Board() {}',
+    ].join('\n');
+    const stripped = stripModuleForTemplate(code);
+    expect(stripped).not.toMatch(/react|tinybase|useEffect/);
+    expect(stripped).toContain("import { Card } from './Card.jsx';");
+    expect(hasRelativeImports(code)).toBe(true);
+    expect(hasRelativeImports('import React from "react";')).toBe(false);
+  });
+});
+
+describe('bundleAppSource', () => {
+  it('returns a single-file app.jsx unchanged', async () => {
+    const code = 'import React from "react";\nexport default function App() { return <div />; }\n';
+    expect(await bundleAppSource(write('app.jsx', code))).toBe(code);
+  });
+
+  it('inlines src/ modules with JSX preserved and package imports stripped', async () => {
+    const entry = write('app.jsx', [
+      'import React, { useState } from "react";',
+      "import { Header } from './src/Header.jsx';",
+      "import Counter from './src/Counter';",
+      'export default function App() {',
+      '  const [n] = useState(0);',
+      '  return <div><Header title="Hi" /><Counter start={n} /></div>;',
+      '}',
+    ].join('\n'));
+    write('src/Header.jsx', 'import { useState } from "react";\nexport function Header({ title }) { return <h1>{title} →</h1>; }');
+    write('src/Counter.jsx', 'import { useRowIds } from "tinybase/ui-react";\nfunction Header() { return null; }\nexport default function Counter({ start }) { return <button><Header />{start}</button>; }');
+
+    const bundled = await bundleAppSource(entry);
+    expect(bundled).not.toMatch(/^import |^export /m);
+    expect(bundled).toContain('// src/Header.jsx');
+    expect(bundled).toContain('<h1>{title} →</h1>');
+    expect(bundled).toContain('function App()');
+    expect(bundled).toContain('useState(0)');
+    // Colliding top-level names are renamed, not dropped
+    expect(bundled).toMatch(/function Header2\(\)/);
+    expect(bundled.indexOf('function Counter(')).toBeLessThan(bundled.indexOf('function App('));
+  });
+
+  it('aliases App when the default export has another name', async () => {
+    const entry = write('app.jsx', "import { Board } from './src/Board.jsx';\nexport default function Main() { return <Board />; }");
+    write('src/Board.jsx', 'export function Board() { return <div />; }');
+    expect(await bundleAppSource(entry)).toMatch(/const App = Main;$/);
+  });
+
+  it('strips types from app.tsx and .ts modules, keeping JSX', async () => {
+    const entry = write('app.tsx', [
+      "import { total, type Item } from './src/items';",
+      'interface Props { items: Item[] }',
+      'export default function App({ items = [] }: Props) {',
+      '  const [open, setOpen] = useState<boolean>(false);',
+      '  return <p onClick={() => setOpen(!open)}>{total(items as Item[])}</p>;',
+      '}',
+    ].join('\n'));
+    write('src/items.ts', 'export interface Item { price: number }\nexport const total = (items: Item[]): number => items.reduce((sum, i) => sum + i.price, 0);');
+
+    const bundled = await bundleAppSource(entry);
+    expect(bundled).not.toMatch(/interface |: Props|<boolean>| as Item|^export /m);
+    expect(bundled).toContain('<p onClick={() => setOpen(!open)}>{total(items)}</p>');
+    expect(bundled).toContain('function App(');
+  });
+
+  it('reports unresolved modules by file and line', async () => {
+    const entry = write('app.jsx', "import { Missing } from './src/Missing.jsx';\nexport default function App() { return <Missing />; }");
+    await expect(bundleAppSource(entry)).rejects.toThrow(/app\.jsx:1: Could not resolve/);
+  });
+});
+
+describe('TypeScript apps', () => {
+  it('resolves app.tsx over app.jsx', () => {
+    expect(resolveAppEntry(appDir)).toBe(join(appDir, 'app.jsx'));
+    write('app.tsx', 'export default function App() { return null; }');
+    expect(resolveAppEntry(appDir)).toBe(join(appDir, 'app.tsx'));
+    expect(listAppSourceFiles(appDir)).toEqual([join(appDir, 'app.tsx')]);
+  });
+
+  it('lists .ts modules but not declaration files', () => {
+    write('app.tsx', '');
+    write('src/types.d.ts', 'declare const x: number;');
+    write('src/util.ts', 'export const x = 1;');
+    expect(listAppSourceFiles(appDir)).toEqual([join(appDir, 'app.tsx'), join(appDir, 'src', 'util.ts')]);
+  });
+
+  it('writes the globals typings and a tsconfig once', () => {
+    expect(writeTypeScriptSupport(appDir)).toEqual(['vibes-globals.d.ts', 'tsconfig.json']);
+    expect(readFileSync(join(appDir, 'vibes-globals.d.ts'), 'utf-8')).toContain('function useApp()');
+    expect(JSON.parse(readFileSync(join(appDir, 'tsconfig.json'), 'utf-8')).compilerOptions.jsx).toBe('preserve');
+
+    writeFileSync(join(appDir, 'tsconfig.json'), '{}');
+    expect(writeTypeScriptSupport(appDir)).toEqual([]);
+    expect(readFileSync(join(appDir, 'tsconfig.json'), 'utf-8')).toBe('{}');
+    expect(existsSync(join(appDir, 'vibes-globals.d.ts'))).toBe(true);
+  });
+});
@@ -199,6 +199,12 @@ describe('forbidden pattern warnings', () => {
     expect(warnings.length).toBeGreaterThan(0);
   });
 
+  it('allows store method calls inside defineSchema migrations', () => {
+    const code = 'defineSchema({ version: 2, migrations: { 2: (store) => { store.delCell("t", "r", "c"); } } });\nfunction App() {}';
+    expect(checkForbiddenPatterns(code)).toEqual([]);
+    expect(checkForbiddenPatterns(code + '\nstore.setCell("t", "r", "c", 1)')).toHaveLength(1);
+  });
+
   it('returns empty array for clean code', () => {
     const warnings = checkForbiddenPatterns('export default function App() { return <div>Hi</div>; }');
     expect(warnings).toEqual([]);
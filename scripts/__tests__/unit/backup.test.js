@@ -9,6 +9,7 @@ import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync, mkdirSync
 import { join, dirname } from 'path';
 import { tmpdir } from 'os';
 import { createBackup, findLatestBackup, restoreFromBackup } from '../../lib/backup.js';
+import { recordSnapshot } from '../../lib/history.js';
 
 const tempDirs = [];
 
@@ -235,6 +236,30 @@ describe('restoreFromBackup', () => {
     expect(result.success).toBe(true);
     expect(readFileSync(filePath, 'utf-8')).toBe(backupContent);
   });
+
+  it('restores a specific history snapshot when an id is given', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'v1');
+    const first = recordSnapshot(filePath);
+    writeFileSync(filePath, 'v2');
+    recordSnapshot(filePath);
+    writeFileSync(filePath, 'v3');
+
+    const result = restoreFromBackup(filePath, first.id);
+    expect(result.success).toBe(true);
+    expect(readFileSync(filePath, 'utf-8')).toBe('v1');
+  });
+
+  it('reports unknown snapshot ids', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'v1');
+
+    const result = restoreFromBackup(filePath, 'missing');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('missing');
+  });
 });
 
 describe('project folder backup', () => {
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for server/brainstorm.ts — parsing brainstorm questions and
+ * resolving the editor's answers.
+ */
+import { describe, it, expect } from 'vitest';
+import { parseBrainstormQuestions, resolveBrainstormAnswers, MAX_BRAINSTORM_QUESTIONS, MAX_BRAINSTORM_OPTIONS } from '../../server/brainstorm.ts';
+
+const AUDIENCE = {
+  id: 'audience',
+  prompt: "Who's going to use this?",
+  options: ['Just me', 'Shared with a group'],
+  default: 'Shared with a group',
+};
+
+describe('parseBrainstormQuestions', () => {
+  it('reads the tagged JSON block', () => {
+    const reply = `Sure!\n<brainstorm-questions>\n${JSON.stringify([AUDIENCE])}\n</brainstorm-questions>`;
+    expect(parseBrainstormQuestions(reply)).toEqual([AUDIENCE]);
+  });
+
+  it('accepts a fenced block or a bare questions object', () => {
+    expect(parseBrainstormQuestions('```json\n' + JSON.stringify([AUDIENCE]) + '\n```')).toEqual([AUDIENCE]);
+    expect(parseBrainstormQuestions(`Here: ${JSON.stringify({ questions: [AUDIENCE] })}`)).toEqual([AUDIENCE]);
+  });
+
+  it('returns an empty list when there is nothing to ask, null when unreadable', () => {
+    expect(parseBrainstormQuestions('<brainstorm-questions>[]</brainstorm-questions>')).toEqual([]);
+    expect(parseBrainstormQuestions("Here's what I'll build: a todo list")).toBeNull();
+    expect(parseBrainstormQuestions('<brainstorm-questions>[{"id":</brainstorm-questions>')).toBeNull();
+    expect(parseBrainstormQuestions(null)).toBeNull();
+  });
+
+  it('normalizes questions and drops malformed ones', () => {
+    const questions = parseBrainstormQuestions(JSON.stringify([
+      { id: 'Main Thing!', question: '  What do you   do most? ', options: ['Log', 'Log', 'Browse', ''], default: 'Nope' },
+      { id: 'main_thing', prompt: 'Same id', options: ['A', 'B'] },
+      { id: 'one', prompt: 'Only one option', options: ['A'] },
+      { prompt: 'No id', options: ['A', 'B'], default: 'B' },
+      'junk',
+    ]));
+    expect(questions).toEqual([
+      { id: 'main_thing', prompt: 'What do you do most?', options: ['Log', 'Browse'], default: 'Log' },
+      { id: 'main_thing_', prompt: 'Same id', options: ['A', 'B'], default: 'A' },
+      { id: 'q3', prompt: 'No id', options: ['A', 'B'], default: 'B' },
+    ]);
+  });
+
+  it('caps the number of questions', () => {
+    const many = Array.from({ length: MAX_BRAINSTORM_QUESTIONS + 3 }, (_, i) => ({ id: `q${i}`, prompt: `Q${i}`, options: ['A', 'B'] }));
+    expect(parseBrainstormQuestions(JSON.stringify(many))).toHaveLength(MAX_BRAINSTORM_QUESTIONS);
+  });
+
+  it('caps the number of options', () => {
+    const options = Array.from({ length: MAX_BRAINSTORM_OPTIONS + 2 }, (_, i) => `Option ${i}`);
+    const [question] = parseBrainstormQuestions(JSON.stringify([{ id: 'q', prompt: 'Q', options }]))!;
+    expect(question.options).toEqual(options.slice(0, MAX_BRAINSTORM_OPTIONS));
+  });
+});
+
+describe('resolveBrainstormAnswers', () => {
+  const questions = [
+    AUDIENCE,
+    { id: 'vibe', prompt: "What's the vibe?", options: ['Calm', 'Playful'], default: 'Calm' },
+  ];
+
+  it('uses typed or chosen answers and falls back to defaults', () => {
+    expect(resolveBrainstormAnswers(questions, { audience: '  Just me ', vibe: '' })).toEqual([
+      { id: 'audience', prompt: "Who's going to use this?", answer: 'Just me' },
+      { id: 'vibe', prompt: "What's the vibe?", answer: 'Calm' },
+    ]);
+    expect(resolveBrainstormAnswers(questions, { vibe: 'Spooky but cute', extra: 'ignored' }).map(a => a.answer)).toEqual([
+      'Shared with a group', 'Spooky but cute',
+    ]);
+    expect(resolveBrainstormAnswers(questions, null).map(a => a.answer)).toEqual(['Shared with a group', 'Calm']);
+  });
+});
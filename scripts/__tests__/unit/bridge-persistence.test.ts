@@ -0,0 +1,89 @@
+/**
+ * Unit tests for server/bridge-persistence.ts — stored session id and event log.
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  loadBridgeSessionId, saveBridgeSessionId, clearBridgeSessionId,
+  loadEventLog, createEventLogWriter, clearBridgePersistence,
+} from '../../server/bridge-persistence.ts';
+
+let appDir: string;
+
+beforeEach(() => {
+  appDir = mkdtempSync(join(tmpdir(), 'vibes-bridge-persistence-'));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  rmSync(appDir, { recursive: true, force: true });
+});
+
+describe('bridge session id', () => {
+  it('saves, loads and clears the session id', () => {
+    expect(loadBridgeSessionId(appDir)).toBeNull();
+    saveBridgeSessionId(appDir, 'sess-1');
+    expect(loadBridgeSessionId(appDir)).toBe('sess-1');
+    clearBridgeSessionId(appDir);
+    expect(loadBridgeSessionId(appDir)).toBeNull();
+  });
+
+  it('ignores a corrupt session file', () => {
+    mkdirSync(join(appDir, '.vibes'), { recursive: true });
+    writeFileSync(join(appDir, '.vibes', 'bridge-session.json'), '{nope');
+    expect(loadBridgeSessionId(appDir)).toBeNull();
+  });
+});
+
+describe('event log', () => {
+  it('batches appends until flush', () => {
+    vi.useFakeTimers();
+    const writer = createEventLogWriter(appDir, 100);
+    writer.append({ seq: 1, event: { type: 'token', text: 'a' } });
+    writer.append({ seq: 2, event: { type: 'token', text: 'b' } });
+    expect(loadEventLog(appDir, 100)).toEqual([]);
+    vi.advanceTimersByTime(1000);
+    expect(loadEventLog(appDir, 100).map(e => e.seq)).toEqual([1, 2]);
+
+    writer.append({ seq: 3, event: { type: 'complete' } });
+    writer.flush();
+    expect(loadEventLog(appDir, 100).map(e => e.seq)).toEqual([1, 2, 3]);
+  });
+
+  it('returns only the last events and skips torn lines', () => {
+    mkdirSync(join(appDir, '.vibes'), { recursive: true });
+    const lines = [1, 2, 3].map(seq => JSON.stringify({ seq, event: {} }));
+    writeFileSync(join(appDir, '.vibes', 'bridge-events.jsonl'), lines.join('\n') + '\n{"seq":4,"ev');
+    expect(loadEventLog(appDir, 2).map(e => e.seq)).toEqual([2, 3]);
+  });
+
+  it('compacts the file once it holds twice the limit', () => {
+    const writer = createEventLogWriter(appDir, 3);
+    for (let seq = 1; seq <= 6; seq++) writer.append({ seq, event: {} });
+    writer.flush();
+    const raw = readFileSync(join(appDir, '.vibes', 'bridge-events.jsonl'), 'utf-8').trim().split('\n');
+    expect(raw.map(line => JSON.parse(line).seq)).toEqual([4, 5, 6]);
+  });
+
+  it('clear drops buffered events and the file', () => {
+    const writer = createEventLogWriter(appDir, 100);
+    writer.append({ seq: 1, event: {} });
+    writer.flush();
+    writer.append({ seq: 2, event: {} });
+    writer.clear();
+    writer.flush();
+    expect(loadEventLog(appDir, 100)).toEqual([]);
+  });
+
+  it('clearBridgePersistence removes the session and the log', () => {
+    saveBridgeSessionId(appDir, 'sess-1');
+    const writer = createEventLogWriter(appDir, 100);
+    writer.append({ seq: 1, event: {} });
+    writer.flush();
+    clearBridgePersistence(appDir);
+    expect(existsSync(join(appDir, '.vibes', 'bridge-session.json'))).toBe(false);
+    expect(existsSync(join(appDir, '.vibes', 'bridge-events.jsonl'))).toBe(false);
+  });
+});
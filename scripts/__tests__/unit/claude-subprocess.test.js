@@ -348,4 +348,11 @@ describe('buildPersistentArgs', () => {
     const args = buildPersistentArgs();
     expect(args).not.toContain('--model');
   });
+
+  it('resumes a stored session when given one', () => {
+    const args = buildPersistentArgs({ resumeSessionId: 'abc-123' });
+    const idx = args.indexOf('--resume');
+    expect(args[idx + 1]).toBe('abc-123');
+    expect(buildPersistentArgs()).not.toContain('--resume');
+  });
 });
@@ -0,0 +1,105 @@
+/**
+ * Tests for LAN collaboration: config, request gating and identities.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  loadCollabConfig,
+  isLoopbackAddress,
+  authorizeRequest,
+  joinUrls,
+  createCollaborator,
+  sanitizeCollaboratorName,
+  collaboratorsEvent,
+  COLLAB_COOKIE,
+  MAX_NAME_LENGTH,
+} from '../../server/collab.ts';
+import { createTurnQueue, enqueueTurn, queueUpdateEvent } from '../../server/turn-queue.ts';
+
+const collab = { token: 'secret-token' };
+
+function request(path: string, cookie?: string) {
+  const url = new URL(`http://192.168.1.20:3333${path}`);
+  const req = new Request(url, { headers: cookie ? { cookie } : {} });
+  return { req, url };
+}
+
+describe('loadCollabConfig', () => {
+  it('is off unless --lan or VIBES_LAN=1', () => {
+    expect(loadCollabConfig(['bun', 'server.ts'], {})).toBeNull();
+    expect(loadCollabConfig(['bun', 'server.ts', '--lan'], {})?.token).toMatch(/^[0-9a-f]{32}$/);
+    expect(loadCollabConfig([], { VIBES_LAN: '1', VIBES_LAN_TOKEN: 'fixed' })).toEqual({ token: 'fixed' });
+  });
+});
+
+describe('authorizeRequest', () => {
+  it('always lets the host machine through', () => {
+    const { req, url } = request('/');
+    for (const address of ['127.0.0.1', '::1', '::ffff:127.0.0.1']) {
+      expect(isLoopbackAddress(address)).toBe(true);
+      expect(authorizeRequest(collab, req, url, address)).toBeNull();
+    }
+    expect(isLoopbackAddress('192.168.1.5')).toBe(false);
+    expect(isLoopbackAddress(undefined)).toBe(false);
+  });
+
+  it('turns a valid join link into a cookie and strips the token', () => {
+    const { req, url } = request('/?join=secret-token&mode=editor');
+    const res = authorizeRequest(collab, req, url, '192.168.1.5')!;
+    expect(res.status).toBe(302);
+    expect(res.headers.get('Location')).toBe('/?mode=editor');
+    expect(res.headers.get('Set-Cookie')).toContain(`${COLLAB_COOKIE}=secret-token;`);
+    expect(res.headers.get('Set-Cookie')).toContain('HttpOnly');
+  });
+
+  it('rejects other machines without a valid token', () => {
+    const bad = request('/?join=guess');
+    expect(authorizeRequest(collab, bad.req, bad.url, '192.168.1.5')!.status).toBe(401);
+    const none = request('/editor/apps');
+    expect(authorizeRequest(collab, none.req, none.url, '192.168.1.5')!.status).toBe(401);
+    const wrongCookie = request('/editor/apps', `${COLLAB_COOKIE}=nope`);
+    expect(authorizeRequest(collab, wrongCookie.req, wrongCookie.url, '192.168.1.5')!.status).toBe(401);
+  });
+
+  it('accepts the token cookie', () => {
+    const { req, url } = request('/editor/apps', `theme=dark; ${COLLAB_COOKIE}=secret-token`);
+    expect(authorizeRequest(collab, req, url, '192.168.1.5')).toBeNull();
+  });
+});
+
+describe('joinUrls', () => {
+  it('lists one link per external IPv4 address', () => {
+    const interfaces: any = {
+      lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+      en0: [
+        { address: '192.168.1.20', family: 'IPv4', internal: false },
+        { address: 'fe80::1', family: 'IPv6', internal: false },
+      ],
+    };
+    expect(joinUrls(collab, 3333, interfaces)).toEqual(['http://192.168.1.20:3333/?join=secret-token']);
+  });
+});
+
+describe('collaborators', () => {
+  it('starts as Host or Guest with a unique id', () => {
+    const host = createCollaborator(true);
+    const guest = createCollaborator(false);
+    expect(host).toMatchObject({ name: 'Host', host: true });
+    expect(guest).toMatchObject({ name: 'Guest', host: false });
+    expect(host.id).not.toBe(guest.id);
+    expect(collaboratorsEvent([host, guest])).toEqual({ type: 'collaborators', users: [host, guest] });
+  });
+
+  it('cleans display names', () => {
+    expect(sanitizeCollaboratorName('  Ada\n  Lovelace ')).toBe('Ada Lovelace');
+    expect(sanitizeCollaboratorName('x'.repeat(100))).toHaveLength(MAX_NAME_LENGTH);
+    expect(sanitizeCollaboratorName(null)).toBe('');
+  });
+
+  it('carries the author of queued prompts', () => {
+    const queue = createTurnQueue();
+    const turn = enqueueTurn(queue, 'make it blue', null)!;
+    turn.author = 'Ada';
+    expect(queueUpdateEvent(queue)).toMatchObject({ turns: [{ message: 'make it blue', author: 'Ada' }] });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for data schema tracking (server/data-schema.ts).
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  parseDeclaredSchema, inferDataSchema, detectSchemaChange, buildMigrationPrompt,
+} from '../../server/data-schema.ts';
+
+const DECLARED_V1 = `
+defineSchema({
+  version: 1,
+  tables: {
+    tasks: { title: { type: 'string', default: '' }, done: { type: 'boolean' } },
+  },
+  values: { filter: { type: 'string' } },
+});
+export default function App() { return null; }
+`;
+
+const DECLARED_V2 = `
+const tables = {
+  // renamed title → name
+  tasks: { name: { type: 'string', default: '' }, done: { type: 'boolean' } },
+};
+defineSchema({
+  version: 2,
+  tables,
+  values: { filter: { type: 'string' } },
+  migrations: {
+    2(store) {
+      store.forEachRow('tasks', (id) => { store.setCell('tasks', id, 'name', store.getCell('tasks', id, 'title') ?? ''); });
+    },
+  },
+});
+`;
+
+describe('parseDeclaredSchema', () => {
+  it('returns null without a defineSchema call', () => {
+    expect(parseDeclaredSchema("const ids = useRowIds('tasks');")).toBeNull();
+  });
+
+  it('reads version, tables, cell types and values', () => {
+    expect(parseDeclaredSchema(DECLARED_V1)).toMatchObject({
+      declared: true,
+      version: 1,
+      tables: { tasks: ['title', 'done'] },
+      cellTypes: { 'tasks.title': 'string', 'tasks.done': 'boolean' },
+      values: ['filter'],
+      migrations: [],
+    });
+  });
+
+  it('resolves shorthand tables and method-style migrations', () => {
+    const schema = parseDeclaredSchema(DECLARED_V2);
+    expect(schema?.tables).toEqual({ tasks: ['name', 'done'] });
+    expect(schema?.migrations).toEqual([2]);
+  });
+
+  it('falls back when tables are built at runtime', () => {
+    expect(parseDeclaredSchema('defineSchema({ version: 1, tables: makeTables() });')).toBeNull();
+  });
+});
+
+describe('inferDataSchema', () => {
+  it('collects tables, cells and values from hooks', () => {
+    const code = `
+      const ids = useSortedRowIds('notes', 'createdAt');
+      const [text, setText] = useCellState('notes', id, 'text');
+      const pinned = useCell('notes', props.id, 'pinned');
+      const theme = useValue('theme');
+    `;
+    expect(inferDataSchema(code)).toMatchObject({
+      declared: false,
+      version: null,
+      tables: { notes: ['text', 'pinned'] },
+      values: ['theme'],
+    });
+  });
+});
+
+describe('detectSchemaChange', () => {
+  it('ignores additive edits', () => {
+    const before = "useCell('tasks', id, 'title');";
+    expect(detectSchemaChange(before, before + "\nuseCell('tasks', id, 'due');")).toBeNull();
+  });
+
+  it('flags a renamed cell in inferred schemas', () => {
+    const change = detectSchemaChange("useCell('tasks', id, 'title');", "useCell('tasks', id, 'name');");
+    expect(change).toEqual({ changes: ['Cell "tasks.title" removed'], from: null, to: null, migrated: false });
+  });
+
+  it('flags removed tables and values', () => {
+    const change = detectSchemaChange("useRowIds('notes'); useValue('theme');", "useRowIds('items');");
+    expect(change?.changes).toEqual(['Table "notes" removed', 'Value "theme" removed']);
+  });
+
+  it('does not treat a switch away from per-cell hooks as a removal', () => {
+    expect(detectSchemaChange("useCell('tasks', id, 'title');", "const row = useRow('tasks', id);")).toBeNull();
+  });
+
+  it('flags declared type changes', () => {
+    const after = DECLARED_V1.replace("done: { type: 'boolean' }", "done: { type: 'number' }");
+    expect(detectSchemaChange(DECLARED_V1, after)?.changes).toEqual(['Cell "tasks.done" changed type boolean → number']);
+  });
+
+  it('accepts a version bump that ships a migration', () => {
+    expect(detectSchemaChange(DECLARED_V1, DECLARED_V2)).toMatchObject({ from: 1, to: 2, migrated: true });
+  });
+
+  it('requires the migration for the new version', () => {
+    const noMigration = DECLARED_V2.replace('2(store)', '3(store)');
+    expect(detectSchemaChange(DECLARED_V1, noMigration)).toMatchObject({ migrated: false });
+  });
+
+  it('counts undeclared data as version 0 when a schema is first declared', () => {
+    const before = "useCell('tasks', id, 'title'); useCell('tasks', id, 'done');";
+    const change = detectSchemaChange(before, DECLARED_V2.replace('version: 2', 'version: 1').replace('2(store)', '1(store)'));
+    expect(change).toMatchObject({ from: 0, to: 1, migrated: true });
+  });
+});
+
+describe('buildMigrationPrompt', () => {
+  it('lists the changes and names the next version', () => {
+    const prompt = buildMigrationPrompt({ changes: ['Cell "tasks.title" removed'], from: 1, to: 1, migrated: false });
+    expect(prompt).toContain('- Cell "tasks.title" removed');
+    expect(prompt).toContain('version: 2');
+    expect(prompt).toContain('migrations[2]');
+    expect(prompt).toContain('at the top level of app.jsx');
+  });
+
+  it('names app.tsx and keeps TypeScript for a typed app', () => {
+    const prompt = buildMigrationPrompt({ changes: ['Table "todos" removed'], from: null, to: null, migrated: false }, 'app.tsx', true);
+    expect(prompt).toContain('at the top level of app.tsx');
+    expect(prompt).toContain('Keep the code TypeScript.');
+    expect(prompt).not.toContain('app.jsx');
+  });
+});
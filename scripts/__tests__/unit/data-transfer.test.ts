@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { createMergeableStore } from 'tinybase';
+import {
+  buildDataExport,
+  dataTableToCsv,
+  parseDataImport,
+  summarizeDataImport,
+  applyDataImport,
+  describeDataImport,
+} from '../../../components/VibesPanel/data-transfer.ts';
+
+const content = {
+  tables: { todos: { a: { title: 'Milk', done: false }, b: { title: 'Eggs', done: true } } },
+  values: { filter: 'all' },
+};
+
+describe('buildDataExport', () => {
+  it('wraps tables and values with format metadata', () => {
+    const exported = buildDataExport(content, 'groceries', new Date('2026-01-02T03:04:05Z'));
+    expect(exported).toEqual({
+      format: 'vibes-data',
+      version: 1,
+      app: 'groceries',
+      exportedAt: '2026-01-02T03:04:05.000Z',
+      ...content,
+    });
+  });
+
+  it('round-trips through parseDataImport', () => {
+    const text = JSON.stringify(buildDataExport(content, 'groceries'));
+    expect(parseDataImport(text)).toEqual(content);
+  });
+});
+
+describe('dataTableToCsv', () => {
+  it('writes a row id column then every cell id, sorted', () => {
+    const csv = dataTableToCsv({ a: { title: 'Milk' }, b: { done: true, title: 'Eggs' } });
+    expect(csv).toBe('id,done,title\r\na,,Milk\r\nb,true,Eggs\r\n');
+  });
+
+  it('quotes fields with commas, quotes, newlines and edge whitespace', () => {
+    const csv = dataTableToCsv({ a: { note: 'a, "b"\nc', pad: ' x' } });
+    expect(csv.split('\r\n')[1]).toBe('a,"a, ""b""\nc"," x"');
+  });
+
+  it('guards text that spreadsheets would run as a formula', () => {
+    const csv = dataTableToCsv({ a: { f: '=SUM(A1)', n: -3 } });
+    expect(csv.split('\r\n')[1]).toBe("a,'=SUM(A1),-3");
+  });
+
+  it('renames the row id column when a cell is called id', () => {
+    expect(dataTableToCsv({ r1: { id: 7 } }).split('\r\n')[0]).toBe('_id,id');
+  });
+});
+
+describe('parseDataImport', () => {
+  it('accepts bare { tables, values } and TinyBase [tables, values] content', () => {
+    expect(parseDataImport(JSON.stringify({ tables: content.tables }))).toEqual({ tables: content.tables, values: {} });
+    expect(parseDataImport(JSON.stringify([content.tables, content.values]))).toEqual(content);
+  });
+
+  it('rejects files that are not data exports', () => {
+    expect(() => parseDataImport('not json')).toThrow(/valid JSON/);
+    expect(() => parseDataImport('{"name":"x"}')).toThrow(/data export/);
+    expect(() => parseDataImport('{"tables":[]}')).toThrow(/data export/);
+    expect(() => parseDataImport('{"tables":{"t":{"r":{"c":{"nested":1}}}}}')).toThrow('Cell "t/r/c"');
+    expect(() => parseDataImport('{"values":{"v":null}}')).toThrow('Value "v"');
+  });
+});
+
+describe('summarizeDataImport', () => {
+  it('counts new, updated and unchanged rows and values', () => {
+    const incoming = {
+      tables: {
+        todos: { a: { title: 'Milk' }, b: { title: 'Bread' }, c: { title: 'Jam' } },
+        notes: { n1: { text: 'hi' } },
+      },
+      values: { filter: 'all', theme: 'dark' },
+    };
+    const summary = summarizeDataImport(content, incoming);
+    expect(summary.tables).toEqual([
+      { id: 'todos', added: 1, updated: 1, unchanged: 1 },
+      { id: 'notes', added: 1, updated: 0, unchanged: 0 },
+    ]);
+    expect(summary.values).toEqual({ added: 1, updated: 0, unchanged: 1 });
+    expect(summary.changes).toBe(4);
+    expect(describeDataImport(summary)).toEqual([
+      'todos: 1 new, 1 updated',
+      'notes: 1 new',
+      'Settings: 1 new',
+    ]);
+  });
+
+  it('reports no changes when the data is already there', () => {
+    const summary = summarizeDataImport(content, content);
+    expect(summary.changes).toBe(0);
+    expect(describeDataImport(summary)).toEqual(['todos: no changes', 'Settings: no changes']);
+  });
+});
+
+describe('applyDataImport', () => {
+  it('merges rows and values into the store without deleting anything', () => {
+    const store = createMergeableStore('test');
+    store.setTables({ todos: { a: { title: 'Milk', done: false }, z: { title: 'Keep' } } });
+    store.setValues({ filter: 'all' });
+
+    applyDataImport(store, {
+      tables: { todos: { a: { done: true }, b: { title: 'Eggs' } } },
+      values: { theme: 'dark' },
+    });
+
+    expect(store.getTables()).toEqual({
+      todos: { a: { title: 'Milk', done: true }, z: { title: 'Keep' }, b: { title: 'Eggs' } },
+    });
+    expect(store.getValues()).toEqual({ filter: 'all', theme: 'dark' });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for deploy-history.js — deploy records, rollback and stages
+ *
+ * Uses VIBES_HOME env var override for an isolated registry and object store.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { mkdirSync, writeFileSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import {
+  stagedName, recordDeploy, listDeploys, getDeploy, readDeploySnapshot, resolveDeploySource, formatDeploy,
+} from '../../lib/deploy-history.js';
+import { getApp } from '../../lib/registry.js';
+
+describe('deploy-history', () => {
+  let TEST_DIR;
+  let projectDir;
+
+  beforeEach(() => {
+    TEST_DIR = join(tmpdir(), `vibes-deploy-history-test-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    projectDir = join(TEST_DIR, 'project');
+    mkdirSync(projectDir, { recursive: true });
+    process.env.VIBES_HOME = TEST_DIR;
+  });
+
+  afterEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    delete process.env.VIBES_HOME;
+  });
+
+  describe('stagedName', () => {
+    it('suffixes the stage and leaves production alone', () => {
+      expect(stagedName('my-app', 'staging')).toBe('my-app-staging');
+      expect(stagedName('my-app', 'production')).toBe('my-app');
+      expect(stagedName('my-app')).toBe('my-app');
+    });
+
+    it('rejects invalid stage names', () => {
+      expect(() => stagedName('my-app', 'Staging!')).toThrow(/Invalid stage/);
+      expect(() => stagedName('my-app', '-x')).toThrow(/Invalid stage/);
+    });
+  });
+
+  describe('recordDeploy', () => {
+    it('stores the snapshot and appends to the registry and vibes.json', () => {
+      writeFileSync(join(projectDir, 'vibes.json'), JSON.stringify({ name: 'my-app' }));
+      const entry = recordDeploy('my-app', { content: 'v1', url: 'https://my-app.example', projectDir });
+
+      expect(entry).toMatchObject({ name: 'my-app', stage: 'production', target: 'cloudflare', file: 'app.jsx', url: 'https://my-app.example' });
+      expect(entry.hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(entry.id).toContain(entry.hash.slice(0, 8));
+      expect(readDeploySnapshot(entry)).toBe('v1');
+      expect(getApp('my-app').deploys).toEqual([entry]);
+      expect(JSON.parse(readFileSync(join(projectDir, 'vibes.json'), 'utf8'))).toEqual({ name: 'my-app', deploys: [entry] });
+    });
+
+    it('skips vibes.json when the project has none', () => {
+      recordDeploy('my-app', { content: 'v1', projectDir });
+      expect(() => readFileSync(join(projectDir, 'vibes.json'))).toThrow();
+    });
+
+    it('lists deploys newest first and finds them by id', () => {
+      const first = recordDeploy('my-app', { content: 'v1' });
+      const second = recordDeploy('my-app', { content: 'v2', rollbackOf: first.id });
+      expect(listDeploys('my-app').map(d => d.id)).toEqual([second.id, first.id]);
+      expect(getDeploy('my-app', first.id)).toEqual(first);
+      expect(getDeploy('my-app', 'nope')).toBeNull();
+      expect(formatDeploy(second)).toContain(`rollback of ${first.id}`);
+    });
+  });
+
+  describe('resolveDeploySource', () => {
+    it('returns null without rollback or promote', () => {
+      expect(resolveDeploySource('my-app', {})).toBeNull();
+    });
+
+    it('resolves a rollback to the recorded snapshot', () => {
+      const first = recordDeploy('my-app', { content: 'v1' });
+      recordDeploy('my-app', { content: 'v2' });
+      expect(resolveDeploySource('my-app', { rollback: first.id })).toEqual({ entry: first, content: 'v1' });
+      expect(() => resolveDeploySource('my-app', { rollback: 'missing' })).toThrow(/No deploy "missing"/);
+    });
+
+    it('only rolls back within the target stage', () => {
+      const staged = recordDeploy('my-app-staging', { content: 'beta', stage: 'staging' });
+      expect(() => resolveDeploySource('my-app', { rollback: staged.id })).toThrow(/recorded for my-app\./);
+      expect(resolveDeploySource('my-app', { stage: 'staging', rollback: staged.id }).content).toBe('beta');
+    });
+
+    it('promotes the latest deploy of a stage', () => {
+      recordDeploy('my-app-staging', { content: 'beta-1', stage: 'staging' });
+      const latest = recordDeploy('my-app-staging', { content: 'beta-2', stage: 'staging' });
+      expect(resolveDeploySource('my-app', { promote: 'staging' })).toEqual({ entry: latest, content: 'beta-2' });
+      expect(() => resolveDeploySource('my-app', { promote: 'qa' })).toThrow(/Nothing deployed to my-app-qa/);
+      expect(() => resolveDeploySource('my-app', { stage: 'staging', promote: 'staging' })).toThrow(/onto itself/);
+    });
+
+    it('fails when the snapshot object is gone', () => {
+      const entry = recordDeploy('my-app', { content: 'v1' });
+      rmSync(join(TEST_DIR, '.vibes', 'deploys'), { recursive: true });
+      expect(() => resolveDeploySource('my-app', { rollback: entry.id })).toThrow(/missing/);
+    });
+  });
+});
@@ -14,6 +14,7 @@ const MODULES = {
   'editor-reference.js': ['init', 'pick', 'handleFile', 'clear', 'getFile', 'setFile'],
   'editor-imggen.js': ['init', 'initContext', 'toggle', 'close', 'generate', 'onResult', 'accept'],
   'editor-themes.js': ['init', 'open', 'close', 'select', 'reload', 'openPalette', 'closePalette', 'savePalette'],
+  'editor-history.js': ['init', 'open', 'close', 'toggle', 'refresh', 'select', 'restore'],
 };
 
 describe('Editor module files', () => {
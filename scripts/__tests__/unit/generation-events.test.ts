@@ -16,7 +16,7 @@
  * emissions and stub helpers supply deterministic elapsed / progress.
  */
 import { describe, it, expect, beforeEach } from 'vitest';
-import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
 import { tmpdir } from 'os';
 import { join } from 'path';
 import {
@@ -265,6 +265,25 @@ describe('dispatchStreamEvent — preview_reload gating', () => {
   });
 });
 
+describe('dispatchStreamEvent — multi-file apps', () => {
+  it('reloads the preview after edits to src/ modules, resolved against cwd', () => {
+    mkdirSync(join(tmpDir, 'src'));
+    writeFileSync(join(tmpDir, 'src', 'Board.jsx'), 'export function Board() { return <div>ok</div>; }\n');
+    writeFileSync(join(tmpDir, 'src', 'Broken.jsx'), 'export function Broken() { return <div>ok; }\n');
+    const state = createOneShotRunState({ initialStage: 'foundation' });
+    const { events, onEvent } = makeSpy();
+    const helpers = stubHelpers({ cwd: tmpDir });
+
+    dispatchStreamEvent(assistantToolUse({ name: 'Edit', id: 'm1', filePath: 'src/Board.jsx' }), state, onEvent, helpers);
+    dispatchStreamEvent(toolResult({ tool_use_id: 'm1', tool_name: 'Edit' }), state, onEvent, helpers);
+    dispatchStreamEvent(assistantToolUse({ name: 'Edit', id: 'm2', filePath: 'src/Broken.jsx' }), state, onEvent, helpers);
+    dispatchStreamEvent(toolResult({ tool_use_id: 'm2', tool_name: 'Edit' }), state, onEvent, helpers);
+
+    expect(events.filter((e) => e.type === 'preview_reload')).toHaveLength(1);
+    expect(events.filter((e) => e.type === 'preview_reload_failed')).toHaveLength(1);
+  });
+});
+
 describe('dispatchStreamEvent — preview_reload_failed on broken JSX', () => {
   it('emits preview_reload_failed with the current stage when validateAppJsx fails', () => {
     const state = createOneShotRunState({ initialStage: 'foundation' });
@@ -362,6 +381,28 @@ describe('dispatchStreamEvent — max_tokens detection', () => {
   });
 });
 
+describe('dispatchStreamEvent — usage capture', () => {
+  it('keeps the model from init and usage/cost from the result, even when it failed', () => {
+    const state = createOneShotRunState();
+    const { events, onEvent } = makeSpy();
+    const helpers = stubHelpers();
+
+    dispatchStreamEvent({ type: 'system', subtype: 'init', model: 'claude-sonnet', session_id: 's1' }, state, onEvent, helpers);
+    dispatchStreamEvent({
+      type: 'result',
+      is_error: true,
+      result: 'boom',
+      usage: { input_tokens: 10, output_tokens: 5 },
+      total_cost_usd: 0.02,
+      duration_ms: 1200,
+    }, state, onEvent, helpers);
+
+    expect(state.model).toBe('claude-sonnet');
+    expect(state.resultUsage).toEqual({ usage: { input_tokens: 10, output_tokens: 5 }, costUsd: 0.02, durationMs: 1200 });
+    expect(events.map(e => e.type)).toEqual(['error']);
+  });
+});
+
 // Ensure each temp dir is cleaned up so vitest's watch mode stays tidy.
 // (Vitest re-invokes beforeEach per test; cleanup below runs after all of them.)
 import { afterAll } from 'vitest';
@@ -0,0 +1,148 @@
+/**
+ * Tests for the headless CLI session (server/headless.ts).
+ */
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { exitCodeFor, buildMessage, runHeadless, EXIT } from '../../server/headless.ts';
+import { broadcast, onBroadcast, killSessionBridge } from '../../server/ws.ts';
+
+const PLUGIN_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..', '..');
+
+describe('exitCodeFor', () => {
+  it('maps failures, auth and cancellation to exit codes', () => {
+    expect(exitCodeFor({ type: 'error', message: 'x' })).toBe(EXIT.FAILED);
+    expect(exitCodeFor({ type: 'app_invalid', error: 'x' })).toBe(EXIT.FAILED);
+    expect(exitCodeFor({ type: 'auth_required' })).toBe(EXIT.AUTH_REQUIRED);
+    expect(exitCodeFor({ type: 'cancelled' })).toBe(EXIT.INTERRUPTED);
+  });
+
+  it('ignores progress and success events', () => {
+    for (const type of ['token', 'status', 'complete', 'app_updated', 'deploy_complete']) {
+      expect(exitCodeFor({ type })).toBeNull();
+    }
+  });
+});
+
+describe('buildMessage', () => {
+  const opts = { dir: '/tmp/app', prompt: 'a todo list', themeId: 'slab', name: 'todo', isPrivate: true };
+
+  it('builds a generate message that skips brainstorming', () => {
+    expect(buildMessage('generate', opts)).toEqual({
+      type: 'generate', prompt: 'a todo list', themeId: 'slab', projectDir: '/tmp/app', brainstorm: false,
+    });
+  });
+
+  it('builds chat, theme and deploy messages', () => {
+    expect(buildMessage('chat', opts)).toEqual({ type: 'chat', message: 'a todo list' });
+    expect(buildMessage('theme', opts)).toMatchObject({ type: 'theme', themeId: 'slab' });
+    expect(buildMessage('deploy', opts)).toEqual({ type: 'deploy', target: 'cloudflare', name: 'todo', isPrivate: true });
+  });
+});
+
+describe('onBroadcast', () => {
+  it('delivers broadcasts until unsubscribed', () => {
+    const seen: any[] = [];
+    const off = onBroadcast(msg => seen.push(msg));
+    broadcast({ type: 'app_updated' });
+    off();
+    broadcast({ type: 'app_updated' });
+    expect(seen).toEqual([{ type: 'app_updated' }]);
+  });
+});
+
+describe('runHeadless', () => {
+  it('writes handler events and exits non-zero on error', async () => {
+    const ctx: any = { themeDir: tmpdir(), themes: [], projectDir: null };
+    const lines: any[] = [];
+    const code = await runHeadless(ctx, 'theme', { dir: '/tmp/no-such-app', themeId: 'missing-theme' }, msg => lines.push(msg));
+    expect(code).toBe(EXIT.FAILED);
+    expect(lines).toEqual([{ type: 'error', message: 'Theme "missing-theme" not found' }]);
+    expect(ctx.projectDir).toBe('/tmp/no-such-app');
+  });
+
+  describe('with a stalled model', () => {
+    const savedBackend = process.env.VIBES_MODEL_BACKEND;
+    const savedBaseUrl = process.env.VIBES_OPENAI_BASE_URL;
+    let appDir: string;
+
+    afterEach(() => {
+      killSessionBridge();
+      vi.unstubAllGlobals();
+      if (savedBackend === undefined) delete process.env.VIBES_MODEL_BACKEND; else process.env.VIBES_MODEL_BACKEND = savedBackend;
+      if (savedBaseUrl === undefined) delete process.env.VIBES_OPENAI_BASE_URL; else process.env.VIBES_OPENAI_BASE_URL = savedBaseUrl;
+      rmSync(appDir, { recursive: true, force: true });
+    });
+
+    it('gives up after the idle timeout', async () => {
+      appDir = mkdtempSync(join(tmpdir(), 'vibes-headless-'));
+      writeFileSync(join(appDir, 'app.jsx'), 'function App() { return <div />; }\n');
+      process.env.VIBES_MODEL_BACKEND = 'openai';
+      process.env.VIBES_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+      vi.stubGlobal('fetch', vi.fn(() => new Promise(() => {})));
+
+      const ctx: any = { projectRoot: PLUGIN_ROOT, themeDir: tmpdir(), themes: [], pluginSkills: [], projectDir: null };
+      const run = runHeadless(ctx, 'chat', { dir: appDir, prompt: 'make it blue', idleTimeoutMs: 200 }, () => {});
+      await expect(run).rejects.toThrow('No response from the model in 0s');
+    });
+  });
+
+  describe('with a scripted model', () => {
+    const savedBackend = process.env.VIBES_MODEL_BACKEND;
+    const savedBaseUrl = process.env.VIBES_OPENAI_BASE_URL;
+    let appDir: string;
+
+    afterEach(() => {
+      killSessionBridge();
+      vi.unstubAllGlobals();
+      if (savedBackend === undefined) delete process.env.VIBES_MODEL_BACKEND; else process.env.VIBES_MODEL_BACKEND = savedBackend;
+      if (savedBaseUrl === undefined) delete process.env.VIBES_OPENAI_BASE_URL; else process.env.VIBES_OPENAI_BASE_URL = savedBaseUrl;
+      rmSync(appDir, { recursive: true, force: true });
+    });
+
+    /** An SSE chat completion that calls one tool, or replies when `tool` is omitted. */
+    function reply(tool?: { name: string; args: object }): Response {
+      const chunks = tool
+        ? [{ choices: [{ delta: { tool_calls: [{ index: 0, id: `call_${tool.name}_${Math.random()}`, function: { name: tool.name, arguments: JSON.stringify(tool.args) } }] }, finish_reason: 'tool_calls' }] }]
+        : [{ choices: [{ delta: { content: 'Done.' }, finish_reason: 'stop' }] }];
+      const text = chunks.map(c => `data: ${JSON.stringify(c)}\n\n`).join('') + 'data: [DONE]\n\n';
+      return new Response(new Blob([text]).stream(), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+    }
+
+    it('does not report a schema change when a table hook moves into a module', async () => {
+      appDir = mkdtempSync(join(tmpdir(), 'vibes-headless-'));
+      writeFileSync(join(appDir, 'app.jsx'), [
+        'function App() {',
+        "  const ids = useRowIds('todos');",
+        '  return <ul>{ids.map(id => <li key={id}>{id}</li>)}</ul>;',
+        '}',
+        '',
+      ].join('\n'));
+      mkdirSync(join(appDir, 'src'));
+      const todoList = [
+        'export function TodoList() {',
+        "  const ids = useRowIds('todos');",
+        '  return <ul>{ids.map(id => <li key={id}>{id}</li>)}</ul>;',
+        '}',
+        '',
+      ].join('\n');
+      const app = "import { TodoList } from './src/TodoList.jsx';\n\nfunction App() {\n  return <TodoList />;\n}\n";
+      const turns = [
+        { name: 'Write', args: { file_path: 'src/TodoList.jsx', content: todoList } },
+        { name: 'Write', args: { file_path: 'app.jsx', content: app } },
+      ];
+      process.env.VIBES_MODEL_BACKEND = 'openai';
+      process.env.VIBES_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+      vi.stubGlobal('fetch', vi.fn(async () => reply(turns.shift())));
+
+      const ctx: any = { projectRoot: PLUGIN_ROOT, themeDir: tmpdir(), themes: [], pluginSkills: [], projectDir: null };
+      const events: any[] = [];
+      const code = await runHeadless(ctx, 'chat', { dir: appDir, prompt: 'move the list into a module' }, msg => events.push(msg));
+      expect(code).toBe(EXIT.OK);
+      expect(turns).toEqual([]);
+      expect(events.filter(e => e.type === 'schema_change')).toEqual([]);
+    });
+  });
+});
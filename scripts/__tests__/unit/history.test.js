@@ -0,0 +1,227 @@
+/**
+ * Unit tests for history.js
+ *
+ * Tests the content-addressed snapshot store under .vibes/history/.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, readdirSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  getHistoryDir,
+  hashContent,
+  recordSnapshot,
+  listSnapshots,
+  getSnapshot,
+  readSnapshot,
+  readSnapshotFiles,
+  diffSnapshots,
+  restoreSnapshot,
+} from '../../lib/history.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'history-test-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  for (const dir of tempDirs) {
+    try { rmSync(dir, { recursive: true, force: true }); } catch {}
+  }
+  tempDirs.length = 0;
+});
+
+describe('recordSnapshot', () => {
+  it('returns null when the file does not exist', () => {
+    const dir = makeTempDir();
+    expect(recordSnapshot(join(dir, 'app.jsx'))).toBeNull();
+  });
+
+  it('stores content under objects/<sha256> and tags the entry', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'v1');
+
+    const entry = recordSnapshot(filePath, { source: 'chat', message: 'make it blue' });
+    expect(entry.hash).toBe(hashContent('v1'));
+    expect(entry.source).toBe('chat');
+    expect(entry.message).toBe('make it blue');
+    expect(entry.file).toBe('app.jsx');
+    expect(readFileSync(join(getHistoryDir(filePath), 'objects', entry.hash), 'utf-8')).toBe('v1');
+  });
+
+  it('skips unchanged content', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'v1');
+
+    recordSnapshot(filePath);
+    expect(recordSnapshot(filePath)).toBeNull();
+    expect(listSnapshots(filePath)).toHaveLength(1);
+  });
+
+  it('deduplicates objects when content repeats', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'v1');
+    recordSnapshot(filePath);
+    writeFileSync(filePath, 'v2');
+    recordSnapshot(filePath);
+    writeFileSync(filePath, 'v1');
+    recordSnapshot(filePath);
+
+    expect(listSnapshots(filePath)).toHaveLength(3);
+    expect(readdirSync(join(getHistoryDir(filePath), 'objects'))).toHaveLength(2);
+  });
+
+  it('records the src/ modules of an app entry', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'app');
+    mkdirSync(join(dir, 'src'));
+    writeFileSync(join(dir, 'src', 'Board.jsx'), 'board v1');
+    const first = recordSnapshot(filePath);
+    expect(first.modules).toEqual({ 'src/Board.jsx': hashContent('board v1') });
+
+    // A module-only edit is a new version of the app
+    writeFileSync(join(dir, 'src', 'Board.jsx'), 'board v2');
+    const second = recordSnapshot(filePath);
+    expect(second).not.toBeNull();
+    expect(readSnapshotFiles(filePath, first.id)).toEqual({ 'app.jsx': 'app', 'src/Board.jsx': 'board v1' });
+    expect(readSnapshotFiles(filePath, second.id)).toEqual({ 'app.jsx': 'app', 'src/Board.jsx': 'board v2' });
+  });
+
+  it('keeps more than three versions', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    for (let i = 0; i < 6; i++) {
+      writeFileSync(filePath, `v${i}`);
+      recordSnapshot(filePath);
+    }
+    expect(listSnapshots(filePath)).toHaveLength(6);
+  });
+});
+
+describe('listSnapshots', () => {
+  it('returns newest first', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'v1');
+    recordSnapshot(filePath, { message: 'first' });
+    writeFileSync(filePath, 'v2');
+    recordSnapshot(filePath, { message: 'second' });
+
+    expect(listSnapshots(filePath).map(s => s.message)).toEqual(['second', 'first']);
+  });
+
+  it('returns [] when there is no history', () => {
+    const dir = makeTempDir();
+    expect(listSnapshots(join(dir, 'app.jsx'))).toEqual([]);
+  });
+});
+
+describe('readSnapshot / getSnapshot', () => {
+  it('reads stored content by id', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'v1');
+    const { id } = recordSnapshot(filePath);
+    writeFileSync(filePath, 'v2');
+
+    expect(readSnapshot(filePath, id)).toBe('v1');
+    expect(getSnapshot(filePath, id).id).toBe(id);
+  });
+
+  it('returns null for unknown ids', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    expect(readSnapshot(filePath, 'nope')).toBeNull();
+    expect(getSnapshot(filePath, 'nope')).toBeNull();
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('diffs a snapshot against the current file', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'a\nb\n');
+    const { id } = recordSnapshot(filePath);
+    writeFileSync(filePath, 'a\nc\n');
+
+    const result = diffSnapshots(filePath, id);
+    expect(result.ok).toBe(true);
+    expect(result.diff).toContain('-b');
+    expect(result.diff).toContain('+c');
+  });
+
+  it('diffs two snapshots', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'a\n');
+    const first = recordSnapshot(filePath);
+    writeFileSync(filePath, 'b\n');
+    const second = recordSnapshot(filePath);
+
+    const result = diffSnapshots(filePath, first.id, second.id);
+    expect(result.ok).toBe(true);
+    expect(result.diff).toContain(`app.jsx@${second.id}`);
+  });
+
+  it('reports unknown snapshots', () => {
+    const dir = makeTempDir();
+    const result = diffSnapshots(join(dir, 'app.jsx'), 'missing');
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatch(/missing/);
+  });
+});
+
+describe('restoreSnapshot', () => {
+  it('restores an older version and keeps the current one in history', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'v1');
+    const first = recordSnapshot(filePath);
+    writeFileSync(filePath, 'v2');
+    recordSnapshot(filePath);
+    writeFileSync(filePath, 'v3 unsaved');
+
+    const result = restoreSnapshot(filePath, first.id);
+    expect(result.success).toBe(true);
+    expect(readFileSync(filePath, 'utf-8')).toBe('v1');
+
+    const contents = listSnapshots(filePath).map(s => readSnapshot(filePath, s.id));
+    expect(contents).toContain('v3 unsaved');
+    expect(listSnapshots(filePath)[0].source).toBe('restore');
+  });
+
+  it('restores the src/ modules of the version', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'v1');
+    mkdirSync(join(dir, 'src'));
+    writeFileSync(join(dir, 'src', 'Board.jsx'), 'board v1');
+    const first = recordSnapshot(filePath);
+    writeFileSync(filePath, 'v2');
+    writeFileSync(join(dir, 'src', 'Board.jsx'), 'board v2');
+    writeFileSync(join(dir, 'src', 'List.jsx'), 'list');
+
+    expect(restoreSnapshot(filePath, first.id).success).toBe(true);
+    expect(readFileSync(filePath, 'utf-8')).toBe('v1');
+    expect(readFileSync(join(dir, 'src', 'Board.jsx'), 'utf-8')).toBe('board v1');
+    expect(existsSync(join(dir, 'src', 'List.jsx'))).toBe(false);
+  });
+
+  it('fails cleanly for unknown ids', () => {
+    const dir = makeTempDir();
+    const filePath = join(dir, 'app.jsx');
+    writeFileSync(filePath, 'v1');
+    const result = restoreSnapshot(filePath, 'missing');
+    expect(result.success).toBe(false);
+    expect(readFileSync(filePath, 'utf-8')).toBe('v1');
+    expect(existsSync(getHistoryDir(filePath))).toBe(false);
+  });
+});
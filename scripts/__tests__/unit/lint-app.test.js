@@ -0,0 +1,193 @@
+/**
+ * Tests for the template-global linter (lib/lint-app.js).
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  templateGlobals,
+  lintAppCode,
+  applyLintFixes,
+  lintAppSource,
+  formatLintDiagnostics,
+  buildLintFixPrompt,
+} from '../../lib/lint-app.js';
+
+function rules(code, opts) {
+  return lintAppCode(code, opts).map(d => `${d.line}:${d.rule}`);
+}
+
+describe('templateGlobals', () => {
+  it('reads the module bindings and window globals from the template', () => {
+    const { module, window } = templateGlobals();
+    for (const name of ['React', 'useState', 'useRowIds', 'useApp', 'defineSchema', 'store']) {
+      expect(module.has(name)).toBe(true);
+    }
+    for (const name of ['useCell', 'useUser', 'useMobile', 'useAI']) {
+      expect(window.has(name)).toBe(true);
+    }
+    expect(module.has('App')).toBe(false);
+  });
+});
+
+describe('lintAppCode', () => {
+  it('passes a well-formed app', () => {
+    const code = [
+      'import React, { useState } from "react";',
+      'function Row({ id }) { const title = useCell("todos", id, "title"); return <li>{title}</li>; }',
+      'function useDraft() { return useState(""); }',
+      'export default function App() {',
+      '  const { isReady } = useApp();',
+      '  const ids = useRowIds("todos");',
+      '  const add = useAddRowCallback("todos", (title) => ({ title }));',
+      '  const [draft, setDraft] = useDraft();',
+      '  const el = React.useRef(null);',
+      '  if (!isReady) return null;',
+      '  return <ul ref={el}>{ids.map(id => <Row key={id} id={id} />)}</ul>;',
+      '}',
+    ].join('\n');
+    expect(lintAppCode(code)).toEqual([]);
+  });
+
+  it('flags hooks with nothing behind them, fixing React-only hooks', () => {
+    const code = [
+      'import { useReducer } from "react";',
+      'export default function App() {',
+      '  const [n, bump] = useReducer(x => x + 1, 0);',
+      '  const data = useFancyData();',
+      '  return n;',
+      '}',
+    ].join('\n');
+    const diagnostics = lintAppCode(code);
+    expect(diagnostics.map(d => `${d.line}:${d.rule}`)).toEqual(['3:undefined-hook', '4:undefined-hook']);
+    expect(diagnostics[0].fix.text).toBe('React.useReducer');
+    expect(diagnostics[1].fix).toBeUndefined();
+    expect(applyLintFixes(code, diagnostics).code).toContain('= React.useReducer(x => x + 1, 0)');
+  });
+
+  it('flags hooks called conditionally, in callbacks or after an early return', () => {
+    const code = [
+      'export default function App({ on }) {',
+      '  if (on) { useEffect(() => {}); }',
+      '  const x = on ? useValue("a") : null;',
+      '  const y = on && useRowIds("t");',
+      '  for (const id of []) useRow("t", id);',
+      '  const save = useCallback(() => { useCell("t", "r", "c"); }, []);',
+      '  if (!on) return null;',
+      '  const late = useRowCount("t");',
+      '  return null;',
+      '}',
+      'function helper() { return useApp(); }',
+      'const Card = React.memo(({ id }) => useCell("t", id, "c"));',
+    ].join('\n');
+    expect(rules(code).filter(r => r.endsWith('conditional-hook'))).toEqual([
+      '2:conditional-hook', '3:conditional-hook', '4:conditional-hook', '5:conditional-hook',
+      '6:conditional-hook', '8:conditional-hook', '11:conditional-hook',
+    ]);
+  });
+
+  it('flags direct store writes outside defineSchema migrations', () => {
+    const code = [
+      'defineSchema({ version: 2, migrations: { 2: (store) => { store.setCell("t", "r", "c", 1); } } });',
+      'export default function App() {',
+      '  const remove = (id) => store.delRow("todos", id);',
+      '  const other = window.__TINYBASE_STORE__;',
+      '  other.setValue("theme", "dark");',
+      '  return null;',
+      '}',
+    ].join('\n');
+    const diagnostics = lintAppCode(code);
+    expect(diagnostics.map(d => `${d.line}:${d.rule}`)).toEqual(['3:direct-store-write', '5:direct-store-write']);
+    expect(diagnostics[0].message).toContain('useDelRowCallback');
+  });
+
+  it('flags TinyBase IDs that are not strings, with fixes', () => {
+    const code = [
+      'export default function App() {',
+      '  const row = useRow("todos", 1);',
+      '  const cell = useCell("todos", "a", true);',
+      '  const set = useSetRowCallback("todos", Date.now(), () => ({}));',
+      '  const value = useValue(null);',
+      '  const ok = useSetCellCallback("todos", (id) => id, "done", () => true);',
+      '  return null;',
+      '}',
+    ].join('\n');
+    const diagnostics = lintAppCode(code);
+    expect(diagnostics.map(d => `${d.line}:${d.rule}`)).toEqual(['2:non-string-id', '3:non-string-id', '4:non-string-id', '5:non-string-id']);
+    const { code: fixed, applied } = applyLintFixes(code, diagnostics);
+    expect(applied).toBe(3);
+    expect(fixed).toContain('useRow("todos", \'1\')');
+    expect(fixed).toContain('useCell("todos", "a", \'true\')');
+    expect(fixed).toContain('useSetRowCallback("todos", String(Date.now())');
+  });
+
+  it('warns when useTable rows are listed', () => {
+    const code = [
+      'export default function App() {',
+      '  const todos = useTable("todos");',
+      '  const settings = useTable("settings");',
+      '  return <ul>{Object.values(todos).map(t => <li>{t.title}</li>)}{settings.a}{Object.keys(useTable("tags")).length}</ul>;',
+      '}',
+    ].join('\n');
+    const diagnostics = lintAppCode(code);
+    expect(diagnostics.map(d => `${d.line}:${d.rule}:${d.severity}`)).toEqual(['2:large-table:warning', '4:large-table:warning']);
+    expect(diagnostics[0].message).toContain("useRowIds('todos')");
+  });
+
+  it('flags top-level names the template declares, removing aliases', () => {
+    const code = [
+      'const { useState } = React;',
+      'const useCell = window.useCell;',
+      'const store = window.__TINYBASE_STORE__, other = 1;',
+      'const config = { title: "x" };',
+      'export default function App() { const store = 1; return useCell("t", "r", "c"); }',
+    ].join('\n');
+    const diagnostics = lintAppCode(code);
+    expect(diagnostics.map(d => `${d.line}:${d.rule}`)).toEqual(['2:redeclared-global', '3:redeclared-global', '4:redeclared-global']);
+    expect(diagnostics[2].fix).toBeUndefined();
+    const fixed = applyLintFixes(code, diagnostics).code;
+    expect(fixed).not.toContain('window.useCell');
+    expect(fixed).toContain('const other = 1;');
+    expect(fixed).toContain('const config');
+  });
+
+  it('lints TypeScript', () => {
+    const code = 'interface Props { id: string }\nexport default function App({ id }: Props) { const row = useRow("t", 2 as number); return <p>{String(useReducer)}</p>; }';
+    expect(rules(code, { loader: 'tsx' })).toEqual([]);
+    expect(rules('export default function App() { return useRow("t", 2); }', { loader: 'tsx' })).toEqual(['1:non-string-id']);
+  });
+});
+
+describe('lintAppSource', () => {
+  let appDir;
+  beforeEach(() => { appDir = mkdtempSync(join(tmpdir(), 'vibes-lint-')); });
+  afterEach(() => { rmSync(appDir, { recursive: true, force: true }); });
+
+  it('lints every source file, applying fixes in place', () => {
+    mkdirSync(join(appDir, 'src'));
+    writeFileSync(join(appDir, 'app.jsx'), "import { List } from './src/List.jsx';\nexport default function App() { const [s] = useReducer(x => x, 0); return <List />; }");
+    writeFileSync(join(appDir, 'src', 'List.jsx'), 'export function List() { if (Math.random()) useEffect(() => {}); return useRow("t", 1); }');
+    writeFileSync(join(appDir, 'src', 'Broken.jsx'), 'export function Broken( {');
+
+    const { diagnostics, fixed } = lintAppSource(appDir, { fix: true });
+    expect(fixed).toBe(2);
+    expect(readFileSync(join(appDir, 'app.jsx'), 'utf-8')).toContain('React.useReducer');
+    expect(readFileSync(join(appDir, 'src', 'List.jsx'), 'utf-8')).toContain('useRow("t", \'1\')');
+    expect(diagnostics.map(d => `${d.file}:${d.line}:${d.rule}`)).toEqual(['src/List.jsx:1:conditional-hook']);
+  });
+
+  it('leaves files alone without fix', () => {
+    writeFileSync(join(appDir, 'app.jsx'), 'export default function App() { return useRow("t", 1); }');
+    expect(lintAppSource(appDir).fixed).toBe(0);
+    expect(readFileSync(join(appDir, 'app.jsx'), 'utf-8')).toContain('useRow("t", 1)');
+  });
+});
+
+describe('buildLintFixPrompt', () => {
+  it('lists each diagnostic with its location', () => {
+    const diagnostics = [{ file: 'app.jsx', line: 3, column: 5, rule: 'undefined-hook', severity: 'error', message: '`useFoo` is not defined.' }];
+    expect(formatLintDiagnostics(diagnostics)).toBe('app.jsx:3:5 error [undefined-hook] `useFoo` is not defined.');
+    expect(buildLintFixPrompt(diagnostics)).toContain('app.jsx:3:5 error [undefined-hook]');
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Unit tests for the OpenAI-compatible model backend (server/backends/openai-compat.ts)
+ * and backend selection (server/model-backend.ts).
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { openAICompatBackend, runTool, readSse, loadOpenAICompatConfig } from '../../server/backends/openai-compat.ts';
+import { getModelBackend } from '../../server/model-backend.ts';
+import { createStreamParser } from '../../lib/stream-parser.js';
+
+let appDir: string;
+const savedEnv = { ...process.env };
+
+beforeEach(() => {
+  appDir = mkdtempSync(join(tmpdir(), 'vibes-openai-compat-'));
+  process.env.VIBES_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+  process.env.VIBES_OPENAI_MODEL = 'local-model';
+  delete process.env.VIBES_OPENAI_API_KEY;
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  process.env = { ...savedEnv };
+  rmSync(appDir, { recursive: true, force: true });
+});
+
+/** An SSE response body carrying the given chunks. */
+function sse(chunks: object[]): Response {
+  const text = chunks.map(c => `data: ${JSON.stringify(c)}\n\n`).join('') + 'data: [DONE]\n\n';
+  return new Response(new Blob([text]).stream(), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+function textReply(text: string, usage = { prompt_tokens: 10, completion_tokens: 5 }) {
+  return sse([
+    { choices: [{ delta: { content: text } }] },
+    { choices: [{ delta: {}, finish_reason: 'stop' }] },
+    { choices: [], usage },
+  ]);
+}
+
+function toolReply(id: string, name: string, args: object) {
+  const json = JSON.stringify(args);
+  return sse([
+    { choices: [{ delta: { tool_calls: [{ index: 0, id, function: { name, arguments: json.slice(0, 10) } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: json.slice(10) } }] } }] },
+    { choices: [{ delta: {}, finish_reason: 'tool_calls' }], usage: { prompt_tokens: 20, completion_tokens: 30 } },
+  ]);
+}
+
+async function collect(proc: any): Promise<{ events: any[]; stderr: string; exitCode: number | null }> {
+  const events: any[] = [];
+  const parse = createStreamParser((e: any) => events.push(e));
+  const stderrText = new Response(proc.stderr).text();
+  const reader = proc.stdout.getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parse(value);
+  }
+  return { events, stderr: await stderrText, exitCode: await proc.exited };
+}
+
+describe('runTool', () => {
+  it('reads, writes and edits files in the app directory', () => {
+    expect(runTool(appDir, 'Write', { file_path: 'app.jsx', content: 'const a = 1;\nconst b = 1;\n' }).isError).toBe(false);
+    expect(runTool(appDir, 'Read', { file_path: join(appDir, 'app.jsx') }).content).toBe('const a = 1;\nconst b = 1;\n');
+
+    const ambiguous = runTool(appDir, 'Edit', { file_path: 'app.jsx', old_string: '= 1', new_string: '= 2' });
+    expect(ambiguous.isError).toBe(true);
+    expect(ambiguous.content).toMatch(/appears 2 times/);
+
+    expect(runTool(appDir, 'Edit', { file_path: 'app.jsx', old_string: 'a = 1', new_string: 'a = $&' }).isError).toBe(false);
+    expect(runTool(appDir, 'Edit', { file_path: 'app.jsx', old_string: 'b = 1', new_string: 'b = 3', replace_all: true }).isError).toBe(false);
+    expect(readFileSync(join(appDir, 'app.jsx'), 'utf-8')).toBe('const a = $&;\nconst b = 3;\n');
+  });
+
+  it('refuses paths outside the app directory', () => {
+    const result = runTool(appDir, 'Write', { file_path: '../escape.txt', content: 'x' });
+    expect(result).toMatchObject({ isError: true });
+    expect(existsSync(join(appDir, '..', 'escape.txt'))).toBe(false);
+    expect(runTool(appDir, 'Read', { file_path: 'missing.jsx' })).toMatchObject({ isError: true });
+  });
+});
+
+describe('readSse', () => {
+  it('yields data payloads, skipping comments, until [DONE]', async () => {
+    const body = new Blob([': keep-alive\n\ndata: {"a":1}\n\ndata: {"a"', ':2}\n\ndata: [DONE]\n\ndata: {"a":3}\n\n']).stream();
+    const seen: any[] = [];
+    for await (const chunk of readSse(body)) seen.push(chunk);
+    expect(seen).toEqual([{ a: 1 }, { a: 2 }]);
+  });
+});
+
+describe('openai backend', () => {
+  it('is selected by VIBES_MODEL_BACKEND', () => {
+    expect(getModelBackend().name).toBe('claude');
+    process.env.VIBES_MODEL_BACKEND = 'openai';
+    expect(getModelBackend().name).toBe('openai');
+  });
+
+  it('uses the OpenRouter key only for OpenRouter', () => {
+    process.env.OPENROUTER_API_KEY = 'or-key';
+    expect(loadOpenAICompatConfig().apiKey).toBeNull();
+    delete process.env.VIBES_OPENAI_BASE_URL;
+    expect(loadOpenAICompatConfig()).toMatchObject({ baseUrl: 'https://openrouter.ai/api/v1', apiKey: 'or-key' });
+  });
+
+  it('runs a one-shot tool loop and writes Claude stream-json events', async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(toolReply('call_1', 'Write', { file_path: 'app.jsx', content: 'export default function App() {}' }))
+      .mockResolvedValueOnce(textReply('Built it.'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const proc = openAICompatBackend.spawnOneShot({ cwd: appDir, tools: 'Read,Write', maxTurns: 5 });
+    proc.stdin.write('Build a counter');
+    proc.stdin.end();
+    const { events, exitCode } = await collect(proc);
+
+    expect(exitCode).toBe(0);
+    expect(readFileSync(join(appDir, 'app.jsx'), 'utf-8')).toBe('export default function App() {}');
+    expect(events[0]).toMatchObject({ type: 'system', subtype: 'init', model: 'local-model', tools: ['Read', 'Write'] });
+    expect(events.find(e => e.event?.type === 'content_block_start')?.event.content_block).toMatchObject({ type: 'tool_use', id: 'call_1', name: 'Write' });
+    const toolUse = events.find(e => e.type === 'assistant' && e.message.stop_reason === 'tool_use');
+    expect(toolUse.message.content[0].input.file_path).toBe(join(appDir, 'app.jsx'));
+    expect(events.find(e => e.type === 'tool_result')).toMatchObject({ tool_use_id: 'call_1', tool_name: 'Write', is_error: false });
+    expect(events[events.length - 1]).toMatchObject({
+      type: 'result', subtype: 'success', is_error: false, result: 'Built it.', num_turns: 2,
+      usage: { input_tokens: 30, output_tokens: 35 },
+    });
+
+    const [url, init] = fetchMock.mock.calls[1];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    const body = JSON.parse(init.body);
+    expect(body.model).toBe('local-model');
+    expect(body.tools.map((t: any) => t.function.name)).toEqual(['Read', 'Write']);
+    expect(body.messages.map((m: any) => m.role)).toEqual(['system', 'user', 'assistant', 'tool']);
+  });
+
+  it("describes the app's entry point and src/ modules in the system prompt", async () => {
+    writeFileSync(join(appDir, 'app.tsx'), 'export default function App() { return null; }');
+    const fetchMock = vi.fn().mockResolvedValueOnce(textReply('Done.'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const proc = openAICompatBackend.spawnOneShot({ cwd: appDir, tools: 'Read', maxTurns: 1 });
+    proc.stdin.write('Add a board');
+    proc.stdin.end();
+    await collect(proc);
+
+    const system = JSON.parse(fetchMock.mock.calls[0][1].body).messages[0].content;
+    expect(system).toContain('entry point is app.tsx');
+    expect(system).toContain("'./src/Board.tsx'");
+    expect(system).not.toContain('single-file');
+  });
+
+  it('reports running out of turns on stderr like the CLI', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => toolReply(`call_${Math.random()}`, 'Read', { file_path: 'app.jsx' })));
+    const proc = openAICompatBackend.spawnOneShot({ cwd: appDir, maxTurns: 2 });
+    proc.stdin.write('Loop');
+    proc.stdin.end();
+    const { stderr, exitCode, events } = await collect(proc);
+    expect(exitCode).toBe(1);
+    expect(stderr).toContain('max_turns');
+    expect(events.filter(e => e.type === 'tool_result')).toHaveLength(2);
+  });
+
+  it('reports request failures as an error result', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('model not found', { status: 404 })));
+    const proc = openAICompatBackend.spawnOneShot({ cwd: appDir });
+    proc.stdin.write('Hi');
+    proc.stdin.end();
+    const { events, exitCode } = await collect(proc);
+    expect(exitCode).toBe(1);
+    expect(events[events.length - 1]).toMatchObject({ type: 'result', is_error: true });
+    expect(events[events.length - 1].result).toContain('404');
+  });
+
+  it('keeps a persistent conversation across turns and resumes it after a respawn', async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(textReply('First.'))
+      .mockResolvedValueOnce(textReply('Second.'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const first = openAICompatBackend.spawnPersistent({ cwd: appDir });
+    first.stdin.write(JSON.stringify({ type: 'user', message: { role: 'user', content: 'one' } }) + '\n');
+    first.stdin.end();
+    const { events } = await collect(first);
+    const sessionId = events.find(e => e.type === 'system').session_id;
+    expect(events[events.length - 1]).toMatchObject({ type: 'result', result: 'First.', session_id: sessionId });
+
+    const second = openAICompatBackend.spawnPersistent({ cwd: appDir, resumeSessionId: sessionId });
+    second.stdin.write(JSON.stringify({ type: 'user', message: { role: 'user', content: 'two' } }) + '\n');
+    second.stdin.end();
+    const resumed = await collect(second);
+    expect(resumed.events.find(e => e.type === 'system').session_id).toBe(sessionId);
+
+    const body = JSON.parse(fetchMock.mock.calls[1][1].body);
+    expect(body.messages.slice(1).map((m: any) => m.content)).toEqual(['one', 'First.', 'two']);
+  });
+
+  it('exits with the signal code when killed', async () => {
+    vi.stubGlobal('fetch', vi.fn((_url: string, init: any) => new Promise((_, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    })));
+    const proc = openAICompatBackend.spawnPersistent({ cwd: appDir });
+    proc.stdin.write(JSON.stringify({ type: 'user', message: { content: 'hang' } }) + '\n');
+    proc.kill('SIGINT');
+    expect(await proc.exited).toBe(130);
+  });
+
+  it('starts a new conversation when the stored session does not match', async () => {
+    mkdirSync(join(appDir, '.vibes'));
+    writeFileSync(join(appDir, '.vibes', 'openai-session.json'), JSON.stringify({ sessionId: 'old', messages: [{ role: 'user', content: 'stale' }] }));
+    const fetchMock = vi.fn().mockResolvedValueOnce(textReply('Fresh.'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const proc = openAICompatBackend.spawnPersistent({ cwd: appDir, resumeSessionId: 'gone' });
+    proc.stdin.write(JSON.stringify({ type: 'user', message: { content: [{ type: 'text', text: 'hello' }] } }) + '\n');
+    proc.stdin.end();
+    const { events } = await collect(proc);
+    expect(events.find(e => e.type === 'system').session_id).not.toBe('gone');
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).messages.slice(1)).toEqual([{ role: 'user', content: 'hello' }]);
+  });
+});
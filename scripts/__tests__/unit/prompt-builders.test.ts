@@ -4,7 +4,11 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { mkdirSync, rmSync, writeFileSync } from 'fs';
 import { join } from 'path';
-import { buildChatPrompt, buildGeneratePrompt, buildThemePromptMultiPass, buildThemePromptLegacy, extractDataSchema } from '../../server/prompt-builders.ts';
+import {
+  buildChatPrompt, buildGeneratePrompt, buildThemePromptMultiPass, buildThemePromptLegacy, extractDataSchema,
+  buildBrainstormPrompt, buildBrainstormGeneratePrompt,
+} from '../../server/prompt-builders.ts';
+import { MAX_BRAINSTORM_OPTIONS } from '../../server/brainstorm.ts';
 
 const TMP = join(import.meta.dirname, '.tmp-prompt-test');
 
@@ -94,6 +98,14 @@ describe('buildChatPrompt', () => {
     const result = buildChatPrompt(ctx as any, 'test', { appName: 'test-app' });
     expect(typeof result).toBe('string');
   });
+
+  it('targets app.tsx and keeps TypeScript for typed apps', () => {
+    writeFileSync(join(TMP, 'test-app', 'app.tsx'), 'export default function App(): JSX.Element { return <div />; }');
+    const prompt = buildChatPrompt(makeCtx() as any, 'add a button', { appName: 'test-app' });
+    expect(prompt).toContain('Read app.tsx');
+    expect(prompt).toContain('vibes-globals.d.ts');
+    expect(prompt).not.toContain('do NOT use TypeScript');
+  });
 });
 
 describe('buildGeneratePrompt', () => {
@@ -149,6 +161,19 @@ describe('buildGeneratePrompt', () => {
     const result = buildGeneratePrompt(ctx as any, 'simple app', { themeId: 'default', useAI: false });
     expect(result.prompt).not.toContain('AI FEATURES');
   });
+
+  it('asks for a typed app.tsx when typescript is set', () => {
+    const ctx = makeCtx({
+      themes: [{ id: 'default', name: 'Default' }],
+    });
+    const { prompt } = buildGeneratePrompt(ctx as any, 'typed app', { themeId: 'default', typescript: true });
+    expect(prompt).toContain('STEP 1 — Write app.tsx');
+    expect(prompt).toContain('```tsx');
+    expect(prompt).toContain('(e as CustomEvent<{ theme?: string }>)');
+    expect(prompt).toContain('Write TypeScript (TSX) in app.tsx');
+    expect(prompt).not.toContain('NO TypeScript');
+    expect(prompt).not.toContain('app.jsx');
+  });
 });
 
 describe('buildThemePromptMultiPass', () => {
@@ -179,6 +204,14 @@ describe('buildThemePromptMultiPass', () => {
     expect(prompt).toContain('Table: "todos"');
     expect(prompt).toContain('Table "todos" has cell: "title"');
   });
+
+  it('keeps a typed app TypeScript', () => {
+    const prompt = buildThemePromptMultiPass(makeCtx() as any, 'neon', 'Neon Glow', 'MOOD: dark', 'function App(): JSX.Element { return <div />; }', 'src/theme.tsx', true);
+    expect(prompt).toContain('CURRENT src/theme.tsx');
+    expect(prompt).toContain('```tsx');
+    expect(prompt).toContain('keep the code TypeScript');
+    expect(prompt).not.toContain('no TypeScript');
+  });
 });
 
 describe('buildThemePromptLegacy', () => {
@@ -211,6 +244,15 @@ describe('buildThemePromptLegacy', () => {
     );
     expect(prompt).toContain('Build :root with oklch colors matching "Minimal"');
   });
+
+  it('names app.tsx and keeps a typed app TypeScript', () => {
+    const prompt = buildThemePromptLegacy(makeCtx() as any, 'retro', 'Retro Wave', 'MOOD: retro', 'function App(): JSX.Element { return <div />; }', null, 'app.tsx', true);
+    expect(prompt).toContain('Restyle app.tsx');
+    expect(prompt).toContain('```tsx');
+    expect(prompt).toContain('keep the code TypeScript');
+    expect(prompt).not.toContain('app.jsx');
+    expect(prompt).not.toContain('no TypeScript');
+  });
 });
 
 describe('extractDataSchema', () => {
@@ -331,3 +373,35 @@ describe('buildGeneratePrompt shared constants (DRY refactor)', () => {
     expect(rulesBlock).toContain('useApp() returns { isReady, isSyncing, user }');
   });
 });
+
+describe('brainstorm prompts', () => {
+  function writeSkill() {
+    mkdirSync(join(TMP, 'skills', 'vibes-brainstorm'), { recursive: true });
+    writeFileSync(join(TMP, 'skills', 'vibes-brainstorm', 'SKILL.md'), '---\nname: vibes-brainstorm\n---\n\n## Translation Layer\n\n- "Just me" — no attribution');
+  }
+
+  it('asks for every question at once as JSON', () => {
+    writeSkill();
+    const prompt = buildBrainstormPrompt(makeCtx() as any, 'a plant tracker');
+    expect(prompt).toContain('## Translation Layer');
+    expect(prompt).not.toContain('name: vibes-brainstorm');
+    expect(prompt).toContain('The user wants to build: "a plant tracker"');
+    expect(prompt).toContain('<brainstorm-questions>');
+    expect(prompt).toContain(`2-${MAX_BRAINSTORM_OPTIONS} "options"`);
+  });
+
+  it('returns empty without the brainstorm skill', () => {
+    expect(buildBrainstormPrompt(makeCtx() as any, 'a plant tracker')).toBe('');
+  });
+
+  it('folds the answers into the generate prompt', () => {
+    writeSkill();
+    const prompt = buildBrainstormGeneratePrompt(makeCtx() as any, 'a plant tracker', 'GENERATE CONTEXT', [
+      { prompt: "Who's going to use this?", answer: 'Just me' },
+    ]);
+    expect(prompt).toContain('## Translation Layer');
+    expect(prompt).toContain("- Who's going to use this? → Just me");
+    expect(prompt).toContain('<generate-instructions>\nGENERATE CONTEXT\n</generate-instructions>');
+    expect(prompt).not.toContain('<brainstorm-questions>');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for the render check's page preparation and console formatting.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { prepareRenderPage, formatConsoleArgs } from '../../lib/render-check.js';
+
+const PAGE = `<html><head>
+<script src="https://unpkg.com/@babel/standalone@7/babel.min.js"></script>
+<script src="https://cdn.example.com/analytics.js"></script>
+<script src="/vibes-ai.js"></script>
+<script>window.__VIBES_CONFIG__ = { app: "__APP_NAME__" };</script>
+</head><body><script type="text/babel">
+root.render(<AppErrorBoundary><App /></AppErrorBoundary>);
+</script></body></html>`;
+
+describe('prepareRenderPage', () => {
+  const page = prepareRenderPage(PAGE, { appName: 'todo' });
+
+  it('serves Babel locally and blanks other external scripts', () => {
+    expect(page).toContain('src="/vendor/babel.min.js"');
+    expect(page).not.toContain('unpkg.com');
+    expect(page).not.toContain('cdn.example.com');
+    expect(page).not.toContain('src="/vibes-ai.js"');
+  });
+
+  it('fills the app name placeholder', () => {
+    expect(page).toContain('app: "todo"');
+  });
+
+  it('wraps App in the root marker inside the error boundary', () => {
+    expect(page).toContain('<AppErrorBoundary><div data-render-check-root=""><App /></div></AppErrorBoundary>');
+  });
+});
+
+describe('formatConsoleArgs', () => {
+  it('substitutes printf-style placeholders', () => {
+    expect(formatConsoleArgs(['Each child in a list should have a unique %s prop.%s', '"key"', ' See docs.']))
+      .toBe('Each child in a list should have a unique "key" prop. See docs.');
+  });
+
+  it('uses the message of Error arguments', () => {
+    expect(formatConsoleArgs(['Failed:', new Error('boom')])).toBe('Failed: boom');
+  });
+
+  it('drops %c styling and stringifies objects', () => {
+    expect(formatConsoleArgs(['%cstyled', 'color: red', { a: 1 }])).toBe('styled {"a":1}');
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, rmSync, existsSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  beginStaging, collectProposal, discardStaging, acceptChange, rejectChange,
+  getPendingChange,
+} from '../../server/review.ts';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TMP = join(__dirname, '.tmp-review-test');
+const APP = join(TMP, 'app.jsx');
+const BOARD = join(TMP, 'src', 'Board.jsx');
+/** The accepted source, set aside while a review turn runs. */
+const BASE = join(TMP, '.vibes', 'review', 'base.json');
+
+const BEFORE = 'function App() {\n  return <div>Hello</div>;\n}\n';
+const AFTER = 'function App() {\n  return <div>Hello, world</div>;\n}\n';
+const BOARD_BEFORE = 'export function Board() {\n  return <ul />;\n}\n';
+const BOARD_AFTER = 'export function Board() {\n  return <ol />;\n}\n';
+
+beforeEach(() => {
+  mkdirSync(TMP, { recursive: true });
+  writeFileSync(APP, BEFORE);
+});
+afterEach(() => { rmSync(TMP, { recursive: true, force: true }); });
+
+/** Simulate a review turn in which the model rewrote app.jsx. */
+function stageEdit(content = AFTER, prompt = 'Greet the world') {
+  beginStaging(TMP);
+  writeFileSync(APP, content);
+  return collectProposal(TMP, prompt);
+}
+
+describe('review', () => {
+  it('holds the edit back and proposes a diff', () => {
+    const change = stageEdit();
+    expect(change).not.toBeNull();
+    expect(change!.prompt).toBe('Greet the world');
+    expect(change!.diff).toContain('-  return <div>Hello</div>;');
+    expect(change!.diff).toContain('+  return <div>Hello, world</div>;');
+    expect(change!.added).toBe(1);
+    expect(change!.removed).toBe(1);
+    expect(readFileSync(APP, 'utf-8')).toBe(BEFORE);
+    expect(getPendingChange(TMP)).toEqual(change);
+  });
+
+  it('returns null and clears staging when the turn made no edits', () => {
+    beginStaging(TMP);
+    expect(existsSync(BASE)).toBe(true);
+    expect(collectProposal(TMP, 'noop')).toBeNull();
+    expect(existsSync(BASE)).toBe(false);
+    expect(getPendingChange(TMP)).toBeNull();
+  });
+
+  it('acceptChange applies the proposed code', () => {
+    const change = stageEdit()!;
+    const result = acceptChange(TMP, change.id);
+    expect(result.ok).toBe(true);
+    expect(readFileSync(APP, 'utf-8')).toBe(AFTER);
+    expect(getPendingChange(TMP)).toBeNull();
+    expect(existsSync(join(TMP, '.vibes', 'review'))).toBe(false);
+  });
+
+  it('rejectChange keeps the accepted code', () => {
+    const change = stageEdit()!;
+    const result = rejectChange(TMP, change.id);
+    expect(result.ok).toBe(true);
+    expect(readFileSync(APP, 'utf-8')).toBe(BEFORE);
+    expect(getPendingChange(TMP)).toBeNull();
+  });
+
+  it('refuses a stale or missing change id', () => {
+    expect(acceptChange(TMP, 'nope').ok).toBe(false);
+    stageEdit();
+    const result = rejectChange(TMP, 'stale');
+    expect(result.ok).toBe(false);
+    if (!result.ok) expect(result.error).toContain('stale');
+    expect(getPendingChange(TMP)).not.toBeNull();
+  });
+
+  it('discardStaging restores app.jsx after a cancelled turn', () => {
+    beginStaging(TMP);
+    writeFileSync(APP, 'half-written');
+    discardStaging(TMP);
+    expect(readFileSync(APP, 'utf-8')).toBe(BEFORE);
+    expect(existsSync(BASE)).toBe(false);
+  });
+
+  it('discardStaging drops a pending proposal without touching app.jsx', () => {
+    stageEdit();
+    discardStaging(TMP);
+    expect(readFileSync(APP, 'utf-8')).toBe(BEFORE);
+    expect(getPendingChange(TMP)).toBeNull();
+  });
+
+  describe('with src/ modules', () => {
+    beforeEach(() => {
+      mkdirSync(dirname(BOARD), { recursive: true });
+      writeFileSync(BOARD, BOARD_BEFORE);
+    });
+
+    it('proposes a turn that only edits a module, and rejecting it keeps the accepted module', () => {
+      beginStaging(TMP);
+      writeFileSync(BOARD, BOARD_AFTER);
+      const change = collectProposal(TMP, 'Number the list')!;
+      expect(change).not.toBeNull();
+      expect(change.diff).toContain('+++ b/src/Board.jsx');
+      expect(change.diff).toContain('+  return <ol />;');
+      expect(change.diff).not.toContain('app.jsx');
+      expect(readFileSync(BOARD, 'utf-8')).toBe(BOARD_BEFORE);
+
+      expect(rejectChange(TMP, change.id).ok).toBe(true);
+      expect(readFileSync(BOARD, 'utf-8')).toBe(BOARD_BEFORE);
+      expect(readFileSync(APP, 'utf-8')).toBe(BEFORE);
+      expect(getPendingChange(TMP)).toBeNull();
+    });
+
+    it('holds back created and deleted modules until accepted', () => {
+      const LIST = join(TMP, 'src', 'List.jsx');
+      beginStaging(TMP);
+      writeFileSync(APP, AFTER);
+      writeFileSync(LIST, 'export const List = () => null;\n');
+      rmSync(BOARD);
+      const change = collectProposal(TMP, 'Split the list')!;
+      expect(change.diff).toContain('--- /dev/null\n+++ b/src/List.jsx');
+      expect(change.diff).toContain('--- a/src/Board.jsx\n+++ /dev/null');
+      expect(existsSync(LIST)).toBe(false);
+      expect(readFileSync(BOARD, 'utf-8')).toBe(BOARD_BEFORE);
+
+      expect(acceptChange(TMP, change.id).ok).toBe(true);
+      expect(readFileSync(APP, 'utf-8')).toBe(AFTER);
+      expect(existsSync(LIST)).toBe(true);
+      expect(existsSync(BOARD)).toBe(false);
+    });
+
+    it('discardStaging reverts module edits from a cancelled turn', () => {
+      beginStaging(TMP);
+      writeFileSync(BOARD, 'half-written');
+      writeFileSync(join(TMP, 'src', 'New.jsx'), 'half-written');
+      discardStaging(TMP);
+      expect(readFileSync(BOARD, 'utf-8')).toBe(BOARD_BEFORE);
+      expect(existsSync(join(TMP, 'src', 'New.jsx'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, rmSync, existsSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  recordRuntimeError, loadRuntimeErrors, clearRuntimeErrors, buildRuntimeFixPrompt,
+} from '../../server/runtime-errors.ts';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TMP = join(__dirname, '.tmp-runtime-errors-test');
+
+const REPORT = {
+  error: "Cannot read properties of undefined (reading 'map')",
+  stack: 'TypeError: Cannot read properties of undefined\n    at TodoList (app.jsx:12)',
+  componentStack: 'at TodoList\nat App',
+  console: '[log] loaded\n[error] [vibes] App error: TypeError',
+  source: 'boundary',
+};
+
+beforeEach(() => { mkdirSync(TMP, { recursive: true }); });
+afterEach(() => {
+  vi.useRealTimers();
+  rmSync(TMP, { recursive: true, force: true });
+});
+
+describe('runtime-errors', () => {
+  it('returns an empty log when none exists', () => {
+    expect(loadRuntimeErrors(TMP)).toEqual([]);
+  });
+
+  it('records a report and loads it back', () => {
+    const result = recordRuntimeError(TMP, REPORT);
+    expect(result?.duplicate).toBe(false);
+    const log = loadRuntimeErrors(TMP);
+    expect(log).toHaveLength(1);
+    expect(log[0]).toMatchObject({ error: REPORT.error, stack: REPORT.stack, source: 'boundary', count: 1 });
+    expect(existsSync(join(TMP, '.vibes', 'runtime-errors.json'))).toBe(true);
+  });
+
+  it('ignores reports without an error message', () => {
+    expect(recordRuntimeError(TMP, { error: '  ' })).toBeNull();
+    expect(recordRuntimeError(TMP, null)).toBeNull();
+    expect(loadRuntimeErrors(TMP)).toEqual([]);
+  });
+
+  it('folds an immediate repeat into the latest entry', () => {
+    recordRuntimeError(TMP, REPORT);
+    const again = recordRuntimeError(TMP, REPORT);
+    expect(again?.duplicate).toBe(true);
+    expect(again?.entry.count).toBe(2);
+    expect(loadRuntimeErrors(TMP)).toHaveLength(1);
+  });
+
+  it('logs the same error again once the duplicate window has passed', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1_000_000);
+    recordRuntimeError(TMP, REPORT);
+    vi.setSystemTime(1_000_000 + 60_000);
+    expect(recordRuntimeError(TMP, REPORT)?.duplicate).toBe(false);
+    expect(loadRuntimeErrors(TMP)).toHaveLength(2);
+  });
+
+  it('caps the log at 50 entries', () => {
+    for (let i = 0; i < 55; i++) recordRuntimeError(TMP, { error: `error ${i}` });
+    const log = loadRuntimeErrors(TMP);
+    expect(log).toHaveLength(50);
+    expect(log[0].error).toBe('error 5');
+  });
+
+  it('handles a corrupt log gracefully', () => {
+    mkdirSync(join(TMP, '.vibes'), { recursive: true });
+    writeFileSync(join(TMP, '.vibes', 'runtime-errors.json'), '{broken');
+    expect(loadRuntimeErrors(TMP)).toEqual([]);
+  });
+
+  it('clearRuntimeErrors deletes the log', () => {
+    recordRuntimeError(TMP, REPORT);
+    clearRuntimeErrors(TMP);
+    expect(loadRuntimeErrors(TMP)).toEqual([]);
+  });
+
+  it('builds a fix prompt with stack, component and console context', () => {
+    const { entry } = recordRuntimeError(TMP, REPORT)!;
+    const prompt = buildRuntimeFixPrompt(entry);
+    expect(prompt).toContain(`Error: ${REPORT.error}`);
+    expect(prompt).toContain('at TodoList (app.jsx:12)');
+    expect(prompt).toContain('Component: at TodoList');
+    expect(prompt).toContain('[log] loaded');
+    expect(prompt).toContain('fix it');
+    expect(prompt).toContain('Find the cause in app.jsx or the src/ modules it imports');
+  });
+
+  it('points a typed app at app.tsx', () => {
+    const { entry } = recordRuntimeError(TMP, REPORT)!;
+    const prompt = buildRuntimeFixPrompt(entry, 'app.tsx', true);
+    expect(prompt).toContain('Find the cause in app.tsx or the src/ modules it imports');
+    expect(prompt).toContain('Keep the code TypeScript.');
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for server/sessions.ts — per-app sessions, subscriptions and eviction.
+ */
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  getSession, findSession, listSessions, sessionOf, subscribe, unsubscribe, killBridge, evictSessions, destroyAllSessions,
+  MAX_IDLE_BRIDGES, MAX_SESSIONS,
+} from '../../server/sessions.ts';
+
+function fakeBridge(state = 'idle') {
+  return { state, kill: vi.fn() } as any;
+}
+
+function fakeClient() {
+  return { send: vi.fn() };
+}
+
+afterEach(() => {
+  destroyAllSessions();
+  vi.useRealTimers();
+});
+
+describe('sessions', () => {
+  it('keeps one session per app directory', () => {
+    const a = getSession('/apps/a');
+    expect(getSession('/apps/a')).toBe(a);
+    expect(getSession('/apps/b')).not.toBe(a);
+    expect(findSession('/apps/a')).toBe(a);
+    expect(findSession('/apps/c')).toBeNull();
+    expect(listSessions()).toHaveLength(2);
+  });
+
+  it('moves a client between sessions', () => {
+    const a = getSession('/apps/a');
+    const b = getSession('/apps/b');
+    const client = fakeClient();
+
+    expect(subscribe(client, a)).toBeNull();
+    expect(sessionOf(client)).toBe(a);
+    expect(subscribe(client, b)).toBe(a);
+    expect(a.clients.size).toBe(0);
+    expect([...b.clients]).toEqual([client]);
+
+    expect(unsubscribe(client)).toBe(b);
+    expect(sessionOf(client)).toBeNull();
+    expect(b.clients.size).toBe(0);
+  });
+
+  it('cancels the grace period when a client subscribes', () => {
+    vi.useFakeTimers();
+    const session = getSession('/apps/a');
+    const expired = vi.fn();
+    session.graceTimer = setTimeout(expired, 1000);
+    subscribe(fakeClient(), session);
+    vi.advanceTimersByTime(2000);
+    expect(expired).not.toHaveBeenCalled();
+    expect(session.graceTimer).toBeNull();
+  });
+
+  it('killBridge kills the bridge and clears turn state', () => {
+    const session = getSession('/apps/a');
+    const bridge = fakeBridge();
+    session.bridge = bridge;
+    session.currentTurn = { source: 'chat', message: 'hi' };
+    session.turnQueue.queued.push({ id: 'q1', status: 'queued', message: 'next', queuedAt: 0, request: null });
+    killBridge(session);
+    expect(bridge.kill).toHaveBeenCalled();
+    expect(session.bridge).toBeNull();
+    expect(session.currentTurn).toBeNull();
+    expect(session.turnQueue.queued).toEqual([]);
+  });
+
+  it('evicts the oldest unwatched idle bridges beyond the limit', () => {
+    const sessions = Array.from({ length: MAX_IDLE_BRIDGES + 3 }, (_, i) => {
+      const session = getSession(`/apps/${i}`);
+      session.bridge = fakeBridge();
+      session.lastActive = i;
+      return session;
+    });
+    // Oldest, but watched by a tab
+    subscribe(fakeClient(), sessions[0]);
+    // Old, but mid-turn
+    sessions[1].bridge!.state = 'streaming';
+    const keep = sessions[2];
+
+    const killed = evictSessions(keep);
+
+    expect(killed).toEqual(['/apps/3']);
+    expect(sessions[0].bridge).not.toBeNull();
+    expect(sessions[1].bridge).not.toBeNull();
+    expect(keep.bridge).not.toBeNull();
+    expect(sessions.filter(s => s.bridge && s.bridge.state !== 'streaming' && s !== keep)).toHaveLength(MAX_IDLE_BRIDGES);
+  });
+
+  it('forgets the oldest dormant sessions beyond the limit', () => {
+    for (let i = 0; i < MAX_SESSIONS + 2; i++) getSession(`/apps/${i}`).lastActive = i;
+    evictSessions();
+    expect(listSessions()).toHaveLength(MAX_SESSIONS);
+    expect(findSession('/apps/0')).toBeNull();
+    expect(findSession('/apps/1')).toBeNull();
+    expect(findSession('/apps/2')).not.toBeNull();
+  });
+});
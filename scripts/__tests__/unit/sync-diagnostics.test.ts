@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { createMergeableStore, getHlcFunctions } from 'tinybase';
+import {
+  hlcTime,
+  hlcClient,
+  listSyncWrites,
+  buildSyncDiagnostics,
+  describeSyncWrite,
+  describeSyncTime,
+  type SyncWrite,
+} from '../../../components/VibesPanel/sync-diagnostics.ts';
+
+const clientHash = (clientId: string) => getHlcFunctions(clientId)[6]();
+
+function writesIn(store: ReturnType<typeof createMergeableStore>) {
+  const [tables, values] = store.getMergeableContent();
+  return listSyncWrites(tables as any, values as any);
+}
+
+describe('HLC helpers', () => {
+  it('reads the time and client of a TinyBase HLC', () => {
+    const before = Date.now();
+    const store = createMergeableStore('alice');
+    store.setCell('notes', 'n1', 'text', 'hi');
+    const [write] = writesIn(store);
+    expect(hlcClient(write.hlc)).toBe(clientHash('alice'));
+    expect(hlcTime(write.hlc)).toBeGreaterThanOrEqual(before);
+    expect(hlcTime(write.hlc)).toBeLessThanOrEqual(Date.now());
+  });
+});
+
+describe('listSyncWrites', () => {
+  it('lists cells, deleted cells and values', () => {
+    const store = createMergeableStore('alice');
+    store.setRow('notes', 'n1', { text: 'hi', done: false });
+    store.delCell('notes', 'n1', 'done');
+    store.setValue('filter', 'all');
+    const writes = writesIn(store).map(({ tableId, rowId, id, deleted }) => ({ tableId, rowId, id, deleted }));
+    expect(writes).toEqual([
+      { tableId: 'notes', rowId: 'n1', id: 'text', deleted: false },
+      { tableId: 'notes', rowId: 'n1', id: 'done', deleted: true },
+      { tableId: null, rowId: null, id: 'filter', deleted: false },
+    ]);
+  });
+
+  it('reads transaction changes', () => {
+    const store = createMergeableStore('alice');
+    store.setCell('notes', 'n1', 'text', 'hi');
+    let changed: SyncWrite[] = [];
+    store.addDidFinishTransactionListener(() => {
+      const [tables, values] = store.getTransactionMergeableChanges();
+      changed = listSyncWrites(tables as any, values as any);
+    });
+    store.setCell('notes', 'n2', 'text', 'there');
+    expect(changed.map((write) => write.rowId)).toEqual(['n2']);
+  });
+});
+
+describe('buildSyncDiagnostics', () => {
+  const alice = clientHash('alice');
+  const history = [
+    { status: 'synced' as const, at: 1000 },
+    { status: 'reconnecting' as const, at: 2000 },
+  ];
+
+  it('lists offline edits as pending until reconnecting', () => {
+    const store = createMergeableStore('alice');
+    store.setCell('notes', 'n1', 'text', 'offline');
+    const edits = writesIn(store);
+    const diagnostics = buildSyncDiagnostics({
+      content: store.getMergeableContent() as any,
+      localClient: alice,
+      status: 'reconnecting',
+      lastSyncAt: 2000,
+      offlineEdits: edits,
+      history,
+    });
+    expect(diagnostics.pending).toEqual(edits);
+    expect(diagnostics.offlineEdits).toEqual([]);
+    expect(diagnostics.lastSyncAt).toBe(2000);
+    expect(diagnostics.history.map((event) => event.status)).toEqual(['reconnecting', 'synced']);
+  });
+
+  it('reports which offline edits a peer overwrote', () => {
+    const store = createMergeableStore('alice');
+    store.setRow('notes', 'n1', { text: 'mine', title: 'mine' });
+    const edits = writesIn(store);
+
+    // Bob edits one of the same cells later, and it merges in on reconnect
+    const bob = createMergeableStore('bob');
+    bob.merge(store);
+    bob.setCell('notes', 'n1', 'text', 'theirs');
+    store.merge(bob);
+
+    const diagnostics = buildSyncDiagnostics({
+      content: store.getMergeableContent() as any,
+      localClient: alice,
+      status: 'synced',
+      lastSyncAt: 2000,
+      offlineEdits: edits,
+      history,
+      now: 5000,
+    });
+    expect(diagnostics.lastSyncAt).toBe(5000);
+    expect(diagnostics.pending).toEqual([]);
+    const outcomes = Object.fromEntries(diagnostics.offlineEdits.map((edit) => [edit.id, [edit.outcome, edit.by]]));
+    expect(outcomes).toEqual({ text: ['overwritten', clientHash('bob')], title: ['kept', undefined] });
+    expect(diagnostics.remoteWrites.map(describeSyncWrite)).toEqual(['notes › n1 › text']);
+  });
+
+  it('lists the newest remote writes first, up to the limit', () => {
+    const store = createMergeableStore('alice');
+    const bob = createMergeableStore('bob');
+    for (const rowId of ['a', 'b', 'c']) bob.setCell('notes', rowId, 'text', rowId);
+    bob.delRow('notes', 'a');
+    store.merge(bob);
+
+    const diagnostics = buildSyncDiagnostics({
+      content: store.getMergeableContent() as any,
+      localClient: alice,
+      status: 'synced',
+      lastSyncAt: null,
+      offlineEdits: [],
+      history: [],
+      limit: 2,
+    });
+    expect(diagnostics.remoteWrites.map(describeSyncWrite)).toEqual(['notes › a › text (deleted)', 'notes › c › text']);
+  });
+});
+
+describe('describeSyncTime', () => {
+  it('describes how long ago a time was', () => {
+    const now = 10_000_000;
+    expect(describeSyncTime(null, now)).toBe('never');
+    expect(describeSyncTime(now - 3000, now)).toBe('just now');
+    expect(describeSyncTime(now - 42_000, now)).toBe('42s ago');
+    expect(describeSyncTime(now - 5 * 60_000, now)).toBe('5 min ago');
+    expect(describeSyncTime(now - 3 * 3600_000, now)).toBe('3 h ago');
+  });
+});
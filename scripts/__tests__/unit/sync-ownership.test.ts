@@ -0,0 +1,132 @@
+/**
+ * Tests for table permissions and owner-only rows in the sync relay.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createMergeableStore } from 'tinybase';
+import { createOwnershipGuard, USER_VALUES_TABLE, type SyncPermissions } from '../../server/sync-ownership.ts';
+import { parsePermissions, privatePermissions } from '../../lib/sync-permissions.js';
+
+const notesPrivate = privatePermissions(['notes']) as SyncPermissions;
+const asAlice = { id: 'alice', signedIn: false };
+const asBob = { id: 'bob', signedIn: false };
+
+/** ContentDiff payload carrying everything in `store`. */
+function contentDiff(store: ReturnType<typeof createMergeableStore>) {
+  const [tables, values] = store.getMergeableContent();
+  return `\n${JSON.stringify(['t1', 3, [tables, values, 1]])}`;
+}
+
+function rowsIn(payload: string | null, tableId: string) {
+  return Object.keys(JSON.parse(payload!.split('\n')[1])[2][0][0][tableId]?.[0] || {});
+}
+
+describe('createOwnershipGuard', () => {
+  it('lets anyone create rows stamped with their own id', () => {
+    const guard = createOwnershipGuard(notesPrivate, createMergeableStore('server'));
+    const alice = createMergeableStore('alice');
+    alice.setRow('notes', 'mine', { text: 'a', owner: 'alice' });
+    alice.setRow('notes', 'forged', { text: 'b', owner: 'bob' });
+    alice.setRow('notes', 'unstamped', { text: 'c' });
+    alice.setRow('posts', 'shared', { text: 'd' });
+
+    const payload = guard.incoming(contentDiff(alice), asAlice);
+    expect(rowsIn(payload, 'notes')).toEqual(['mine']);
+    expect(rowsIn(payload, 'posts')).toEqual(['shared']);
+    expect(rowsIn(guard.incoming(contentDiff(alice), null), 'notes')).toEqual([]);
+  });
+
+  it('only lets the owner change a stored row, but anyone relay it', () => {
+    const server = createMergeableStore('server');
+    const alice = createMergeableStore('alice');
+    alice.setRow('notes', 'n1', { text: 'a', owner: 'alice' });
+    server.merge(alice);
+    const guard = createOwnershipGuard(notesPrivate, server);
+
+    // Bob forwarding Alice's row unchanged
+    const bob = createMergeableStore('bob');
+    bob.merge(alice);
+    expect(rowsIn(guard.incoming(contentDiff(bob), asBob), 'notes')).toEqual(['n1']);
+
+    bob.setCell('notes', 'n1', 'text', 'hijacked');
+    expect(rowsIn(guard.incoming(contentDiff(bob), asBob), 'notes')).toEqual([]);
+    bob.setCell('notes', 'n1', 'owner', 'bob');
+    expect(rowsIn(guard.incoming(contentDiff(bob), asBob), 'notes')).toEqual([]);
+
+    alice.setCell('notes', 'n1', 'text', 'edited');
+    expect(rowsIn(guard.incoming(contentDiff(alice), asAlice), 'notes')).toEqual(['n1']);
+    alice.setCell('notes', 'n1', 'owner', 'carol');
+    expect(rowsIn(guard.incoming(contentDiff(alice), asAlice), 'notes')).toEqual([]);
+  });
+
+  it('lets owners delete their rows', () => {
+    const server = createMergeableStore('server');
+    const alice = createMergeableStore('alice');
+    alice.setRow('notes', 'n1', { text: 'a', owner: 'alice' });
+    server.merge(alice);
+    alice.delRow('notes', 'n1');
+    const guard = createOwnershipGuard(notesPrivate, server);
+    expect(rowsIn(guard.incoming(contentDiff(alice), asAlice), 'notes')).toEqual(['n1']);
+  });
+
+  it('keeps per-user values to the row of their user', () => {
+    const guard = createOwnershipGuard({ tables: {} }, createMergeableStore('server'));
+    const alice = createMergeableStore('alice');
+    alice.setRow(USER_VALUES_TABLE, 'alice', { theme: 'dark', owner: 'alice' });
+    alice.setRow(USER_VALUES_TABLE, 'bob', { theme: 'dark', owner: 'alice' });
+    expect(rowsIn(guard.incoming(contentDiff(alice), asAlice), USER_VALUES_TABLE)).toEqual(['alice']);
+  });
+
+  it('reads responses to diff requests and passes other messages through', () => {
+    const guard = createOwnershipGuard(notesPrivate, createMergeableStore('server'));
+    const bob = createMergeableStore('bob');
+    bob.setRow('notes', 'n9', { text: 'x', owner: 'alice' });
+    const cells = bob.getMergeableCellDiff({ notes: { n9: {} } });
+
+    guard.outgoing(`bob\n${JSON.stringify(['r1', 6, {}])}`);
+    const response = guard.incoming(`alice\n${JSON.stringify(['r1', 0, cells])}`, asBob);
+    expect(JSON.parse(response!.split('\n')[1])[2][0].notes[0]).toEqual({});
+
+    const hashes = `\n${JSON.stringify(['r2', 1, ''])}`;
+    expect(guard.incoming(hashes, asBob)).toBe(hashes);
+    const presence = `\n${JSON.stringify([null, 'vibes-presence', { id: 'tab', state: {} }])}`;
+    expect(guard.incoming(presence, asBob)).toBe(presence);
+    expect(guard.incoming('not a payload', asBob)).toBeNull();
+  });
+
+  it('applies create, update and delete rules from vibes.json', () => {
+    const permissions = parsePermissions({
+      tables: { posts: { create: 'signedIn', update: 'owner', delete: 'nobody' } },
+    }) as SyncPermissions;
+    const server = createMergeableStore('server');
+    const guard = createOwnershipGuard(permissions, server);
+    const signedIn = { id: 'alice', signedIn: true };
+
+    const alice = createMergeableStore('alice');
+    alice.setRow('posts', 'p1', { text: 'hi', owner: 'alice' });
+    expect(rowsIn(guard.incoming(contentDiff(alice), asAlice), 'posts')).toEqual([]);
+    expect(rowsIn(guard.incoming(contentDiff(alice), signedIn), 'posts')).toEqual(['p1']);
+    server.merge(alice);
+
+    alice.setCell('posts', 'p1', 'text', 'edited');
+    expect(rowsIn(guard.incoming(contentDiff(alice), signedIn), 'posts')).toEqual(['p1']);
+    expect(rowsIn(guard.incoming(contentDiff(alice), { id: 'bob', signedIn: true }), 'posts')).toEqual([]);
+    server.merge(alice);
+
+    alice.delRow('posts', 'p1');
+    expect(rowsIn(guard.incoming(contentDiff(alice), signedIn), 'posts')).toEqual([]);
+  });
+
+  it('needs no owner for tables without owner rules', () => {
+    const permissions = parsePermissions({ tables: { log: { update: 'nobody', delete: 'nobody' } } }) as SyncPermissions;
+    const server = createMergeableStore('server');
+    const guard = createOwnershipGuard(permissions, server);
+    const bob = createMergeableStore('bob');
+    bob.setRow('log', 'e1', { text: 'entry' });
+    expect(rowsIn(guard.incoming(contentDiff(bob), null), 'log')).toEqual(['e1']);
+    server.merge(bob);
+
+    bob.setCell('log', 'e1', 'text', 'rewritten');
+    expect(rowsIn(guard.incoming(contentDiff(bob), asBob), 'log')).toEqual([]);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for sync-permissions.js
+ *
+ * Tests parsing the vibes.json permissions section and shipping it with deploys.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { parsePermissions, readPermissions, PERMISSIONS_FILE } from '../../lib/sync-permissions.js';
+import { addPermissionsFile } from '../../lib/deploy-files.js';
+
+const tempDirs = [];
+
+function projectWith(vibesJson) {
+  const dir = mkdtempSync(join(tmpdir(), 'sync-permissions-test-'));
+  tempDirs.push(dir);
+  if (vibesJson) writeFileSync(join(dir, 'vibes.json'), JSON.stringify(vibesJson));
+  return dir;
+}
+
+afterEach(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+  tempDirs.length = 0;
+});
+
+describe('parsePermissions', () => {
+  it('fills omitted operations with anyone and expands "private"', () => {
+    expect(parsePermissions({ tables: { posts: { create: 'signedIn', delete: 'owner' }, notes: 'private' } })).toEqual({
+      tables: {
+        posts: { create: 'signedIn', update: 'anyone', delete: 'owner' },
+        notes: { create: 'anyone', update: 'owner', delete: 'owner' },
+      },
+    });
+    expect(parsePermissions({})).toEqual({ tables: {} });
+  });
+
+  it('rejects unknown sections, operations and levels', () => {
+    expect(() => parsePermissions([])).toThrow('must be an object');
+    expect(() => parsePermissions({ values: {} })).toThrow('unknown section "values"');
+    expect(() => parsePermissions({ tables: { posts: { edit: 'owner' } } })).toThrow('unknown operation "edit"');
+    expect(() => parsePermissions({ tables: { posts: { update: 'admins' } } })).toThrow('"admins" is not one of');
+    expect(() => parsePermissions({ tables: { posts: { create: 'owner' } } })).toThrow('has no owner yet');
+    expect(() => parsePermissions({ tables: { posts: true } })).toThrow('posts must be "private"');
+  });
+});
+
+describe('addPermissionsFile', () => {
+  it('ships the parsed rules as permissions.json', () => {
+    const files = {};
+    expect(addPermissionsFile(projectWith({ name: 'app', permissions: { tables: { notes: 'private' } } }), files)).toBe(true);
+    expect(JSON.parse(files[PERMISSIONS_FILE]).tables.notes.update).toBe('owner');
+  });
+
+  it('adds nothing without permissions and fails on invalid ones', () => {
+    const files = {};
+    expect(addPermissionsFile(projectWith({ name: 'app' }), files)).toBe(false);
+    expect(addPermissionsFile(projectWith(null), files)).toBe(false);
+    expect(files).toEqual({});
+    expect(() => readPermissions(projectWith({ permissions: { tables: { x: { update: 'me' } } } }))).toThrow(/^vibes\.json: /);
+  });
+});
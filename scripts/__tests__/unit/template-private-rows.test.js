@@ -0,0 +1,74 @@
+/**
+ * Behavior tests for the vibes template's owner-only row guard.
+ *
+ * Runs the template's "Per-user data" section against real MergeableStores,
+ * one copy per device, and syncs them the way the template does.
+ */
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createMergeableStore, createMiddleware } from 'tinybase';
+import { createLocalSynchronizer } from 'tinybase/synchronizers/synchronizer-local';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PLUGIN_ROOT = join(__dirname, '..', '..', '..');
+const delta = readFileSync(join(PLUGIN_ROOT, 'skills/vibes/template.delta.html'), 'utf8');
+const perUserSection = delta.slice(delta.indexOf('  // --- Per-user data ---'), delta.indexOf('  // Stamps new rows'));
+
+/** A device running the template with `ownerId` signed in. */
+function device(ownerId) {
+  const run = new Function(
+    'createMiddleware', 'appSchema', 'migrating', 'clientId', 'window', 'fetch',
+    `${perUserSection}\nreturn guardPrivateRows;`,
+  );
+  const guardPrivateRows = run(createMiddleware, { private: ['notes'] }, false, ownerId, {}, () => Promise.reject());
+  const store = createMergeableStore(ownerId);
+  guardPrivateRows(store);
+  return store;
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+async function synced(...stores) {
+  const synchronizers = stores.map((store) => createLocalSynchronizer(store));
+  for (const synchronizer of synchronizers) await synchronizer.startSync();
+  await settle();
+  return () => synchronizers.forEach((synchronizer) => synchronizer.destroy());
+}
+
+describe('guardPrivateRows', () => {
+  it('refuses local changes to rows another user owns', () => {
+    const alice = device('alice');
+    const bob = device('bob');
+    alice.setRow('notes', 'n1', { text: 'mine' });
+    bob.merge(alice);
+    expect(bob.getCell('notes', 'n1', 'owner')).toBe('alice');
+
+    bob.setCell('notes', 'n1', 'text', 'hijacked');
+    bob.delRow('notes', 'n1');
+    expect(bob.getRow('notes', 'n1')).toEqual({ text: 'mine', owner: 'alice' });
+
+    bob.setRow('notes', 'n2', { text: 'his', owner: 'alice' });
+    expect(bob.getCell('notes', 'n2', 'owner')).toBe('bob');
+  });
+
+  it("applies the owner's synced changes on other devices", async () => {
+    const alice = device('alice');
+    const bob = device('bob');
+    const stop = await synced(alice, bob);
+
+    alice.setRow('notes', 'n1', { text: 'first' });
+    await settle();
+    expect(bob.getRow('notes', 'n1')).toEqual({ text: 'first', owner: 'alice' });
+
+    alice.setCell('notes', 'n1', 'text', 'edited');
+    await settle();
+    expect(bob.getCell('notes', 'n1', 'text')).toBe('edited');
+
+    alice.delRow('notes', 'n1');
+    await settle();
+    expect(bob.hasRow('notes', 'n1')).toBe(false);
+    stop();
+  });
+});
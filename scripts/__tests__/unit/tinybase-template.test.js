@@ -41,6 +41,27 @@ describe('TinyBase template', () => {
     expect(delta).toContain('window.useAddRowCallback');
   });
 
+  it('vibes delta guards private tables and exposes per-user hooks', () => {
+    const delta = readFileSync(join(PLUGIN_ROOT, 'skills/vibes/template.delta.html'), 'utf8');
+    expect(delta).toContain('createMiddleware(store)');
+    expect(delta).toContain('guardPrivateRows(store);');
+    for (const hook of ['useOwnerId', 'useMyTable', 'useMyRowIds', 'useMyValue', 'useMyValueState']) {
+      expect(delta).toContain(`window.${hook} =`);
+    }
+    expect(delta).toContain('<OwnerScope><App /></OwnerScope>');
+    const authGate = readFileSync(join(PLUGIN_ROOT, 'source-templates/auth/auth-gate.html'), 'utf8');
+    expect(authGate).toContain('<OwnerScope><App /></OwnerScope>');
+  });
+
+  it('vibes delta shares presence over the sync socket, outside the store', () => {
+    const delta = readFileSync(join(PLUGIN_ROOT, 'skills/vibes/template.delta.html'), 'utf8');
+    expect(delta).toContain('window.usePresence = usePresence;');
+    expect(delta).toMatch(/await synchronizer\.startSync\(\);\s*attachPresence\(ws\);/);
+    const section = delta.slice(delta.indexOf('// --- Presence ---'), delta.indexOf('// __VIBES_APP_CODE__'));
+    expect(section).toContain('PRESENCE_TIMEOUT_MS');
+    expect(section).not.toMatch(/\bstore\.\w|useSetRowCallback|useCellState/);
+  });
+
   it('vibes delta has AppErrorBoundary class', () => {
     const delta = readFileSync(join(PLUGIN_ROOT, 'skills/vibes/template.delta.html'), 'utf8');
     expect(delta).toContain('class AppErrorBoundary');
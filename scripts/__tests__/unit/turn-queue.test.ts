@@ -0,0 +1,116 @@
+/**
+ * Unit tests for server/turn-queue.ts and the bridge's onReady hook that
+ * drains it.
+ */
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  createTurnQueue, enqueueTurn, takeNextTurn, finishRunningTurn, cancelRunningTurn, removeQueuedTurn, moveQueuedTurn,
+  clearQueue, hasQueuedTurns, queueUpdateEvent, MAX_QUEUED_TURNS,
+} from '../../server/turn-queue.ts';
+import { createBridge } from '../../server/claude-bridge.ts';
+
+function queueOf(...messages: string[]) {
+  const queue = createTurnQueue();
+  for (const message of messages) enqueueTurn(queue, message, { message });
+  return queue;
+}
+
+const messages = (queue: ReturnType<typeof createTurnQueue>) => queue.queued.map(t => t.message);
+
+describe('turn queue', () => {
+  it('runs turns in order', () => {
+    const queue = queueOf('one', 'two');
+    expect(hasQueuedTurns(queue)).toBe(true);
+
+    const first = takeNextTurn(queue);
+    expect(first).toMatchObject({ message: 'one', status: 'running', request: { message: 'one' } });
+    expect(queueUpdateEvent(queue)).toEqual({
+      type: 'queue_update',
+      turns: [
+        { id: first!.id, status: 'running', message: 'one', queuedAt: first!.queuedAt },
+        expect.objectContaining({ status: 'queued', message: 'two' }),
+      ],
+    });
+
+    expect(finishRunningTurn(queue)).toBe(first);
+    expect(takeNextTurn(queue)?.message).toBe('two');
+    expect(takeNextTurn(queue)).toBeNull();
+    expect(hasQueuedTurns(queue)).toBe(false);
+  });
+
+  it('reorders and removes queued turns', () => {
+    const queue = queueOf('a', 'b', 'c');
+    const [a, b, c] = queue.queued;
+
+    expect(moveQueuedTurn(queue, c.id, 0)).toBe(true);
+    expect(messages(queue)).toEqual(['c', 'a', 'b']);
+    expect(moveQueuedTurn(queue, c.id, 99)).toBe(true);
+    expect(messages(queue)).toEqual(['a', 'b', 'c']);
+    expect(moveQueuedTurn(queue, 'nope', 0)).toBe(false);
+
+    expect(removeQueuedTurn(queue, b.id)).toMatchObject({ message: 'b', status: 'cancelled' });
+    expect(removeQueuedTurn(queue, b.id)).toBeNull();
+    expect(queueUpdateEvent(queue, [b]).turns.map((t: any) => [t.message, t.status])).toEqual([
+      ['a', 'queued'], ['c', 'queued'], ['b', 'cancelled'],
+    ]);
+
+    // A running turn can't be removed or moved
+    takeNextTurn(queue);
+    expect(removeQueuedTurn(queue, a.id)).toBeNull();
+    expect(moveQueuedTurn(queue, a.id, 0)).toBe(false);
+  });
+
+  it('cancels the running turn and clears everything', () => {
+    const queue = queueOf('a', 'b', 'c');
+    takeNextTurn(queue);
+    expect(cancelRunningTurn(queue)).toMatchObject({ message: 'a', status: 'cancelled' });
+    expect(queue.running).toBeNull();
+    expect(cancelRunningTurn(queue)).toBeNull();
+
+    takeNextTurn(queue);
+    expect(clearQueue(queue).map(t => [t.message, t.status])).toEqual([['b', 'cancelled'], ['c', 'cancelled']]);
+    expect(hasQueuedTurns(queue)).toBe(false);
+  });
+
+  it('refuses turns beyond the limit', () => {
+    const queue = queueOf(...Array.from({ length: MAX_QUEUED_TURNS }, (_, i) => `m${i}`));
+    expect(enqueueTurn(queue, 'one too many', null)).toBeNull();
+    expect(queue.queued).toHaveLength(MAX_QUEUED_TURNS);
+  });
+});
+
+describe('bridge onReady', () => {
+  const savedBackend = process.env.VIBES_MODEL_BACKEND;
+  const savedBaseUrl = process.env.VIBES_OPENAI_BASE_URL;
+  let appDir: string;
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    if (savedBackend === undefined) delete process.env.VIBES_MODEL_BACKEND; else process.env.VIBES_MODEL_BACKEND = savedBackend;
+    if (savedBaseUrl === undefined) delete process.env.VIBES_OPENAI_BASE_URL; else process.env.VIBES_OPENAI_BASE_URL = savedBaseUrl;
+    if (appDir) rmSync(appDir, { recursive: true, force: true });
+  });
+
+  it('fires after the turn has ended and its events are out', async () => {
+    appDir = mkdtempSync(join(tmpdir(), 'vibes-turn-queue-'));
+    process.env.VIBES_MODEL_BACKEND = 'openai';
+    process.env.VIBES_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+    const body = 'data: {"choices":[{"delta":{"content":"Done."},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n';
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(body, { status: 200 })));
+
+    const events: string[] = [];
+    const bridge = createBridge(appDir, (event: any) => events.push(event.type));
+    const ready = new Promise<string>(resolve => {
+      bridge.onReady = () => resolve(bridge.state);
+    });
+    bridge.sendMessage('hello');
+    expect(bridge.state).toBe('streaming');
+
+    expect(await ready).toBe('idle');
+    expect(events).toContain('complete');
+    bridge.kill();
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for unified-diff.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffLines, createUnifiedDiff, diffStats } from '../../lib/unified-diff.js';
+
+describe('diffLines', () => {
+  it('returns only context ops for identical input', () => {
+    const ops = diffLines(['a', 'b'], ['a', 'b']);
+    expect(ops.every(o => o.op === ' ')).toBe(true);
+  });
+
+  it('detects a single changed line', () => {
+    const ops = diffLines(['a', 'b', 'c'], ['a', 'x', 'c']);
+    expect(ops).toEqual([
+      { op: ' ', line: 'a' },
+      { op: '-', line: 'b' },
+      { op: '+', line: 'x' },
+      { op: ' ', line: 'c' },
+    ]);
+  });
+
+  it('handles pure insertions and deletions', () => {
+    expect(diffLines([], ['a'])).toEqual([{ op: '+', line: 'a' }]);
+    expect(diffLines(['a'], [])).toEqual([{ op: '-', line: 'a' }]);
+  });
+
+  it('reconstructs both sides from the edit script', () => {
+    const a = ['one', 'two', 'three', 'four', 'five', 'six'];
+    const b = ['zero', 'one', 'three', 'four', 'FIVE', 'six', 'seven'];
+    const ops = diffLines(a, b);
+    expect(ops.filter(o => o.op !== '+').map(o => o.line)).toEqual(a);
+    expect(ops.filter(o => o.op !== '-').map(o => o.line)).toEqual(b);
+  });
+});
+
+describe('createUnifiedDiff', () => {
+  it('returns empty string for identical text', () => {
+    expect(createUnifiedDiff('a\nb\n', 'a\nb\n')).toBe('');
+  });
+
+  it('emits headers and a hunk with line ranges', () => {
+    const diff = createUnifiedDiff('a\nb\nc\n', 'a\nB\nc\n');
+    expect(diff).toBe([
+      '--- a/app.jsx',
+      '+++ b/app.jsx',
+      '@@ -1,3 +1,3 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      '',
+    ].join('\n'));
+  });
+
+  it('uses custom labels', () => {
+    const diff = createUnifiedDiff('a\n', 'b\n', { oldLabel: 'old', newLabel: 'new' });
+    expect(diff.startsWith('--- old\n+++ new\n')).toBe(true);
+  });
+
+  it('splits distant changes into separate hunks', () => {
+    const before = Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n');
+    const after = before.replace('line 2', 'LINE 2').replace('line 27', 'LINE 27');
+    const diff = createUnifiedDiff(before, after);
+    expect(diff.match(/^@@/gm)).toHaveLength(2);
+    expect(diff).toContain('@@ -1,6 +1,6 @@');
+    expect(diff).toContain('@@ -25,6 +25,6 @@');
+  });
+
+  it('handles diffs against an empty file', () => {
+    const diff = createUnifiedDiff('', 'a\nb\n');
+    expect(diff).toContain('@@ -0,0 +1,2 @@');
+  });
+});
+
+describe('diffStats', () => {
+  it('counts added and removed lines, ignoring headers', () => {
+    const diff = createUnifiedDiff('a\nb\nc\n', 'a\nx\ny\n');
+    expect(diffStats(diff)).toEqual({ added: 2, removed: 2 });
+  });
+});
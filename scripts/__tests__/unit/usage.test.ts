@@ -0,0 +1,115 @@
+/**
+ * Unit tests for server/usage.ts — per-app usage ledger, daily rollup and budget warnings.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, existsSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  recordUsage, loadUsage, summarizeUsage, fromClaudeUsage, fromOpenRouterUsage, budgetWarningEvent, dayKey,
+} from '../../server/usage.ts';
+
+let home: string;
+let appA: string;
+let appB: string;
+const savedHome = process.env.VIBES_HOME;
+const savedBudget = process.env.VIBES_DAILY_BUDGET_USD;
+
+const NOW = new Date(2026, 4, 10, 12, 0, 0).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  home = mkdtempSync(join(tmpdir(), 'vibes-usage-'));
+  appA = join(home, 'apps', 'alpha');
+  appB = join(home, 'apps', 'beta');
+  process.env.VIBES_HOME = home;
+  delete process.env.VIBES_DAILY_BUDGET_USD;
+});
+
+afterEach(() => {
+  if (savedHome === undefined) delete process.env.VIBES_HOME; else process.env.VIBES_HOME = savedHome;
+  if (savedBudget === undefined) delete process.env.VIBES_DAILY_BUDGET_USD; else process.env.VIBES_DAILY_BUDGET_USD = savedBudget;
+  rmSync(home, { recursive: true, force: true });
+});
+
+describe('usage ledger', () => {
+  it('maps Claude and OpenRouter usage fields', () => {
+    expect(fromClaudeUsage({ input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 100, cache_creation_input_tokens: 7 }, 0.03)).toEqual({
+      inputTokens: 10, outputTokens: 5, cacheReadTokens: 100, cacheWriteTokens: 7, costUsd: 0.03,
+    });
+    expect(fromOpenRouterUsage({ prompt_tokens: 40, completion_tokens: 1290, cost: 0.12 })).toEqual({
+      inputTokens: 40, outputTokens: 1290, cacheReadTokens: 0, costUsd: 0.12,
+    });
+    expect(fromClaudeUsage(null, null).costUsd).toBeNull();
+  });
+
+  it('records calls with running totals', () => {
+    recordUsage(appA, { source: 'chat', model: 'sonnet', ...fromClaudeUsage({ input_tokens: 10, output_tokens: 5 }, 0.01) }, NOW);
+    const second = recordUsage(appA, { source: 'theme', inputTokens: 20, outputTokens: 8, costUsd: 0.02, durationMs: 900 }, NOW + 1);
+
+    expect(second?.entry).toMatchObject({ source: 'theme', model: null, inputTokens: 20, costUsd: 0.02, durationMs: 900 });
+    const ledger = loadUsage(appA);
+    expect(ledger.entries.map(e => e.source)).toEqual(['chat', 'theme']);
+    expect(ledger.totals).toMatchObject({ calls: 2, inputTokens: 30, outputTokens: 13 });
+    expect(ledger.totals.costUsd).toBeCloseTo(0.03);
+    expect(existsSync(join(appA, '.vibes', 'usage.json'))).toBe(true);
+  });
+
+  it('skips reports without tokens or cost', () => {
+    expect(recordUsage(appA, { source: 'chat', costUsd: null }, NOW)).toBeNull();
+    expect(existsSync(join(appA, '.vibes', 'usage.json'))).toBe(false);
+  });
+
+  it('ignores a corrupt ledger', () => {
+    mkdirSync(join(appA, '.vibes'), { recursive: true });
+    writeFileSync(join(appA, '.vibes', 'usage.json'), '{nope');
+    expect(loadUsage(appA).entries).toEqual([]);
+    recordUsage(appA, { source: 'chat', costUsd: 0.01 }, NOW);
+    expect(loadUsage(appA).totals.calls).toBe(1);
+  });
+});
+
+describe('summarizeUsage', () => {
+  it('reports daily and per-app totals across apps', () => {
+    recordUsage(appA, { source: 'generate', inputTokens: 100, costUsd: 0.5 }, NOW - DAY);
+    recordUsage(appA, { source: 'chat', inputTokens: 10, costUsd: 0.1 }, NOW);
+    recordUsage(appB, { source: 'image', outputTokens: 1000, costUsd: 0.2 }, NOW);
+
+    const summary = summarizeUsage({ appDir: appA, days: 7, now: NOW });
+
+    expect(summary.daily).toHaveLength(7);
+    expect(summary.today.date).toBe(dayKey(NOW));
+    expect(summary.today.calls).toBe(2);
+    expect(summary.today.costUsd).toBeCloseTo(0.3);
+    expect(summary.daily[5]).toMatchObject({ date: dayKey(NOW - DAY), calls: 1, inputTokens: 100 });
+
+    expect(summary.apps.map(a => a.name)).toEqual(['alpha', 'beta']);
+    expect(summary.apps[0].totals.costUsd).toBeCloseTo(0.6);
+    expect(summary.apps[0].today.costUsd).toBeCloseTo(0.1);
+
+    expect(summary.app?.totals.calls).toBe(2);
+    expect(Object.keys(summary.app!.bySource).sort()).toEqual(['chat', 'generate']);
+    expect(summary.app?.recent[0].source).toBe('chat');
+    expect(summary.budget).toBeNull();
+  });
+});
+
+describe('budget warnings', () => {
+  it('warns once when crossing 80% and once when exceeding the daily budget', () => {
+    process.env.VIBES_DAILY_BUDGET_USD = '1';
+
+    expect(recordUsage(appA, { source: 'chat', costUsd: 0.5 }, NOW)?.warning).toBeNull();
+    expect(recordUsage(appB, { source: 'chat', costUsd: 0.35 }, NOW)?.warning).toMatchObject({ level: 'near', budgetUsd: 1 });
+    expect(recordUsage(appA, { source: 'chat', costUsd: 0.05 }, NOW)?.warning).toBeNull();
+    const exceeded = recordUsage(appA, { source: 'chat', costUsd: 0.2 }, NOW)?.warning;
+    expect(exceeded).toMatchObject({ level: 'exceeded', date: dayKey(NOW) });
+    expect(exceeded!.spentUsd).toBeCloseTo(1.1);
+    expect(recordUsage(appA, { source: 'chat', costUsd: 0.2 }, NOW)?.warning).toBeNull();
+
+    // A new day starts from zero
+    expect(recordUsage(appA, { source: 'chat', costUsd: 0.2 }, NOW + DAY)?.warning).toBeNull();
+
+    expect(budgetWarningEvent(exceeded!)).toMatchObject({ type: 'status', status: 'budget_warning', level: 'exceeded' });
+    expect(summarizeUsage({ now: NOW }).budget).toMatchObject({ dailyUsd: 1, remainingUsd: 0 });
+  });
+});
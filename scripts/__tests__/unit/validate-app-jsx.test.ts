@@ -4,7 +4,7 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { mkdirSync, rmSync, writeFileSync } from 'fs';
 import { join } from 'path';
-import { validateAppJsx } from '../../lib/validate-app-jsx.ts';
+import { validateAppJsx, validateAppSource } from '../../lib/validate-app-jsx.ts';
 
 const TMP = join(import.meta.dirname, '.tmp-validate-test');
 
@@ -45,6 +45,18 @@ describe('validateAppJsx', () => {
     expect(r.ok).toBe(false);
   });
 
+  it('accepts TypeScript in app.tsx', () => {
+    const p = join(TMP, 'app.tsx');
+    writeFileSync(p, 'interface Props { n: number }\nexport default function App({ n }: Props) { const [s] = useState<string>(""); return <div>{s}{n}</div>; }');
+    expect(validateAppJsx(p)).toEqual({ ok: true });
+  });
+
+  it('returns not-ok for TypeScript in app.jsx', () => {
+    const p = join(TMP, 'app.jsx');
+    writeFileSync(p, 'const n: number = 1;');
+    expect(validateAppJsx(p).ok).toBe(false);
+  });
+
   it('truncates long error messages to 500 chars', () => {
     const p = join(TMP, 'app.jsx');
     writeFileSync(p, '(' .repeat(2000));
@@ -53,3 +65,21 @@ describe('validateAppJsx', () => {
     if (!r.ok) expect(r.error.length).toBeLessThanOrEqual(500);
   });
 });
+
+describe('validateAppSource', () => {
+  it('checks app.jsx and every src/ module, naming the failing file', () => {
+    mkdirSync(join(TMP, 'src', 'ui'), { recursive: true });
+    writeFileSync(join(TMP, 'app.jsx'), "import { Card } from './src/ui/Card.jsx';\nexport default function App() { return <Card />; }");
+    writeFileSync(join(TMP, 'src', 'ui', 'Card.jsx'), 'export function Card() { return <div>ok</div>; }');
+    expect(validateAppSource(TMP)).toEqual({ ok: true });
+
+    writeFileSync(join(TMP, 'src', 'ui', 'Card.jsx'), 'export function Card() { return <div>ok; }');
+    const r = validateAppSource(TMP);
+    expect(r.ok).toBe(false);
+    if (!r.ok) expect(r.error).toMatch(/^src\/ui\/Card\.jsx: /);
+  });
+
+  it('fails when app.jsx is missing', () => {
+    expect(validateAppSource(TMP).ok).toBe(false);
+  });
+});
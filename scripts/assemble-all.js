@@ -15,6 +15,7 @@ import { resolve } from 'path';
 import { TEMPLATES } from './lib/paths.js';
 import { APP_PLACEHOLDER, injectCode, loadAndValidateTemplate } from './lib/assembly-utils.js';
 import { stripForTemplate } from './lib/strip-code.js';
+import { bundleAppSource, resolveAppEntry } from './lib/app-source.js';
 import { OIDC_AUTHORITY, OIDC_CLIENT_ID, DEPLOY_API_URL, AI_PROXY_URL } from './lib/auth-constants.js';
 
 const templatePath = TEMPLATES.vibesBasic;
@@ -39,7 +40,7 @@ if (riffDirs.length === 0) {
 // Assemble all in parallel
 const results = await Promise.all(
   riffDirs.map(async (dir) => {
-    const appPath = resolve(dir, 'app.jsx');
+    const appPath = resolveAppEntry(resolve(dir));
     const outputPath = resolve(dir, 'index.html');
 
     if (!existsSync(appPath)) {
@@ -47,7 +48,7 @@ const results = await Promise.all(
     }
 
     try {
-      const appCode = readFileSync(appPath, 'utf8').trim();
+      const appCode = (await bundleAppSource(appPath)).trim();
       const cleanedCode = stripForTemplate(appCode, { stripReactHooks: true });
       let output = injectCode(template, APP_PLACEHOLDER, cleanedCode);
       output = output.replaceAll('__OIDC_AUTHORITY__', OIDC_AUTHORITY);
@@ -3,6 +3,7 @@
  * Vibes App Assembler
  *
  * Inserts JSX app code into the template to create a complete HTML file.
+ * Modules app.jsx imports from src/ are bundled in (see lib/app-source.js).
  *
  * Usage:
  *   bun scripts/assemble.js <app.jsx> [output.html]
@@ -18,6 +19,7 @@ import { createBackup } from './lib/backup.js';
 import { OIDC_AUTHORITY, OIDC_CLIENT_ID, DEPLOY_API_URL, AI_PROXY_URL } from './lib/auth-constants.js';
 import { APP_PLACEHOLDER, AUTH_INJECT_MARKER, injectCode, validateAssembly, loadAndValidateTemplate, checkForbiddenPatterns, stripOidcImportBlock, patchAppBackground } from './lib/assembly-utils.js';
 import { stripForTemplate } from './lib/strip-code.js';
+import { bundleAppSource } from './lib/app-source.js';
 
 
 async function main() {
@@ -43,7 +45,7 @@ async function main() {
 
   // Load and validate template (checks existence + placeholder)
   const template = loadAndValidateTemplate(templatePath, readFileSync);
-  const appCode = readFileSync(resolvedAppPath, 'utf8').trim();
+  const appCode = (await bundleAppSource(resolvedAppPath)).trim();
 
   console.log('Assembling (App config will be injected at deploy time)');
 
@@ -43,6 +43,8 @@ const COMPONENT_SOURCES = {
   "MoonIcon": "icons/MoonIcon.tsx",
   "SunIcon": "icons/SunIcon.tsx",
   "DesignIcon": "icons/DesignIcon.tsx",
+  "DataIcon": "icons/DataIcon.tsx",
+  "SyncIcon": "icons/SyncIcon.tsx",
 
   // New components (in dependency order)
   "BrutalistCard.styles": "BrutalistCard/BrutalistCard.styles.ts",
@@ -62,6 +64,8 @@ const COMPONENT_SOURCES = {
   "VibesButton.styles": "VibesButton/VibesButton.styles.ts",
   "VibesButton": "VibesButton/VibesButton.tsx",
   "VibesPanel.styles": "VibesPanel/VibesPanel.styles.ts",
+  "VibesPanel.data": "VibesPanel/data-transfer.ts",
+  "VibesPanel.sync": "VibesPanel/sync-diagnostics.ts",
   "VibesPanel": "VibesPanel/VibesPanel.tsx",
 };
 
@@ -201,6 +205,8 @@ if (typeof window !== 'undefined') {
   window.MoonIcon = MoonIcon;
   window.SunIcon = SunIcon;
   window.DesignIcon = DesignIcon;
+  window.DataIcon = DataIcon;
+  window.SyncIcon = SyncIcon;
 }
 `;
 
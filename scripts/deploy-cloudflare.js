@@ -4,20 +4,30 @@
  *
  * Usage:
  *   bun scripts/deploy-cloudflare.js --name myapp --file index.html [--ai-key <openrouter-key>]
+ *   bun scripts/deploy-cloudflare.js --name myapp --app app.jsx --stage staging
+ *   bun scripts/deploy-cloudflare.js --name myapp --promote staging
+ *   bun scripts/deploy-cloudflare.js --name myapp --rollback <deploy-id>
+ *   bun scripts/deploy-cloudflare.js --name myapp --history
+ *
+ * Every deploy is recorded with a snapshot of its source (lib/deploy-history.js).
+ * --stage deploys to <name>-<stage>; --promote redeploys a stage's latest
+ * snapshot to production (or to --stage); --rollback redeploys a recorded one.
  *
  * Authenticates via OIDC (Pocket ID) and POSTs the assembled HTML to the
  * Deploy API Worker, which handles Cloudflare deployment, KV, secrets, and assets.
  */
 
-import { readFileSync, existsSync, unlinkSync } from "fs";
-import { resolve, dirname, join } from "path";
-import { buildPlatformFiles, addAppAssets, separateBySize, uploadR2Assets } from './lib/deploy-files.js';
+import { readFileSync, writeFileSync, existsSync, unlinkSync } from "fs";
+import { resolve, dirname, join, basename } from "path";
+import { buildPlatformFiles, addAppAssets, addPermissionsFile, separateBySize, uploadR2Assets } from './lib/deploy-files.js';
 import { validateName, getApp, setApp } from './lib/registry.js';
 import { getAccessToken } from './lib/cli-auth.js';
 import { OIDC_AUTHORITY, OIDC_CLIENT_ID, DEPLOY_API_URL } from './lib/auth-constants.js';
 import { PLUGIN_ROOT } from './lib/paths.js';
+import { bundleAppSource } from './lib/app-source.js';
 import { provisionInviteLink } from './lib/provision-invite-link.js';
 import { readVibesJson, writeVibesJson } from './lib/vibes-json.js';
+import { stagedName, recordDeploy, listDeploys, resolveDeploySource, formatDeploy, PRODUCTION_STAGE } from './lib/deploy-history.js';
 
 async function deployViaAPI(name, files, accessToken, options = {}) {
   console.log(`Deploying ${name} (${Object.keys(files).length} file(s))...`);
@@ -62,12 +72,30 @@ async function deployViaAPI(name, files, accessToken, options = {}) {
   }
 }
 
+async function assembleApp(appFile, name) {
+  const { execSync } = await import('child_process');
+  const tmpOutput = resolve(process.cwd(), `.vibes-tmp-${name}.html`);
+  try {
+    execSync(`bun ${join(PLUGIN_ROOT, 'scripts/assemble.js')} "${appFile}" "${tmpOutput}"`, {
+      stdio: 'pipe',
+      cwd: process.cwd(),
+    });
+    return readFileSync(tmpOutput, 'utf8');
+  } finally {
+    try { unlinkSync(tmpOutput); } catch {}
+  }
+}
+
 async function main() {
   const args = process.argv.slice(2);
   const nameIdx = args.indexOf("--name");
   const fileIdx = args.indexOf("--file");
   const appIdx = args.indexOf("--app");
   const aiKeyIdx = args.indexOf("--ai-key");
+  const stageIdx = args.indexOf("--stage");
+  const rollbackIdx = args.indexOf("--rollback");
+  const promoteIdx = args.indexOf("--promote");
+  const stage = stageIdx !== -1 ? args[stageIdx + 1] : undefined;
 
   let name;
   if (nameIdx !== -1) {
@@ -79,9 +107,19 @@ async function main() {
       name = validateName(config.name);
       console.log(`Using app name from vibes.json: ${name}`);
     } else {
-      throw new Error("Usage: deploy-cloudflare.js --name <app-name> (--app <app.jsx> | --file <index.html>) [--ai-key <key>]");
+      throw new Error("Usage: deploy-cloudflare.js --name <app-name> (--app <app.jsx> | --file <index.html>) [--stage <stage>] [--promote <stage> | --rollback <id> | --history] [--ai-key <key>]");
     }
   }
+  const baseName = name;
+  name = stagedName(baseName, stage);
+
+  if (args.includes("--history")) {
+    const deploys = listDeploys(name);
+    if (deploys.length === 0) console.log(`No deploys recorded for ${name}`);
+    for (const entry of deploys) console.log(formatDeploy(entry));
+    return;
+  }
+
   // Cloudflare limits worker names with previews to 54 chars.
   // Longest prefix is "fireproof-dashboard-" (20 chars), so stage name max is 34.
   if (name.length > 34) {
@@ -89,32 +127,50 @@ async function main() {
   }
   const aiKey = aiKeyIdx !== -1 ? args[aiKeyIdx + 1] : (process.env.OPENROUTER_API_KEY || null);
 
+  // Rollback / promote redeploy a recorded snapshot instead of local files
+  const source = resolveDeploySource(baseName, {
+    stage,
+    rollback: rollbackIdx !== -1 ? args[rollbackIdx + 1] : undefined,
+    promote: promoteIdx !== -1 ? args[promoteIdx + 1] : undefined,
+  });
+
   // Build HTML content — either assemble from app.jsx or read pre-assembled HTML
   let htmlContent;
+  // What the deploy history snapshots: app.jsx when assembling, else the HTML
+  let snapshot;
 
-  if (appIdx !== -1) {
+  if (source) {
+    snapshot = { content: source.content, file: source.entry.file };
+    if (source.entry.file === 'index.html') {
+      htmlContent = source.content;
+    } else {
+      // Assemble next to the project so relative paths resolve as they did
+      const tmpApp = resolve(process.cwd(), `.vibes-tmp-${name}.jsx`);
+      writeFileSync(tmpApp, source.content);
+      try {
+        htmlContent = await assembleApp(tmpApp, name);
+      } finally {
+        try { unlinkSync(tmpApp); } catch {}
+      }
+    }
+    console.log(rollbackIdx !== -1
+      ? `Rolling back ${name} to deploy ${source.entry.id}`
+      : `Promoting ${source.entry.name} deploy ${source.entry.id} to ${name}`);
+  } else if (appIdx !== -1) {
     // Assemble from app.jsx
     const appFile = resolve(process.cwd(), args[appIdx + 1]);
     if (!existsSync(appFile)) throw new Error(`App file not found: ${appFile}`);
-
-    const { execSync } = await import('child_process');
-    const tmpOutput = resolve(process.cwd(), `.vibes-tmp-${name}.html`);
-    try {
-      execSync(`bun ${join(PLUGIN_ROOT, 'scripts/assemble.js')} "${appFile}" "${tmpOutput}"`, {
-        stdio: 'pipe',
-        cwd: process.cwd(),
-      });
-      htmlContent = readFileSync(tmpOutput, 'utf8');
-    } finally {
-      try { unlinkSync(tmpOutput); } catch {}
-    }
-    console.log('Assembled app.jsx into template');
+    htmlContent = await assembleApp(appFile, name);
+    // Flattened (modules inlined, types stripped) so the snapshot redeploys on its own
+    snapshot = { content: await bundleAppSource(appFile), file: 'app.jsx' };
+    console.log(`Assembled ${basename(appFile)} into template`);
   } else {
     // Use pre-assembled HTML file
     const file = fileIdx !== -1 ? args[fileIdx + 1] : "index.html";
     const srcFile = resolve(process.cwd(), file);
     if (!existsSync(srcFile)) throw new Error(`File not found: ${srcFile}`);
     htmlContent = readFileSync(srcFile, 'utf8');
+    snapshot = { content: htmlContent, file: 'index.html' };
   }
 
   const files = {
@@ -131,6 +187,13 @@ async function main() {
   addAppAssets(resolve(appDir, 'assets'), files);
   const assetCount = Object.keys(files).filter(k => k.startsWith('assets/')).length;
   if (assetCount > 0) console.log(`Included ${assetCount} asset file(s)`);
+  let hasPermissions;
+  try {
+    hasPermissions = addPermissionsFile(appDir, files);
+  } catch (err) {
+    throw new Error(`Invalid sync permissions in ${resolve(appDir, 'vibes.json')} — ${err.message.replace(/^vibes\.json: /, '')}`);
+  }
+  if (hasPermissions) console.log('Included sync permissions from vibes.json');
 
   console.log(`Deploying ${name} to Cloudflare Workers via Deploy API...`);
 
@@ -175,16 +238,27 @@ async function main() {
     wsUrl: result.wsUrl,
   });
 
-  // Write deploy info to vibes.json if in a project folder
+  // Record the deploy in the registry and vibes.json
   const deployDir = appIdx !== -1
     ? dirname(resolve(process.cwd(), args[appIdx + 1]))
     : process.cwd();
-  if (existsSync(join(deployDir, 'vibes.json'))) {
+  const entry = recordDeploy(name, {
+    ...snapshot,
+    url: deployedUrl,
+    target: 'cloudflare',
+    stage,
+    rollbackOf: rollbackIdx !== -1 ? source.entry.id : undefined,
+    promotedFrom: promoteIdx !== -1 ? source.entry.id : undefined,
+    projectDir: deployDir,
+  });
+  // vibes.json `deploy` describes production; stages only go in `deploys`
+  if ((!stage || stage === PRODUCTION_STAGE) && existsSync(join(deployDir, 'vibes.json'))) {
     writeVibesJson(deployDir, {
       deploy: {
+        id: entry.id,
         url: deployedUrl,
         workerName: `vibes-app-${name}`,
-        deployedAt: new Date().toISOString(),
+        deployedAt: entry.deployedAt,
       },
     });
     console.log('Updated vibes.json with deploy info');
@@ -193,7 +267,7 @@ async function main() {
   // Auto-provision public invite link for private apps (fire-and-forget)
   await provisionInviteLink(DEPLOY_API_URL, name, tokens.accessToken);
 
-  console.log(`\nDeployed to ${deployedUrl}`);
+  console.log(`\nDeployed to ${deployedUrl} (deploy ${entry.id})`);
 }
 
 main().catch((e) => {
@@ -7,6 +7,8 @@
  *
  * Usage: bun generate-riff.js <theme> <lens> <output-path> <visual>
  * Example: bun generate-riff.js "productivity apps" 1 riff-1/app.jsx "warm sunset tones"
+ *
+ * An output path ending in .tsx (riff-1/app.tsx) generates a typed app.
  */
 
 import { spawnSync } from 'child_process';
@@ -37,6 +39,20 @@ const lensDesc = lensDescriptions[lens] || lensDescriptions['9'];
 
 const visualDirection = visual || 'your choice based on the theme';
 
+const typescript = outputPath.endsWith('.tsx');
+
+const languageRules = typescript
+  ? `CRITICAL: Write TypeScript (TSX). The template provides React, the React hooks and the TinyBase hooks as typed globals:
+- Type component props with interfaces and state with generics: useState<Task[]>([])
+- Type TinyBase rows when reading them: const task = useRow('tasks', id) as Task
+- NEVER use \`any\`; prefer \`unknown\` and narrow it
+- NO enums or namespaces — only type syntax that can be stripped`
+  : `CRITICAL: Use plain JavaScript only. NEVER use TypeScript syntax:
+- NO generics: useState<T>, Array<T>
+- NO type annotations: const x: string, function(x: number)
+- NO interfaces or type aliases
+- NO "as" assertions: (x as any)`;
+
 const prompt = `You are generating a Vibes app.
 
 Theme: ${theme}
@@ -51,11 +67,7 @@ First, reason about the design in <reasoning> tags:
 
 Then output your complete code in <code> tags.
 
-CRITICAL: Use plain JavaScript only. NEVER use TypeScript syntax:
-- NO generics: useState<T>, Array<T>
-- NO type annotations: const x: string, function(x: number)
-- NO interfaces or type aliases
-- NO "as" assertions: (x as any)
+${languageRules}
 
 Your code must follow this structure:
 /*BUSINESS
@@ -121,7 +133,7 @@ try {
     cleanCode = codeMatch[1].trim();
   } else {
     // Fallback: try markdown code blocks
-    const markdownMatch = output.match(/```(?:jsx|javascript|js)?\s*([\s\S]*?)```/);
+    const markdownMatch = output.match(/```(?:tsx|typescript|ts|jsx|javascript|js)?\s*([\s\S]*?)```/);
     if (markdownMatch) {
       cleanCode = markdownMatch[1].trim();
     } else {
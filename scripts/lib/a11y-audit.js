@@ -0,0 +1,305 @@
+/**
+ * Accessibility audit of a rendered app.
+ *
+ * Runs inside the render check (lib/render-check.js) once the app has
+ * mounted in happy-dom, and checks what a screen reader or keyboard user
+ * would trip over:
+ *
+ *   - contrast:             --comp-* token pairs the template's components
+ *                           draw text (or borders) with, against WCAG AA
+ *   - missing-alt:          <img> without an alt attribute
+ *   - missing-label:        form fields with no accessible name
+ *   - unlabeled-button:     buttons and links with no text or aria-label
+ *   - positive-tabindex:    tabindex > 0, which reorders keyboard focus
+ *   - hidden-focusable:     focusable elements inside aria-hidden="true"
+ *   - clickable-non-button: click handlers on elements keyboards can't reach
+ *
+ * Contrast uses the editor's own color math (editor-color-utils.js), so the
+ * audit agrees with the palette editor's AA badges.
+ */
+
+import { readFileSync } from 'fs';
+import { EDITOR_MODULES } from './paths.js';
+
+/**
+ * Token pairs checked for contrast: foreground, background and the WCAG AA
+ * minimum (4.5 for text, 3 for non-text UI like borders). Mirrors how the
+ * template's components combine the tokens.
+ */
+export const COMP_CONTRAST_PAIRS = [
+  { fg: '--comp-text', bg: '--comp-bg', min: 4.5 },
+  { fg: '--comp-muted', bg: '--comp-bg', min: 4.5 },
+  { fg: '--comp-accent-text', bg: '--comp-accent', min: 4.5 },
+  { fg: '--comp-accent-text', bg: '--comp-accent-red', min: 4.5 },
+  { fg: '--comp-accent-text', bg: '--comp-accent-gray', min: 4.5 },
+  { fg: '--comp-text', bg: '--comp-accent-yellow', min: 4.5 },
+  { fg: '--comp-border', bg: '--comp-bg', min: 3 },
+];
+
+const NAMED_COLORS = { white: '#ffffff', black: '#000000' };
+const NATIVE_INTERACTIVE = new Set(['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'SUMMARY', 'LABEL', 'OPTION', 'DETAILS']);
+const INTERACTIVE_ROLES = new Set(['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option', 'textbox', 'combobox', 'slider']);
+const UNLABELED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+const FOCUSABLE = 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]';
+const SNIPPET_LENGTH = 120;
+
+/**
+ * @typedef {Object} A11yFinding
+ * @property {string} rule
+ * @property {'error'|'warning'} severity
+ * @property {string} message
+ * @property {string} element - Opening tag of the offending element (':root' for tokens)
+ * @property {number} count - Elements with this same finding
+ */
+
+let colorUtils = null;
+
+/** window.EditorColorUtils, evaluated once from the editor module. */
+function editorColorUtils() {
+  if (!colorUtils) {
+    const win = {};
+    new Function('window', readFileSync(EDITOR_MODULES.colorUtils, 'utf-8'))(win);
+    colorUtils = win.EditorColorUtils;
+  }
+  return colorUtils;
+}
+
+function channel(value, max) {
+  const n = parseFloat(value);
+  return value.endsWith('%') ? (n / 100) * max : n;
+}
+
+/**
+ * Parse a CSS color to #rrggbb. Handles hex, rgb()/rgba(), oklch() and
+ * black/white; alpha is ignored. Returns null for anything else
+ * (transparent, gradients, unresolved var()).
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function parseCssColor(value) {
+  const css = String(value || '').trim().toLowerCase();
+  const utils = editorColorUtils();
+  if (NAMED_COLORS[css]) return NAMED_COLORS[css];
+
+  const hex = css.match(/^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/)?.[1];
+  if (hex) {
+    const rgb = hex.length <= 4 ? hex.slice(0, 3) : hex.slice(0, 6);
+    return utils.rgbToHex(...utils.hexToRgb(rgb));
+  }
+
+  const fn = css.match(/^(rgba?|oklch)\(\s*([^)]*)\)$/);
+  if (!fn) return null;
+  const parts = fn[2].split('/')[0].split(/[\s,]+/).filter(Boolean);
+  if (parts.length < 3 || parts.some(p => p !== 'none' && Number.isNaN(parseFloat(p)))) return null;
+  if (fn[1] === 'oklch') {
+    const [l, c, h] = parts.map(p => (p === 'none' ? '0' : p));
+    return utils.oklchToHex(channel(l, 1), channel(c, 0.4), parseFloat(h));
+  }
+  return utils.rgbToHex(...parts.slice(0, 3).map(p => channel(p, 255)));
+}
+
+/**
+ * Check the --comp-* token pairs for contrast.
+ * @param {(name: string) => string} readToken - Computed value of a custom property
+ * @returns {A11yFinding[]}
+ */
+export function checkTokenContrast(readToken) {
+  const { contrastRatio } = editorColorUtils();
+  const findings = [];
+  for (const { fg, bg, min } of COMP_CONTRAST_PAIRS) {
+    const fgValue = readToken(fg).trim();
+    const bgValue = readToken(bg).trim();
+    const fgHex = parseCssColor(fgValue);
+    const bgHex = parseCssColor(bgValue);
+    if (!fgHex || !bgHex) continue;
+    const ratio = contrastRatio(fgHex, bgHex);
+    if (ratio >= min) continue;
+    findings.push({
+      rule: 'contrast',
+      severity: 'error',
+      message: `\`${fg}\` (${fgValue}) on \`${bg}\` (${bgValue}) has a contrast ratio of ${ratio.toFixed(2)}:1; WCAG AA needs ${min}:1.`,
+      element: ':root',
+      count: 1,
+    });
+  }
+  return findings;
+}
+
+/** The element's opening tag, shortened, to point at it in a report. */
+function describeElement(el) {
+  const tag = el.outerHTML.match(/^<[^>]*>/)?.[0] || `<${el.tagName.toLowerCase()}>`;
+  return tag.length > SNIPPET_LENGTH ? tag.slice(0, SNIPPET_LENGTH - 2) + '…>' : tag;
+}
+
+function textOf(el) {
+  return (el.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/** Name from aria-label, aria-labelledby or title. */
+function ariaName(el) {
+  const label = el.getAttribute('aria-label');
+  if (label && label.trim()) return label.trim();
+  const labelledBy = el.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const text = labelledBy.split(/\s+/)
+      .map(id => el.ownerDocument.getElementById(id))
+      .filter(Boolean)
+      .map(textOf)
+      .join(' ')
+      .trim();
+    if (text) return text;
+  }
+  const title = el.getAttribute('title');
+  return title && title.trim() ? title.trim() : '';
+}
+
+function fieldName(el) {
+  const name = ariaName(el);
+  if (name) return name;
+  if (el.id) {
+    const label = el.ownerDocument.querySelector(`label[for="${escapeAttribute(el.id)}"]`);
+    if (label && textOf(label)) return textOf(label);
+  }
+  const wrapping = el.closest('label');
+  return wrapping ? textOf(wrapping) : '';
+}
+
+function buttonName(el) {
+  const name = ariaName(el);
+  if (name) return name;
+  if (el.tagName === 'INPUT') return (el.getAttribute('value') || el.getAttribute('alt') || '').trim();
+  if (textOf(el)) return textOf(el);
+  const img = [...el.querySelectorAll('img[alt], svg[aria-label], svg title')]
+    .map(node => (node.tagName === 'IMG' ? node.getAttribute('alt') : node.getAttribute('aria-label') || node.textContent))
+    .find(text => text && text.trim());
+  return img ? img.trim() : '';
+}
+
+// For a quoted attribute selector
+function escapeAttribute(id) {
+  return id.replace(/["\\]/g, '\\$&');
+}
+
+/** React's props for a rendered DOM node (React 17+ keeps them on the node). */
+function reactProps(el) {
+  const key = Object.keys(el).find(k => k.startsWith('__reactProps$'));
+  return key ? el[key] : null;
+}
+
+function tabIndexOf(el) {
+  const value = el.getAttribute('tabindex');
+  return value === null ? null : parseInt(value, 10);
+}
+
+/**
+ * Audit a mounted app's DOM.
+ * @param {Element} root - The element the app rendered into
+ * @returns {A11yFinding[]}
+ */
+export function checkElements(root) {
+  const findings = [];
+  const report = (rule, el, message, severity = 'error') => {
+    findings.push({ rule, severity, message, element: describeElement(el), count: 1 });
+  };
+
+  for (const el of root.querySelectorAll('*')) {
+    const tag = el.tagName;
+    const role = (el.getAttribute('role') || '').trim().toLowerCase();
+
+    if (tag === 'IMG' && !el.hasAttribute('alt') && !ariaName(el)) {
+      report('missing-alt', el, 'Image has no alt text. Describe it with alt="...", or use alt="" if it is decorative.');
+    }
+
+    if ((tag === 'INPUT' && !UNLABELED_INPUT_TYPES.has((el.getAttribute('type') || 'text').toLowerCase())) || tag === 'SELECT' || tag === 'TEXTAREA') {
+      if (!fieldName(el)) {
+        const hint = el.getAttribute('placeholder') ? ' A placeholder is not a label.' : '';
+        report('missing-label', el, `Form field has no label. Add a <label>, or aria-label when there is no visible label.${hint}`);
+      }
+    }
+
+    const isButton = tag === 'BUTTON' || role === 'button' || (tag === 'INPUT' && ['submit', 'button', 'reset', 'image'].includes((el.getAttribute('type') || '').toLowerCase()));
+    const isLink = tag === 'A' && el.hasAttribute('href');
+    if ((isButton || isLink) && !buttonName(el)) {
+      report('unlabeled-button', el, `${isLink ? 'Link' : 'Button'} has no accessible name. Give icon-only controls an aria-label.`);
+    }
+
+    const tabIndex = tabIndexOf(el);
+    if (tabIndex > 0) {
+      report('positive-tabindex', el, `tabindex="${tabIndex}" moves this element ahead of the page order for keyboard users. Use 0 (or no tabindex) and order the markup instead.`, 'warning');
+    }
+
+    if (el.getAttribute('aria-hidden') === 'true') {
+      for (const focusable of el.querySelectorAll(FOCUSABLE)) {
+        if (tabIndexOf(focusable) === -1) continue;
+        report('hidden-focusable', focusable, 'Focusable element is inside aria-hidden="true": keyboard users can reach it but screen readers skip it.');
+      }
+    }
+
+    const props = reactProps(el);
+    if (props && typeof props.onClick === 'function') {
+      const keyboardReachable = (NATIVE_INTERACTIVE.has(tag) && (tag !== 'A' || el.hasAttribute('href'))) || tabIndex !== null;
+      if (!keyboardReachable) {
+        const semantics = INTERACTIVE_ROLES.has(role) ? 'add tabIndex={0} and an Enter/Space key handler' : 'use a <button> (or add role="button", tabIndex={0} and a key handler)';
+        report('clickable-non-button', el, `Element has a click handler but can't be reached with the keyboard: ${semantics}.`);
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Merge repeats of the same finding on the same markup (e.g. every row's
+ * delete button), counting them.
+ * @param {A11yFinding[]} findings
+ * @returns {A11yFinding[]}
+ */
+export function mergeFindings(findings) {
+  const merged = new Map();
+  for (const finding of findings) {
+    const key = `${finding.rule}\0${finding.element}\0${finding.message}`;
+    const existing = merged.get(key);
+    if (existing) existing.count += finding.count;
+    else merged.set(key, { ...finding });
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Run the full audit on a mounted page.
+ * @param {Window} window - happy-dom window of the page
+ * @param {Element} root - The element the app rendered into
+ * @returns {A11yFinding[]}
+ */
+export function auditAccessibility(window, root) {
+  const style = window.getComputedStyle(window.document.documentElement);
+  return mergeFindings([
+    ...checkTokenContrast(name => style.getPropertyValue(name) || ''),
+    ...checkElements(root),
+  ]);
+}
+
+/**
+ * One line per finding: `severity [rule] message <element> (xN)`.
+ * @param {A11yFinding[]} findings
+ * @returns {string}
+ */
+export function formatA11yFindings(findings) {
+  return findings
+    .map(f => `${f.severity} [${f.rule}] ${f.message} ${f.element}${f.count > 1 ? ` (x${f.count})` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Chat prompt asking Claude to fix the audit's findings.
+ * @param {A11yFinding[]} findings
+ * @returns {string}
+ */
+export function buildA11yFixPrompt(findings) {
+  return [
+    'An accessibility audit of the rendered app found these issues:',
+    '',
+    formatA11yFindings(findings),
+    '',
+    'Fix them in the app source. For contrast issues, adjust the --comp-* token values in the :root block (keep the theme\'s look, just meet the ratio). Keep everything else unchanged.',
+  ].join('\n');
+}
@@ -0,0 +1,271 @@
+/**
+ * App source layout — app.jsx (or app.tsx) plus optional modules under src/.
+ *
+ * Small apps are a single app.jsx. Larger ones can move components into
+ * `src/` and import them from app.jsx with relative imports:
+ *
+ *   import { Board } from './src/Board.jsx';
+ *
+ * app.jsx stays the entry point (it keeps `export default App`). At assembly
+ * time bundleAppSource inlines the modules with esbuild into the single
+ * script the template expects. Package imports (react, tinybase, ...) are
+ * stripped per module, as for a single-file app: the template provides them.
+ *
+ * Typed apps use app.tsx (and .ts/.tsx modules) instead; esbuild strips the
+ * types at assembly time. vibes-globals.d.ts declares the template globals
+ * for them (see writeTypeScriptSupport).
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { basename, dirname, extname, join, resolve, sep } from 'path';
+import { hasThemeMarkers } from './theme-sections.js';
+import { stripReactDestructuring, stripWindowDestructuring, stripConfig } from './strip-code.js';
+import { TEMPLATES } from './paths.js';
+
+export const APP_ENTRY = 'app.jsx';
+export const APP_ENTRY_TS = 'app.tsx';
+export const APP_SOURCE_DIR = 'src';
+export const GLOBALS_DTS = 'vibes-globals.d.ts';
+
+const MODULE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js'];
+const LOADERS = { '.tsx': 'tsx', '.ts': 'ts', '.jsx': 'jsx', '.js': 'jsx' };
+// Timestamped copies from lib/backup.js (Board.20250208-120000.bak.jsx)
+const BACKUP_FILE = /\.\d{8}-\d{6}\.bak\.[^.]+$/;
+const IMPORT_STATEMENT = /^import\s+(?:[\s\S]*?\s+from\s+)?["']([^"']+)["'];?[ \t]*$/gm;
+
+function isModuleFile(name) {
+  return MODULE_EXTENSIONS.some(ext => name.endsWith(ext)) && !name.endsWith('.d.ts') && !BACKUP_FILE.test(name);
+}
+
+/**
+ * The esbuild loader for a source file: 'tsx', 'ts' or 'jsx'.
+ * @param {string} filePath
+ * @returns {'tsx'|'ts'|'jsx'}
+ */
+export function sourceLoader(filePath) {
+  return LOADERS[extname(filePath)] || 'jsx';
+}
+
+/**
+ * Whether a file name is an app entry point (app.jsx or app.tsx).
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isAppEntryFile(filePath) {
+  const name = basename(filePath);
+  return name === APP_ENTRY || name === APP_ENTRY_TS;
+}
+
+/**
+ * The app's entry point: app.tsx when the app has one, else app.jsx (which
+ * may not exist yet).
+ * @param {string} appDir
+ * @returns {string} absolute path
+ */
+export function resolveAppEntry(appDir) {
+  const ts = join(appDir, APP_ENTRY_TS);
+  return existsSync(ts) ? ts : join(appDir, APP_ENTRY);
+}
+
+/**
+ * Whether the app is written in TypeScript (has an app.tsx).
+ * @param {string} appDir
+ * @returns {boolean}
+ */
+export function isTypeScriptApp(appDir) {
+  return existsSync(join(appDir, APP_ENTRY_TS));
+}
+
+function listModules(dir) {
+  if (!existsSync(dir)) return [];
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listModules(path));
+    else if (isModuleFile(entry.name)) files.push(path);
+  }
+  return files;
+}
+
+/**
+ * The app's modules under src/, sorted by path.
+ * @param {string} appDir
+ * @returns {string[]} absolute paths
+ */
+export function listAppModules(appDir) {
+  return listModules(join(appDir, APP_SOURCE_DIR));
+}
+
+/**
+ * Every source file of the app: the entry (if present) then the src/ modules.
+ * @param {string} appDir
+ * @returns {string[]} absolute paths
+ */
+export function listAppSourceFiles(appDir) {
+  const entry = resolveAppEntry(appDir);
+  return [...(existsSync(entry) ? [entry] : []), ...listAppModules(appDir)];
+}
+
+/**
+ * Whether a file is part of the app's source: app.jsx or app.tsx, or a
+ * module under src/. Without `appDir` only the entry names are recognized.
+ * @param {string|null|undefined} appDir
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isAppSourceFile(appDir, filePath) {
+  if (isAppEntryFile(filePath)) return true;
+  if (!appDir) return false;
+  const srcDir = resolve(appDir, APP_SOURCE_DIR) + sep;
+  return resolve(appDir, filePath).startsWith(srcDir) && isModuleFile(basename(filePath));
+}
+
+/**
+ * Latest mtime across the app's source files, or 0 when there are none.
+ * Reassembly compares this to catch edits to any module.
+ * @param {string} appDir
+ * @returns {number}
+ */
+export function appSourceMtime(appDir) {
+  let latest = 0;
+  for (const file of listAppSourceFiles(appDir)) {
+    try {
+      latest = Math.max(latest, statSync(file).mtimeMs);
+    } catch {
+      // Removed between listing and stat
+    }
+  }
+  return latest;
+}
+
+/**
+ * The file holding the app's @theme markers: the first source file that
+ * has any, else the entry. Keeping the theme sections in one file (usually
+ * app.jsx, or e.g. src/theme.jsx) lets theme switching stay single-file.
+ * @param {string} appDir
+ * @returns {string} absolute path
+ */
+export function findThemeSourceFile(appDir) {
+  for (const file of listAppSourceFiles(appDir)) {
+    if (hasThemeMarkers(readFileSync(file, 'utf-8'))) return file;
+  }
+  return resolveAppEntry(appDir);
+}
+
+/**
+ * Whether code imports other files with relative paths.
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function hasRelativeImports(code) {
+  for (const match of code.matchAll(IMPORT_STATEMENT)) {
+    if (match[1].startsWith('.')) return true;
+  }
+  return false;
+}
+
+/**
+ * Strip what the template provides from one module: package imports and
+ * React/window destructuring, plus the CONFIG block. Relative imports stay
+ * for esbuild to resolve.
+ * @param {string} code
+ * @returns {string}
+ */
+export function stripModuleForTemplate(code) {
+  const withoutPackages = code.replace(IMPORT_STATEMENT, (statement, spec) => spec.startsWith('.') ? statement : '');
+  return stripConfig(stripWindowDestructuring(stripReactDestructuring(withoutPackages)));
+}
+
+/**
+ * Load the app's code for the template. A single-file app.jsx is returned
+ * as-is. When the entry has relative imports or is TypeScript, it and its
+ * modules are bundled into one script (types stripped, JSX kept for the
+ * template's Babel) with each module's path as a comment above its code,
+ * ending in `function App` or an `App` alias of the default export.
+ *
+ * Throws with esbuild's message when a module can't be parsed or resolved.
+ * @param {string} entryPath - path to app.jsx or app.tsx
+ * @returns {Promise<string>}
+ */
+export async function bundleAppSource(entryPath) {
+  const code = readFileSync(entryPath, 'utf-8');
+  if (sourceLoader(entryPath) === 'jsx' && !hasRelativeImports(code)) return code;
+
+  const { build } = await import('esbuild');
+  let result;
+  try {
+    result = await build({
+      entryPoints: [entryPath],
+      absWorkingDir: dirname(resolve(entryPath)),
+      bundle: true,
+      write: false,
+      format: 'esm',
+      jsx: 'preserve',
+      charset: 'utf8',
+      // Names declared for the template (schemas, themes) may look unused
+      treeShaking: false,
+      resolveExtensions: MODULE_EXTENSIONS,
+      logLevel: 'silent',
+      plugins: [{
+        name: 'vibes-app-modules',
+        setup(pluginBuild) {
+          pluginBuild.onLoad({ filter: /\.[jt]sx?$/ }, async args => ({
+            contents: stripModuleForTemplate(await readFile(args.path, 'utf-8')),
+            loader: sourceLoader(args.path),
+          }));
+        },
+      }],
+    });
+  } catch (err) {
+    const errors = err?.errors?.length
+      ? err.errors.map(e => `${e.location ? `${e.location.file}:${e.location.line}: ` : ''}${e.text}`).join('\n')
+      : String(err?.message ?? err);
+    throw new Error(`Bundling app modules failed:\n${errors}`);
+  }
+
+  const bundled = result.outputFiles[0].text;
+  // esbuild ends the entry with `export { App as default };` — the template
+  // mounts `App`, so alias the default export if esbuild renamed it.
+  return bundled.replace(/^export\s*\{([^}]*)\};?\s*$/m, (_, names) => {
+    const defaultName = names.match(/(\w+)\s+as\s+default/)?.[1];
+    return defaultName && defaultName !== 'App' ? `const App = ${defaultName};\n` : '';
+  }).trim();
+}
+
+/**
+ * Give a TypeScript app its editor support: copy vibes-globals.d.ts (the
+ * template globals) next to app.tsx and add a tsconfig.json when the app
+ * has none. Returns the files written.
+ * @param {string} appDir
+ * @returns {string[]} file names
+ */
+export function writeTypeScriptSupport(appDir) {
+  const written = [];
+  const dts = readFileSync(TEMPLATES.vibesGlobalsDts, 'utf-8');
+  const dtsPath = join(appDir, GLOBALS_DTS);
+  if (!existsSync(dtsPath) || readFileSync(dtsPath, 'utf-8') !== dts) {
+    writeFileSync(dtsPath, dts);
+    written.push(GLOBALS_DTS);
+  }
+  const tsconfigPath = join(appDir, 'tsconfig.json');
+  if (!existsSync(tsconfigPath)) {
+    const tsconfig = {
+      compilerOptions: {
+        target: 'ES2022',
+        module: 'ESNext',
+        moduleResolution: 'Bundler',
+        jsx: 'preserve',
+        strict: true,
+        noEmit: true,
+        skipLibCheck: true,
+        allowImportingTsExtensions: true,
+      },
+      include: [APP_ENTRY_TS, GLOBALS_DTS, `${APP_SOURCE_DIR}/**/*`],
+    };
+    writeFileSync(tsconfigPath, JSON.stringify(tsconfig, null, 2) + '\n');
+    written.push('tsconfig.json');
+  }
+  return written;
+}
@@ -81,10 +81,26 @@ const FORBIDDEN_PATTERNS = [
   { pattern: /\bstore\.set[A-Z]|\bstore\.add[A-Z]|\bstore\.del[A-Z]/, message: 'Generated code calls store methods directly — use callback hooks instead' },
 ];
 
+/**
+ * Drop the `defineSchema({...})` call from app code. Its migrations are
+ * meant to write through `store.*` directly, outside any component.
+ */
+function withoutSchemaDeclaration(code) {
+  const start = code.search(/\bdefineSchema\s*\(/);
+  if (start === -1) return code;
+  let depth = 0;
+  for (let i = code.indexOf('(', start); i < code.length; i++) {
+    if (code[i] === '(') depth++;
+    else if (code[i] === ')' && --depth === 0) return code.slice(0, start) + code.slice(i + 1);
+  }
+  return code;
+}
+
 export function checkForbiddenPatterns(code) {
   const warnings = [];
+  const checked = withoutSchemaDeclaration(code);
   for (const { pattern, message } of FORBIDDEN_PATTERNS) {
-    if (pattern.test(code)) {
+    if (pattern.test(checked)) {
       warnings.push(message);
     }
   }
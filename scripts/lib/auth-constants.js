@@ -4,9 +4,11 @@
  * These are the same for every Vibes app. The single Pocket ID instance
  * and shared OIDC client are managed infrastructure — users never configure these.
  * OIDC_CLIENT_ID is the shared CLI client; per-app client IDs are injected at deploy time.
+ * DEPLOY_API_URL can be pointed elsewhere (e.g. the local emulator in
+ * server/deploy-emulator.ts) with the DEPLOY_API_URL environment variable.
  */
 
 export const OIDC_AUTHORITY = 'https://vibesos.com';
 export const OIDC_CLIENT_ID = '6c154be6-e6fa-47f3-ad2b-31740cedc1f1';
-export const DEPLOY_API_URL = 'https://share.vibesos.com';
+export const DEPLOY_API_URL = process.env.DEPLOY_API_URL?.replace(/\/+$/, '') || 'https://share.vibesos.com';
 export const AI_PROXY_URL = 'https://ai.vibesos.com';
@@ -7,6 +7,7 @@
 
 import { existsSync, copyFileSync, readdirSync, unlinkSync, mkdirSync } from 'fs';
 import { dirname, join, basename, parse, format } from 'path';
+import { restoreSnapshot } from './history.js';
 
 const MAX_BACKUPS = 3;
 
@@ -124,10 +125,18 @@ export function findLatestBackup(filePath) {
 /**
  * Restore file from backup (uses most recent backup)
  *
+ * When `snapshotId` is given, restores from the content-addressed history
+ * store (lib/history.js) instead, so any recorded version can be targeted.
+ *
  * @param {string} filePath - Path to the file to restore
- * @returns {object} - { success: boolean, backupPath?: string, error?: string }
+ * @param {string} [snapshotId] - History snapshot id to restore
+ * @returns {object} - { success: boolean, backupPath?: string, snapshot?: object, error?: string }
  */
-export function restoreFromBackup(filePath) {
+export function restoreFromBackup(filePath, snapshotId) {
+  if (snapshotId) {
+    return restoreSnapshot(filePath, snapshotId);
+  }
+
   const backupPath = findLatestBackup(filePath);
 
   if (!backupPath) {
@@ -143,6 +143,7 @@ export function buildClaudeArgs(config = {}) {
  *
  * @param {object} [config]
  * @param {string} [config.model] - --model value (e.g. 'haiku', 'sonnet')
+ * @param {string} [config.resumeSessionId] - Continue this session (--resume)
  * @returns {string[]} CLI args array
  */
 export function buildPersistentArgs(config = {}) {
@@ -154,6 +155,7 @@ export function buildPersistentArgs(config = {}) {
     '--verbose',
   ];
   if (config.model) args.push('--model', config.model);
+  if (config.resumeSessionId) args.push('--resume', config.resumeSessionId);
   if (config.pluginRoot) {
     const filePath = writeSkillAppendixFile(config.pluginRoot);
     if (filePath) {
@@ -8,6 +8,7 @@
 
 import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
 import { join, extname } from 'path';
+import { readPermissions, PERMISSIONS_FILE } from './sync-permissions.js';
 
 const BINARY_EXTS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp', '.ico', '.woff', '.woff2', '.ttf', '.otf', '.avif']);
 export const R2_THRESHOLD = 100 * 1024; // 100 KB — files larger than this go to R2
@@ -89,6 +90,21 @@ export function addAppAssets(assetsDir, files) {
   walk(assetsDir, '');
 }
 
+/**
+ * Add the project's sync permissions (vibes.json `permissions`) to the files
+ * map as permissions.json, for the sync relay and the app to read.
+ * @param {string} projectDir - Directory holding the app's vibes.json
+ * @param {Record<string, string>} files - Files map to add to (mutated)
+ * @returns {boolean} true if the project declares permissions
+ * @throws {Error} When the declared permissions are invalid
+ */
+export function addPermissionsFile(projectDir, files) {
+  const permissions = readPermissions(projectDir);
+  if (!permissions) return false;
+  files[PERMISSIONS_FILE] = JSON.stringify(permissions, null, 2) + '\n';
+  return true;
+}
+
 /**
  * Upload large files to R2 via the Deploy API. Warnings on failure —
  * deploy itself proceeds with just the embedded files, so a flaky R2
@@ -0,0 +1,176 @@
+/**
+ * Deploy history, rollback and staged environments.
+ *
+ * Every deploy is recorded as an entry on its registry app
+ * (`apps[<name>].deploys`) and, when deploying from a project folder, in
+ * vibes.json `deploys`. The deployed source (app.jsx, or index.html for
+ * pre-assembled deploys) is stored once per content hash under
+ * `~/.vibes/deploys/objects/<sha256>`, so any recorded deploy can be
+ * redeployed later even if the project's app.jsx has moved on.
+ *
+ * Stages are separate deploys of the same app under `<name>-<stage>`
+ * (e.g. `my-app-staging`). Promoting a stage redeploys its latest snapshot
+ * under the production name.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { hashContent } from './history.js';
+import { getApp, setApp } from './registry.js';
+import { readVibesJson, writeVibesJson } from './vibes-json.js';
+
+/** Stage name meaning "no suffix". */
+export const PRODUCTION_STAGE = 'production';
+
+/**
+ * Directory holding deployed sources, keyed by sha256.
+ *
+ * @returns {string}
+ */
+export function getDeployObjectsDir() {
+  return join(process.env.VIBES_HOME || homedir(), '.vibes', 'deploys', 'objects');
+}
+
+/**
+ * Deploy name for an app stage: `my-app` + `staging` → `my-app-staging`.
+ * An empty stage or "production" is the app name itself.
+ *
+ * @param {string} name - Production app name
+ * @param {string} [stage]
+ * @returns {string}
+ */
+export function stagedName(name, stage) {
+  if (!stage || stage === PRODUCTION_STAGE) return name;
+  if (!/^[a-z0-9][a-z0-9-]{0,19}$/.test(stage)) {
+    throw new Error(`Invalid stage "${stage}". Use lowercase letters, numbers and hyphens (max 20 chars).`);
+  }
+  return `${name}-${stage}`;
+}
+
+/**
+ * Record a completed deploy: store the source snapshot and append an entry
+ * to the registry and (if the project has one) vibes.json.
+ *
+ * @param {string} name - Deployed name (already staged, e.g. my-app-staging)
+ * @param {object} deploy
+ * @param {string} deploy.content - Source that was deployed
+ * @param {string} [deploy.file='app.jsx'] - 'app.jsx' or 'index.html' (pre-assembled)
+ * @param {string} [deploy.url]
+ * @param {string} [deploy.target='cloudflare']
+ * @param {string} [deploy.stage] - Stage name; omitted for production
+ * @param {string} [deploy.rollbackOf] - Id of the deploy this one rolled back to
+ * @param {string} [deploy.promotedFrom] - Id of the staged deploy this one promoted
+ * @param {string} [deploy.projectDir] - Project folder whose vibes.json records the deploy
+ * @returns {object} The deploy entry
+ */
+export function recordDeploy(name, deploy) {
+  const hash = hashContent(deploy.content);
+  const objectsDir = getDeployObjectsDir();
+  mkdirSync(objectsDir, { recursive: true });
+  const objPath = join(objectsDir, hash);
+  if (!existsSync(objPath)) writeFileSync(objPath, deploy.content, 'utf-8');
+
+  const now = new Date();
+  const entry = {
+    id: `${now.getTime().toString(36)}-${hash.slice(0, 8)}`,
+    name,
+    stage: deploy.stage && deploy.stage !== PRODUCTION_STAGE ? deploy.stage : PRODUCTION_STAGE,
+    target: deploy.target || 'cloudflare',
+    file: deploy.file || 'app.jsx',
+    hash,
+    url: deploy.url || '',
+    deployedAt: now.toISOString(),
+  };
+  if (deploy.rollbackOf) entry.rollbackOf = deploy.rollbackOf;
+  if (deploy.promotedFrom) entry.promotedFrom = deploy.promotedFrom;
+
+  const app = getApp(name);
+  setApp(name, { name, deploys: [...(app?.deploys || []), entry] });
+
+  if (deploy.projectDir) {
+    const config = readVibesJson(deploy.projectDir);
+    if (config) writeVibesJson(deploy.projectDir, { deploys: [...(config.deploys || []), entry] });
+  }
+  return entry;
+}
+
+/**
+ * Deploys recorded for a name, newest first.
+ *
+ * @param {string} name - Deployed name (staged names are separate apps)
+ * @returns {object[]}
+ */
+export function listDeploys(name) {
+  return [...(getApp(name)?.deploys || [])].reverse();
+}
+
+/**
+ * Look up a deploy by id.
+ *
+ * @param {string} name
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getDeploy(name, id) {
+  return (getApp(name)?.deploys || []).find(d => d.id === id) || null;
+}
+
+/**
+ * Read the stored source of a deploy.
+ *
+ * @param {object} entry - Deploy entry
+ * @returns {string|null} Content, or null if the snapshot is missing
+ */
+export function readDeploySnapshot(entry) {
+  const objPath = join(getDeployObjectsDir(), entry.hash);
+  if (!existsSync(objPath)) return null;
+  return readFileSync(objPath, 'utf-8');
+}
+
+/**
+ * Resolve the source for a rollback or promotion.
+ *
+ * `rollback` names a deploy of the target stage itself; `promote` names
+ * another stage whose latest deploy is redeployed to the target stage.
+ *
+ * @param {string} name - Production app name
+ * @param {object} options
+ * @param {string} [options.stage] - Target stage (default production)
+ * @param {string} [options.rollback] - Deploy id
+ * @param {string} [options.promote] - Stage to promote from
+ * @returns {{ entry: object, content: string } | null} Null when neither option is set
+ * @throws {Error} If the deploy, stage or snapshot can't be found
+ */
+export function resolveDeploySource(name, { stage, rollback, promote } = {}) {
+  if (rollback && promote) throw new Error('Use either rollback or promote, not both.');
+  const target = stagedName(name, stage);
+  let entry = null;
+  if (rollback) {
+    entry = getDeploy(target, rollback);
+    if (!entry) throw new Error(`No deploy "${rollback}" recorded for ${target}.`);
+  } else if (promote) {
+    const from = stagedName(name, promote);
+    if (from === target) throw new Error(`Cannot promote ${target} onto itself.`);
+    entry = listDeploys(from)[0] || null;
+    if (!entry) throw new Error(`Nothing deployed to ${from} yet.`);
+  } else {
+    return null;
+  }
+  const content = readDeploySnapshot(entry);
+  if (content == null) throw new Error(`Snapshot for deploy ${entry.id} is missing.`);
+  return { entry, content };
+}
+
+/**
+ * One line per deploy, for CLI listings.
+ *
+ * @param {object} entry
+ * @returns {string}
+ */
+export function formatDeploy(entry) {
+  const origin = entry.rollbackOf ? ` (rollback of ${entry.rollbackOf})`
+    : entry.promotedFrom ? ` (promoted from ${entry.promotedFrom})`
+    : '';
+  return `${entry.id}  ${entry.deployedAt}  ${entry.hash.slice(0, 12)}  ${entry.url || entry.target}${origin}`;
+}
@@ -0,0 +1,265 @@
+/**
+ * Content-addressed version history for app files.
+ *
+ * Every snapshot stores the file body once under
+ * `<dir>/.vibes/history/objects/<sha256>` and appends an entry to
+ * `<dir>/.vibes/history/index.json`. Identical content is never stored
+ * twice, so recording after every chat turn is cheap and nothing is pruned.
+ *
+ * Unlike lib/backup.js (last 3 timestamped copies), this keeps the full
+ * timeline and tags each snapshot with the chat message that produced it.
+ *
+ * A snapshot of an app entry (app.jsx or app.tsx) also records the app's
+ * src/ modules as `modules: { 'src/Board.jsx': <sha256> }`, so a version is
+ * the whole app and restoring it brings the modules back too.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync, renameSync, rmSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname, basename, relative, sep } from 'path';
+import { createUnifiedDiff } from './unified-diff.js';
+import { isAppEntryFile, listAppModules } from './app-source.js';
+
+const INDEX_FILE = 'index.json';
+
+/**
+ * Root of the history store for a file (sibling `.vibes/history/`).
+ *
+ * @param {string} filePath - Path to the tracked file (e.g. <project>/app.jsx)
+ * @returns {string}
+ */
+export function getHistoryDir(filePath) {
+  return join(dirname(filePath), '.vibes', 'history');
+}
+
+/**
+ * @param {string} content
+ * @returns {string} sha256 hex digest
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+function readIndex(historyDir) {
+  const indexPath = join(historyDir, INDEX_FILE);
+  if (!existsSync(indexPath)) return [];
+  try {
+    const parsed = JSON.parse(readFileSync(indexPath, 'utf-8'));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeIndex(historyDir, entries) {
+  // Write-then-rename so a crash mid-write never leaves a truncated index
+  const indexPath = join(historyDir, INDEX_FILE);
+  const tmpPath = `${indexPath}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(entries, null, 2));
+  renameSync(tmpPath, indexPath);
+}
+
+function objectPath(historyDir, hash) {
+  return join(historyDir, 'objects', hash);
+}
+
+function moduleName(appDir, file) {
+  return relative(appDir, file).split(sep).join('/');
+}
+
+/**
+ * The src/ modules next to an app entry, keyed by path relative to the app
+ * directory. null for files that aren't an app entry.
+ */
+function readModules(filePath) {
+  if (!isAppEntryFile(filePath)) return null;
+  const appDir = dirname(filePath);
+  const modules = {};
+  for (const file of listAppModules(appDir)) {
+    modules[moduleName(appDir, file)] = readFileSync(file, 'utf-8');
+  }
+  return modules;
+}
+
+function sameModules(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Record the current content of a file as a snapshot, with the app's src/
+ * modules when the file is an app entry.
+ * Skips the write when the content (and modules) match the most recent
+ * snapshot of the same file, so callers can record unconditionally after
+ * every turn.
+ *
+ * @param {string} filePath - File to snapshot
+ * @param {object} [meta]
+ * @param {string} [meta.source='manual'] - What produced the change: 'chat' | 'generate' | 'theme' | 'restore' | 'baseline' | 'manual'
+ * @param {string} [meta.message] - Chat message that caused the change
+ * @returns {object|null} The snapshot entry, or null if the file doesn't exist or is unchanged
+ */
+export function recordSnapshot(filePath, meta = {}) {
+  if (!existsSync(filePath)) return null;
+  const content = readFileSync(filePath, 'utf-8');
+  const hash = hashContent(content);
+  const file = basename(filePath);
+  const historyDir = getHistoryDir(filePath);
+
+  const modules = readModules(filePath);
+  const moduleHashes = modules && Object.fromEntries(Object.entries(modules).map(([name, code]) => [name, hashContent(code)]));
+
+  const entries = readIndex(historyDir);
+  const latest = findLast(entries, e => e.file === file);
+  if (latest && latest.hash === hash && sameModules(latest.modules, moduleHashes)) return null;
+
+  mkdirSync(join(historyDir, 'objects'), { recursive: true });
+  const objects = [[hash, content], ...Object.entries(modules || {}).map(([name, code]) => [moduleHashes[name], code])];
+  for (const [objHash, objContent] of objects) {
+    const objPath = objectPath(historyDir, objHash);
+    if (!existsSync(objPath)) writeFileSync(objPath, objContent, 'utf-8');
+  }
+
+  const timestamp = Date.now();
+  const entry = {
+    id: `${timestamp.toString(36)}-${hash.slice(0, 8)}`,
+    file,
+    hash,
+    timestamp,
+    source: meta.source || 'manual',
+    message: meta.message ? String(meta.message).slice(0, 500) : null,
+    size: Buffer.byteLength(content),
+    ...(moduleHashes && { modules: moduleHashes }),
+  };
+  entries.push(entry);
+  writeIndex(historyDir, entries);
+  return entry;
+}
+
+function findLast(arr, predicate) {
+  for (let i = arr.length - 1; i >= 0; i--) {
+    if (predicate(arr[i])) return arr[i];
+  }
+  return undefined;
+}
+
+/**
+ * List snapshots for a file, newest first.
+ *
+ * @param {string} filePath
+ * @returns {object[]}
+ */
+export function listSnapshots(filePath) {
+  const file = basename(filePath);
+  return readIndex(getHistoryDir(filePath))
+    .filter(e => e.file === file)
+    .reverse();
+}
+
+/**
+ * Look up a snapshot by id.
+ *
+ * @param {string} filePath
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getSnapshot(filePath, id) {
+  const file = basename(filePath);
+  return readIndex(getHistoryDir(filePath)).find(e => e.id === id && e.file === file) || null;
+}
+
+/**
+ * Read the stored content of a snapshot.
+ *
+ * @param {string} filePath
+ * @param {string} id
+ * @returns {string|null} Content, or null if the snapshot or its object is missing
+ */
+export function readSnapshot(filePath, id) {
+  const entry = getSnapshot(filePath, id);
+  if (!entry) return null;
+  const objPath = objectPath(getHistoryDir(filePath), entry.hash);
+  if (!existsSync(objPath)) return null;
+  return readFileSync(objPath, 'utf-8');
+}
+
+/**
+ * Read every file of a snapshot: the tracked file under its own name, then
+ * the src/ modules it recorded.
+ *
+ * @param {string} filePath
+ * @param {string} id
+ * @returns {Record<string, string>|null} Contents by path relative to the file's directory, or null if the snapshot or an object is missing
+ */
+export function readSnapshotFiles(filePath, id) {
+  const entry = getSnapshot(filePath, id);
+  if (!entry) return null;
+  const historyDir = getHistoryDir(filePath);
+  const files = {};
+  for (const [name, hash] of [[entry.file, entry.hash], ...Object.entries(entry.modules || {})]) {
+    const objPath = objectPath(historyDir, hash);
+    if (!existsSync(objPath)) return null;
+    files[name] = readFileSync(objPath, 'utf-8');
+  }
+  return files;
+}
+
+/**
+ * Unified diff between two snapshots. When `toId` is omitted, diffs against
+ * the file's current content on disk.
+ *
+ * @param {string} filePath
+ * @param {string} fromId
+ * @param {string} [toId]
+ * @returns {{ ok: true, diff: string } | { ok: false, error: string }}
+ */
+export function diffSnapshots(filePath, fromId, toId) {
+  const before = readSnapshot(filePath, fromId);
+  if (before === null) return { ok: false, error: `Snapshot not found: ${fromId}` };
+
+  let after;
+  if (toId) {
+    after = readSnapshot(filePath, toId);
+    if (after === null) return { ok: false, error: `Snapshot not found: ${toId}` };
+  } else {
+    after = existsSync(filePath) ? readFileSync(filePath, 'utf-8') : '';
+  }
+
+  const file = basename(filePath);
+  const diff = createUnifiedDiff(before, after, {
+    oldLabel: `${file}@${fromId}`,
+    newLabel: toId ? `${file}@${toId}` : `${file} (current)`,
+  });
+  return { ok: true, diff };
+}
+
+/**
+ * Restore a file to a snapshot. The current content is recorded first so the
+ * restore itself can be undone from the timeline. When the snapshot recorded
+ * the app's src/ modules, they are restored too: modules it didn't have are
+ * removed.
+ *
+ * @param {string} filePath
+ * @param {string} id
+ * @returns {{ success: boolean, snapshot?: object, error?: string }}
+ */
+export function restoreSnapshot(filePath, id) {
+  const files = readSnapshotFiles(filePath, id);
+  if (files === null) {
+    return { success: false, error: `Snapshot not found: ${id}` };
+  }
+  recordSnapshot(filePath, { source: 'manual', message: `Before restoring ${id}` });
+  const { [basename(filePath)]: content, ...modules } = files;
+  if (getSnapshot(filePath, id).modules) {
+    const appDir = dirname(filePath);
+    for (const file of listAppModules(appDir)) {
+      if (!(moduleName(appDir, file) in modules)) rmSync(file, { force: true });
+    }
+    for (const [name, code] of Object.entries(modules)) {
+      mkdirSync(dirname(join(appDir, name)), { recursive: true });
+      writeFileSync(join(appDir, name), code, 'utf-8');
+    }
+  }
+  writeFileSync(filePath, content, 'utf-8');
+  const snapshot = recordSnapshot(filePath, { source: 'restore', message: `Restored ${id}` });
+  return { success: true, snapshot: snapshot || getSnapshot(filePath, id) };
+}
@@ -0,0 +1,503 @@
+/**
+ * App linter — static checks for misuse of the template's globals.
+ *
+ * App code runs inside the template's Babel module script, which imports
+ * React and TinyBase and declares the store, useApp and friends; more
+ * globals hang off `window`. Generated code gets that surface wrong in a few
+ * recurring ways that the syntax check can't see. lintAppCode parses a file
+ * with Babel (the parser the preview itself runs) and reports:
+ *
+ *   undefined-hook      a use* call with nothing behind it at runtime
+ *   conditional-hook    a hook called in a branch, loop, callback or after an early return
+ *   direct-store-write  store.set*, add* or del* outside defineSchema migrations
+ *   non-string-id       a TinyBase table, row, cell or value ID that isn't a string
+ *   large-table         useTable whose rows are listed — re-renders on every cell change
+ *   redeclared-global   a top-level declaration that collides with the template's
+ *
+ * The template's names are read from the template itself (templateGlobals),
+ * so the linter follows it as it changes. Diagnostics carry a `fix` when the
+ * repair is mechanical; lintAppSource applies those in place.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { relative } from 'path';
+import { createRequire } from 'module';
+import { TEMPLATES } from './paths.js';
+import { APP_PLACEHOLDER } from './assembly-utils.js';
+import { listAppSourceFiles, sourceLoader } from './app-source.js';
+
+const require = createRequire(import.meta.url);
+
+/** useTable is fine for a handful of rows; the template warns above this. */
+export const LARGE_TABLE_ROWS = 100;
+
+/** Loaded by the template from /vibes-ai.js, not declared in index.html. */
+const SCRIPT_GLOBALS = ['useAI'];
+
+/** React hooks the template doesn't import — reachable as React.useX. */
+const REACT_ONLY_HOOKS = new Set([
+  'useReducer', 'useLayoutEffect', 'useInsertionEffect', 'useImperativeHandle', 'useId',
+  'useTransition', 'useDeferredValue', 'useSyncExternalStore', 'useDebugValue',
+  'useOptimistic', 'useActionState',
+]);
+
+/**
+ * Which arguments of each TinyBase hook are IDs. Callback hooks also take a
+ * function (GetId) in those positions, so only literals are judged.
+ */
+const ID_ARGS = {
+  useTable: ['table'],
+  useRowIds: ['table'],
+  useSortedRowIds: ['table', 'cell'],
+  useRowCount: ['table'],
+  useCellIds: ['table', 'row'],
+  useRow: ['table', 'row'],
+  useCell: ['table', 'row', 'cell'],
+  useHasRow: ['table', 'row'],
+  useHasCell: ['table', 'row', 'cell'],
+  useRowState: ['table', 'row'],
+  useCellState: ['table', 'row', 'cell'],
+  useAddRowCallback: ['table'],
+  useSetRowCallback: ['table', 'row'],
+  useSetPartialRowCallback: ['table', 'row'],
+  useSetCellCallback: ['table', 'row', 'cell'],
+  useDelTableCallback: ['table'],
+  useDelRowCallback: ['table', 'row'],
+  useDelCellCallback: ['table', 'row', 'cell'],
+  useValue: ['value'],
+  useHasValue: ['value'],
+  useValueState: ['value'],
+  useSetValueCallback: ['value'],
+  useDelValueCallback: ['value'],
+};
+
+const STORE_WRITE = /^(set|add|del)[A-Z]/;
+const HOOK_NAME = /^use[A-Z0-9]/;
+const COMPONENT_NAME = /^[A-Z]/;
+const COMPONENT_WRAPPERS = new Set(['memo', 'forwardRef']);
+
+/**
+ * @typedef {Object} LintFix
+ * @property {string} description - what the fix does, e.g. "Use React.useReducer"
+ * @property {number} start - offset of the replaced text
+ * @property {number} end
+ * @property {string} text - replacement
+ */
+
+/**
+ * @typedef {Object} LintDiagnostic
+ * @property {string} rule
+ * @property {'error'|'warning'} severity
+ * @property {string} message
+ * @property {number} line - 1-based
+ * @property {number} column - 1-based
+ * @property {string} [file] - relative to the app dir (lintAppSource)
+ * @property {LintFix} [fix]
+ */
+
+let babel = null;
+
+function babelPackages() {
+  babel ??= require('@babel/standalone').packages;
+  return babel;
+}
+
+function parse(code, loader) {
+  const plugins = loader === 'ts' ? ['typescript'] : loader === 'tsx' ? ['jsx', 'typescript'] : ['jsx'];
+  return babelPackages().parser.parse(code, { sourceType: 'module', plugins, errorRecovery: false });
+}
+
+function traverse(ast, visitors) {
+  babelPackages().traverse.default(ast, visitors);
+}
+
+let surface = null;
+
+/**
+ * The names app code gets from the template: `module` for the bindings of
+ * the template's Babel script (imports and top-level declarations, which
+ * app code must not redeclare) and `window` for globals it assigns.
+ * Parsed from the template once per process.
+ * @returns {{ module: Set<string>, window: Set<string> }}
+ */
+export function templateGlobals() {
+  if (surface) return surface;
+  const html = readFileSync(TEMPLATES.vibesBasic, 'utf-8');
+  const open = html.indexOf('<script type="text/babel"');
+  const start = html.indexOf('>', open) + 1;
+  const script = html.slice(start, html.indexOf('</script>', start)).replace(APP_PLACEHOLDER, '');
+  const moduleNames = new Set();
+  traverse(parse(script, 'jsx'), {
+    Program(path) {
+      for (const name of Object.keys(path.scope.bindings)) moduleNames.add(name);
+      path.stop();
+    },
+  });
+  const windowNames = new Set(SCRIPT_GLOBALS);
+  for (const match of html.matchAll(/\bwindow\.(\w+)\s*=(?!=)/g)) windowNames.add(match[1]);
+  surface = { module: moduleNames, window: windowNames };
+  return surface;
+}
+
+/**
+ * Whether a binding is removed before the code reaches the template: a
+ * package import, or a top-level `const { ... } = React` / `= window`
+ * destructure (see strip-code.js).
+ */
+function isStrippedBinding(binding) {
+  const { path } = binding;
+  if (path.isImportSpecifier() || path.isImportDefaultSpecifier() || path.isImportNamespaceSpecifier()) {
+    return !path.parentPath.node.source.value.startsWith('.');
+  }
+  if (path.isVariableDeclarator() && path.node.id.type === 'ObjectPattern' && binding.scope.path.isProgram()) {
+    const init = path.node.init;
+    return init?.type === 'Identifier' && (init.name === 'React' || init.name === 'window');
+  }
+  return false;
+}
+
+/** `React.useX` → 'useX'; `useX` → 'useX'; anything else → null. */
+function hookName(callee) {
+  if (callee.type === 'Identifier') return HOOK_NAME.test(callee.name) ? callee.name : null;
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'Identifier'
+    && callee.object.name === 'React' && HOOK_NAME.test(callee.property.name)) {
+    return callee.property.name;
+  }
+  return null;
+}
+
+/** The name a function is known by: its id, variable, property or assignee. */
+function functionName(fn) {
+  if (fn.node.id) return fn.node.id.name;
+  const parent = fn.parentPath;
+  if (parent.isVariableDeclarator() && parent.node.id.type === 'Identifier') return parent.node.id.name;
+  if ((parent.isObjectProperty() || parent.isClassProperty()) && parent.node.key.type === 'Identifier') return parent.node.key.name;
+  if (parent.isAssignmentExpression()) {
+    const left = parent.node.left;
+    if (left.type === 'Identifier') return left.name;
+    if (left.type === 'MemberExpression' && left.property.type === 'Identifier') return left.property.name;
+  }
+  return null;
+}
+
+/** A function the Rules of Hooks allow hooks in: a component or a custom hook. */
+function isComponentOrHook(fn) {
+  if (fn.parentPath.isExportDefaultDeclaration()) return true;
+  const name = functionName(fn);
+  if (name) return COMPONENT_NAME.test(name) || HOOK_NAME.test(name);
+  // memo(() => ...), React.forwardRef((props, ref) => ...)
+  const call = fn.parentPath;
+  if (!call.isCallExpression()) return false;
+  const callee = call.node.callee;
+  const wrapper = callee.type === 'Identifier' ? callee.name : callee.type === 'MemberExpression' ? callee.property.name : null;
+  return COMPONENT_WRAPPERS.has(wrapper);
+}
+
+/**
+ * Why a hook call isn't unconditional at the top level of a component or
+ * custom hook, or null when it is.
+ */
+function conditionalReason(callPath) {
+  let child = callPath;
+  for (let path = callPath.parentPath; path; child = path, path = path.parentPath) {
+    const key = child.key;
+    if (path.isFunction()) {
+      if (!isComponentOrHook(path)) {
+        const name = functionName(path);
+        return name ? `inside ${name}(), which is not a component or hook` : 'inside a callback';
+      }
+      return afterEarlyReturn(path, callPath) ? 'after an early return' : null;
+    }
+    if ((path.isIfStatement() || path.isConditionalExpression()) && key !== 'test') return 'inside a condition';
+    if (path.isLogicalExpression() && key === 'right') return `after ${path.node.operator}`;
+    if (path.isLoop() && key !== 'init' && !(path.isForXStatement() && key === 'right')) return 'inside a loop';
+    if (path.isSwitchCase()) return 'inside a switch case';
+    if (path.isOptionalCallExpression() || path.isOptionalMemberExpression()) return 'inside an optional chain';
+  }
+  return 'outside a component';
+}
+
+/** Whether a statement before the hook call in the function body can return. */
+function afterEarlyReturn(fnPath, callPath) {
+  const body = fnPath.get('body');
+  if (!body.isBlockStatement()) return false;
+  let statement = callPath;
+  while (statement && statement.parentPath?.node !== body.node) statement = statement.parentPath;
+  if (!statement || typeof statement.key !== 'number') return false;
+  for (const previous of body.get('body').slice(0, statement.key)) {
+    if (previous.isReturnStatement()) return false; // unreachable code, not a conditional hook
+    let returns = false;
+    previous.traverse({
+      ReturnStatement(p) { returns = true; p.stop(); },
+      Function(p) { p.skip(); },
+    });
+    if (returns) return true;
+  }
+  return false;
+}
+
+function isInsideDefineSchema(path) {
+  return !!path.findParent(p => p.isCallExpression() && p.node.callee.type === 'Identifier' && p.node.callee.name === 'defineSchema');
+}
+
+/**
+ * `window.__TINYBASE_STORE__`, the template's `store`, or a variable
+ * holding either.
+ */
+function isTemplateStore(path, object, depth = 0) {
+  if (object.type === 'MemberExpression') {
+    return object.object.type === 'Identifier' && object.object.name === 'window'
+      && object.property.type === 'Identifier' && object.property.name === '__TINYBASE_STORE__';
+  }
+  if (object.type !== 'Identifier' || depth > 3) return false;
+  const binding = path.scope.getBinding(object.name);
+  if (!binding) return object.name === 'store';
+  const init = binding.path.isVariableDeclarator() ? binding.path.node.init : null;
+  return !!init && isTemplateStore(binding.path, init, depth + 1);
+}
+
+/** Object.keys(x), Object.values(x), Object.entries(x) */
+function isListedByObject(path) {
+  const call = path.parentPath;
+  if (!call?.isCallExpression() || call.node.arguments[0] !== path.node) return false;
+  const callee = call.node.callee;
+  return callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && callee.object.name === 'Object'
+    && ['keys', 'values', 'entries'].includes(callee.property.name);
+}
+
+function literalText(node) {
+  return node.type === 'NullLiteral' ? 'null' : String(node.value);
+}
+
+/**
+ * The fix for an ID that isn't a string, when one is obvious: quote a
+ * number or boolean literal, wrap Date.now() / Math.*() in String().
+ */
+function idFix(code, node) {
+  if (node.type === 'NumericLiteral' || node.type === 'BooleanLiteral') {
+    const text = `'${literalText(node)}'`;
+    return { description: `Use ${text}`, start: node.start, end: node.end, text };
+  }
+  const source = code.slice(node.start, node.end);
+  return { description: `Use String(${source})`, start: node.start, end: node.end, text: `String(${source})` };
+}
+
+function isNumericCall(node) {
+  if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return false;
+  const { object, property } = node.callee;
+  return object.type === 'Identifier' && property.type === 'Identifier'
+    && ((object.name === 'Date' && property.name === 'now') || object.name === 'Math');
+}
+
+/**
+ * The whole statement for a declarator that's the only one in it, else
+ * the declarator plus its separating comma.
+ */
+function removalRange(code, declarator) {
+  const declaration = declarator.parentPath;
+  if (declaration.node.declarations.length === 1) {
+    let end = declaration.node.end;
+    if (code[end] === '\n') end++;
+    let start = declaration.node.start;
+    while (start > 0 && (code[start - 1] === ' ' || code[start - 1] === '\t')) start--;
+    return { start, end };
+  }
+  const index = declaration.node.declarations.indexOf(declarator.node);
+  const siblings = declaration.node.declarations;
+  return index < siblings.length - 1
+    ? { start: declarator.node.start, end: siblings[index + 1].start }
+    : { start: siblings[index - 1].end, end: declarator.node.end };
+}
+
+/**
+ * Lint one source file. Throws on a syntax error — validate first
+ * (lib/validate-app-jsx.ts).
+ * @param {string} code
+ * @param {{ loader?: 'jsx'|'tsx'|'ts' }} [opts]
+ * @returns {LintDiagnostic[]} sorted by position
+ */
+export function lintAppCode(code, opts = {}) {
+  const globals = templateGlobals();
+  const ast = parse(code, opts.loader || 'jsx');
+  const diagnostics = [];
+  const report = (node, rule, severity, message, fix) => {
+    diagnostics.push({
+      rule,
+      severity,
+      message,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      ...(fix ? { fix } : {}),
+      // Sort key, dropped below
+      offset: node.start,
+    });
+  };
+
+  traverse(ast, {
+    Program(path) {
+      for (const [name, binding] of Object.entries(path.scope.bindings)) {
+        // Imports are checked where their module declares them
+        if (!globals.module.has(name) || binding.kind === 'module' || isStrippedBinding(binding)) continue;
+        const declarator = binding.path;
+        const init = declarator.isVariableDeclarator() ? declarator.node.init : null;
+        // const useCell = window.useCell; const store = window.__TINYBASE_STORE__
+        const alias = init?.type === 'MemberExpression' && init.object.type === 'Identifier'
+          && ['window', 'React'].includes(init.object.name) && init.property.type === 'Identifier'
+          && (init.property.name === name || (name === 'store' && init.property.name === '__TINYBASE_STORE__'));
+        report(binding.identifier, 'redeclared-global', 'error',
+          `\`${name}\` is already declared by the template — ${alias ? 'remove this alias' : 'rename it'}.`,
+          alias ? { description: `Remove the \`${name}\` alias`, ...removalRange(code, declarator), text: '' } : undefined);
+      }
+    },
+
+    CallExpression(path) {
+      const { node } = path;
+      const name = hookName(node.callee);
+
+      if (name) {
+        if (node.callee.type === 'Identifier') {
+          const binding = path.scope.getBinding(name);
+          const provided = globals.module.has(name) || globals.window.has(name);
+          if ((!binding || isStrippedBinding(binding)) && !provided) {
+            const fix = REACT_ONLY_HOOKS.has(name)
+              ? { description: `Use React.${name}`, start: node.callee.start, end: node.callee.end, text: `React.${name}` }
+              : undefined;
+            report(node.callee, 'undefined-hook', 'error',
+              REACT_ONLY_HOOKS.has(name)
+                ? `\`${name}\` isn't a template global — call it as React.${name}.`
+                : `\`${name}\` is not defined — the template doesn't provide it and the app doesn't declare it.`,
+              fix);
+          }
+        }
+
+        const reason = conditionalReason(path);
+        if (reason) {
+          report(node, 'conditional-hook', 'error',
+            `\`${name}\` is called ${reason}. Hooks must run unconditionally at the top level of a component or custom hook.`);
+        }
+
+        // Only the template's TinyBase hooks, not an app's own useRow
+        const binding = node.callee.type === 'Identifier' ? path.scope.getBinding(name) : null;
+        const tinybase = ID_ARGS[name] && (!binding || isStrippedBinding(binding));
+        if (tinybase) {
+          ID_ARGS[name].forEach((kind, i) => {
+            const arg = node.arguments[i];
+            if (!arg) return;
+            if (['NumericLiteral', 'BooleanLiteral', 'NullLiteral'].includes(arg.type) || isNumericCall(arg)) {
+              const shown = arg.type.endsWith('Literal') ? literalText(arg) : code.slice(arg.start, arg.end);
+              report(arg, 'non-string-id', 'error',
+                `${name}: the ${kind} ID ${shown} is not a string. TinyBase IDs are strings.`,
+                arg.type === 'NullLiteral' ? undefined : idFix(code, arg));
+            }
+          });
+        }
+
+        if (name === 'useTable' && tinybase) {
+          const declarator = path.parentPath.isVariableDeclarator() && path.parentPath.node.id.type === 'Identifier' ? path.parentPath : null;
+          const refs = declarator ? (path.scope.getBinding(declarator.node.id.name)?.referencePaths || []) : [];
+          if (isListedByObject(path) || refs.some(isListedByObject)) {
+            const table = node.arguments[0]?.type === 'StringLiteral' ? node.arguments[0].value : null;
+            const id = table ? `'${table}'` : 'tableId';
+            report(node, 'large-table', 'warning',
+              `useTable(${id}) lists every row and re-renders on any cell change — slow past ${LARGE_TABLE_ROWS} rows. List rows with useRowIds(${id}) (or useSortedRowIds) and read cells with useCell in a row component.`);
+          }
+        }
+        return;
+      }
+
+      const callee = node.callee;
+      if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier'
+        && STORE_WRITE.test(callee.property.name) && isTemplateStore(path, callee.object) && !isInsideDefineSchema(path)) {
+        const method = callee.property.name;
+        const hook = `use${method[0].toUpperCase()}${method.slice(1)}Callback`;
+        report(node, 'direct-store-write', 'error',
+          `store.${method}() writes to the store directly — use ${ID_ARGS[hook] ? hook : 'a TinyBase callback hook'} instead (direct writes belong only in defineSchema migrations).`);
+      }
+    },
+  });
+
+  return diagnostics
+    .sort((a, b) => a.offset - b.offset)
+    .map(({ offset, ...diagnostic }) => diagnostic);
+}
+
+/**
+ * Apply the fixes of `diagnostics` to `code`. Overlapping fixes after the
+ * first are skipped.
+ * @param {string} code
+ * @param {LintDiagnostic[]} diagnostics
+ * @returns {{ code: string, applied: number }}
+ */
+export function applyLintFixes(code, diagnostics) {
+  const fixes = diagnostics.map(d => d.fix).filter(Boolean).sort((a, b) => a.start - b.start);
+  let result = '';
+  let cursor = 0;
+  let applied = 0;
+  for (const fix of fixes) {
+    if (fix.start < cursor) continue;
+    result += code.slice(cursor, fix.start) + fix.text;
+    cursor = fix.end;
+    applied++;
+  }
+  return { code: result + code.slice(cursor), applied };
+}
+
+/**
+ * Lint app.jsx (or app.tsx) and its src/ modules. With `fix`, applies the
+ * mechanical fixes in place and reports what's left. Files that don't parse
+ * are skipped — the syntax check reports those.
+ * @param {string} appDir
+ * @param {{ fix?: boolean }} [opts]
+ * @returns {{ diagnostics: LintDiagnostic[], fixed: number }}
+ */
+export function lintAppSource(appDir, opts = {}) {
+  const diagnostics = [];
+  let fixed = 0;
+  for (const file of listAppSourceFiles(appDir)) {
+    const loader = sourceLoader(file);
+    let code = readFileSync(file, 'utf-8');
+    let found;
+    try {
+      found = lintAppCode(code, { loader });
+      if (opts.fix && found.some(d => d.fix)) {
+        const result = applyLintFixes(code, found);
+        code = result.code;
+        fixed += result.applied;
+        writeFileSync(file, code, 'utf-8');
+        found = lintAppCode(code, { loader });
+      }
+    } catch {
+      continue;
+    }
+    const name = relative(appDir, file);
+    diagnostics.push(...found.map(d => ({ file: name, ...d })));
+  }
+  return { diagnostics, fixed };
+}
+
+/**
+ * One line per diagnostic: `app.jsx:12:5 error [rule] message`.
+ * @param {LintDiagnostic[]} diagnostics
+ * @returns {string}
+ */
+export function formatLintDiagnostics(diagnostics) {
+  return diagnostics
+    .map(d => `${d.file ? `${d.file}:` : ''}${d.line}:${d.column} ${d.severity} [${d.rule}] ${d.message}`)
+    .join('\n');
+}
+
+/**
+ * Chat message asking the model to fix what the linter found after its
+ * last edit.
+ * @param {LintDiagnostic[]} diagnostics
+ * @returns {string}
+ */
+export function buildLintFixPrompt(diagnostics) {
+  return [
+    'The app linter found problems in your last edit that will break the app at runtime:',
+    '',
+    formatLintDiagnostics(diagnostics),
+    '',
+    'Fix each one in place. Keep everything else unchanged.',
+  ].join('\n');
+}
@@ -20,6 +20,14 @@ export const BUILD_DIR = join(PLUGIN_ROOT, 'build');
  */
 export const TEMPLATES = {
   vibesBasic: join(PLUGIN_ROOT, 'skills/vibes/templates/index.html'),
+  vibesGlobalsDts: join(PLUGIN_ROOT, 'skills/vibes/templates/vibes-globals.d.ts'),
+};
+
+/**
+ * Editor browser modules reused server-side
+ */
+export const EDITOR_MODULES = {
+  colorUtils: join(PLUGIN_ROOT, 'skills/vibes/modules/editor-color-utils.js'),
 };
 
 /**
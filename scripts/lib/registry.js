@@ -19,7 +19,8 @@
  *       "updatedAt": "...",
  *       "oidc": { "authority": "https://...", "clientId": "..." },
  *       "app": { "workerName": "my-app", "kvNamespaceId": "...", "url": "..." },
- *       "connect": { "stage": "my-app", "apiUrl": "...", "cloudUrl": "fpcloud://..." }
+ *       "connect": { "stage": "my-app", "apiUrl": "...", "cloudUrl": "fpcloud://..." },
+ *       "deploys": [{ "id": "...", "hash": "<sha256>", "url": "...", "deployedAt": "...", ... }]
  *     }
  *   }
  * }
@@ -31,11 +32,14 @@
  *     { "path": "/abs/path/to/project", "name": "project-name", "displayName": "...", "lastOpened": "ISO8601" }
  *   ]
  * }
+ *
+ * `deploys` is the app's deploy history, written by lib/deploy-history.js.
  */
 
 import { readFileSync, writeFileSync, existsSync, mkdirSync, chmodSync, readdirSync, statSync, renameSync, unlinkSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
+import { resolveAppEntry } from './app-source.js';
 
 const MAX_RECENT_PROJECTS = 20;
 
@@ -252,7 +256,7 @@ export function populateLegacyApps(appsDir) {
   const entries = [];
   for (const name of readdirSync(appsDir)) {
     const appDir = join(appsDir, name);
-    const appJsx = join(appDir, 'app.jsx');
+    const appJsx = resolveAppEntry(appDir);
     try {
       const dirStat = statSync(appDir);
       if (!dirStat.isDirectory()) continue;
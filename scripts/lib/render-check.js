@@ -0,0 +1,313 @@
+/**
+ * Headless render smoke test for assembled apps.
+ *
+ * Loads an assembled index.html into a happy-dom page, mounts the app and
+ * reports what a user would see go wrong: uncaught errors, the error
+ * boundary firing, an empty root, and React warnings.
+ *
+ * Runs offline. Every import-map module is served from a local vendor
+ * bundle that esbuild builds once from node_modules (React in development
+ * mode, so warnings surface). Modules we don't ship (marked, dompurify,
+ * oauth4webapi) get small stubs, CDN scripts other than Babel are blanked,
+ * and any other request outside the page's origin answers 404.
+ */
+
+import { existsSync, writeFileSync, mkdirSync, copyFileSync, renameSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { createRequire } from 'module';
+import { createHash } from 'crypto';
+import { populateConnectConfig } from './env-utils.js';
+import { auditAccessibility } from './a11y-audit.js';
+
+const require = createRequire(import.meta.url);
+
+/** Import-map specifiers bundled from node_modules. */
+export const VENDORED_MODULES = [
+  'react',
+  'react/jsx-runtime',
+  'react/jsx-dev-runtime',
+  'react-dom',
+  'react-dom/client',
+  'tinybase',
+  'tinybase/mergeable-store',
+  'tinybase/ui-react',
+  'tinybase/persisters/persister-browser',
+  'tinybase/synchronizers/synchronizer-ws-client',
+];
+
+/** Import-map specifiers the template loads but the check doesn't need. */
+const STUBBED_MODULES = {
+  marked: 'export const marked = { parse: (s) => String(s ?? "") };\nexport default marked;\n',
+  dompurify: 'const DOMPurify = { sanitize: (s) => String(s ?? "") };\nexport default DOMPurify;\n',
+  oauth4webapi: 'export {};\n',
+};
+
+/** Bumped when the vendor layout changes, to invalidate old caches. */
+const VENDOR_FORMAT = 1;
+
+const ORIGIN = 'http://render-check.local';
+const ROOT_MARKER = 'data-render-check-root';
+const DEFAULT_TIMEOUT_MS = 8000;
+/** Extra time after the app mounts, so effect-time errors are caught too. */
+const SETTLE_MS = 300;
+
+/** Console noise from the harness itself, never reported. */
+const IGNORED_CONSOLE = [
+  /in-browser Babel transformer/,
+  /Download the React DevTools/,
+  // React's follow-up to an error the boundary already reported
+  /The above error occurred in the/,
+];
+
+export function defaultCacheDir() {
+  return join(homedir(), '.vibes', 'cache', 'render-check');
+}
+
+function moduleFileName(spec) {
+  return spec.replace(/\//g, '__') + '.js';
+}
+
+function packageVersion(name) {
+  try {
+    return require(`${name}/package.json`).version;
+  } catch {
+    return 'missing';
+  }
+}
+
+/**
+ * Build (or reuse) the vendor directory for the installed package versions.
+ *
+ * @param {string} [cacheDir]
+ * @returns {Promise<string>} Directory holding one ESM file per vendored specifier
+ */
+export async function ensureVendorBundle(cacheDir = defaultCacheDir()) {
+  const key = createHash('sha256')
+    .update(JSON.stringify([VENDOR_FORMAT, ...['react', 'react-dom', 'tinybase', 'esbuild'].map(packageVersion)]))
+    .digest('hex')
+    .slice(0, 12);
+  const vendorDir = join(cacheDir, `vendor-${key}`);
+  if (existsSync(join(vendorDir, moduleFileName('react')))) return vendorDir;
+
+  const { build } = await import('esbuild');
+  const srcDir = join(cacheDir, `src-${key}`);
+  mkdirSync(srcDir, { recursive: true });
+
+  // React ships CommonJS, which esbuild can only expose as a default export.
+  // Re-export its keys by name so `import { useState } from "react"` works.
+  const entryPoints = {};
+  for (const spec of VENDORED_MODULES) {
+    const resolved = require.resolve(spec);
+    const code = spec.startsWith('react')
+      ? `import m from ${JSON.stringify(resolved)};\nexport default m;\nexport const { ${namedExports(spec).join(', ')} } = m;\n`
+      : `export * from ${JSON.stringify(resolved)};\n`;
+    const file = join(srcDir, moduleFileName(spec));
+    writeFileSync(file, code);
+    entryPoints[moduleFileName(spec).replace(/\.js$/, '')] = file;
+  }
+
+  // Build into a temp dir and rename, so a crash never leaves half a cache
+  const tmpDir = `${vendorDir}.tmp-${process.pid}`;
+  await build({
+    entryPoints,
+    outdir: tmpDir,
+    bundle: true,
+    splitting: true, // one shared React instance across all entries
+    format: 'esm',
+    define: { 'process.env.NODE_ENV': '"development"' },
+    logLevel: 'silent',
+  });
+  for (const [spec, code] of Object.entries(STUBBED_MODULES)) {
+    writeFileSync(join(tmpDir, moduleFileName(spec)), code);
+  }
+  writeFileSync(join(tmpDir, 'empty.js'), '');
+  copyFileSync(require.resolve('@babel/standalone/babel.min.js'), join(tmpDir, 'babel.min.js'));
+
+  rmSync(vendorDir, { recursive: true, force: true });
+  renameSync(tmpDir, vendorDir);
+  rmSync(srcDir, { recursive: true, force: true });
+  return vendorDir;
+}
+
+function namedExports(spec) {
+  return Object.keys(require(spec)).filter(k => k !== 'default' && /^[A-Za-z_$][\w$]*$/.test(k));
+}
+
+/**
+ * Rewrite an assembled page for the offline check: fill deploy-time
+ * placeholders with preview defaults, point CDN scripts at local copies and
+ * wrap <App /> in a marker element so an empty render can be told apart
+ * from the shell's own chrome.
+ *
+ * @param {string} html - Assembled index.html
+ * @param {{ appName?: string }} [opts]
+ * @returns {string}
+ */
+export function prepareRenderPage(html, opts = {}) {
+  let page = populateConnectConfig(html, { '__APP_NAME__': opts.appName || 'render-check' });
+  page = page.replace(/(<script[^>]*\ssrc=")(https?:\/\/[^"]+)"/g, (_, pre, url) =>
+    `${pre}${url.includes('@babel/standalone') ? '/vendor/babel.min.js' : '/vendor/empty.js'}"`);
+  page = page.replace(/(<script[^>]*\ssrc=")\/vibes-ai\.js"/, '$1/vendor/empty.js"');
+  page = page.replace(/(<AppErrorBoundary>(?:<OwnerScope>)?)<App \/>/,
+    `$1<div ${ROOT_MARKER}=""><App /></div>`);
+  return page;
+}
+
+/**
+ * Format console arguments the way a browser devtools line reads,
+ * including React's printf-style `%s` warnings.
+ */
+export function formatConsoleArgs(args) {
+  const parts = [...args];
+  let first = typeof parts[0] === 'string' ? parts.shift() : '';
+  if (first) {
+    first = first.replace(/%[sdifoOc]/g, (token) => {
+      if (!parts.length) return token;
+      const value = parts.shift();
+      return token === '%c' ? '' : stringify(value);
+    });
+  }
+  return [first, ...parts.map(stringify)].filter(Boolean).join(' ').trim();
+}
+
+function stringify(value) {
+  if (value instanceof Error || (value && typeof value === 'object' && 'message' in value && 'stack' in value)) {
+    return value.message;
+  }
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Load an assembled page and report render problems.
+ *
+ * @param {string} html - Assembled index.html (from assemble.js)
+ * @param {object} [opts]
+ * @param {string} [opts.appName]
+ * @param {number} [opts.timeoutMs=8000] - Give up waiting for the app to mount
+ * @param {string} [opts.cacheDir] - Vendor bundle cache
+ * @param {boolean} [opts.a11y] - Also audit the mounted app (lib/a11y-audit.js);
+ *   `a11y` is null when the app didn't mount
+ * @returns {Promise<{ ok: boolean, empty: boolean, errors: string[], warnings: string[], durationMs: number, a11y?: import('./a11y-audit.js').A11yFinding[] | null }>}
+ */
+export async function runRenderCheck(html, opts = {}) {
+  const startedAt = Date.now();
+  const timeoutMs = opts.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const vendorDir = await ensureVendorBundle(opts.cacheDir);
+  const { Browser } = await import('happy-dom');
+
+  // Serve the page and vendor dir from one throwaway virtual origin
+  const siteDir = join(dirname(vendorDir), `site-${process.pid}-${Date.now().toString(36)}`);
+  mkdirSync(siteDir, { recursive: true });
+  writeFileSync(join(siteDir, 'index.html'), prepareRenderPage(html, opts));
+
+  const errors = [];
+  const warnings = [];
+  const record = (list, message) => {
+    if (message && !list.includes(message)) list.push(message.slice(0, 1000));
+  };
+
+  const browser = new Browser({
+    settings: {
+      enableJavaScriptEvaluation: true,
+      suppressInsecureJavaScriptEnvironmentWarning: true,
+      fetch: {
+        virtualServers: [
+          { url: `${ORIGIN}/vendor/`, directory: vendorDir },
+          { url: `${ORIGIN}/`, directory: siteDir },
+        ],
+        interceptor: {
+          async beforeAsyncRequest({ request, window }) {
+            if (new URL(request.url).origin !== ORIGIN) return new window.Response('', { status: 404 });
+          },
+          beforeSyncRequest({ request, window }) {
+            if (new URL(request.url).origin === ORIGIN) return;
+            return { status: 404, statusText: 'Offline', ok: false, url: request.url, redirected: false, headers: new window.Headers(), body: null };
+          },
+        },
+      },
+      module: {
+        urlResolver({ url }) {
+          if (VENDORED_MODULES.includes(url) || url in STUBBED_MODULES) return `${ORIGIN}/vendor/${moduleFileName(url)}`;
+          return url;
+        },
+      },
+      navigation: {
+        beforeContentCallback(window) {
+          // happy-dom doesn't implement console.timeStamp, which React dev calls
+          window.console.timeStamp = () => {};
+          // ...nor structuredClone, which TinyBase middleware uses
+          window.structuredClone ??= structuredClone;
+          for (const level of ['error', 'warn']) {
+            const original = window.console[level].bind(window.console);
+            window.console[level] = (...args) => {
+              // The template's error boundary logs every crash it catches
+              if (args[0] === '[vibes] App error:') {
+                record(errors, stringify(args[1]));
+              } else {
+                const message = formatConsoleArgs(args);
+                if (!IGNORED_CONSOLE.some(re => re.test(message))) record(warnings, message);
+              }
+              original(...args);
+            };
+          }
+          window.addEventListener('error', (e) => record(errors, stringify(e.error || e.message)));
+          window.addEventListener('unhandledrejection', (e) => record(errors, `Unhandled rejection: ${stringify(e.reason)}`));
+        },
+      },
+    },
+  });
+
+  let empty = false;
+  let a11y = null;
+  try {
+    const page = browser.newPage();
+    await page.goto(`${ORIGIN}/index.html`);
+    const { document, Babel } = page.mainFrame.window;
+
+    // Babel standalone transforms text/babel scripts on DOMContentLoaded,
+    // which happy-dom dispatches before Babel's listener is attached.
+    // Run the transform ourselves, once.
+    if (Babel && document.querySelector('script[type="text/babel"]')) {
+      Babel.transformScriptTags();
+    }
+
+    const mountPoint = () => document.querySelector(`[${ROOT_MARKER}]`) || null;
+    const deadline = startedAt + timeoutMs;
+    let mounted = false;
+    while (Date.now() < deadline && errors.length === 0) {
+      await new Promise(r => setTimeout(r, 100));
+      if (mountPoint()) { mounted = true; break; }
+    }
+    if (mounted) await new Promise(r => setTimeout(r, SETTLE_MS));
+
+    const root = mountPoint();
+    if (errors.length === 0) {
+      if (!root) {
+        errors.push(`App did not mount within ${timeoutMs}ms`);
+      } else if (!root.textContent.trim() && root.children.length === 0) {
+        empty = true;
+      }
+      if (root && opts.a11y) a11y = auditAccessibility(page.mainFrame.window, root);
+    }
+  } catch (err) {
+    record(errors, `Render check failed: ${err.message}`);
+  } finally {
+    try { await browser.close(); } catch {}
+    rmSync(siteDir, { recursive: true, force: true });
+  }
+
+  return {
+    ok: errors.length === 0 && !empty,
+    empty,
+    errors,
+    warnings,
+    durationMs: Date.now() - startedAt,
+    ...(opts.a11y ? { a11y } : {}),
+  };
+}
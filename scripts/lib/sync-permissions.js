@@ -0,0 +1,109 @@
+/**
+ * sync-permissions.js
+ *
+ * Declarative sync permissions — the `permissions` section of vibes.json.
+ * Deploys ship the rules as permissions.json next to index.html; the sync
+ * relay enforces them and the template mirrors the owner-only ones so a
+ * refused change doesn't linger on the device that made it.
+ *
+ *   "permissions": {
+ *     "tables": {
+ *       "posts": { "create": "signedIn", "update": "owner", "delete": "owner" },
+ *       "notes": "private"
+ *     }
+ *   }
+ *
+ * Each of create, update and delete takes an access level (ACCESS_LEVELS);
+ * omitted ones are "anyone". "private" is short for owner-only update and
+ * delete. Tables without rules, and store values, are writable by anyone.
+ */
+
+import { readVibesJson } from './vibes-json.js';
+
+export const PERMISSIONS_FILE = 'permissions.json';
+
+/**
+ * anyone   — every connection
+ * signedIn — connections with a verified sign-in (private apps)
+ * owner    — the user in the row's `owner` cell (update and delete only)
+ * nobody   — no client; the table is read-only over sync
+ */
+export const ACCESS_LEVELS = ['anyone', 'signedIn', 'owner', 'nobody'];
+
+const OPERATIONS = ['create', 'update', 'delete'];
+const PRIVATE_RULES = { create: 'anyone', update: 'owner', delete: 'owner' };
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseTableRules(tableId, rules) {
+  if (rules === 'private') return { ...PRIVATE_RULES };
+  if (!isObject(rules)) {
+    throw new Error(`permissions.tables.${tableId} must be "private" or an object of create/update/delete rules`);
+  }
+  for (const key of Object.keys(rules)) {
+    if (!OPERATIONS.includes(key)) {
+      throw new Error(`permissions.tables.${tableId}: unknown operation "${key}" (expected ${OPERATIONS.join(', ')})`);
+    }
+  }
+  const parsed = {};
+  for (const operation of OPERATIONS) {
+    const level = rules[operation] ?? 'anyone';
+    if (!ACCESS_LEVELS.includes(level)) {
+      throw new Error(`permissions.tables.${tableId}.${operation}: "${level}" is not one of ${ACCESS_LEVELS.join(', ')}`);
+    }
+    if (operation === 'create' && level === 'owner') {
+      throw new Error(`permissions.tables.${tableId}.create can't be "owner" — a new row has no owner yet`);
+    }
+    parsed[operation] = level;
+  }
+  return parsed;
+}
+
+/**
+ * Validate a permissions section and expand it to full rules.
+ *
+ * @param {unknown} raw - The `permissions` value from vibes.json
+ * @returns {{ tables: Record<string, { create: string, update: string, delete: string }> }}
+ * @throws {Error} Describing the first invalid rule
+ */
+export function parsePermissions(raw) {
+  if (!isObject(raw)) throw new Error('permissions must be an object');
+  for (const key of Object.keys(raw)) {
+    if (key !== 'tables') throw new Error(`permissions: unknown section "${key}" (expected tables)`);
+  }
+  if (raw.tables !== undefined && !isObject(raw.tables)) throw new Error('permissions.tables must be an object');
+  const tables = {};
+  for (const [tableId, rules] of Object.entries(raw.tables || {})) {
+    tables[tableId] = parseTableRules(tableId, rules);
+  }
+  return { tables };
+}
+
+/**
+ * Rules for tables that only their rows' owners may change.
+ *
+ * @param {string[]} tableIds
+ * @returns {{ tables: Record<string, { create: string, update: string, delete: string }> }}
+ */
+export function privatePermissions(tableIds) {
+  return { tables: Object.fromEntries(tableIds.map(tableId => [tableId, { ...PRIVATE_RULES }])) };
+}
+
+/**
+ * Read and validate a project's permissions from vibes.json.
+ *
+ * @param {string} projectDir - Absolute path to the project directory
+ * @returns {{ tables: Record<string, object> }|null} null when none are declared
+ * @throws {Error} When the declared permissions are invalid
+ */
+export function readPermissions(projectDir) {
+  const permissions = readVibesJson(projectDir)?.permissions;
+  if (permissions === undefined) return null;
+  try {
+    return parsePermissions(permissions);
+  } catch (err) {
+    throw new Error(`vibes.json: ${err.message}`);
+  }
+}
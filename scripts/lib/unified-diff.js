@@ -0,0 +1,181 @@
+/**
+ * Line-based unified diff.
+ *
+ * Myers O(ND) diff over lines, rendered in the same format as `diff -u`
+ * so results can be shown in the editor or fed back to the model.
+ * Common prefix/suffix lines are trimmed before diffing so a small edit
+ * in a 2,000-line app.jsx stays cheap.
+ */
+
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Split text into lines, dropping the empty entry after a trailing newline.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Compute the edit script between two line arrays.
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{ op: ' ' | '-' | '+', line: string }>}
+ */
+export function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const head = a.slice(0, start).map(line => ({ op: ' ', line }));
+  const tail = a.slice(endA).map(line => ({ op: ' ', line }));
+  const middle = myers(a.slice(start, endA), b.slice(start, endB));
+  return [...head, ...middle, ...tail];
+}
+
+/**
+ * Myers shortest-edit-script. Keeps one V array per D step so the path
+ * can be walked back; fine for the edit sizes we see between app.jsx turns.
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0) return b.map(line => ({ op: '+', line }));
+  if (m === 0) return a.map(line => ({ op: '-', line }));
+
+  const max = n + m;
+  const offset = max;
+  let v = new Int32Array(2 * max + 2);
+  const trace = [];
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ op: ' ', line: a[x - 1] });
+      x--; y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ op: '+', line: b[y - 1] });
+      } else {
+        ops.push({ op: '-', line: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/**
+ * Build a unified diff between two texts.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} [opts]
+ * @param {string} [opts.oldLabel='a/app.jsx'] - Header label for the old side
+ * @param {string} [opts.newLabel='b/app.jsx'] - Header label for the new side
+ * @param {number} [opts.context=3] - Unchanged lines of context around each hunk
+ * @returns {string} Unified diff, or '' when the texts are identical
+ */
+export function createUnifiedDiff(oldText, newText, opts = {}) {
+  const oldLabel = opts.oldLabel || 'a/app.jsx';
+  const newLabel = opts.newLabel || 'b/app.jsx';
+  const context = opts.context ?? DEFAULT_CONTEXT;
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  if (!ops.some(o => o.op !== ' ')) return '';
+
+  // Annotate each op with its 1-based line numbers on both sides
+  let oldNo = 1;
+  let newNo = 1;
+  const rows = ops.map(o => {
+    const row = { ...o, oldNo, newNo };
+    if (o.op !== '+') oldNo++;
+    if (o.op !== '-') newNo++;
+    return row;
+  });
+
+  // Group changed rows (plus context) into hunks
+  const hunks = [];
+  let current = null;
+  for (let i = 0; i < rows.length; i++) {
+    if (rows[i].op === ' ') continue;
+    const from = Math.max(0, i - context);
+    const to = Math.min(rows.length - 1, i + context);
+    if (current && from <= current.to + 1) {
+      current.to = Math.max(current.to, to);
+    } else {
+      current = { from, to };
+      hunks.push(current);
+    }
+  }
+
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const h of hunks) {
+    const slice = rows.slice(h.from, h.to + 1);
+    const oldCount = slice.filter(r => r.op !== '+').length;
+    const newCount = slice.filter(r => r.op !== '-').length;
+    const oldStart = oldCount ? slice.find(r => r.op !== '+').oldNo : slice[0].oldNo - 1;
+    const newStart = newCount ? slice.find(r => r.op !== '-').newNo : slice[0].newNo - 1;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const r of slice) out.push(r.op + r.line);
+  }
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Count added and removed lines in a unified diff.
+ *
+ * @param {string} diff - Output of createUnifiedDiff
+ * @returns {{ added: number, removed: number }}
+ */
+export function diffStats(diff) {
+  let added = 0;
+  let removed = 0;
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++') || line.startsWith('---')) continue;
+    if (line.startsWith('+')) added++;
+    else if (line.startsWith('-')) removed++;
+  }
+  return { added, removed };
+}
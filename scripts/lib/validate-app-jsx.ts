@@ -1,5 +1,6 @@
 /**
- * Parse-check app.jsx using esbuild's transform in JSX mode.
+ * Parse-check app.jsx using esbuild's transform in JSX mode (TSX for
+ * app.tsx and .ts/.tsx modules).
  *
  * Called from the generate flow after each successful Write/Edit tool_result
  * to decide whether to emit preview_reload (file is parseable, iframe can
@@ -12,20 +13,38 @@
  *
  * Uses esbuild (already a dep) rather than Bun.Transpiler so the same code
  * works under Node (tests) and Bun (runtime).
+ *
+ * validateAppSource checks every file of a multi-file app (app.jsx plus its
+ * src/ modules, see lib/app-source.js) before reassembly.
  */
 
 import { readFileSync } from 'fs';
+import { relative } from 'path';
 import { transformSync } from 'esbuild';
+import { listAppModules, resolveAppEntry, sourceLoader } from './app-source.js';
 
 export type ValidateResult = { ok: true } | { ok: false; error: string };
 
 export function validateAppJsx(path: string): ValidateResult {
   try {
     const code = readFileSync(path, 'utf-8');
-    transformSync(code, { loader: 'jsx' });
+    transformSync(code, { loader: sourceLoader(path) });
     return { ok: true };
   } catch (e: any) {
     const msg = String(e?.message ?? e);
     return { ok: false, error: msg.slice(0, 500) };
   }
 }
+
+/**
+ * Parse-check the entry (app.jsx or app.tsx) and every src/ module. The
+ * error names the first file that fails, relative to the app directory; a
+ * missing entry fails too.
+ */
+export function validateAppSource(appDir: string): ValidateResult {
+  for (const file of [resolveAppEntry(appDir), ...listAppModules(appDir)]) {
+    const result = validateAppJsx(file);
+    if (!result.ok) return { ok: false, error: `${relative(appDir, file)}: ${result.error}`.slice(0, 500) };
+  }
+  return { ok: true };
+}
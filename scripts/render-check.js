@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Vibes Render Check
+ *
+ * Loads an assembled index.html in a headless DOM, mounts the app and
+ * reports render errors, an empty root and React warnings. Works offline.
+ * With --a11y it also audits the mounted app for accessibility issues.
+ *
+ * Usage:
+ *   bun scripts/render-check.js <index.html> [--json] [--a11y] [--name <app>] [--timeout <ms>]
+ *
+ * Exit code 0 when the app renders cleanly, 1 otherwise. Accessibility
+ * findings don't change the exit code.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve, basename, dirname } from 'path';
+import { runRenderCheck } from './lib/render-check.js';
+import { formatA11yFindings } from './lib/a11y-audit.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flagValue = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+  const htmlPath = args.find((a, i) => !a.startsWith('--') && !['--name', '--timeout'].includes(args[i - 1]));
+  const json = args.includes('--json');
+  const a11y = args.includes('--a11y');
+  const appName = flagValue('--name');
+  const timeoutMs = parseInt(flagValue('--timeout'), 10) || undefined;
+
+  if (!htmlPath) {
+    throw new Error('Usage: bun scripts/render-check.js <index.html> [--json]');
+  }
+  const resolvedPath = resolve(htmlPath);
+  if (!existsSync(resolvedPath)) {
+    throw new Error(`File not found: ${resolvedPath}`);
+  }
+
+  const result = await runRenderCheck(readFileSync(resolvedPath, 'utf8'), {
+    appName: appName || basename(dirname(resolvedPath)),
+    timeoutMs,
+    a11y,
+  });
+
+  if (json) {
+    process.stdout.write(JSON.stringify(result) + '\n');
+  } else {
+    console.log(result.ok ? `Render OK (${result.durationMs}ms)` : `Render FAILED (${result.durationMs}ms)`);
+    if (result.empty) console.log('  - App rendered nothing');
+    result.errors.forEach(e => console.log(`  error: ${e}`));
+    result.warnings.forEach(w => console.log(`  warning: ${w}`));
+    if (result.a11y) {
+      console.log(result.a11y.length ? `Accessibility: ${result.a11y.length} issue(s)` : 'Accessibility: no issues');
+      if (result.a11y.length) console.log(formatA11yFindings(result.a11y).replace(/^/gm, '  '));
+    }
+  }
+  // happy-dom can leave timers from the app behind; don't wait for them
+  process.exit(result.ok ? 0 : 1);
+}
+
+main().catch(e => { console.error(e.message); process.exit(1); });
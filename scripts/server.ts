@@ -8,7 +8,9 @@
  *   --mode=preview  (default) Serves preview.html for terminal-based iteration
  *   --mode=editor   Serves editor.html with setup wizard, generation, and deploy
  *
- * Usage: bun scripts/server.ts [--port 3333] [--mode=editor]
+ * Usage: bun scripts/server.ts [--port 3333] [--mode=editor] [--render-check] [--lan]
+ *
+ * --lan opens the editor to teammates on the local network (server/collab.ts).
  *
  * Programmatic: import { startServer } from './server.ts';
  *               const { server, ctx } = await startServer({ mode: 'editor', port: 3333 });
@@ -21,11 +23,16 @@ import { createRouter } from './server/router.ts';
 import { createWsHandler, killSessionBridge, broadcast, type WsData } from './server/ws.ts';
 import { killProcessOnPort, waitForPort } from './server/lifecycle.ts';
 import { cancelCurrent } from './server/claude-bridge.ts';
+import { authorizeRequest, isLoopbackAddress, joinUrls } from './server/collab.ts';
 
 export interface StartServerOptions {
   port?: number;
   mode?: 'preview' | 'editor';
   prompt?: string;
+  /** Headless render check after each turn (see lib/render-check.js) */
+  renderCheck?: boolean;
+  /** LAN collaboration: listen on every interface, token-gated (see server/collab.ts) */
+  lan?: boolean;
   /** If true, skip process-level signal handlers (caller manages lifecycle) */
   managed?: boolean;
 }
@@ -48,6 +55,12 @@ export async function startServer(options?: StartServerOptions): Promise<StartSe
   if (options?.prompt) {
     process.argv.push('--prompt', options.prompt);
   }
+  if (options?.renderCheck) {
+    process.argv.push('--render-check');
+  }
+  if (options?.lan) {
+    process.argv.push('--lan');
+  }
 
   const ctx = loadConfig();
   if (options?.managed) ctx.managed = true;
@@ -64,16 +77,23 @@ export async function startServer(options?: StartServerOptions): Promise<StartSe
   }
 
   const server = Bun.serve<WsData>({
-    hostname: '127.0.0.1',
+    hostname: ctx.collab ? '0.0.0.0' : '127.0.0.1',
     port: ctx.port,
     idleTimeout: 255,
 
     async fetch(req, srv) {
       const url = new URL(req.url);
+      const address = srv.requestIP(req)?.address;
+
+      // LAN mode: other machines need the join token
+      if (ctx.collab) {
+        const denied = authorizeRequest(ctx.collab, req, url, address);
+        if (denied) return denied;
+      }
 
       // WebSocket upgrade — accept both /ws and root path (editor.html connects to root)
       if (url.pathname === '/ws' || req.headers.get('upgrade')?.toLowerCase() === 'websocket') {
-        const upgraded = srv.upgrade(req, { data: { ctx, onEvent: () => {} } });
+        const upgraded = srv.upgrade(req, { data: { ctx, onEvent: () => {}, fromHost: isLoopbackAddress(address) } });
         // Bun.serve fetch() must return a Response, but on successful upgrade there is
         // nothing to send — Bun expects `undefined`. Cast to satisfy TypeScript.
         if (upgraded) return undefined as any;
@@ -120,6 +140,11 @@ export async function startServer(options?: StartServerOptions): Promise<StartSe
   console.log(`  Mode:   ${modeLabel}`);
   console.log(`  Themes: ${ctx.themes.length} loaded`);
   console.log(`  Anims:  ${ctx.animations.length} loaded`);
+  if (ctx.collab) {
+    console.log(`  LAN:    collaborators can join with`);
+    for (const joinUrl of joinUrls(ctx.collab, ctx.port)) console.log(`          ${joinUrl}`);
+    console.log(`          (they get the same file access as you — share only with people you trust)`);
+  }
   if (!options?.managed) console.log(`  Press Ctrl+C to stop\n`);
 
   return { server, ctx, shutdown: shutdownFn };
@@ -1,6 +1,7 @@
 import { join } from 'path';
 import { existsSync } from 'fs';
 import { createBackup } from '../lib/backup.js';
+import { resolveAppEntry } from '../lib/app-source.js';
 
 const FILLER_WORDS = new Set([
   'build', 'me', 'a', 'an', 'the', 'my', 'for', 'make', 'create',
@@ -13,9 +14,12 @@ export function currentAppDir(ctx, appName) {
   return join(ctx.appsDir, appName);
 }
 
+/**
+ * The active app's entry file: app.tsx for TypeScript apps, else app.jsx.
+ */
 export function resolveAppJsxPath(ctx, appName) {
   const dir = resolveProjectDir(ctx, appName);
-  return join(dir || ctx.projectRoot, 'app.jsx');
+  return resolveAppEntry(dir || ctx.projectRoot);
 }
 
 export function slugifyPrompt(prompt) {
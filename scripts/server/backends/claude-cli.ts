@@ -0,0 +1,41 @@
+/**
+ * Claude CLI backend — spawns `claude -p` with stream-json output.
+ */
+
+import { buildClaudeArgs, buildPersistentArgs, resolveClaudeBin, cleanEnv } from '../../lib/claude-subprocess.js';
+import type { ModelBackend, ModelProcess } from '../model-backend.ts';
+
+function spawnClaude(label: string, args: string[], cwd: string): ModelProcess {
+  const claudeBin = resolveClaudeBin();
+  console.log(`[${label}] Bin: ${claudeBin}`);
+  console.log(`[${label}] Args: ${args.join(' ')}`);
+  return Bun.spawn({
+    cmd: [claudeBin, ...args],
+    cwd,
+    env: cleanEnv(),
+    stdin: 'pipe',
+    stdout: 'pipe',
+    stderr: 'pipe',
+  });
+}
+
+export const claudeCliBackend: ModelBackend = {
+  name: 'claude',
+
+  spawnOneShot(opts) {
+    const args = buildClaudeArgs({
+      outputFormat: 'stream-json',
+      maxTurns: opts.maxTurns,
+      model: opts.model,
+      tools: opts.tools,
+      permissionMode: opts.permissionMode,
+      pluginRoot: opts.pluginRoot,
+    });
+    return spawnClaude('OneShot', args, opts.cwd);
+  },
+
+  spawnPersistent(opts) {
+    const args = buildPersistentArgs({ pluginRoot: opts.pluginRoot, resumeSessionId: opts.resumeSessionId });
+    return spawnClaude('Bridge', args, opts.cwd);
+  },
+};
@@ -0,0 +1,580 @@
+/**
+ * OpenAI-compatible backend — generation against any chat-completions
+ * endpoint (OpenRouter, or a local server such as Ollama, LM Studio,
+ * llama.cpp or vLLM) through a small in-process tool loop.
+ *
+ * The model gets three tools — Read, Write and Edit — scoped to the working
+ * directory (the app folder). Each step streams the completion, runs the
+ * requested tools and feeds their results back until the model answers
+ * without a tool call. Everything is written to stdout as Claude stream-json
+ * (`system` init, `stream_event` deltas, `assistant`, `tool_result`,
+ * `result`), so the bridge, runOneShot and the editor work unchanged.
+ *
+ * Persistent processes keep their conversation in
+ * `<cwd>/.vibes/openai-session.json`, which is what `resumeSessionId`
+ * continues after a respawn or a server restart.
+ *
+ * Settings (environment):
+ *   VIBES_OPENAI_BASE_URL  endpoint base URL (default: OpenRouter)
+ *   VIBES_OPENAI_API_KEY   bearer token; defaults to the OpenRouter key for
+ *                          OpenRouter, local servers usually need none
+ *   VIBES_OPENAI_MODEL     model id (default: anthropic/claude-sonnet-4).
+ *                          The editor's model picker names Claude CLI models,
+ *                          so callers' `model` options don't apply here.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, resolve, relative, dirname, basename, sep } from 'path';
+import { randomUUID } from 'crypto';
+import { buildSkillAppendix } from '../../lib/claude-subprocess.js';
+import { resolveAppEntry } from '../../lib/app-source.js';
+import { loadOpenRouterKey } from '../config.ts';
+import type { ModelBackend, ModelProcess } from '../model-backend.ts';
+
+const DEFAULT_BASE_URL = 'https://openrouter.ai/api/v1';
+const DEFAULT_MODEL = 'anthropic/claude-sonnet-4';
+
+/** Model requests per turn when the caller sets no max turns. */
+const DEFAULT_MAX_TURNS = 40;
+
+/** Read results are cut here so one large file can't fill the context. */
+const MAX_READ_CHARS = 200_000;
+
+const SESSION_FILE = 'openai-session.json';
+
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143, SIGKILL: 137 };
+
+export interface OpenAICompatConfig {
+  baseUrl: string;
+  apiKey: string | null;
+  model: string;
+}
+
+interface ToolCall {
+  id: string;
+  type: 'function';
+  function: { name: string; arguments: string };
+}
+
+interface ChatMessage {
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  content: string | null;
+  tool_calls?: ToolCall[];
+  tool_call_id?: string;
+}
+
+const TOOL_DEFINITIONS: Record<string, object> = {
+  Read: {
+    description: 'Read a file from the app directory.',
+    parameters: {
+      type: 'object',
+      properties: { file_path: { type: 'string', description: 'Path relative to the app directory, e.g. app.jsx' } },
+      required: ['file_path'],
+    },
+  },
+  Write: {
+    description: 'Create or overwrite a file in the app directory with the given content.',
+    parameters: {
+      type: 'object',
+      properties: {
+        file_path: { type: 'string', description: 'Path relative to the app directory' },
+        content: { type: 'string', description: 'The complete new file content' },
+      },
+      required: ['file_path', 'content'],
+    },
+  },
+  Edit: {
+    description: 'Replace text in a file. old_string must match exactly and appear once, unless replace_all is true.',
+    parameters: {
+      type: 'object',
+      properties: {
+        file_path: { type: 'string', description: 'Path relative to the app directory' },
+        old_string: { type: 'string', description: 'The exact text to replace' },
+        new_string: { type: 'string', description: 'The replacement text' },
+        replace_all: { type: 'boolean', description: 'Replace every occurrence' },
+      },
+      required: ['file_path', 'old_string', 'new_string'],
+    },
+  },
+};
+
+export const TOOL_NAMES = Object.keys(TOOL_DEFINITIONS);
+
+/**
+ * Endpoint settings from the environment (see the module comment).
+ */
+export function loadOpenAICompatConfig(pluginRoot?: string): OpenAICompatConfig {
+  const baseUrl = (process.env.VIBES_OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  let apiKey = process.env.VIBES_OPENAI_API_KEY || null;
+  if (!apiKey && isOpenRouter(baseUrl)) {
+    apiKey = process.env.OPENROUTER_API_KEY || (pluginRoot ? loadOpenRouterKey(pluginRoot) : null);
+  }
+  return { baseUrl, apiKey, model: process.env.VIBES_OPENAI_MODEL || DEFAULT_MODEL };
+}
+
+function isOpenRouter(baseUrl: string): boolean {
+  return baseUrl.includes('openrouter.ai');
+}
+
+// --- Tools ---
+
+function resolveInside(cwd: string, filePath: unknown): string {
+  if (typeof filePath !== 'string' || !filePath) throw new Error('file_path is required');
+  const root = resolve(cwd);
+  const full = resolve(root, filePath);
+  if (full !== root && !full.startsWith(root + sep)) {
+    throw new Error(`${filePath} is outside the app directory`);
+  }
+  return full;
+}
+
+/**
+ * Run one tool call inside `cwd`. Failures (bad path, missing file, an
+ * Edit that doesn't match) come back as an error result for the model.
+ */
+export function runTool(cwd: string, name: string, input: any): { content: string; isError: boolean } {
+  try {
+    const path = resolveInside(cwd, input?.file_path);
+    const rel = relative(resolve(cwd), path);
+    if (name === 'Read') {
+      if (!existsSync(path)) throw new Error(`${rel} does not exist`);
+      const text = readFileSync(path, 'utf-8');
+      return { content: text.length > MAX_READ_CHARS ? text.slice(0, MAX_READ_CHARS) + '\n[truncated]' : text, isError: false };
+    }
+    if (name === 'Write') {
+      if (typeof input.content !== 'string') throw new Error('content is required');
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(path, input.content, 'utf-8');
+      return { content: `Wrote ${rel} (${input.content.length} chars)`, isError: false };
+    }
+    if (name === 'Edit') {
+      if (!existsSync(path)) throw new Error(`${rel} does not exist`);
+      const { old_string: oldString, new_string: newString } = input;
+      if (typeof oldString !== 'string' || !oldString || typeof newString !== 'string') {
+        throw new Error('old_string and new_string are required');
+      }
+      const text = readFileSync(path, 'utf-8');
+      const occurrences = text.split(oldString).length - 1;
+      if (occurrences === 0) throw new Error(`old_string not found in ${rel}`);
+      if (occurrences > 1 && !input.replace_all) {
+        throw new Error(`old_string appears ${occurrences} times in ${rel} — add context to make it unique, or set replace_all`);
+      }
+      writeFileSync(path, input.replace_all ? text.split(oldString).join(newString) : text.replace(oldString, () => newString), 'utf-8');
+      return { content: `Edited ${rel}`, isError: false };
+    }
+    throw new Error(`Unknown tool: ${name}`);
+  } catch (err: any) {
+    return { content: err.message, isError: true };
+  }
+}
+
+// --- Conversation persistence ---
+
+function sessionPath(cwd: string): string {
+  return join(cwd, '.vibes', SESSION_FILE);
+}
+
+function loadSessionMessages(cwd: string, sessionId: string): ChatMessage[] | null {
+  const path = sessionPath(cwd);
+  if (!existsSync(path)) return null;
+  try {
+    const stored = JSON.parse(readFileSync(path, 'utf-8'));
+    return stored?.sessionId === sessionId && Array.isArray(stored.messages) ? stored.messages : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveSessionMessages(cwd: string, sessionId: string, messages: ChatMessage[]): void {
+  try {
+    mkdirSync(join(cwd, '.vibes'), { recursive: true });
+    writeFileSync(sessionPath(cwd), JSON.stringify({ sessionId, updatedAt: Date.now(), messages }));
+  } catch (err) {
+    console.error('[OpenAICompat] Session write failed:', err);
+  }
+}
+
+// --- Emulated process ---
+
+interface ProcessIO {
+  /** Write one stream-json event to stdout. */
+  emit(event: object): void;
+  /** Write a line to stderr. */
+  log(text: string): void;
+  /** Aborted when the process is killed. */
+  readonly signal: AbortSignal;
+  exit(code: number): void;
+}
+
+/**
+ * A ModelProcess backed by in-memory streams. `onInput` receives stdin
+ * writes, `onEnd` the stdin close.
+ */
+function createInProcessModel(handlers: { onInput?: (data: string, io: ProcessIO) => void; onEnd?: (io: ProcessIO) => void }): { proc: ModelProcess; io: ProcessIO } {
+  const encoder = new TextEncoder();
+  const abort = new AbortController();
+  let stdoutCtl!: ReadableStreamDefaultController<Uint8Array>;
+  let stderrCtl!: ReadableStreamDefaultController<Uint8Array>;
+  const stdout = new ReadableStream<Uint8Array>({ start(c) { stdoutCtl = c; } });
+  const stderr = new ReadableStream<Uint8Array>({ start(c) { stderrCtl = c; } });
+  let exitCode: number | null = null;
+  let resolveExited!: (code: number) => void;
+  const exited = new Promise<number | null>(r => { resolveExited = r; });
+
+  const io: ProcessIO = {
+    emit(event) {
+      if (exitCode === null) stdoutCtl.enqueue(encoder.encode(JSON.stringify(event) + '\n'));
+    },
+    log(text) {
+      if (exitCode === null) stderrCtl.enqueue(encoder.encode(text + '\n'));
+    },
+    signal: abort.signal,
+    exit(code) {
+      if (exitCode !== null) return;
+      exitCode = code;
+      abort.abort();
+      try { stdoutCtl.close(); } catch {}
+      try { stderrCtl.close(); } catch {}
+      resolveExited(code);
+    },
+  };
+
+  const proc: ModelProcess = {
+    pid: null,
+    stdin: {
+      write(data: string) {
+        if (exitCode === null) handlers.onInput?.(data, io);
+      },
+      end() {
+        if (exitCode === null) handlers.onEnd?.(io);
+      },
+    },
+    stdout,
+    stderr,
+    exited,
+    kill(signal = 'SIGTERM') {
+      io.exit(SIGNAL_EXIT_CODES[signal] ?? 143);
+    },
+  };
+  return { proc, io };
+}
+
+// --- Tool loop ---
+
+interface Conversation {
+  config: OpenAICompatConfig;
+  cwd: string;
+  sessionId: string;
+  system: string;
+  tools: string[];
+  maxTurns: number;
+  messages: ChatMessage[];
+  /** Cumulative for the process, like the CLI's `total_cost_usd`. */
+  costUsd: number | null;
+  /** Called after each consistent step (no tool call left unanswered). */
+  save?: () => void;
+}
+
+function buildSystemPrompt(cwd: string, tools: string[], pluginRoot?: string): string {
+  const entry = basename(resolveAppEntry(cwd));
+  const moduleExample = entry === 'app.tsx' ? 'src/Board.tsx' : 'src/Board.jsx';
+  const intro = `You are building a Vibes app — a React app whose entry point is ${entry}. Larger components can live in modules under src/ (e.g. ${moduleExample}), imported from ${entry} with relative imports like './${moduleExample}'.
+Working directory: ${cwd}
+Tools: ${tools.join(', ')}. File paths are relative to the working directory; files outside it are not accessible.
+Make changes with the tools instead of printing code in your reply. Prefer Edit for targeted changes; use Write for a new file.`;
+  return pluginRoot ? `${intro}\n\n---\n\n${buildSkillAppendix(pluginRoot)}` : intro;
+}
+
+function toolSchemas(tools: string[]): object[] {
+  return tools.map(name => ({ type: 'function', function: { name, ...TOOL_DEFINITIONS[name] } }));
+}
+
+/**
+ * Parse a server-sent events body into its JSON `data:` payloads.
+ */
+export async function* readSse(body: ReadableStream<Uint8Array>): AsyncGenerator<any> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let newline: number;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      // Comments (": keep-alive") and other fields are skipped
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      try {
+        yield JSON.parse(data);
+      } catch {}
+    }
+  }
+}
+
+/**
+ * One streamed completion. Text deltas and tool calls are written as
+ * stream-json `stream_event`s while they arrive.
+ */
+async function requestCompletion(conv: Conversation, io: ProcessIO): Promise<{ text: string; toolCalls: ToolCall[]; finishReason: string | null; usage: any }> {
+  const { config } = conv;
+  const body: any = {
+    model: config.model,
+    messages: [{ role: 'system', content: conv.system }, ...conv.messages],
+    stream: true,
+    stream_options: { include_usage: true },
+  };
+  if (conv.tools.length) body.tools = toolSchemas(conv.tools);
+  // OpenRouter reports the request's cost in `usage` only when asked
+  if (isOpenRouter(config.baseUrl)) body.usage = { include: true };
+
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+  if (isOpenRouter(config.baseUrl)) {
+    headers['HTTP-Referer'] = 'https://vibes.diy';
+    headers['X-Title'] = 'Vibes Editor';
+  }
+
+  const resp = await fetch(`${config.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal: io.signal,
+  });
+  if (!resp.ok || !resp.body) {
+    const errText = await resp.text().catch(() => '');
+    throw new Error(`Model request failed (${resp.status}): ${errText.slice(0, 300)}`);
+  }
+
+  let text = '';
+  let finishReason: string | null = null;
+  let usage: any = null;
+  const calls: { id: string; name: string; args: string; index: number; started: boolean }[] = [];
+
+  for await (const chunk of readSse(resp.body)) {
+    if (chunk.error) throw new Error(chunk.error.message || 'Model stream failed');
+    if (chunk.usage) usage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    const delta = choice.delta || {};
+    if (typeof delta.content === 'string' && delta.content) {
+      text += delta.content;
+      io.emit({ type: 'stream_event', event: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: delta.content } } });
+    }
+    for (const part of delta.tool_calls || []) {
+      const index = typeof part.index === 'number' ? part.index : calls.length;
+      let call = calls.find(c => c.index === index);
+      if (!call) {
+        call = { id: '', name: '', args: '', index, started: false };
+        calls.push(call);
+      }
+      if (part.id && !call.id) call.id = part.id;
+      if (part.function?.name) call.name += part.function.name;
+      const args = part.function?.arguments || '';
+      call.args += args;
+      if (!call.started && call.name) {
+        call.started = true;
+        call.id ||= `toolu_${randomUUID()}`;
+        io.emit({ type: 'stream_event', event: { type: 'content_block_start', index: index + 1, content_block: { type: 'tool_use', id: call.id, name: call.name } } });
+        if (call.args) io.emit({ type: 'stream_event', event: { type: 'content_block_delta', index: index + 1, delta: { type: 'input_json_delta', partial_json: call.args } } });
+      } else if (call.started && args) {
+        io.emit({ type: 'stream_event', event: { type: 'content_block_delta', index: index + 1, delta: { type: 'input_json_delta', partial_json: args } } });
+      }
+    }
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  }
+
+  const toolCalls: ToolCall[] = calls
+    .filter(c => c.name)
+    .map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: c.args || '{}' } }));
+  return { text, toolCalls, finishReason, usage };
+}
+
+/**
+ * Run one user turn to completion: model requests and tool calls until the
+ * model stops calling tools. Writes the turn's `result` event (except when
+ * `maxTurns` runs out on a one-shot run, which is reported like the CLI:
+ * on stderr, with exit code 1). Returns false if the turn failed.
+ */
+async function runTurn(conv: Conversation, prompt: string, io: ProcessIO, oneShot: boolean): Promise<boolean> {
+  const startTime = Date.now();
+  const usage = { input_tokens: 0, output_tokens: 0, cache_read_input_tokens: 0 };
+  io.emit({ type: 'system', subtype: 'init', session_id: conv.sessionId, model: conv.config.model, tools: conv.tools, cwd: conv.cwd });
+  conv.messages.push({ role: 'user', content: prompt });
+  conv.save?.();
+
+  const result = (fields: object) => {
+    io.emit({
+      type: 'result',
+      session_id: conv.sessionId,
+      duration_ms: Date.now() - startTime,
+      usage,
+      ...(conv.costUsd !== null ? { total_cost_usd: conv.costUsd } : {}),
+      ...fields,
+    });
+  };
+
+  try {
+    for (let step = 1; step <= conv.maxTurns; step++) {
+      const reply = await requestCompletion(conv, io);
+      usage.input_tokens += reply.usage?.prompt_tokens || 0;
+      usage.output_tokens += reply.usage?.completion_tokens || 0;
+      usage.cache_read_input_tokens += reply.usage?.prompt_tokens_details?.cached_tokens || 0;
+      if (typeof reply.usage?.cost === 'number') conv.costUsd = (conv.costUsd || 0) + reply.usage.cost;
+
+      const toolUses = reply.toolCalls.map(call => {
+        let input: any;
+        try {
+          input = JSON.parse(call.function.arguments);
+        } catch {
+          input = null;
+        }
+        // Absolute paths, as the CLI reports them
+        if (input && typeof input.file_path === 'string') input = { ...input, file_path: resolve(conv.cwd, input.file_path) };
+        return { call, input };
+      });
+
+      io.emit({
+        type: 'assistant',
+        message: {
+          role: 'assistant',
+          model: conv.config.model,
+          stop_reason: reply.finishReason === 'length' ? 'max_tokens' : toolUses.length ? 'tool_use' : 'end_turn',
+          content: [
+            ...(reply.text ? [{ type: 'text', text: reply.text }] : []),
+            ...toolUses.map(({ call, input }) => ({ type: 'tool_use', id: call.id, name: call.function.name, input: input || {} })),
+          ],
+        },
+      });
+      conv.messages.push({ role: 'assistant', content: reply.text || null, ...(reply.toolCalls.length ? { tool_calls: reply.toolCalls } : {}) });
+
+      if (!toolUses.length) {
+        conv.save?.();
+        result({ subtype: 'success', is_error: false, result: reply.text, num_turns: step });
+        return true;
+      }
+
+      for (const { call, input } of toolUses) {
+        const name = call.function.name;
+        const outcome = !input
+          ? { content: 'Invalid JSON in tool arguments', isError: true }
+          : conv.tools.includes(name) ? runTool(conv.cwd, name, input) : { content: `Tool not available: ${name}`, isError: true };
+        conv.messages.push({ role: 'tool', tool_call_id: call.id, content: outcome.content });
+        io.emit({ type: 'tool_result', tool_use_id: call.id, tool_name: name, content: outcome.content, is_error: outcome.isError });
+      }
+      conv.save?.();
+    }
+
+    if (oneShot) {
+      io.log(`Error: Reached max_turns (${conv.maxTurns})`);
+    } else {
+      result({ subtype: 'error_max_turns', is_error: true, result: `Stopped after ${conv.maxTurns} model requests` });
+    }
+    return false;
+  } catch (err: any) {
+    if (io.signal.aborted) return false;
+    io.log(`[OpenAICompat] ${err.message}`);
+    result({ subtype: 'error_during_execution', is_error: true, result: err.message });
+    return false;
+  }
+}
+
+function missingKeyError(config: OpenAICompatConfig): string | null {
+  if (config.apiKey || !isOpenRouter(config.baseUrl)) return null;
+  return 'OpenRouter API key not configured. Add OPENROUTER_API_KEY to .env, or set VIBES_OPENAI_BASE_URL to a local model server.';
+}
+
+export const openAICompatBackend: ModelBackend = {
+  name: 'openai',
+
+  spawnOneShot(opts) {
+    const config = loadOpenAICompatConfig(opts.pluginRoot);
+    const allowed = opts.tools ? opts.tools.split(',').map(t => t.trim()) : TOOL_NAMES;
+    const tools = TOOL_NAMES.filter(name => allowed.includes(name));
+    const conv: Conversation = {
+      config,
+      cwd: opts.cwd,
+      sessionId: randomUUID(),
+      system: buildSystemPrompt(opts.cwd, tools, opts.pluginRoot),
+      tools,
+      maxTurns: opts.maxTurns || DEFAULT_MAX_TURNS,
+      messages: [],
+      costUsd: null,
+    };
+    let prompt = '';
+    const { proc } = createInProcessModel({
+      onInput(data) { prompt += data; },
+      onEnd(io) {
+        const keyError = missingKeyError(config);
+        if (keyError) {
+          io.log(keyError);
+          io.exit(1);
+          return;
+        }
+        console.log(`[OpenAICompat] One-shot run (model: ${config.model}, endpoint: ${config.baseUrl})`);
+        runTurn(conv, prompt, io, true).then(ok => io.exit(ok ? 0 : 1));
+      },
+    });
+    return proc;
+  },
+
+  spawnPersistent(opts) {
+    const config = loadOpenAICompatConfig(opts.pluginRoot);
+    const resumed = opts.resumeSessionId ? loadSessionMessages(opts.cwd, opts.resumeSessionId) : null;
+    const sessionId = resumed ? opts.resumeSessionId! : randomUUID();
+    const conv: Conversation = {
+      config,
+      cwd: opts.cwd,
+      sessionId,
+      system: buildSystemPrompt(opts.cwd, TOOL_NAMES, opts.pluginRoot),
+      tools: TOOL_NAMES,
+      maxTurns: DEFAULT_MAX_TURNS,
+      messages: resumed || [],
+      costUsd: null,
+      save: () => saveSessionMessages(opts.cwd, sessionId, conv.messages),
+    };
+    console.log(`[OpenAICompat] Persistent session ${sessionId}${resumed ? ' (resumed)' : ''} (model: ${config.model}, endpoint: ${config.baseUrl})`);
+
+    // Turns run one at a time, in the order their messages arrived
+    let queue: Promise<unknown> = Promise.resolve();
+    let pending = '';
+    const { proc } = createInProcessModel({
+      onInput(data, io) {
+        pending += data;
+        let newline: number;
+        while ((newline = pending.indexOf('\n')) !== -1) {
+          const line = pending.slice(0, newline).trim();
+          pending = pending.slice(newline + 1);
+          if (!line) continue;
+          let message: any;
+          try {
+            message = JSON.parse(line);
+          } catch {
+            io.log(`[OpenAICompat] Ignoring malformed input line: ${line.slice(0, 100)}`);
+            continue;
+          }
+          const content = message?.message?.content;
+          const prompt = typeof content === 'string'
+            ? content
+            : Array.isArray(content) ? content.map((block: any) => block?.text || '').join('') : '';
+          if (message?.type !== 'user' || !prompt) continue;
+          queue = queue.then(() => {
+            const keyError = missingKeyError(config);
+            if (keyError) {
+              io.emit({ type: 'result', subtype: 'error_during_execution', is_error: true, result: keyError, session_id: sessionId });
+              return;
+            }
+            return runTurn(conv, prompt, io, false);
+          });
+        }
+      },
+      onEnd(io) {
+        queue.then(() => io.exit(0));
+      },
+    });
+    return proc;
+  },
+};
@@ -0,0 +1,94 @@
+/**
+ * Brainstorm questions — the structured Q&A before a new app is generated.
+ *
+ * The brainstorm run (handlers/brainstorm.ts) asks the model for all of its
+ * questions at once as a `<brainstorm-questions>` JSON block. This module
+ * turns that reply into validated questions for the `brainstorm_questions`
+ * event, and the editor's `brainstorm_answers` back into answers for
+ * `buildBrainstormGeneratePrompt`.
+ */
+
+export interface BrainstormQuestion {
+  id: string;
+  prompt: string;
+  options: string[];
+  /** The option used when the user doesn't answer. */
+  default: string | null;
+}
+
+export interface BrainstormAnswer {
+  id: string;
+  prompt: string;
+  answer: string;
+}
+
+export const MAX_BRAINSTORM_QUESTIONS = 6;
+export const MAX_BRAINSTORM_OPTIONS = 4;
+const MAX_TEXT = 300;
+
+function cleanText(value: unknown): string {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT) : '';
+}
+
+/**
+ * The JSON payload of a brainstorm reply: the `<brainstorm-questions>`
+ * block, else a fenced code block, else the outermost array or object.
+ */
+function extractJson(text: string): string | null {
+  const tagged = text.match(/<brainstorm-questions>([\s\S]*?)<\/brainstorm-questions>/);
+  if (tagged) return tagged[1].trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) return fenced[1].trim();
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf(']'), text.lastIndexOf('}'));
+  return start !== -1 && end > start ? text.slice(start, end + 1) : null;
+}
+
+/**
+ * Parse the model's brainstorm reply. Returns the valid questions (an empty
+ * list when the model had none to ask), or null if the reply has no
+ * readable question list. Malformed questions are dropped; ids are made
+ * unique and defaults fall back to the first option.
+ */
+export function parseBrainstormQuestions(text: string | null | undefined): BrainstormQuestion[] | null {
+  const json = text ? extractJson(text) : null;
+  if (!json) return null;
+  let parsed: any;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.questions;
+  if (!Array.isArray(list)) return null;
+
+  const questions: BrainstormQuestion[] = [];
+  const ids = new Set<string>();
+  for (const raw of list) {
+    const prompt = cleanText(raw?.prompt ?? raw?.question);
+    const options = [...new Set((Array.isArray(raw?.options) ? raw.options : []).map(cleanText).filter(Boolean))].slice(0, MAX_BRAINSTORM_OPTIONS) as string[];
+    if (!prompt || options.length < 2) continue;
+
+    let id = cleanText(raw?.id).toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || `q${questions.length + 1}`;
+    while (ids.has(id)) id += '_';
+    ids.add(id);
+
+    const preferred = cleanText(raw?.default);
+    questions.push({ id, prompt, options, default: options.includes(preferred) ? preferred : options[0] });
+    if (questions.length === MAX_BRAINSTORM_QUESTIONS) break;
+  }
+  return questions;
+}
+
+/**
+ * Pair the user's answers (question id → option or typed text) with their
+ * questions. Unanswered questions take their default.
+ */
+export function resolveBrainstormAnswers(questions: BrainstormQuestion[], answers: Record<string, unknown> | null | undefined): BrainstormAnswer[] {
+  const resolved: BrainstormAnswer[] = [];
+  for (const question of questions) {
+    const answer = cleanText(answers?.[question.id]) || question.default || '';
+    if (answer) resolved.push({ id: question.id, prompt: question.prompt, answer });
+  }
+  return resolved;
+}
@@ -0,0 +1,153 @@
+/**
+ * Bridge persistence — keep a bridge's Claude session and event log on disk
+ * so an editor restart doesn't lose model context or replayable events.
+ *
+ *   <appDir>/.vibes/bridge-session.json   { sessionId, updatedAt } from the `init` event
+ *   <appDir>/.vibes/bridge-events.jsonl   one SequencedEvent per line
+ *
+ * The bridge resumes the stored session (`claude --resume`) when it spawns,
+ * and seeds its ring buffer from the log so `reconnect` can replay events
+ * from before the restart. `reset` clears both.
+ */
+
+import { existsSync, readFileSync, writeFileSync, appendFileSync, mkdirSync, unlinkSync, renameSync } from 'fs';
+import { join } from 'path';
+import type { SequencedEvent } from './claude-bridge.ts';
+
+const SESSION_FILE = 'bridge-session.json';
+const EVENTS_FILE = 'bridge-events.jsonl';
+
+/** Buffered events are written at most this often while streaming. */
+const FLUSH_INTERVAL_MS = 500;
+
+function vibesDir(appDir: string): string {
+  return join(appDir, '.vibes');
+}
+
+/**
+ * The stored Claude session id for an app, or null.
+ */
+export function loadBridgeSessionId(appDir: string): string | null {
+  const path = join(vibesDir(appDir), SESSION_FILE);
+  if (!existsSync(path)) return null;
+  try {
+    const { sessionId } = JSON.parse(readFileSync(path, 'utf-8'));
+    return typeof sessionId === 'string' && sessionId ? sessionId : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveBridgeSessionId(appDir: string, sessionId: string): void {
+  try {
+    mkdirSync(vibesDir(appDir), { recursive: true });
+    writeFileSync(join(vibesDir(appDir), SESSION_FILE), JSON.stringify({ sessionId, updatedAt: Date.now() }, null, 2));
+  } catch (err) {
+    console.error('[bridge-persistence] Session write failed:', err);
+  }
+}
+
+/**
+ * Forget the stored session id (the next bridge starts a new conversation).
+ */
+export function clearBridgeSessionId(appDir: string): void {
+  try { unlinkSync(join(vibesDir(appDir), SESSION_FILE)); } catch {}
+}
+
+/**
+ * Read the persisted event log, oldest first, keeping the last `max` events.
+ * Unparseable lines (e.g. a write cut off by a crash) are skipped.
+ */
+export function loadEventLog(appDir: string, max: number): SequencedEvent[] {
+  const path = join(vibesDir(appDir), EVENTS_FILE);
+  if (!existsSync(path)) return [];
+  const events: SequencedEvent[] = [];
+  for (const line of readFileSync(path, 'utf-8').split('\n')) {
+    if (!line) continue;
+    try {
+      const parsed = JSON.parse(line);
+      if (typeof parsed?.seq === 'number') events.push(parsed);
+    } catch {}
+  }
+  return events.slice(-max);
+}
+
+export function clearEventLog(appDir: string): void {
+  try { unlinkSync(join(vibesDir(appDir), EVENTS_FILE)); } catch {}
+}
+
+export interface EventLogWriter {
+  append(event: SequencedEvent): void;
+  /** Write buffered events now. */
+  flush(): void;
+  /** Drop buffered events and delete the log. */
+  clear(): void;
+}
+
+/**
+ * Buffered appender for an app's event log. Token events arrive many times
+ * a second, so lines are batched and written every FLUSH_INTERVAL_MS (and
+ * on flush). The file is compacted to the last `max` events once it holds
+ * twice that many.
+ */
+export function createEventLogWriter(appDir: string, max: number): EventLogWriter {
+  const path = join(vibesDir(appDir), EVENTS_FILE);
+  let pending: string[] = [];
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let lines = loadEventLog(appDir, Infinity).length;
+
+  function flush(): void {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+    try {
+      mkdirSync(vibesDir(appDir), { recursive: true });
+      appendFileSync(path, batch.join('\n') + '\n');
+      lines += batch.length;
+      if (lines >= max * 2) {
+        const kept = loadEventLog(appDir, max);
+        const tmpPath = `${path}.tmp`;
+        writeFileSync(tmpPath, kept.map(e => JSON.stringify(e)).join('\n') + '\n');
+        renameSync(tmpPath, path);
+        lines = kept.length;
+      }
+    } catch (err) {
+      console.error('[bridge-persistence] Event log write failed:', err);
+    }
+  }
+
+  return {
+    append(event: SequencedEvent): void {
+      let line: string;
+      try {
+        line = JSON.stringify(event);
+      } catch {
+        return;
+      }
+      pending.push(line);
+      if (!timer) timer = setTimeout(flush, FLUSH_INTERVAL_MS);
+    },
+    flush,
+    clear(): void {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      pending = [];
+      lines = 0;
+      clearEventLog(appDir);
+    },
+  };
+}
+
+/**
+ * Forget everything persisted for an app's bridge.
+ */
+export function clearBridgePersistence(appDir: string): void {
+  clearBridgeSessionId(appDir);
+  clearEventLog(appDir);
+}
@@ -5,6 +5,8 @@ export interface ChatMessage {
   role: 'user' | 'assistant' | 'system';
   content: string;
   timestamp: number;
+  /** Who sent a user message, in LAN collaboration mode. */
+  author?: string;
 }
 
 export function loadHistory(appDir: string): ChatMessage[] {
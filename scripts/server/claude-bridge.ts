@@ -2,17 +2,22 @@
  * Persistent bidirectional Claude bridge.
  *
  * Keeps a single Claude process alive with stdin open for multi-turn
- * conversation via stream-json input/output format.
+ * conversation via stream-json input/output format. The process comes from
+ * the configured model backend (model-backend.ts) — the Claude CLI unless
+ * VIBES_MODEL_BACKEND says otherwise.
  *
  * Also re-exports one-shot helpers and legacy symbols so existing
  * imports from this module continue to work.
  */
 
-import { basename } from 'path';
+import { basename, resolve } from 'path';
 import { createStreamParser } from '../lib/stream-parser.js';
-import { buildPersistentArgs, resolveClaudeBin, cleanEnv } from '../lib/claude-subprocess.js';
+import { getModelBackend, type ModelProcess } from './model-backend.ts';
+import { loadBridgeSessionId, saveBridgeSessionId, clearBridgeSessionId, loadEventLog, createEventLogWriter } from './bridge-persistence.ts';
 import { createStreamTranslator } from './event-translator.ts';
-import { validateAppJsx } from '../lib/validate-app-jsx.ts';
+import { recordUsage, fromClaudeUsage, budgetWarningEvent, type UsageSource } from './usage.ts';
+import { validateAppJsx, validateAppSource } from '../lib/validate-app-jsx.ts';
+import { isAppSourceFile } from '../lib/app-source.js';
 
 // --- Types ---
 
@@ -41,7 +46,26 @@ export interface PersistentBridge {
    * - `null` — explicitly clear turn state (rarely needed).
    */
   setTurnMode(mode: TurnMode, initialStage?: GenerationStage): void;
+  /**
+   * Inject a server-side event (e.g. `proposed_change`) into the sequenced
+   * event log and forward it to `onEvent`, so reconnecting clients replay it
+   * alongside the Claude stream.
+   */
+  emit(event: any): void;
   onEvent: EventCallback | null;
+  /**
+   * Called when the bridge can take the next message: after a turn's
+   * result, once an interrupted process has stopped, or after a crash (the
+   * next `sendMessage` respawns). Runs in a microtask, after the events of
+   * the turn that just ended.
+   */
+  onReady: (() => void) | null;
+  /**
+   * Called when the model process dies on its own — not after `kill`,
+   * `reset` or an interrupt — with its exit code. A turn it was running has
+   * already ended with an `error` event.
+   */
+  onExit: ((exitCode: number | null) => void) | null;
   readonly appDir: string | null;
   readonly eventLog: readonly SequencedEvent[];
 }
@@ -173,6 +197,8 @@ export function createBridgeTurnState(): BridgeTurnState {
  */
 export interface BridgeDispatchHelpers {
   validateAppJsx?: (path: string) => { ok: true } | { ok: false; error: string };
+  /** Directory relative tool paths are resolved against (the app dir). */
+  cwd?: string;
 }
 
 /**
@@ -277,9 +303,10 @@ export function dispatchBridgeEvent(
     if (!isWriteOrEdit) return;
     if (rawEvent.is_error) return;
 
-    const filePath = extractFilePath(pending.inputJsonBuf);
-    if (!filePath) return;
-    if (basename(filePath) !== 'app.jsx') return;
+    const rawPath = extractFilePath(pending.inputJsonBuf);
+    if (!rawPath) return;
+    const filePath = helpers.cwd ? resolve(helpers.cwd, rawPath) : rawPath;
+    if (!isAppSourceFile(helpers.cwd, filePath)) return;
 
     const v = validate(filePath);
     if (v.ok) {
@@ -296,11 +323,29 @@ export function dispatchBridgeEvent(
 
 // --- Persistent Bridge ---
 
+/**
+ * Create the persistent bridge for an app directory. The Claude session id
+ * and the event log are persisted under `<appDir>/.vibes/` (see
+ * bridge-persistence.ts): a new bridge resumes the app's last session and
+ * starts with its logged events, so context survives server restarts.
+ */
 export function createBridge(appDir: string, onEvent: EventCallback, pluginRoot?: string): PersistentBridge {
   let state: BridgeState = 'idle';
-  let proc: ReturnType<typeof Bun.spawn> | null = null;
-  let seq = 0;
+  let proc: ModelProcess | null = null;
   const eventLog = new RingBuffer<SequencedEvent>(RING_BUFFER_MAX);
+  const restored = loadEventLog(appDir, RING_BUFFER_MAX);
+  for (const event of restored) eventLog.push(event);
+  let seq = restored.length ? restored[restored.length - 1].seq : 0;
+  const logWriter = createEventLogWriter(appDir, RING_BUFFER_MAX);
+  /** Session the current process was started with `--resume` on, if any. */
+  let resumedSessionId: string | null = null;
+  /** The current process has reported its session (`init`). */
+  let sessionStarted = false;
+  /** Last prompt written, re-sent if resuming the stored session fails. */
+  let lastPrompt: string | null = null;
+  /** `total_cost_usd` is cumulative per process; this is the last one seen. */
+  let processCostUsd = 0;
+  let processModel: string | null = null;
   const turn: BridgeTurnState = createBridgeTurnState();
   // Per-bridge stream translator — owns its own tool_input progress state
   // so it doesn't leak between turns or across concurrent tool_use calls.
@@ -314,12 +359,29 @@ export function createBridge(appDir: string, onEvent: EventCallback, pluginRoot?
     }
     console.log(`[Bridge] ${state} -> ${next} (${action})`);
     state = next;
+    if (next === 'idle' || action === 'process_exit') notifyReady();
     return true;
   }
 
+  function notifyReady(): void {
+    queueMicrotask(() => {
+      try {
+        bridge.onReady?.();
+      } catch (err) {
+        console.error('[Bridge] onReady callback error:', err);
+      }
+    });
+  }
+
   function emitEvent(event: any): void {
     const seqEvent: SequencedEvent = { seq: ++seq, event };
     eventLog.push(seqEvent);
+    logWriter.append(seqEvent);
+    if (event.type === 'init' && event.session_id) {
+      sessionStarted = true;
+      saveBridgeSessionId(appDir, event.session_id);
+    }
+    if (event.type === 'complete' || event.type === 'error') logWriter.flush();
     try {
       bridge.onEvent?.(event);
     } catch (err) {
@@ -328,19 +390,13 @@ export function createBridge(appDir: string, onEvent: EventCallback, pluginRoot?
   }
 
   function spawn(): void {
-    const args = buildPersistentArgs({ pluginRoot });
-    const claudeBin = resolveClaudeBin();
-    console.log(`[Bridge] Spawning persistent process (bin: ${claudeBin}, cwd: ${appDir})`);
-    console.log(`[Bridge] Args: ${args.join(' ')}`);
-
-    proc = Bun.spawn({
-      cmd: [claudeBin, ...args],
-      cwd: appDir,
-      env: cleanEnv(),
-      stdin: 'pipe',
-      stdout: 'pipe',
-      stderr: 'pipe',
-    });
+    resumedSessionId = loadBridgeSessionId(appDir);
+    sessionStarted = false;
+    processCostUsd = 0;
+    processModel = null;
+    const backend = getModelBackend();
+    console.log(`[Bridge] Spawning persistent ${backend.name} process (cwd: ${appDir})`);
+    proc = backend.spawnPersistent({ cwd: appDir, pluginRoot, resumeSessionId: resumedSessionId || undefined });
 
     console.log(`[Bridge] PID ${proc.pid} spawned`);
 
@@ -374,13 +430,22 @@ export function createBridge(appDir: string, onEvent: EventCallback, pluginRoot?
   function readStdout(p: NonNullable<typeof proc>): void {
     const parse = createStreamParser((rawEvent: any) => {
       // Staged-preview events (only fire during generate turns)
-      dispatchBridgeEvent(rawEvent, turn, emitEvent);
+      dispatchBridgeEvent(rawEvent, turn, emitEvent, { cwd: appDir });
 
       // Translate raw stream-json event into UI-facing messages.
       // Each bridge instance uses its own translator so per-turn progress
       // state doesn't leak between turns.
       const translated = translate(rawEvent);
       for (const msg of translated) {
+        if (msg.type === 'init') processModel = msg.model || null;
+        // Tag `complete` with this turn's share of the process cost
+        if (msg.type === 'complete') {
+          msg.model = processModel;
+          if (typeof msg.cost === 'number') {
+            msg.turnCost = msg.cost >= processCostUsd ? msg.cost - processCostUsd : msg.cost;
+            processCostUsd = msg.cost;
+          }
+        }
         emitEvent(msg);
       }
 
@@ -411,20 +476,57 @@ export function createBridge(appDir: string, onEvent: EventCallback, pluginRoot?
       if (proc !== p) return;
       proc = null;
 
+      // `--resume` of a session Claude no longer has exits before `init`:
+      // forget it and run the turn in a fresh session instead
+      if (state === 'streaming' && resumedSessionId && !sessionStarted && lastPrompt) {
+        console.warn(`[Bridge] Could not resume session ${resumedSessionId} — starting a new one`);
+        clearBridgeSessionId(appDir);
+        spawn();
+        writePrompt(lastPrompt);
+        return;
+      }
+
+      if (state === 'interrupted') {
+        // Expected exit after SIGINT — transition to idle
+        transition('process_exit');
+        return;
+      }
       if (state === 'streaming') {
         transition('process_exit');
         emitEvent({
           type: 'error',
           message: `Claude process exited unexpectedly (code ${exitCode})`,
         });
-      } else if (state === 'interrupted') {
-        // Expected exit after SIGINT — transition to idle
-        transition('process_exit');
       }
-      // If state is already 'dead' (from kill/reset), nothing to do
+      try {
+        bridge.onExit?.(exitCode);
+      } catch (err) {
+        console.error('[Bridge] onExit callback error:', err);
+      }
     });
   }
 
+  function writePrompt(prompt: string): void {
+    if (!proc) {
+      console.error('[Bridge] No process after spawn — cannot send message');
+      state = 'dead';
+      emitEvent({ type: 'error', message: 'Failed to spawn Claude process' });
+      return;
+    }
+
+    const stdinMsg = JSON.stringify({
+      type: 'user',
+      message: { role: 'user', content: prompt },
+    });
+    try {
+      proc.stdin.write(stdinMsg + '\n');
+    } catch (err) {
+      console.error('[Bridge] stdin write error:', err);
+      state = 'dead';
+      emitEvent({ type: 'error', message: 'Failed to write to Claude process' });
+    }
+  }
+
   function killProc(): void {
     if (!proc) return;
     const p = proc;
@@ -439,6 +541,8 @@ export function createBridge(appDir: string, onEvent: EventCallback, pluginRoot?
     get eventLog() { return eventLog.toArray(); },
 
     onEvent: onEvent,
+    onReady: null,
+    onExit: null,
 
     sendMessage(prompt: string): void {
       // Auto-respawn if dead
@@ -452,24 +556,8 @@ export function createBridge(appDir: string, onEvent: EventCallback, pluginRoot?
 
       if (!transition('send_message')) return;
 
-      if (!proc) {
-        console.error('[Bridge] No process after spawn — cannot send message');
-        state = 'dead';
-        emitEvent({ type: 'error', message: 'Failed to spawn Claude process' });
-        return;
-      }
-
-      const stdinMsg = JSON.stringify({
-        type: 'user',
-        message: { role: 'user', content: prompt },
-      });
-      try {
-        proc.stdin.write(stdinMsg + '\n');
-      } catch (err) {
-        console.error('[Bridge] stdin write error:', err);
-        state = 'dead';
-        emitEvent({ type: 'error', message: 'Failed to write to Claude process' });
-      }
+      lastPrompt = prompt;
+      writePrompt(prompt);
     },
 
     interrupt(): void {
@@ -489,6 +577,7 @@ export function createBridge(appDir: string, onEvent: EventCallback, pluginRoot?
           console.log('[Bridge] SIGINT did not land within 5s — force-killing process');
           killProc();
           state = 'idle';
+          notifyReady();
         }
       }, 5000);
     },
@@ -498,11 +587,15 @@ export function createBridge(appDir: string, onEvent: EventCallback, pluginRoot?
       killProc();
       eventLog.clear();
       seq = 0;
+      // A reset starts a new conversation; don't resume the old one
+      logWriter.clear();
+      clearBridgeSessionId(appDir);
     },
 
     kill(): void {
       transition('kill');
       killProc();
+      logWriter.flush();
     },
 
     setTurnMode(mode: TurnMode, initialStage?: GenerationStage): void {
@@ -511,6 +604,10 @@ export function createBridge(appDir: string, onEvent: EventCallback, pluginRoot?
       turn.stage = initialStage ?? null;
       turn.pendingTools.clear();
     },
+
+    emit(event: any): void {
+      emitEvent(event);
+    },
   };
 
   return bridge;
@@ -569,7 +666,6 @@ export function calcProgressFromCounters(
 
 // --- One-Shot Helper (kept for generate/theme/create-theme) ---
 
-import { buildClaudeArgs } from '../lib/claude-subprocess.js';
 import { sanitizeAppJsx } from './post-process.ts';
 
 function summarizeInput(block: any): string {
@@ -595,6 +691,8 @@ export interface OneShotOpts {
    * to emit the foundation → interactions transition. Only passed by the
    * generate handler; chat/theme paths leave it undefined. */
   initialStage?: 'reading_reference' | 'foundation';
+  /** Record the run's tokens and cost in this app's usage ledger (usage.ts). */
+  usage?: { appDir: string; source: UsageSource };
 }
 
 // --- One-Shot Dispatch (extracted for testability) ---
@@ -619,6 +717,10 @@ export interface OneShotRunState {
   /** Monotonic floor for progress %. `calcProgress` ratchets this so progress
    * never rewinds within a run. */
   baseProgress: number;
+  /** Model reported by the `system` init event. */
+  model: string | null;
+  /** Usage and cost from the `result` event, if one arrived. */
+  resultUsage: { usage: any; costUsd: number | null; durationMs: number | null } | null;
 }
 
 export function createOneShotRunState(opts: { initialStage?: 'reading_reference' | 'foundation' } = {}): OneShotRunState {
@@ -632,6 +734,8 @@ export function createOneShotRunState(opts: { initialStage?: 'reading_reference'
     errorSent: false,
     pendingTools: new Map(),
     baseProgress: 0,
+    model: null,
+    resultUsage: null,
   };
 }
 
@@ -651,6 +755,9 @@ export interface DispatchHelpers {
   /** PID for diagnostic logging only (max_tokens warning). Optional — tests
    * can omit it; runOneShot supplies the real subprocess pid. */
   processPid?: number;
+  /** App directory: relative tool paths resolve against it, and edits to
+   * its src/ modules count as app edits. */
+  cwd?: string;
 }
 
 /**
@@ -726,13 +833,16 @@ export function dispatchStreamEvent(
       _toolName: toolDetail?.name || event.tool_name || '',
     });
 
-    // After a successful Write/Edit to app.jsx, parse-check the file. If it
-    // parses, signal the UI to refresh the preview iframe. If it fails,
-    // surface the error without reloading — the last-known-good render stays.
+    // After a successful Write/Edit to app.jsx or a src/ module, parse-check
+    // the file. If it parses, signal the UI to refresh the preview iframe. If
+    // it fails, surface the error without reloading — the last-known-good
+    // render stays.
     const wasWriteOrEdit = toolDetail?.name === 'Write' || toolDetail?.name === 'Edit';
-    const targetedAppJsx = typeof toolDetail?.filePath === 'string' && basename(toolDetail.filePath) === 'app.jsx';
-    if (wasWriteOrEdit && targetedAppJsx && !event.is_error) {
-      const v = validate(toolDetail!.filePath);
+    const targetPath = typeof toolDetail?.filePath === 'string' && toolDetail.filePath
+      ? (helpers.cwd ? resolve(helpers.cwd, toolDetail.filePath) : toolDetail.filePath)
+      : null;
+    if (wasWriteOrEdit && targetPath && isAppSourceFile(helpers.cwd, targetPath) && !event.is_error) {
+      const v = validate(targetPath);
       if (v.ok) {
         onEvent({ type: 'preview_reload' });
       } else {
@@ -743,7 +853,15 @@ export function dispatchStreamEvent(
         });
       }
     }
+  } else if (event.type === 'system' && event.subtype === 'init') {
+    state.model = event.model || null;
   } else if (event.type === 'result') {
+    // Failed runs are billed too
+    state.resultUsage = {
+      usage: event.usage || null,
+      costUsd: typeof event.total_cost_usd === 'number' ? event.total_cost_usd : null,
+      durationMs: event.duration_ms ?? null,
+    };
     if (event.is_error) {
       const errMsg = event.result || 'Claude flagged the run as failed';
       console.error(`[OneShot] Result is_error: ${errMsg}`);
@@ -765,27 +883,17 @@ export async function runOneShot(
 ): Promise<string | null> {
   onEvent({ type: 'progress', progress: 0, stage: 'Starting Claude...', elapsed: 0 });
 
-  const args = buildClaudeArgs({
-    outputFormat: 'stream-json',
+  const backend = getModelBackend();
+  const spawnCwd = opts.cwd || process.cwd();
+  console.log(`[OneShot] Spawning ${backend.name} (prompt: ${(prompt.length / 1024).toFixed(1)}KB, cwd: ${spawnCwd})...`);
+
+  const proc = backend.spawnOneShot({
+    cwd: spawnCwd,
+    pluginRoot: projectRoot,
     maxTurns: opts.maxTurns,
     model: opts.model,
     tools: opts.tools,
     permissionMode: opts.permissionMode,
-    pluginRoot: projectRoot,
-  });
-
-  const claudeBin = resolveClaudeBin();
-  const spawnCwd = opts.cwd || process.cwd();
-  console.log(`[OneShot] Spawning (prompt: ${(prompt.length / 1024).toFixed(1)}KB, bin: ${claudeBin}, cwd: ${spawnCwd})...`);
-  console.log(`[OneShot] Args: ${args.join(' ')}`);
-
-  const proc = Bun.spawn({
-    cmd: [claudeBin, ...args],
-    cwd: spawnCwd,
-    env: cleanEnv(),
-    stdin: 'pipe',
-    stdout: 'pipe',
-    stderr: 'pipe',
   });
 
   console.log(`[OneShot] PID ${proc.pid} spawned`);
@@ -864,7 +972,8 @@ export async function runOneShot(
     dispatchStreamEvent(event, runState, onEvent, {
       getElapsed,
       calcProgress: calcProgressLocal,
-      processPid: proc.pid,
+      processPid: proc.pid ?? undefined,
+      cwd: opts.cwd,
     });
   });
 
@@ -903,6 +1012,17 @@ export async function runOneShot(
 
   console.log(`[OneShot] Completed in ${getElapsed()}s (${runState.toolsUsed} tools, code ${exitCode})`);
 
+  if (opts.usage && runState.resultUsage) {
+    const { usage, costUsd, durationMs } = runState.resultUsage;
+    const recorded = recordUsage(opts.usage.appDir, {
+      source: opts.usage.source,
+      model: runState.model || opts.model,
+      durationMs,
+      ...fromClaudeUsage(usage, costUsd),
+    });
+    if (recorded?.warning) onEvent(budgetWarningEvent(recorded.warning));
+  }
+
   // SIGTERM exit: process was cancelled via cancelCurrent()
   if (exitCode === 143 || exitCode === 137) {
     console.log(`[OneShot] Process was cancelled (signal ${exitCode === 143 ? 'TERM' : 'KILL'})`);
@@ -944,8 +1064,8 @@ export async function runOneShot(
     runState.resultText = (runState.resultText || '') + '\n\n*[Output was truncated at the token limit — the app was written but some follow-up content may be missing.]*';
   }
 
-  // Post-process. `sanitizeAppJsx` joins its argument with 'app.jsx', so
-  // it needs the app directory (cwd), not the plugin root. Without cwd
+  // Post-process. `sanitizeAppJsx` works on the app.jsx and src/ under its
+  // argument, so it needs the app directory (cwd), not the plugin root. Without cwd
   // there's no file to sanitize — skip rather than silently no-op on
   // `<plugin-root>/app.jsx`.
   if (runState.hasEdited && opts.cwd) {
@@ -954,9 +1074,8 @@ export async function runOneShot(
 
   let appJsxValid: boolean | undefined = undefined;
   if (runState.hasEdited && opts.cwd) {
-    const appPath = `${opts.cwd}/app.jsx`;
     try {
-      appJsxValid = validateAppJsx(appPath).ok;
+      appJsxValid = validateAppSource(opts.cwd).ok;
     } catch {
       appJsxValid = false;
     }
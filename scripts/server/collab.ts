@@ -0,0 +1,134 @@
+/**
+ * LAN collaboration — opt-in mode for pairing on one app from several machines.
+ *
+ * With `--lan` (or VIBES_LAN=1) the editor server listens on every interface
+ * instead of 127.0.0.1. Requests from other machines must carry the session's
+ * join token: the host shares a join link (`/?join=<token>`), opening it
+ * stores the token in a cookie, and the cookie then authenticates every HTTP
+ * request and the WebSocket upgrade. Requests from the host's own machine are
+ * always allowed.
+ *
+ * Everyone connected to the same app shares its session (sessions.ts): bridge
+ * events, previews and the turn queue. Each connection is a Collaborator
+ * whose name tags the prompts it sends in chat history and the queue.
+ *
+ * Collaborators get the same access as the host — they can read and write
+ * any project the editor can — so only share the link with people you trust.
+ */
+
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { networkInterfaces } from 'os';
+
+export interface CollabConfig {
+  /** Secret in the join link; authenticates requests from other machines. */
+  token: string;
+}
+
+export interface Collaborator {
+  id: string;
+  name: string;
+  /** Connected from the host's own machine. */
+  host: boolean;
+}
+
+export const COLLAB_COOKIE = 'vibes_collab';
+export const MAX_NAME_LENGTH = 40;
+
+/** Keep the token cookie for a working week. */
+const COOKIE_MAX_AGE_S = 7 * 24 * 60 * 60;
+
+let collaboratorSeq = 0;
+
+/**
+ * Collaboration settings when LAN mode is on, else null. VIBES_LAN_TOKEN
+ * fixes the token (e.g. to keep join links valid across restarts).
+ */
+export function loadCollabConfig(argv: string[] = process.argv, env: Record<string, string | undefined> = process.env): CollabConfig | null {
+  if (!argv.includes('--lan') && env.VIBES_LAN !== '1') return null;
+  return { token: env.VIBES_LAN_TOKEN || randomBytes(16).toString('hex') };
+}
+
+export function isLoopbackAddress(address: string | null | undefined): boolean {
+  if (!address) return false;
+  return address === '::1' || address.startsWith('127.') || address.startsWith('::ffff:127.');
+}
+
+function tokenMatches(collab: CollabConfig, candidate: string | null | undefined): boolean {
+  if (!candidate) return false;
+  const expected = Buffer.from(collab.token);
+  const actual = Buffer.from(candidate);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+function cookieValue(req: Request, name: string): string | null {
+  for (const part of (req.headers.get('cookie') || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * Gate a request in LAN mode. Returns null when it may proceed, else the
+ * response to send: a redirect that stores the token after a join link, or
+ * 401 for a request without a valid token.
+ */
+export function authorizeRequest(collab: CollabConfig, req: Request, url: URL, address: string | null | undefined): Response | null {
+  if (isLoopbackAddress(address)) return null;
+
+  const join = url.searchParams.get('join');
+  if (join !== null) {
+    if (!tokenMatches(collab, join)) return new Response('This join link is not valid. Ask the host for a new one.', { status: 401 });
+    url.searchParams.delete('join');
+    return new Response(null, {
+      status: 302,
+      headers: {
+        Location: url.pathname + url.search,
+        'Set-Cookie': `${COLLAB_COOKIE}=${encodeURIComponent(collab.token)}; Path=/; Max-Age=${COOKIE_MAX_AGE_S}; HttpOnly; SameSite=Strict`,
+      },
+    });
+  }
+
+  if (tokenMatches(collab, cookieValue(req, COLLAB_COOKIE))) return null;
+  return new Response('Open the join link from the host to collaborate on this editor.', { status: 401 });
+}
+
+/**
+ * Join links for the host to share, one per LAN IPv4 address.
+ */
+export function joinUrls(collab: CollabConfig, port: number, interfaces = networkInterfaces()): string[] {
+  const urls: string[] = [];
+  for (const addresses of Object.values(interfaces)) {
+    for (const addr of addresses || []) {
+      if (addr.family !== 'IPv4' || addr.internal) continue;
+      urls.push(`http://${addr.address}:${port}/?join=${collab.token}`);
+    }
+  }
+  return urls;
+}
+
+/**
+ * A new connection's identity. It goes by "Host" or "Guest" until the
+ * editor sends the user's name (`identify`).
+ */
+export function createCollaborator(host: boolean): Collaborator {
+  return { id: `c${++collaboratorSeq}`, name: host ? 'Host' : 'Guest', host };
+}
+
+/**
+ * Clean a display name: single line, trimmed, at most MAX_NAME_LENGTH
+ * characters. Returns '' when nothing is left.
+ */
+export function sanitizeCollaboratorName(name: unknown): string {
+  return String(name ?? '').replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * The `collaborators` event listing who has an app open.
+ */
+export function collaboratorsEvent(collaborators: Collaborator[]): object {
+  return {
+    type: 'collaborators',
+    users: collaborators.map(({ id, name, host }) => ({ id, name, host })),
+  };
+}
@@ -11,7 +11,9 @@ import { homedir } from 'os';
 import { parseThemeCatalog } from '../lib/parse-theme-catalog.js';
 import { parseAnimationCatalog } from '../lib/parse-animation-catalog.js';
 import { resolveProjectDir } from './app-context.js';
+import { resolveAppEntry } from '../lib/app-source.js';
 import { getRecentProjects, populateLegacyApps } from '../lib/registry.js';
+import { loadCollabConfig, type CollabConfig } from './collab.ts';
 
 // --- Types ---
 
@@ -32,6 +34,10 @@ export interface ServerContext {
   pluginSkills: any[];
   backupTimestamps: Record<string, number>;
   projectDir: string | null;
+  /** Mount index.html headlessly after each turn and broadcast `render_check`. */
+  renderCheck: boolean;
+  /** LAN collaboration (collab.ts): listen on every interface, token-gated. Null when off. */
+  collab: CollabConfig | null;
   managed?: boolean;
   onWindowControl?: (action: string) => void;
   onClaudeReauth?: () => void;
@@ -52,6 +58,8 @@ export function loadConfig(): ServerContext {
   const port = (Number.isNaN(parsedPort) || parsedPort < 1 || parsedPort > 65535) ? 3333 : parsedPort;
   const mode = (process.argv.find(a => a.startsWith('--mode=')) || '--mode=preview').split('=')[1];
   const initialPrompt = process.argv.find((_, i, a) => a[i - 1] === '--prompt') || '';
+  const renderCheck = process.argv.includes('--render-check') || process.env.VIBES_RENDER_CHECK === '1';
+  const collab = loadCollabConfig();
 
   const themeDir = join(projectRoot, 'skills/vibes/themes');
   const animationDir = join(projectRoot, 'skills/vibes/animations');
@@ -137,6 +145,8 @@ export function loadConfig(): ServerContext {
     pluginSkills,
     backupTimestamps: {},
     projectDir: null,
+    renderCheck,
+    collab,
   };
 }
 
@@ -238,7 +248,7 @@ export function getAnimationInstructions(ctx, animationId) {
 export function getRecommendedThemeIds(ctx, appName?: string) {
   const appDir = resolveProjectDir(ctx, appName);
   if (!appDir) return new Set();
-  const appPath = join(appDir, 'app.jsx');
+  const appPath = resolveAppEntry(appDir);
   if (!existsSync(appPath)) return new Set();
 
   const code = readFileSync(appPath, 'utf-8').toLowerCase();
@@ -0,0 +1,238 @@
+/**
+ * Data schema tracking — spot edits that would orphan saved TinyBase data.
+ *
+ * Apps may declare their schema with `defineSchema({ version, tables,
+ * values, migrations })` (see template.delta.html). Apps that don't are
+ * described by the tables, cells and values their hooks read. Comparing the
+ * two sides of a turn tells us when a table, cell or value that may hold
+ * user data disappeared (usually a rename) without a migration to carry the
+ * data across.
+ */
+
+export interface DataSchema {
+  /** Table id → cell ids (empty when only the table itself is referenced). */
+  tables: Record<string, string[]>;
+  values: string[];
+  /** Cell types from a declared schema, keyed `table.cell`. */
+  cellTypes: Record<string, string>;
+  /** Declared schema version, or null when the schema is inferred. */
+  version: number | null;
+  /** Versions that have a migration function. */
+  migrations: number[];
+  declared: boolean;
+}
+
+export interface SchemaChange {
+  /** Human-readable breaking changes ('Cell "todos.title" removed', ...). */
+  changes: string[];
+  from: number | null;
+  to: number | null;
+  /** The edit bumped the version and added a migration for it. */
+  migrated: boolean;
+}
+
+// --- Object literal scanning ---
+
+/**
+ * Index just past the bracket matching the one at `start`, skipping over
+ * strings and comments. Returns -1 when unbalanced.
+ */
+function matchBracket(src: string, start: number): number {
+  const open = src[start];
+  const close = open === '{' ? '}' : open === '(' ? ')' : ']';
+  let depth = 0;
+  for (let i = start; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      for (i++; i < src.length && src[i] !== ch; i++) {
+        if (src[i] === '\\') i++;
+      }
+    } else if (ch === '/' && src[i + 1] === '/') {
+      i = src.indexOf('\n', i);
+      if (i === -1) return -1;
+    } else if (ch === '/' && src[i + 1] === '*') {
+      i = src.indexOf('*/', i + 2) + 1;
+      if (i === 0) return -1;
+    } else if (ch === open) {
+      depth++;
+    } else if (ch === close) {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Top-level properties of an object literal body (without the outer
+ * braces), as [key, value source] pairs. Shorthand `{ tables }` yields the
+ * identifier as its value; method shorthand yields the parameter list and body.
+ */
+function objectEntries(body: string): Array<[string, string]> {
+  const entries: Array<[string, string]> = [];
+  const keyRe = /(?:\s|\/\/[^\n]*\n|\/\*[\s\S]*?\*\/)*(?:(['"])([^'"]+)\1|([\w$]+))\s*:?/y;
+  let i = 0;
+  while (i < body.length) {
+    keyRe.lastIndex = i;
+    const m = keyRe.exec(body);
+    if (!m) break;
+    const key = m[2] ?? m[3];
+    let j = keyRe.lastIndex;
+    const valueStart = j;
+    // Value runs to the next top-level comma
+    while (j < body.length && body[j] !== ',') {
+      if ('{(['.includes(body[j])) {
+        const end = matchBracket(body, j);
+        if (end === -1) return entries;
+        j = end;
+      } else if (`"'\``.includes(body[j])) {
+        const q = body[j];
+        for (j++; j < body.length && body[j] !== q; j++) {
+          if (body[j] === '\\') j++;
+        }
+        j++;
+      } else {
+        j++;
+      }
+    }
+    entries.push([key, body.slice(valueStart, j).trim() || key]);
+    i = j + 1;
+  }
+  return entries;
+}
+
+/**
+ * Body of an object literal value. Identifiers are looked up as a
+ * `const name = {...}` declaration elsewhere in the code.
+ */
+function objectBody(value: string | undefined, code: string): string | null {
+  if (value && /^[\w$]+$/.test(value)) {
+    const decl = new RegExp(`\\b(?:const|let|var)\\s+${value.replace(/\$/g, '\\$')}\\s*=\\s*\\{`).exec(code);
+    if (!decl) return null;
+    value = code.slice(decl.index + decl[0].length - 1);
+  }
+  if (!value || !value.startsWith('{')) return null;
+  const end = matchBracket(value, 0);
+  return end === -1 ? null : value.slice(1, end - 1);
+}
+
+// --- Schema extraction ---
+
+/**
+ * Read the `defineSchema({...})` call from app code, or null if there is none.
+ */
+export function parseDeclaredSchema(code: string): DataSchema | null {
+  const call = /\bdefineSchema\s*\(\s*\{/.exec(code || '');
+  if (!call) return null;
+  const start = call.index + call[0].length - 1;
+  const end = matchBracket(code, start);
+  if (end === -1) return null;
+
+  const top = Object.fromEntries(objectEntries(code.slice(start + 1, end - 1)));
+  // A schema built at runtime can't be read statically — fall back to inference
+  if (top.tables !== undefined && objectBody(top.tables, code) === null) return null;
+  const schema: DataSchema = { tables: {}, values: [], cellTypes: {}, version: null, migrations: [], declared: true };
+
+  const version = Number(top.version);
+  schema.version = Number.isFinite(version) ? version : 1;
+
+  for (const [tableId, tableValue] of objectEntries(objectBody(top.tables, code) ?? '')) {
+    schema.tables[tableId] = [];
+    for (const [cellId, cellValue] of objectEntries(objectBody(tableValue, code) ?? '')) {
+      schema.tables[tableId].push(cellId);
+      const type = /\btype\s*:\s*['"](\w+)['"]/.exec(cellValue);
+      if (type) schema.cellTypes[`${tableId}.${cellId}`] = type[1];
+    }
+  }
+  schema.values = objectEntries(objectBody(top.values, code) ?? '').map(([id]) => id);
+  schema.migrations = objectEntries(objectBody(top.migrations, code) ?? '')
+    .map(([key]) => Number(key))
+    .filter(Number.isFinite);
+  return schema;
+}
+
+/**
+ * Describe the data an app touches from its TinyBase hook calls.
+ * Same patterns as extractDataSchema (prompt-builders.ts), kept structured.
+ */
+export function inferDataSchema(code: string): DataSchema {
+  const schema: DataSchema = { tables: {}, values: [], cellTypes: {}, version: null, migrations: [], declared: false };
+  const addTable = (id: string) => { schema.tables[id] ??= []; };
+  const addCell = (table: string, cell: string) => {
+    addTable(table);
+    if (!schema.tables[table].includes(cell)) schema.tables[table].push(cell);
+  };
+
+  for (const m of (code || '').matchAll(/use(?:RowIds|SortedRowIds|RowCount|Table|Row|AddRowCallback|SetRowCallback|SetPartialRowCallback|DelRowCallback)\s*\(\s*['"]([^'"]+)['"]/g)) {
+    addTable(m[1]);
+  }
+  for (const m of (code || '').matchAll(/use(?:Cell|CellState|SetCellCallback|HasCell)\s*\(\s*['"]([^'"]+)['"]\s*,\s*[^,]+?\s*,\s*['"]([^'"]+)['"]/g)) {
+    addCell(m[1], m[2]);
+  }
+  for (const m of (code || '').matchAll(/use(?:Value|ValueState|SetValueCallback|HasValue)\s*\(\s*['"]([^'"]+)['"]/g)) {
+    if (!schema.values.includes(m[1])) schema.values.push(m[1]);
+  }
+  return schema;
+}
+
+/**
+ * The schema an app's data is held to: its declaration if it has one,
+ * otherwise what its hooks use.
+ */
+export function readDataSchema(code: string): DataSchema {
+  return parseDeclaredSchema(code) ?? inferDataSchema(code);
+}
+
+/**
+ * Compare app code before and after an edit. Returns null when nothing that
+ * may hold saved data went away.
+ */
+export function detectSchemaChange(beforeCode: string, afterCode: string): SchemaChange | null {
+  const before = readDataSchema(beforeCode);
+  const after = readDataSchema(afterCode);
+  const changes: string[] = [];
+
+  for (const [tableId, cells] of Object.entries(before.tables)) {
+    if (!(tableId in after.tables)) {
+      changes.push(`Table "${tableId}" removed`);
+      continue;
+    }
+    for (const cellId of cells) {
+      // An inferred schema only sees cells that are read through hooks,
+      // so a cell vanishing from it only counts if the new side lists cells
+      if (!after.tables[tableId].includes(cellId) && (after.declared || after.tables[tableId].length > 0)) {
+        changes.push(`Cell "${tableId}.${cellId}" removed`);
+      }
+    }
+  }
+  for (const valueId of before.values) {
+    if (!after.values.includes(valueId)) changes.push(`Value "${valueId}" removed`);
+  }
+  for (const [key, type] of Object.entries(before.cellTypes)) {
+    const next = after.cellTypes[key];
+    if (next && next !== type) changes.push(`Cell "${key}" changed type ${type} → ${next}`);
+  }
+
+  if (changes.length === 0) return null;
+  const from = before.version ?? (after.declared ? 0 : null);
+  const to = after.version;
+  const migrated = to !== null && from !== null && to > from && after.migrations.includes(to);
+  return { changes, from, to, migrated };
+}
+
+/**
+ * Chat message asking the model to add a migration for a breaking edit.
+ * `fileName` is the app's entry; `typescript` is set for app.tsx apps.
+ */
+export function buildMigrationPrompt(change: SchemaChange, fileName = 'app.jsx', typescript = false): string {
+  const nextVersion = (change.to !== null && change.from !== null && change.to > change.from) ? change.to : (change.from ?? 0) + 1;
+  return [
+    'Your last edit changed the data schema in a way that hides data users have already saved:',
+    '',
+    ...change.changes.map(c => `- ${c}`),
+    '',
+    `Add a migration so existing data carries over. Declare (or update) the schema with defineSchema({ version: ${nextVersion}, tables, values, migrations }) at the top level of ${fileName},`,
+    `and add migrations[${nextVersion}] = (store) => { ... } that copies old cells/tables/values to their new names and deletes the old ones.`,
+    `Migrations must be safe to run on data that is already migrated.${typescript ? ' Keep the code TypeScript.' : ''} Keep everything else unchanged.`,
+  ].join('\n');
+}
@@ -0,0 +1,408 @@
+/**
+ * Local Deploy API emulator — the deploy service's routes, backed by disk.
+ *
+ * Implements what the CLI, the editor and deployed apps call on
+ * DEPLOY_API_URL, so a deploy can be exercised end to end offline:
+ *
+ *   POST /deploy                     { name, files, public? } → { url, wsUrl, ... }
+ *   POST /apps/:name/assets          { files } (large assets, uploaded before /deploy)
+ *   GET  /status/:name               app metadata, incl. oidcClientId and publicInvite
+ *   POST /apps/:name/public-link     { right } → { token, right, joinUrl }
+ *   POST /apps/:name/invite          { email } → { inviteUrl }
+ *   GET  /join/:name/:token          redirect to the app when the token is valid
+ *   WS   /sync/:name                 TinyBase sync, persisted per app, enforcing
+ *                                    the app's permissions.json
+ *
+ * Deployed files are served at http://<name>.localhost:<port>/ (what `url`
+ * points at) and at /apps/<name>/ for clients that can't resolve subdomains.
+ * Any bearer token is accepted; its JWT `sub`/`email` (or the raw token)
+ * identifies the owner, and only the owner may redeploy or mint links.
+ *
+ * Usage:
+ *   bun scripts/server/deploy-emulator.ts [--port 3335] [--dir <data dir>]
+ *   DEPLOY_API_URL=http://localhost:3335 bun scripts/deploy-cloudflare.js --name myapp --file index.html
+ */
+
+import { createServer, type IncomingMessage, type ServerResponse } from 'http';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync, statSync } from 'fs';
+import { join, dirname, extname, resolve, sep } from 'path';
+import { homedir } from 'os';
+import { randomBytes } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { createMergeableStore } from 'tinybase';
+import { createFilePersister } from 'tinybase/persisters/persister-file';
+import { createWsServer } from 'tinybase/synchronizers/synchronizer-ws-server';
+import { populateConnectConfig } from '../lib/env-utils.js';
+import { parsePermissions, PERMISSIONS_FILE } from '../lib/sync-permissions.js';
+import { guardSyncServer, loadPermissionsFile } from './sync-server.ts';
+
+const DEFAULT_EMULATOR_PORT = 3335;
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+const APP_NAME_RE = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+const CONTENT_TYPES: Record<string, string> = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+};
+
+interface Invite {
+  token: string;
+  right: string;
+  email?: string;
+  createdAt: string;
+}
+
+interface AppRecord {
+  name: string;
+  owner: string;
+  public: boolean;
+  oidcClientId?: string;
+  deployedAt?: string;
+  publicInvite?: Invite;
+  invites: Invite[];
+}
+
+export interface DeployEmulatorOptions {
+  /** 0 picks a free port. */
+  port?: number;
+  /** Where apps, their files and sync data are kept. */
+  dataDir?: string;
+}
+
+export interface DeployEmulator {
+  port: number;
+  /** Base URL to use as DEPLOY_API_URL. */
+  url: string;
+  dataDir: string;
+  shutdown: () => Promise<void>;
+}
+
+export function defaultEmulatorDir(): string {
+  return join(process.env.VIBES_HOME || homedir(), '.vibes', 'deploy-emulator');
+}
+
+class HttpError extends Error {
+  constructor(public status: number, message: string) {
+    super(message);
+  }
+}
+
+/**
+ * The caller's identity from its bearer token: the JWT subject or email
+ * when it is a JWT, otherwise the token itself.
+ */
+function identify(req: IncomingMessage): string {
+  const token = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '')?.[1];
+  if (!token) throw new HttpError(401, 'Missing bearer token');
+  const parts = token.split('.');
+  if (parts.length === 3) {
+    try {
+      const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+      if (claims.sub || claims.email) return String(claims.sub || claims.email);
+    } catch { /* not a JWT */ }
+  }
+  return token;
+}
+
+async function readJson(req: IncomingMessage): Promise<any> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  } catch {
+    throw new HttpError(400, 'Invalid JSON body');
+  }
+}
+
+function sendJson(res: ServerResponse, status: number, body: unknown) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the emulator. Resolves once it is listening.
+ */
+export async function startDeployEmulator(options: DeployEmulatorOptions = {}): Promise<DeployEmulator> {
+  const dataDir = resolve(options.dataDir || defaultEmulatorDir());
+  mkdirSync(dataDir, { recursive: true });
+
+  const server = createServer((req, res) => {
+    handleRequest(req, res).catch((err) => {
+      if (err instanceof HttpError) {
+        sendJson(res, err.status, { error: err.message });
+      } else {
+        console.error('[deploy-emulator]', err);
+        sendJson(res, 500, { error: err.message || 'Internal error' });
+      }
+    });
+  });
+
+  await new Promise<void>((ready, fail) => {
+    server.once('error', fail);
+    server.listen(options.port ?? DEFAULT_EMULATOR_PORT, () => ready());
+  });
+  const port = (server.address() as { port: number }).port;
+  const baseUrl = `http://localhost:${port}`;
+
+  // --- App records ---
+
+  const appDir = (name: string) => join(dataDir, name);
+  const appUrl = (name: string) => `http://${name}.localhost:${port}`;
+  const wsUrl = (name: string) => `ws://localhost:${port}/sync/${name}`;
+
+  function validName(name: string): string {
+    if (!APP_NAME_RE.test(name || '')) throw new HttpError(400, `Invalid app name "${name}"`);
+    return name;
+  }
+
+  function readApp(name: string): AppRecord | null {
+    const file = join(appDir(name), 'app.json');
+    return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : null;
+  }
+
+  function writeApp(app: AppRecord) {
+    mkdirSync(appDir(app.name), { recursive: true });
+    writeFileSync(join(appDir(app.name), 'app.json'), JSON.stringify(app, null, 2));
+  }
+
+  /** The app, claimed for the caller if nobody owns the name yet. */
+  function ownedApp(name: string, user: string): AppRecord {
+    const app = readApp(name) ?? { name, owner: user, public: true, invites: [] };
+    if (app.owner !== user) throw new HttpError(403, `App "${name}" belongs to another user`);
+    return app;
+  }
+
+  function existingApp(name: string): AppRecord {
+    const app = readApp(validName(name));
+    if (!app?.deployedAt) throw new HttpError(404, `App "${name}" not found`);
+    return app;
+  }
+
+  /** Write a files map ({ path: text | "base64:..." }) under the app's files dir. */
+  function writeFiles(name: string, files: Record<string, unknown>) {
+    if (!files || typeof files !== 'object') throw new HttpError(400, 'files must be an object');
+    const root = join(appDir(name), 'files');
+    for (const [path, content] of Object.entries(files)) {
+      const target = resolve(root, path);
+      if (!target.startsWith(root + sep) || typeof content !== 'string') {
+        throw new HttpError(400, `Invalid file "${path}"`);
+      }
+      mkdirSync(dirname(target), { recursive: true });
+      writeFileSync(target, content.startsWith('base64:') ? Buffer.from(content.slice(7), 'base64') : content);
+    }
+  }
+
+  function joinUrl(name: string, token: string) {
+    return `${baseUrl}/join/${encodeURIComponent(name)}/${token}`;
+  }
+
+  function newInvite(right: string, email?: string): Invite {
+    return { token: randomBytes(16).toString('hex'), right, ...(email ? { email } : {}), createdAt: new Date().toISOString() };
+  }
+
+  // --- Routes ---
+
+  async function handleRequest(req: IncomingMessage, res: ServerResponse) {
+    const url = new URL(req.url || '/', baseUrl);
+    const path = decodeURIComponent(url.pathname);
+    const method = req.method || 'GET';
+
+    if (method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      });
+      res.end();
+      return;
+    }
+
+    // Subdomain hosting: <name>.localhost serves the app from its root
+    const host = /^([a-z0-9-]+)\.localhost(?::\d+)?$/.exec(req.headers.host || '');
+    if (host && method === 'GET') return serveFile(res, existingApp(host[1]).name, path);
+
+    let m: RegExpExecArray | null;
+    if (method === 'POST' && path === '/deploy') {
+      const user = identify(req);
+      const body = await readJson(req);
+      const name = validName(body.name);
+      const app = ownedApp(name, user);
+      const files = body.files || {};
+      if (typeof files['index.html'] !== 'string') throw new HttpError(400, 'files must include index.html');
+      if (typeof files[PERMISSIONS_FILE] === 'string') {
+        try {
+          parsePermissions(JSON.parse(files[PERMISSIONS_FILE]));
+        } catch (err: any) {
+          throw new HttpError(400, `Invalid ${PERMISSIONS_FILE}: ${err.message}`);
+        }
+      }
+
+      if (typeof body.public === 'boolean') app.public = body.public;
+      if (!app.public) app.oidcClientId ??= `local-${name}-${randomBytes(4).toString('hex')}`;
+      else delete app.oidcClientId;
+
+      // A deploy without permissions lifts the previous deploy's
+      rmSync(join(appDir(name), 'files', PERMISSIONS_FILE), { force: true });
+      // The live service fills these placeholders in the deployed page
+      writeFiles(name, {
+        ...files,
+        'index.html': populateConnectConfig(files['index.html'], {
+          '__APP_NAME__': name,
+          '__WS_URL__': wsUrl(name),
+          '__APP_PUBLIC__': String(app.public),
+        }),
+      });
+      app.deployedAt = new Date().toISOString();
+      writeApp(app);
+      console.log(`[deploy-emulator] Deployed ${name} (${Object.keys(files).length} file(s))`);
+      return sendJson(res, 200, { ok: true, name, url: appUrl(name), wsUrl: wsUrl(name), public: app.public, deployedAt: app.deployedAt });
+    }
+
+    if ((m = /^\/apps\/([^/]+)\/assets$/.exec(path)) && method === 'POST') {
+      const user = identify(req);
+      const app = ownedApp(validName(m[1]), user);
+      const { files } = await readJson(req);
+      writeFiles(app.name, files);
+      writeApp(app);
+      return sendJson(res, 200, { ok: true, count: Object.keys(files).length });
+    }
+
+    if ((m = /^\/status\/([^/]+)$/.exec(path)) && method === 'GET') {
+      identify(req);
+      const app = existingApp(m[1]);
+      return sendJson(res, 200, {
+        name: app.name,
+        url: appUrl(app.name),
+        wsUrl: wsUrl(app.name),
+        public: app.public,
+        deployedAt: app.deployedAt,
+        ...(app.oidcClientId ? { oidcClientId: app.oidcClientId } : {}),
+        ...(app.publicInvite ? { publicInvite: { token: app.publicInvite.token, right: app.publicInvite.right } } : {}),
+      });
+    }
+
+    if ((m = /^\/apps\/([^/]+)\/public-link$/.exec(path)) && method === 'POST') {
+      const user = identify(req);
+      const app = ownedApp(existingApp(m[1]).name, user);
+      const { right } = await readJson(req);
+      app.publicInvite = newInvite(right === 'read' ? 'read' : 'write');
+      writeApp(app);
+      const { token } = app.publicInvite;
+      return sendJson(res, 200, { token, right: app.publicInvite.right, joinUrl: joinUrl(app.name, token) });
+    }
+
+    if ((m = /^\/apps\/([^/]+)\/invite$/.exec(path)) && method === 'POST') {
+      const user = identify(req);
+      const app = ownedApp(existingApp(m[1]).name, user);
+      const { email, right } = await readJson(req);
+      if (typeof email !== 'string' || !email.includes('@')) throw new HttpError(400, 'A valid email is required');
+      const invite = newInvite(right === 'read' ? 'read' : 'write', email);
+      app.invites.push(invite);
+      writeApp(app);
+      return sendJson(res, 200, { ok: true, email, inviteUrl: joinUrl(app.name, invite.token) });
+    }
+
+    if ((m = /^\/join\/([^/]+)\/([^/]+)$/.exec(path)) && method === 'GET') {
+      const app = existingApp(m[1]);
+      const valid = app.publicInvite?.token === m[2] || app.invites.some(i => i.token === m[2]);
+      if (!valid) throw new HttpError(404, 'Invite link is invalid or has been revoked');
+      res.writeHead(302, { Location: `${appUrl(app.name)}/` });
+      res.end();
+      return;
+    }
+
+    if ((m = /^\/apps\/([^/]+)(\/.*)?$/.exec(path)) && method === 'GET') {
+      if (!m[2]) {
+        res.writeHead(301, { Location: `${path}/` });
+        res.end();
+        return;
+      }
+      return serveFile(res, existingApp(m[1]).name, m[2]);
+    }
+
+    throw new HttpError(404, `No route for ${method} ${path}`);
+  }
+
+  function serveFile(res: ServerResponse, name: string, path: string) {
+    const root = join(appDir(name), 'files');
+    let file = resolve(root, '.' + (path.endsWith('/') ? path + 'index.html' : path));
+    if (!file.startsWith(root + sep)) throw new HttpError(404, 'Not found');
+    if (existsSync(file) && statSync(file).isDirectory()) file = join(file, 'index.html');
+    if (!existsSync(file)) throw new HttpError(404, `File not found: ${path}`);
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[extname(file).toLowerCase()] || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+    });
+    res.end(readFileSync(file));
+  }
+
+  // --- Sync ---
+
+  // One TinyBase room per app, keyed by the `sync/<name>` path and saved
+  // next to the app's files. Permissions are read when a room opens.
+  const wss = new WebSocketServer({ noServer: true });
+  const appOf = (pathId: string) => pathId.slice('sync/'.length);
+  const guards = guardSyncServer(wss, (pathId) =>
+    loadPermissionsFile(join(appDir(appOf(pathId)), 'files', PERMISSIONS_FILE)) ?? { tables: {} });
+  const syncServer = createWsServer(wss, (pathId) => [
+    createFilePersister(createMergeableStore(), join(appDir(appOf(pathId)), 'sync.json')),
+    guards.ready(pathId),
+  ]);
+  guards.attach(syncServer);
+
+  server.on('upgrade', (req, socket, head) => {
+    const name = /^\/sync\/([^/?]+)/.exec(req.url || '')?.[1];
+    if (!name || !APP_NAME_RE.test(name) || !readApp(name)?.deployedAt) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  console.log(`[deploy-emulator] Deploy API running on ${baseUrl} (data: ${dataDir})`);
+
+  return {
+    port,
+    url: baseUrl,
+    dataDir,
+    shutdown: async () => {
+      await syncServer.destroy();
+      for (const client of wss.clients) client.terminate();
+      wss.close();
+      server.closeAllConnections();
+      await new Promise<void>(done => server.close(() => done()));
+    },
+  };
+}
+
+if (import.meta.main) {
+  const arg = (flag: string) => process.argv.find((_, i, a) => a[i - 1] === flag);
+  const emulator = await startDeployEmulator({
+    port: parseInt(arg('--port') || String(DEFAULT_EMULATOR_PORT), 10),
+    dataDir: arg('--dir'),
+  });
+  console.log(`Point deploys at it with DEPLOY_API_URL=${emulator.url}`);
+  const stop = () => emulator.shutdown().then(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
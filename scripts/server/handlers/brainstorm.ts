@@ -0,0 +1,63 @@
+/**
+ * Brainstorm handler — asks the model for the questions to put to the user
+ * before a new app is generated (see brainstorm.ts for the format).
+ * One no-edit `runOneShot` run in the app directory.
+ */
+
+import type { ServerContext } from '../config.ts';
+import { runOneShot } from '../claude-bridge.ts';
+import type { EventCallback } from '../claude-bridge.ts';
+import { buildBrainstormPrompt } from '../prompt-builders.ts';
+import { parseBrainstormQuestions, type BrainstormQuestion } from '../brainstorm.ts';
+
+/**
+ * Ask for the brainstorm questions. `questions` is the list (possibly empty,
+ * when the prompt is already clear), or null if there's no brainstorm skill
+ * or the run failed — the caller then generates directly. `cancelled` means
+ * the user stopped the run (a `cancelled` event was sent).
+ */
+export async function askBrainstormQuestions(
+  ctx: ServerContext,
+  onEvent: EventCallback,
+  appDir: string,
+  userPrompt: string,
+  model?: string,
+): Promise<{ questions: BrainstormQuestion[] | null; cancelled: boolean }> {
+  const prompt = buildBrainstormPrompt(ctx, userPrompt);
+  if (!prompt) return { questions: null, cancelled: false };
+
+  // Only progress reaches the client: the reply is JSON for the form, not
+  // chat text, and a failure just means generating without questions
+  let cancelled = false;
+  const progressOnly: EventCallback = (event) => {
+    if (event.type === 'progress') {
+      onEvent({ ...event, stage: 'Thinking of a few questions...' });
+    } else if (event.type === 'cancelled') {
+      cancelled = true;
+      onEvent(event);
+    } else if (event.type === 'error') {
+      console.warn(`[Brainstorm] Run failed: ${event.message}`);
+    }
+  };
+
+  const reply = await runOneShot(
+    prompt,
+    {
+      lockType: 'brainstorm',
+      skipChat: true,
+      maxTurns: 2,
+      tools: 'Read',
+      model,
+      cwd: appDir,
+      usage: { appDir, source: 'brainstorm' },
+    },
+    progressOnly,
+    ctx.projectRoot,
+  );
+
+  if (cancelled) return { questions: null, cancelled };
+  const questions = parseBrainstormQuestions(reply);
+  if (!questions) console.warn(`[Brainstorm] No question list in reply: ${(reply || '').slice(0, 200)}`);
+  else console.log(`[Brainstorm] ${questions.length} question(s) for "${userPrompt.slice(0, 60)}"`);
+  return { questions, cancelled };
+}
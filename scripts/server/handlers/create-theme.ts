@@ -6,10 +6,11 @@
  */
 
 import { readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { join, dirname } from 'path';
 import { reloadThemes } from '../config.ts';
 import type { ServerContext } from '../config.ts';
 import { resolveAppJsxPath } from '../app-context.js';
+import { findThemeSourceFile } from '../../lib/app-source.js';
 import { runOneShot } from '../claude-bridge.ts';
 import type { EventCallback } from '../claude-bridge.ts';
 
@@ -30,6 +31,7 @@ function uniqueThemeId(themeDir: string, base: string): string {
 
 async function extractThemeFromAppJsx(
   projectRoot: string,
+  appDir: string,
   appCode: string,
   themeId: string,
   themeName: string,
@@ -88,6 +90,7 @@ Use oklch() for ALL color values.`;
       model,
       permissionMode: 'bypassPermissions',
       cwd: projectRoot,
+      usage: { appDir, source: 'save_theme' },
     },
     filteredOnEvent,
     projectRoot,
@@ -117,7 +120,8 @@ export async function handleSaveTheme(
     return;
   }
 
-  const appCode = readFileSync(appJsxPath, 'utf-8');
+  // Multi-file apps keep their styles with the theme sections
+  const appCode = readFileSync(findThemeSourceFile(dirname(appJsxPath)), 'utf-8');
   const themeId = uniqueThemeId(ctx.themeDir, slugify(themeName));
 
   try {
@@ -138,7 +142,7 @@ export async function handleSaveTheme(
     }, 2000);
 
     try {
-      await extractThemeFromAppJsx(ctx.projectRoot, appCode, themeId, themeName, model, onEvent);
+      await extractThemeFromAppJsx(ctx.projectRoot, dirname(appJsxPath), appCode, themeId, themeName, model, onEvent);
     } finally {
       clearInterval(progressInterval);
     }
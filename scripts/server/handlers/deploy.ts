@@ -1,46 +1,81 @@
 /**
- * Deploy handlers — assemble + deploy via the Deploy API.
+ * Deploy handlers — assemble + deploy via the Deploy API, or write a
+ * self-hosted bundle.
  *
  * Sync is handled by TinyBase Durable Objects (auto-created on first WebSocket connection).
  * The CLI sends files and reads back the wsUrl from the response.
+ * The `selfhost` target ships its own sync server instead (see ../selfhost.ts).
+ * Every deploy is recorded with its app.jsx snapshot (lib/deploy-history.js),
+ * which is what `rollback` and `promote` redeploy.
  */
 
-import { readFileSync, existsSync, mkdirSync, copyFileSync, statSync } from 'fs';
-import { join } from 'path';
-import { buildPlatformFiles, addAppAssets, separateBySize, uploadR2Assets } from '../../lib/deploy-files.js';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync } from 'fs';
+import { join, resolve } from 'path';
+import { buildPlatformFiles, addAppAssets, addPermissionsFile, separateBySize, uploadR2Assets } from '../../lib/deploy-files.js';
 import { getAccessToken } from '../../lib/cli-auth.js';
 import { OIDC_AUTHORITY, OIDC_CLIENT_ID, DEPLOY_API_URL } from '../../lib/auth-constants.js';
 import { provisionInviteLink } from '../../lib/provision-invite-link.js';
 import { getApp, setApp } from '../../lib/registry.js';
 import { writeVibesJson } from '../../lib/vibes-json.js';
+import { stagedName, recordDeploy, resolveDeploySource } from '../../lib/deploy-history.js';
 import { runBunScript } from '../bun-subprocess.ts';
 import type { EventCallback } from '../claude-bridge.ts';
 import type { ServerContext } from '../config.ts';
 import { resolveProjectDir } from '../app-context.js';
+import { bundleAppSource, resolveAppEntry } from '../../lib/app-source.js';
+import { writeSelfhostBundle } from '../selfhost.ts';
+
+export const DEPLOY_TARGETS = ['cloudflare', 'selfhost'];
+
+export interface DeployOptions {
+  /** Deploy to `<name>-<stage>` instead of production. */
+  stage?: string;
+  /** Redeploy a recorded deploy of the target stage. */
+  rollback?: string;
+  /** Redeploy the latest deploy of this stage to the target stage. */
+  promote?: string;
+}
 
 /**
- * Assemble and deploy an app via the Deploy API.
+ * Assemble and deploy an app via the Deploy API (`cloudflare`), or write it
+ * to `<app dir>/selfhost` as a directory that runs its own server (`selfhost`).
+ * With `options.rollback` / `options.promote` the recorded snapshot is
+ * deployed instead of the current app.jsx; the project's files are untouched.
  */
-export async function handleDeploy(ctx: ServerContext, onEvent: EventCallback, target: string, name: string, token?: string, appNameOverride: string | undefined = undefined, isPrivate: boolean = false) {
-  if (!target || target !== 'cloudflare') {
-    onEvent({ type: 'error', message: 'Invalid deploy target. Use "cloudflare".' });
+export async function handleDeploy(ctx: ServerContext, onEvent: EventCallback, target: string, name: string, token?: string, appNameOverride: string | undefined = undefined, isPrivate: boolean = false, options: DeployOptions = {}) {
+  if (!DEPLOY_TARGETS.includes(target)) {
+    onEvent({ type: 'error', message: 'Invalid deploy target. Use "cloudflare" or "selfhost".' });
+    return;
+  }
+  if (target === 'selfhost' && isPrivate) {
+    // The auth gate signs in through the hosted Deploy API's per-app OIDC client
+    onEvent({ type: 'error', message: 'Private apps need the hosted service. Self-hosted apps are public.' });
     return;
   }
 
-  const appName = (name || '').toLowerCase().replace(/[^a-z0-9-]/g, '').slice(0, 63);
-  if (!appName) {
+  const baseName = (name || '').toLowerCase().replace(/[^a-z0-9-]/g, '').slice(0, 63);
+  if (!baseName) {
     onEvent({ type: 'error', message: 'App name is required for deployment.' });
     return;
   }
+  let appName: string;
+  let source: { entry: any; content: string } | null;
+  try {
+    appName = stagedName(baseName, options.stage);
+    source = resolveDeploySource(baseName, options);
+  } catch (err: any) {
+    onEvent({ type: 'error', message: err.message });
+    return;
+  }
   // Cloudflare limits worker names with previews to 54 chars.
   // Keep max at 34 for safety with namespace prefixes.
-  if (appName.length > 34) {
+  if (target === 'cloudflare' && appName.length > 34) {
     onEvent({ type: 'error', message: `App name "${appName}" is ${appName.length} chars — max is 34 for Cloudflare worker names. Use a shorter name.` });
     return;
   }
 
   // Auto-obtain token via Pocket ID if not provided by client
-  if (!token) {
+  if (target === 'cloudflare' && !token) {
     onEvent({ type: 'progress', progress: 1, stage: 'Checking authentication...', elapsed: 0 });
     try {
       const tokens = await getAccessToken({ authority: OIDC_AUTHORITY, clientId: OIDC_CLIENT_ID, silent: true });
@@ -66,11 +101,21 @@ export async function handleDeploy(ctx: ServerContext, onEvent: EventCallback, t
     onEvent({ type: 'error', message: 'No app active. Generate or load an app first.' });
     return;
   }
-  const appJsxPath = join(appDir, 'app.jsx');
-  const indexHtmlPath = join(appDir, 'index.html');
+  let appJsxPath = resolveAppEntry(appDir);
+  let indexHtmlPath = join(appDir, 'index.html');
+  if (source) {
+    // Assemble the snapshot in .vibes/deploy/ so the editor's app.jsx and
+    // preview index.html stay as they are
+    const stageDir = join(appDir, '.vibes', 'deploy');
+    mkdirSync(stageDir, { recursive: true });
+    appJsxPath = join(stageDir, 'app.jsx');
+    indexHtmlPath = join(stageDir, 'index.html');
+    writeFileSync(source.entry.file === 'index.html' ? indexHtmlPath : appJsxPath, source.content);
+    console.log(`[Deploy] ${options.rollback ? 'Rolling back' : 'Promoting'} deploy ${source.entry.id} to ${appName}`);
+  }
 
   // Check for stale index.html before reassembly (diagnostic logging)
-  if (existsSync(appJsxPath) && existsSync(indexHtmlPath)) {
+  if (!source && existsSync(appJsxPath) && existsSync(indexHtmlPath)) {
     const jsxMtime = statSync(appJsxPath).mtimeMs;
     const htmlMtime = statSync(indexHtmlPath).mtimeMs;
     if (jsxMtime > htmlMtime) {
@@ -81,11 +126,14 @@ export async function handleDeploy(ctx: ServerContext, onEvent: EventCallback, t
   const assembleArgs = [appJsxPath, indexHtmlPath];
   if (isPrivate) assembleArgs.push('--private');
 
-  const assembleResult = await runBunScript(
-    join(ctx.projectRoot, 'scripts/assemble.js'),
-    assembleArgs,
-    { cwd: ctx.projectRoot },
-  );
+  // Snapshots of pre-assembled CLI deploys (--file) are deployed as-is
+  const assembleResult = source?.entry.file === 'index.html'
+    ? { ok: true, stdout: '', stderr: '' }
+    : await runBunScript(
+      join(ctx.projectRoot, 'scripts/assemble.js'),
+      assembleArgs,
+      { cwd: ctx.projectRoot },
+    );
 
   logTiming('assembly complete');
 
@@ -94,11 +142,26 @@ export async function handleDeploy(ctx: ServerContext, onEvent: EventCallback, t
     return;
   }
 
+  // The deploy history snapshots exactly what was assembled, flattened to a
+  // single app.jsx (modules inlined, types stripped) so it redeploys on its own
+  const snapshotFile = source?.entry.file || 'app.jsx';
+  const snapshot = source ? source.content : await bundleAppSource(appJsxPath);
+  const record = (url: string) => recordDeploy(appName, {
+    content: snapshot,
+    file: snapshotFile,
+    url,
+    target,
+    stage: options.stage,
+    rollbackOf: options.rollback ? source?.entry.id : undefined,
+    promotedFrom: options.promote ? source?.entry.id : undefined,
+    projectDir: ctx.projectDir || undefined,
+  });
+
   // Background color patch + cache-control meta tags are applied inside
   // assemble.js (lib/assembly-utils.js::patchAppBackground) — by the time
   // we read the assembled HTML below it's already patched.
 
-  onEvent({ type: 'progress', progress: 30, stage: 'Deploying...', elapsed: getElapsed() });
+  onEvent({ type: 'progress', progress: 30, stage: target === 'selfhost' ? 'Writing bundle...' : 'Deploying...', elapsed: getElapsed() });
 
   // Build the files map for the Deploy API — must mirror the CLI
   // (scripts/deploy-cloudflare.js) so editor deploys include app-level
@@ -110,6 +173,27 @@ export async function handleDeploy(ctx: ServerContext, onEvent: EventCallback, t
   };
   if (ctx.projectDir) {
     addAppAssets(join(ctx.projectDir, 'assets'), files);
+    try {
+      addPermissionsFile(ctx.projectDir, files);
+    } catch (err: any) {
+      onEvent({ type: 'error', message: err.message });
+      return;
+    }
+  }
+
+  if (target === 'selfhost') {
+    try {
+      const bundleDir = join(appDir, appName === baseName ? 'selfhost' : `selfhost-${options.stage}`);
+      const { outDir, fileCount } = await writeSelfhostBundle({ outDir: bundleDir, appName, files });
+      logTiming(`selfhost bundle written (${fileCount} files)`);
+      const entry = record('');
+      onEvent({ type: 'progress', progress: 100, stage: 'Done!', elapsed: getElapsed() });
+      onEvent({ type: 'deploy_complete', url: '', name: appName, target, outDir, deployId: entry.id });
+      console.log(`[Deploy] selfhost bundle "${appName}" written to ${outDir}`);
+    } catch (err: any) {
+      onEvent({ type: 'error', message: `Self-host bundle failed: ${err.message}` });
+    }
+    return;
   }
 
   // Large assets go to R2 first; only embedded files are sent to /deploy.
@@ -161,11 +245,16 @@ export async function handleDeploy(ctx: ServerContext, onEvent: EventCallback, t
   }
 
   // Save deployed app.jsx and update registry with app metadata
+  let deployId: string | undefined;
   try {
     const saveDest = join(ctx.appsDir, appName);
-    mkdirSync(saveDest, { recursive: true });
-    copyFileSync(appJsxPath, join(saveDest, 'app.jsx'));
-    console.log(`[Deploy] Saved deployed app.jsx to ${saveDest}`);
+    // Apps that live in the apps dir already have their source there — don't
+    // replace a multi-file or TypeScript entry with the flattened snapshot
+    if (snapshotFile === 'app.jsx' && resolve(saveDest) !== resolve(appDir)) {
+      mkdirSync(saveDest, { recursive: true });
+      writeFileSync(join(saveDest, 'app.jsx'), snapshot);
+      console.log(`[Deploy] Saved deployed app.jsx to ${saveDest}`);
+    }
 
     const appEntry = getApp(appName) || { name: appName };
     setApp(appName, {
@@ -174,13 +263,18 @@ export async function handleDeploy(ctx: ServerContext, onEvent: EventCallback, t
       updatedAt: new Date().toISOString(),
     });
 
-    // Write deploy info to vibes.json if in a project folder
-    if (ctx.projectDir && existsSync(join(ctx.projectDir, 'vibes.json'))) {
+    const entry = record(deployUrl);
+    deployId = entry.id;
+
+    // Write deploy info to vibes.json if in a project folder. `deploy`
+    // describes production; staged deploys only go in `deploys`.
+    if (appName === baseName && ctx.projectDir && existsSync(join(ctx.projectDir, 'vibes.json'))) {
       writeVibesJson(ctx.projectDir, {
         deploy: {
+          id: entry.id,
           url: deployUrl,
           workerName: `vibes-app-${appName}`,
-          deployedAt: new Date().toISOString(),
+          deployedAt: entry.deployedAt,
         },
       });
     }
@@ -194,7 +288,7 @@ export async function handleDeploy(ctx: ServerContext, onEvent: EventCallback, t
   }
 
   onEvent({ type: 'progress', progress: 100, stage: 'Done!', elapsed: getElapsed() });
-  onEvent({ type: 'deploy_complete', url: deployUrl, name: appName });
+  onEvent({ type: 'deploy_complete', url: deployUrl, name: appName, deployId });
 
   console.log(`[Deploy] cloudflare deploy "${appName}" complete${deployUrl ? `: ${deployUrl}` : ''}`);
 }
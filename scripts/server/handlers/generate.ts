@@ -12,12 +12,13 @@ import { populateConnectConfig } from '../../lib/env-utils.js';
 import { OIDC_AUTHORITY, OIDC_CLIENT_ID, DEPLOY_API_URL, AI_PROXY_URL } from '../../lib/auth-constants.js';
 import { TEMPLATES } from '../../lib/paths.js';
 import { resolveProjectDir } from '../app-context.js';
+import { bundleAppSource, resolveAppEntry } from '../../lib/app-source.js';
 
 /**
- * Assemble app.jsx into the vibes template with TinyBase boilerplate.
- * Used by the /app-frame route.
+ * Assemble app.jsx (bundled with its src/ modules) into the vibes template
+ * with TinyBase boilerplate. Used by the /app-frame route.
  */
-export function assembleAppFrame(ctx, appName?: string) {
+export async function assembleAppFrame(ctx, appName?: string): Promise<string> {
   const templatePath = TEMPLATES.vibesBasic;
   if (!existsSync(templatePath)) {
     return `<html><body><h1>Template not found</h1><p>${templatePath}</p></body></html>`;
@@ -30,12 +31,17 @@ export function assembleAppFrame(ctx, appName?: string) {
     return `<html><body><h1>No app active</h1></body></html>`;
   }
 
-  const appPath = join(appDir, 'app.jsx');
+  const appPath = resolveAppEntry(appDir);
   if (!existsSync(appPath)) {
     return `<html><body><h1>app.jsx not found</h1></body></html>`;
   }
 
-  const appCode = readFileSync(appPath, 'utf-8');
+  let appCode: string;
+  try {
+    appCode = await bundleAppSource(appPath);
+  } catch (err: any) {
+    return `<html><body><h1>App modules failed to bundle</h1><pre>${err.message.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</pre></body></html>`;
+  }
   const strippedCode = stripForTemplate(appCode, { stripReactHooks: true });
 
   if (!template.includes(APP_PLACEHOLDER)) {
@@ -5,6 +5,10 @@
 
 import type { EventCallback } from '../claude-bridge.ts';
 import type { ServerContext } from '../config.ts';
+import { resolveProjectDir } from '../app-context.js';
+import { recordUsage, fromOpenRouterUsage, budgetWarningEvent } from '../usage.ts';
+
+const IMAGE_MODEL = 'google/gemini-3-pro-image-preview';
 
 const UI_SYSTEM_PROMPT = `You are a UI/UX designer generating interface mockups. RULES:
 - Generate ONLY a flat UI screenshot — a single screen of a web application interface
@@ -26,6 +30,7 @@ export async function handleGenerateImage(
   onEvent: EventCallback,
   prompt: string,
   model: string | undefined,
+  appName: string | undefined = undefined,
 ): Promise<void> {
   if (!ctx.openRouterKey) {
     onEvent({ type: 'error', message: 'OpenRouter API key not configured. Add OPENROUTER_API_KEY to .env to enable image generation.' });
@@ -50,12 +55,14 @@ export async function handleGenerateImage(
         'X-Title': 'Vibes Image Generator',
       },
       body: JSON.stringify({
-        model: 'google/gemini-3-pro-image-preview',
+        model: IMAGE_MODEL,
         messages: [
           { role: 'system', content: UI_SYSTEM_PROMPT },
           { role: 'user', content: `Generate a web application UI screenshot for: ${sanitized}` }
         ],
         modalities: ['image', 'text'],
+        // Ask OpenRouter to report the request's cost in `usage`
+        usage: { include: true },
       }),
     });
 
@@ -67,6 +74,14 @@ export async function handleGenerateImage(
     }
 
     const data = await resp.json() as any;
+    if (data.usage) {
+      const recorded = recordUsage(resolveProjectDir(ctx, appName) || ctx.projectRoot, {
+        source: 'image',
+        model: data.model || IMAGE_MODEL,
+        ...fromOpenRouterUsage(data.usage),
+      });
+      if (recorded?.warning) onEvent(budgetWarningEvent(recorded.warning));
+    }
     const imageUrl = data.choices?.[0]?.message?.images?.[0]?.image_url?.url || null;
 
     if (!imageUrl) {
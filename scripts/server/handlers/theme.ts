@@ -1,9 +1,12 @@
 /**
  * Theme switch handlers — multi-pass (markers) and legacy (full-file) modes.
+ *
+ * In a multi-file app the theme sections live in one module (see
+ * findThemeSourceFile); both passes edit that file only.
  */
 
 import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { basename, join, relative } from 'path';
 import { runOneShot } from '../claude-bridge.ts';
 import type { EventCallback } from '../claude-bridge.ts';
 import { sanitizeAppJsx } from '../post-process.ts';
@@ -12,6 +15,7 @@ import type { ServerContext } from '../config.ts';
 import { hasThemeMarkers, replaceThemeSection, extractNonThemeSections, moveVisualCSSToSurfaces } from '../../lib/theme-sections.js';
 import { createBackup, restoreFromBackup } from '../../lib/backup.js';
 import { resolveProjectDir } from '../app-context.js';
+import { findThemeSourceFile, isTypeScriptApp, resolveAppEntry } from '../../lib/app-source.js';
 import { buildThemePromptMultiPass, buildThemePromptLegacy } from '../prompt-builders.ts';
 
 /**
@@ -54,12 +58,12 @@ export async function handleThemeSwitch(ctx: ServerContext, onEvent: EventCallba
     onEvent({ type: 'error', message: 'No app active.' });
     return;
   }
-  const appJsxPath = join(appDir, 'app.jsx');
-  if (!existsSync(appJsxPath)) {
+  if (!existsSync(resolveAppEntry(appDir))) {
     onEvent({ type: 'error', message: 'No app.jsx found.' });
     return;
   }
 
+  const appJsxPath = findThemeSourceFile(appDir);
   const appCode = readFileSync(appJsxPath, 'utf-8');
   const colors = parseThemeColors(ctx.themeDir, themeId);
 
@@ -117,12 +121,13 @@ async function handleThemeSwitchMultiPass(ctx, onEvent, themeId, themeName, them
   const pass1Code = readFileSync(appJsxPath, 'utf-8');
   const beforeNonTheme = extractNonThemeSections(pass1Code);
 
-  const prompt = buildThemePromptMultiPass(ctx, themeId, themeName, themeContent, pass1Code);
+  const appDir = resolveProjectDir(ctx, appName);
+  const prompt = buildThemePromptMultiPass(ctx, themeId, themeName, themeContent, pass1Code, relative(appDir, appJsxPath), isTypeScriptApp(appDir));
 
   console.log(`[ThemeSwitch] Pass 2: Claude creative restyle, prompt: ${(prompt.length / 1024).toFixed(1)}KB`);
 
   // Use skipChat in onEvent — the wsAdapter will check event.skipChat
-  const claudeResult = await runOneShot(prompt, { lockType: 'theme', skipChat: true, maxTurns: 5, model, cwd: resolveProjectDir(ctx, appName), tools: 'Read,Edit' }, onEvent, ctx.projectRoot);
+  const claudeResult = await runOneShot(prompt, { lockType: 'theme', skipChat: true, maxTurns: 5, model, cwd: appDir, tools: 'Read,Edit', usage: { appDir, source: 'theme' } }, onEvent, ctx.projectRoot);
 
   // Cancellation: runOneShot returns null when the user cancels. In that
   // case Claude never ran, so the guardrail below would see unchanged
@@ -167,13 +172,13 @@ async function handleThemeSwitchLegacy(ctx, onEvent, themeId, themeName, themeCo
     onEvent({ type: 'error', message: 'No app active.' });
     return;
   }
-  const appJsxPath = join(appDir, 'app.jsx');
+  const appJsxPath = resolveAppEntry(appDir);
   const appCode = readFileSync(appJsxPath, 'utf-8');
 
-  const prompt = buildThemePromptLegacy(ctx, themeId, themeName, themeContent, appCode, colors);
+  const prompt = buildThemePromptLegacy(ctx, themeId, themeName, themeContent, appCode, colors, basename(appJsxPath), isTypeScriptApp(appDir));
 
   console.log(`[ThemeSwitch] Legacy mode for "${themeName}" (${themeId}), prompt: ${(prompt.length / 1024).toFixed(1)}KB`);
-  await runOneShot(prompt, { lockType: 'theme', skipChat: true, maxTurns: 8, model, cwd: resolveProjectDir(ctx, appName), tools: 'Read,Edit' }, onEvent, ctx.projectRoot);
+  await runOneShot(prompt, { lockType: 'theme', skipChat: true, maxTurns: 8, model, cwd: appDir, tools: 'Read,Edit', usage: { appDir, source: 'theme' } }, onEvent, ctx.projectRoot);
 
   sanitizeAppJsx(resolveProjectDir(ctx, appName) || ctx.projectRoot);
 }
@@ -192,12 +197,12 @@ export async function handlePaletteTheme(ctx: ServerContext, onEvent: EventCallb
     onEvent({ type: 'error', message: 'No app active.' });
     return;
   }
-  const appJsxPath = join(appDir, 'app.jsx');
-  if (!existsSync(appJsxPath)) {
+  if (!existsSync(resolveAppEntry(appDir))) {
     onEvent({ type: 'error', message: 'No app.jsx found.' });
     return;
   }
 
+  const appJsxPath = findThemeSourceFile(appDir);
   let appCode = readFileSync(appJsxPath, 'utf-8');
 
   const lines = Object.entries(colors).map(([varName, value]) => `    ${varName}: ${value};`);
@@ -0,0 +1,178 @@
+/**
+ * Headless session — drives the editor's message handlers without a browser.
+ *
+ * The `vibes` CLI builds the same messages the editor sends over the
+ * WebSocket and dispatches them through `handleClientMessage`. Direct
+ * handler events and bridge broadcasts both go to `write`, one object per
+ * call, and the events seen along the way decide the exit code.
+ */
+
+import type { EventCallback } from './claude-bridge.ts';
+import type { ServerContext } from './config.ts';
+import { handleClientMessage, translateEvent, onBroadcast, onBridgeExit, waitForRenderCheck } from './ws.ts';
+
+export const EXIT = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  AUTH_REQUIRED: 3,
+  INTERRUPTED: 130,
+} as const;
+
+export type HeadlessCommand = 'generate' | 'chat' | 'theme' | 'deploy';
+
+export const COMMANDS: HeadlessCommand[] = ['generate', 'chat', 'theme', 'deploy'];
+
+export interface HeadlessOptions {
+  /** Project directory (becomes ctx.projectDir). */
+  dir: string;
+  /** Prompt for generate/chat. */
+  prompt?: string;
+  /** Theme id for generate (optional) and theme (required). */
+  themeId?: string;
+  /** Model for the theme pass. */
+  model?: string;
+  /** Deploy name. */
+  name?: string;
+  /** Deploy target. */
+  target?: string;
+  isPrivate?: boolean;
+  /** Deploy to `<name>-<stage>`. */
+  stage?: string;
+  /** Redeploy a recorded deploy by id. */
+  rollback?: string;
+  /** Redeploy a stage's latest deploy. */
+  promote?: string;
+  /** Give up on a generate/chat turn after this long without an event. */
+  idleTimeoutMs?: number;
+}
+
+/** Bridge events that end a generate/chat turn. */
+const TURN_END = new Set(['complete', 'error', 'cancelled']);
+
+/** A stalled model, e.g. one waiting on a hung API call. */
+const DEFAULT_IDLE_TIMEOUT_MS = 10 * 60_000;
+
+/**
+ * Map an event to the exit code it implies, or null if it doesn't affect
+ * the outcome.
+ */
+export function exitCodeFor(event: any): number | null {
+  switch (event?.type) {
+    case 'error':
+    case 'app_invalid':
+      return EXIT.FAILED;
+    case 'auth_required':
+      return EXIT.AUTH_REQUIRED;
+    case 'cancelled':
+      return EXIT.INTERRUPTED;
+    case 'render_check':
+      return event.ok ? null : EXIT.FAILED;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the WebSocket message the editor would send for a command.
+ */
+export function buildMessage(command: HeadlessCommand, opts: HeadlessOptions): Record<string, any> {
+  switch (command) {
+    case 'generate':
+      // No brainstorm Q&A — there's nobody to answer the questions
+      return { type: 'generate', prompt: opts.prompt, themeId: opts.themeId, projectDir: opts.dir, brainstorm: false };
+    case 'chat':
+      return { type: 'chat', message: opts.prompt };
+    case 'theme':
+      return { type: 'theme', themeId: opts.themeId, model: opts.model };
+    case 'deploy':
+      return {
+        type: 'deploy', target: opts.target || 'cloudflare', name: opts.name, isPrivate: !!opts.isPrivate,
+        stage: opts.stage, rollback: opts.rollback, promote: opts.promote,
+      };
+  }
+}
+
+/**
+ * Run one command to completion. Resolves with the exit code.
+ *
+ * Generate and chat run on the persistent bridge, so their events arrive as
+ * broadcasts after `handleClientMessage` returns; we wait for the turn's
+ * terminal event (and any migration turn it triggers), then for the render check when ctx.renderCheck is on.
+ * Rejects if the model process dies first or goes `idleTimeoutMs` without
+ * an event, so the CLI never waits forever. Theme and deploy handlers
+ * finish when they return.
+ */
+export async function runHeadless(
+  ctx: ServerContext,
+  command: HeadlessCommand,
+  opts: HeadlessOptions,
+  write: (msg: object) => void,
+): Promise<number> {
+  ctx.projectDir = opts.dir;
+
+  let exitCode: number = EXIT.OK;
+  const emit = (msg: any) => {
+    if (exitCode === EXIT.OK) exitCode = exitCodeFor(msg) ?? EXIT.OK;
+    write(msg);
+  };
+  const onEvent: EventCallback = (event: any) => {
+    for (const msg of translateEvent(event)) emit(msg);
+  };
+
+  const msg = buildMessage(command, opts);
+  if (command === 'theme' || command === 'deploy') {
+    await handleClientMessage(ctx, msg, onEvent);
+    return exitCode;
+  }
+
+  // A breaking data schema edit or lint errors queue a follow-up turn
+  let turnsLeft = 1;
+  let wake = () => {};
+  let rejectWait = (_err: Error) => {};
+  let failure: Error | null = null;
+  const fail = (err: Error) => {
+    failure ??= err;
+    rejectWait(err);
+  };
+  const idleTimeoutMs = opts.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+  let idleTimer: ReturnType<typeof setTimeout> | undefined;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      fail(new Error(`No response from the model in ${Math.round(idleTimeoutMs / 1000)}s`));
+    }, idleTimeoutMs);
+  };
+  const unsubscribeExit = onBridgeExit((_appDir, code) => {
+    fail(new Error(`The model process exited (code ${code}) before the turn finished`));
+  });
+  const unsubscribe = onBroadcast((event: any) => {
+    resetIdleTimer();
+    emit(event);
+    if (event.type === 'schema_change' && event.migration === 'requested') turnsLeft++;
+    if (event.type === 'lint' && event.fix === 'requested') turnsLeft++;
+    if (TURN_END.has(event.type)) {
+      turnsLeft--;
+      wake();
+    }
+  });
+
+  try {
+    await handleClientMessage(ctx, msg, onEvent);
+    resetIdleTimer();
+    // A direct error means the message was rejected before reaching the bridge
+    while (turnsLeft > 0 && exitCode === EXIT.OK) {
+      if (failure) throw failure;
+      await new Promise<void>((resolve, reject) => {
+        wake = resolve;
+        rejectWait = reject;
+      });
+    }
+    if (ctx.renderCheck) await waitForRenderCheck();
+  } finally {
+    clearTimeout(idleTimer);
+    unsubscribe();
+    unsubscribeExit();
+  }
+  return exitCode;
+}
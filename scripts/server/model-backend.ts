@@ -0,0 +1,79 @@
+/**
+ * Model backends — what actually runs a generation turn.
+ *
+ * The persistent bridge and `runOneShot` talk to a *model process*: it
+ * reads prompts on stdin, writes Claude stream-json events on stdout, can
+ * be signalled and eventually exits. The stream translator and dispatchers
+ * only ever see those events, so a backend that speaks the same protocol
+ * drives the editor unchanged.
+ *
+ *   claude  (default)  spawns the Claude CLI (backends/claude-cli.ts)
+ *   openai             in-process Read/Write/Edit tool loop against an
+ *                      OpenAI-compatible chat-completions endpoint, e.g.
+ *                      OpenRouter or a local model server
+ *                      (backends/openai-compat.ts)
+ *
+ * Selected with VIBES_MODEL_BACKEND.
+ */
+
+import { claudeCliBackend } from './backends/claude-cli.ts';
+import { openAICompatBackend } from './backends/openai-compat.ts';
+
+/**
+ * A running model process. Bun's Subprocess satisfies this as-is; in-process
+ * backends emulate it (including signal exit codes: 130 SIGINT, 143
+ * SIGTERM, 137 SIGKILL), so callers keep one code path.
+ */
+export interface ModelProcess {
+  /** OS pid, or null for in-process backends. Used for logging only. */
+  readonly pid: number | null;
+  readonly stdin: { write(data: string): unknown; end(): unknown };
+  readonly stdout: ReadableStream<Uint8Array>;
+  readonly stderr: ReadableStream<Uint8Array>;
+  readonly exited: Promise<number | null>;
+  kill(signal?: 'SIGINT' | 'SIGTERM' | 'SIGKILL'): void;
+}
+
+/** One-shot run: the prompt is written to stdin, which is then closed. */
+export interface OneShotSpawnOptions {
+  cwd: string;
+  pluginRoot?: string;
+  model?: string;
+  maxTurns?: number;
+  /** Comma-separated tool allowlist, e.g. 'Read,Edit'. */
+  tools?: string;
+  permissionMode?: string;
+}
+
+/** Persistent run: stream-json `user` messages on stdin, one per line. */
+export interface PersistentSpawnOptions {
+  cwd: string;
+  pluginRoot?: string;
+  /** Continue this conversation (the `session_id` of an earlier `init`). */
+  resumeSessionId?: string;
+}
+
+export interface ModelBackend {
+  readonly name: string;
+  spawnOneShot(opts: OneShotSpawnOptions): ModelProcess;
+  spawnPersistent(opts: PersistentSpawnOptions): ModelProcess;
+}
+
+const BACKENDS: Record<string, ModelBackend> = {
+  claude: claudeCliBackend,
+  openai: openAICompatBackend,
+};
+
+/**
+ * The backend named by VIBES_MODEL_BACKEND (default `claude`). An unknown
+ * name falls back to the Claude CLI with a warning.
+ */
+export function getModelBackend(): ModelBackend {
+  const name = (process.env.VIBES_MODEL_BACKEND || 'claude').trim().toLowerCase();
+  const backend = BACKENDS[name];
+  if (!backend) {
+    console.warn(`[ModelBackend] Unknown VIBES_MODEL_BACKEND "${name}" — using claude`);
+    return claudeCliBackend;
+  }
+  return backend;
+}
@@ -1,12 +1,12 @@
 /**
- * Post-processing utilities for app.jsx sanitization.
+ * Post-processing utilities for app.jsx (and src/ module) sanitization.
  *
  * CSS `content: '\2192'` is valid CSS but invalid JS inside a template literal.
  * These utilities replace CSS unicode escapes with actual Unicode characters.
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { readFileSync, writeFileSync } from 'fs';
+import { listAppSourceFiles } from '../lib/app-source.js';
 
 const CSS_UNICODE_MAP: Record<string, string> = {
   '2192': '\u2192', // →
@@ -68,12 +68,14 @@ export function stripRedeclaredGlobals(code) {
 }
 
 /**
- * Sanitize app.jsx: fix CSS unicode escapes and strip redeclared globals.
- * Shared post-processing step used by multiple handlers.
+ * Sanitize app.jsx and its src/ modules: fix CSS unicode escapes and strip
+ * redeclared globals. Shared post-processing step used by multiple handlers.
  */
 export function sanitizeAppJsx(projectRoot: string): void {
-  const appPath = join(projectRoot, 'app.jsx');
-  if (!existsSync(appPath)) return;
+  for (const file of listAppSourceFiles(projectRoot)) sanitizeSourceFile(file);
+}
+
+function sanitizeSourceFile(appPath: string): void {
   let code = readFileSync(appPath, 'utf-8');
   let changed = false;
 
@@ -10,11 +10,13 @@
  */
 
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join } from 'path';
+import { join, relative } from 'path';
 import { getAnimationInstructions, autoSelectTheme, parseThemeColors, extractPass2ThemeContext } from './config.ts';
 import type { ServerContext } from './config.ts';
 import { resolveProjectDir } from './app-context.js';
 import { AI_INSTRUCTIONS_CHAT, AI_INSTRUCTIONS_GENERATE, THEME_SECTION_MARKERS } from './ai-instructions.ts';
+import { MAX_BRAINSTORM_OPTIONS, MAX_BRAINSTORM_QUESTIONS } from './brainstorm.ts';
+import { APP_ENTRY, APP_ENTRY_TS, GLOBALS_DTS, isTypeScriptApp, listAppModules, resolveAppEntry } from '../lib/app-source.js';
 
 const RECENCY_REMINDER = `
 CRITICAL REMINDERS (see system prompt for full reference):
@@ -37,14 +39,17 @@ const EFFECT_INSTRUCTIONS = {
  * The boilerplate JSX block every generated app.jsx must start with.
  * Shared between the reference and non-reference paths.
  */
-function USE_VIBES_THEME_TEMPLATE(themeId: string, themeName: string): string {
-  return `\`\`\`jsx
+function USE_VIBES_THEME_TEMPLATE(themeId: string, themeName: string, typescript = false): string {
+  const handler = typescript
+    ? `(e: Event) => { const t = (e as CustomEvent<{ theme?: string }>).detail?.theme;`
+    : `(e) => { const t = e.detail?.theme;`;
+  return `\`\`\`${typescript ? 'tsx' : 'jsx'}
 window.__VIBES_THEMES__ = [{ id: "${themeId}", name: "${themeName}" }];
 
 function useVibesTheme() {
   const [theme, setTheme] = React.useState(() => localStorage.getItem("vibes-theme") || "${themeId}");
   React.useEffect(() => {
-    const handler = (e) => { const t = e.detail?.theme; if (t) { setTheme(t); localStorage.setItem("vibes-theme", t); } };
+    const handler = ${handler} if (t) { setTheme(t); localStorage.setItem("vibes-theme", t); } };
     document.addEventListener("vibes-design-request", handler);
     return () => document.removeEventListener("vibes-design-request", handler);
   }, []);
@@ -62,13 +67,24 @@ function useVibesTheme() {
  * RECENCY_REMINDER emits earlier in the prompt and already covers those invariants.
  * This block focuses on the rules specific to the multi-step generation flow.
  */
-const GLOBAL_STEP_RULES = `=== RULES THAT APPLY TO ALL STEPS ===
+function GLOBAL_STEP_RULES(typescript = false): string {
+  return `=== RULES THAT APPLY TO ALL STEPS ===
 
-- NO TypeScript. End the file with: export default App
+${typescript ? TYPESCRIPT_RULES : '- NO TypeScript. End the file with: export default App'}
 - Never use CSS unicode escapes (\\2192, \\2022, \\00BB). Use actual Unicode characters: → ● « etc. CSS escapes break Babel.
 - Responsive (mobile-first with Tailwind). Use className="btn" for buttons, className="grid-background" on the root element.
 - TinyBase hooks (useRowIds, useCell, useAddRowCallback, useSetCellCallback, useDelRowCallback, useValue, useSortedRowIds, useTable) are PRE-EXISTING GLOBALS — explicit names so you know what's available.
 - useApp() returns { isReady, isSyncing, user }.`;
+}
+
+/**
+ * TypeScript apps (app.tsx): typed code whose types esbuild strips at
+ * assembly. The template globals are declared in vibes-globals.d.ts.
+ */
+const TYPESCRIPT_RULES = `- Write TypeScript (TSX) in ${APP_ENTRY_TS}. End the file with: export default App
+- Type component props with interfaces and state with generics (useState<Task[]>([])). Cast TinyBase rows to their interface when reading them. Never use \`any\`.
+- Type-only syntax only: NO enums, namespaces or parameter properties.
+- The template globals (React hooks, TinyBase hooks, useApp, useUser, useAI) are declared in ${GLOBALS_DTS} — do NOT import or redeclare them.`;
 
 /**
  * The "Think about design decisions inline in CSS comments" block.
@@ -99,11 +115,12 @@ Briefly note design decisions inside CSS comments in the <style> tag — not as
  * Claude Code's native tool loop turns each tool_result into a new assistant turn
  * with its own fresh max_tokens budget — so we don't need server-side orchestration.
  */
-const TWO_STEP_INSTRUCTIONS = `=== BUILD app.jsx IN TWO TOOL CALLS ===
+function TWO_STEP_INSTRUCTIONS(entry = APP_ENTRY): string {
+  return `=== BUILD ${entry} IN TWO TOOL CALLS ===
 
 Build this app in two separate tool calls, in order. Each step has a specific purpose; do not try to do everything in one call.
 
-STEP 1 — Write app.jsx: the visible skeleton.
+STEP 1 — Write ${entry}: the visible skeleton.
 Produce a file that compiles and renders the app's basic shape — even without data or interactions. Include:
 - The exact __VIBES_THEMES__ + useVibesTheme code from above (unchanged)
 - A <style> tag with :root tokens and the five marker sections (/* @theme:tokens */, /* @theme:typography */, /* @theme:surfaces */, /* @theme:motion */, {/* @theme:decoration */}) present even when their contents are empty, plus base layout CSS. Any @import font URLs belong inside @theme:typography — not at the top of the style tag.
@@ -113,8 +130,8 @@ Produce a file that compiles and renders the app's basic shape — even without
 
 After STEP 1 the preview should look like the final app in colors, typography, and layout — just without data or polish.
 
-STEP 2 — Edit app.jsx: data, interactions, and polish.
-Read app.jsx (the skeleton you just wrote), then Edit it to add everything else:
+STEP 2 — Edit ${entry}: data, interactions, and polish.
+Read ${entry} (the skeleton you just wrote), then Edit it to add everything else:
 - TinyBase hooks (useRowIds, useCell, useAddRowCallback, useSetCellCallback, useDelRowCallback, useValue)
 - React event handlers, effects, refs
 - useApp() integration; useAI wiring if the app needs it
@@ -125,6 +142,7 @@ Read app.jsx (the skeleton you just wrote), then Edit it to add everything else:
 After STEP 2 the app is complete.
 
 IMPORTANT: Do NOT produce a <design> narrative before STEP 1. Any design notes belong inside CSS comments in the <style> tag. Narrative prose counts against the same output budget as your code.`;
+}
 
 // --- Auto-detect reference files from user message keywords ---
 
@@ -213,8 +231,18 @@ export function buildChatPrompt(
 
   // Auto-detect useAI from existing app code
   const appDir = resolveProjectDir(ctx, appName) || ctx.projectRoot;
-  const appJsxPath = join(appDir, 'app.jsx');
+  const appJsxPath = resolveAppEntry(appDir);
   const useAI = existsSync(appJsxPath) && readFileSync(appJsxPath, 'utf-8').includes('useAI(');
+  const typescript = isTypeScriptApp(appDir);
+  const entry = typescript ? APP_ENTRY_TS : APP_ENTRY;
+  const modules = listAppModules(appDir).map(file => relative(appDir, file));
+  const layoutBlock = modules.length > 0
+    ? `\n\nThe app is split into modules that ${entry} imports with relative imports:\n${modules.map(m => `- ${m}`).join('\n')}\nRead the files the change touches and edit the module that owns the component.`
+    : '';
+  const languageRule = typescript
+    ? `- Do NOT add package imports, keep the code TypeScript (typed props and state, no \`any\`), keep export default App in ${entry}. Globals are declared in ${GLOBALS_DTS}.`
+    : `- Do NOT add package imports, do NOT use TypeScript, keep export default App in ${entry}`;
+  const moduleExample = typescript ? 'src/Board.tsx' : 'src/Board.jsx';
 
   let effectBlock = '';
   let referenceBlock = '';
@@ -271,17 +299,18 @@ EFFECT RULES:
   // Auto-inject reference files based on user message keywords
   const referenceGuides = detectReferences(ctx, message);
 
-  const prompt = `${skillBlock}${referenceGuides}${referenceBlock}The user is iterating on a React app in app.jsx. Read app.jsx first, then Edit it.
+  const prompt = `${skillBlock}${referenceGuides}${referenceBlock}The user is iterating on a React app in ${entry}. Read ${entry} first, then Edit it.${layoutBlock}
 
 User says: "${message}"${effectBlock}
 
 RULES:
-- Read app.jsx, then Edit ONLY what the user asked for
+- Read ${entry}, then Edit ONLY what the user asked for
 - ADD to the existing app — never rewrite from scratch
 - Preserve all components, hooks, state, data models, __VIBES_THEMES__, useVibesTheme()
-- Do NOT add imports, do NOT use TypeScript, keep export default App
+${languageRule}
+- Relative imports of src/ modules are fine. When ${entry} grows past ~1,000 lines, put a large new component in its own src/ module (e.g. ${moduleExample}) and import it from ${entry} with './${moduleExample}'
 - TinyBase hooks (useRowIds, useCell, useAddRowCallback, etc.) are PRE-EXISTING GLOBALS. NEVER import, redeclare, or alias them.
-- useApp() returns { isReady, isSyncing }. For user identity, use useUser() which returns { isSignedIn, user } where user has .email, .id, .firstName.
+- useApp() returns { isReady, isSyncing }. For user identity, use useUser() which returns { isSignedIn, user } where user has .email, .id, .firstName. For the current user's own rows, use useMyRowIds(tableId) / useMyTable(tableId) — useAddRowCallback stamps new rows with an owner cell. For who is online, live cursors or typing indicators, use usePresence() — never table rows.
 - Never use CSS unicode escapes (\\2192, \\2022, \\00BB). Use actual Unicode characters instead: → ● « etc. CSS escapes break Babel.
 - Never rename table names or cell names — users would lose data
 - Table names are always simple string literals ('todos', 'items'). Never refactor them into variables or constants.${useAI ? AI_INSTRUCTIONS_CHAT : ''}
@@ -305,9 +334,12 @@ export function buildGeneratePrompt(
     themeId?: string;
     reference?: any;
     useAI?: boolean;
+    /** Generate app.tsx instead of app.jsx. */
+    typescript?: boolean;
   } = {},
 ): { prompt: string; themeId: string; themeName: string; isReference: boolean; isHtmlRef: boolean; referenceIntent: string } {
-  const { reference = null, useAI = false } = opts;
+  const { reference = null, useAI = false, typescript = false } = opts;
+  const entry = typescript ? APP_ENTRY_TS : APP_ENTRY;
   let { themeId } = opts;
 
   const stylePath = join(ctx.projectRoot, 'skills/vibes/defaults/style-prompt.txt');
@@ -400,9 +432,9 @@ Goal: the generated app should look like the image was its design spec.
 ${referenceGuides}
 USER REQUEST: "${userPrompt}"
 
-Your app.jsx MUST start with these EXACT lines (copy-paste, do not modify):
+Your ${entry} MUST start with these EXACT lines (copy-paste, do not modify):
 
-${USE_VIBES_THEME_TEMPLATE('custom-ref', 'Custom Reference')}
+${USE_VIBES_THEME_TEMPLATE('custom-ref', 'Custom Reference', typescript)}
 
 Derive ALL :root CSS tokens from the design reference above — do NOT use any predefined theme.
 
@@ -412,9 +444,9 @@ ${styleGuide}
 
 ${DESIGN_REASONING_SECTION({ isReference: true })}
 
-${TWO_STEP_INSTRUCTIONS}
+${TWO_STEP_INSTRUCTIONS(entry)}
 
-${GLOBAL_STEP_RULES}
+${GLOBAL_STEP_RULES(typescript)}
 
 ${THEME_SECTION_MARKERS}
 ${useAI ? AI_INSTRUCTIONS_GENERATE : ''}`;
@@ -469,9 +501,9 @@ USER REQUEST: "${userPrompt}"
 
 === MANDATORY THEME: "${themeName}" (id: "${themeId}") ===
 
-Your app.jsx MUST start with these EXACT lines (copy-paste, do not modify):
+Your ${entry} MUST start with these EXACT lines (copy-paste, do not modify):
 
-${USE_VIBES_THEME_TEMPLATE(themeId!, themeName)}
+${USE_VIBES_THEME_TEMPLATE(themeId!, themeName, typescript)}
 
 Your <style> tag MUST include these EXACT CSS custom properties from the "${themeName}" theme:
 
@@ -489,9 +521,9 @@ ${styleGuide}
 
 ${DESIGN_REASONING_SECTION({ isReference: false, themeName })}
 
-${TWO_STEP_INSTRUCTIONS}
+${TWO_STEP_INSTRUCTIONS(entry)}
 
-${GLOBAL_STEP_RULES}
+${GLOBAL_STEP_RULES(typescript)}
 
 ${THEME_SECTION_MARKERS}
 ${useAI ? AI_INSTRUCTIONS_GENERATE : ''}`;
@@ -506,29 +538,34 @@ ${useAI ? AI_INSTRUCTIONS_GENERATE : ''}`;
   };
 }
 
-// --- Brainstorm prompt builder ---
+// --- Brainstorm prompt builders ---
 
 /**
- * Build the initial brainstorm prompt that wraps the generate instructions.
- *
- * Reads the vibes-brainstorm SKILL.md and constructs a prompt that runs
- * the Q&A flow first, then transitions to code generation when the user confirms.
+ * The vibes-brainstorm SKILL.md without its frontmatter, or '' if missing.
+ */
+function loadBrainstormSkill(ctx: ServerContext): string {
+  try {
+    return readFileSync(join(ctx.projectRoot, 'skills/vibes-brainstorm/SKILL.md'), 'utf-8')
+      // Strip YAML frontmatter
+      .replace(/^---[\s\S]*?---\n*/, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Build the brainstorm prompt: the vibes-brainstorm skill's question
+ * guidance, asking for every question at once as JSON (parsed by
+ * `parseBrainstormQuestions` in brainstorm.ts) instead of a one-at-a-time
+ * conversation.
  * Returns empty string if the skill file is not found (caller should fall back to direct generate).
  */
 export function buildBrainstormPrompt(
   ctx: ServerContext,
   userPrompt: string,
-  generateContext: string,
 ): string {
-  const skillPath = join(ctx.projectRoot, 'skills/vibes-brainstorm/SKILL.md');
-  let skillContent = '';
-  try {
-    skillContent = readFileSync(skillPath, 'utf-8');
-    // Strip YAML frontmatter
-    skillContent = skillContent.replace(/^---[\s\S]*?---\n*/, '');
-  } catch {
-    return '';
-  }
+  const skillContent = loadBrainstormSkill(ctx);
+  if (!skillContent) return '';
 
   return `${skillContent}
 
@@ -536,15 +573,53 @@ export function buildBrainstormPrompt(
 
 The user wants to build: "${userPrompt}"
 
-When you're ready to build (after gathering enough context or if the prompt is already clear), present the brief and then immediately start generating. The brief is the green light — go straight into code generation. Use the following instructions to generate the app. These instructions are for your internal use only.
+Instead of asking one question at a time, ask all of your questions at once: the editor shows them to the user as a form. Use the question categories above, skip anything the prompt already answers, and ask at most ${MAX_BRAINSTORM_QUESTIONS}. If the prompt is already clear enough, ask none.
+
+Don't write any code and don't present a brief. Reply with only this block:
+
+<brainstorm-questions>
+[
+  {
+    "id": "audience",
+    "prompt": "Who's going to use this?",
+    "options": ["Just me", "Shared with a group", "Real-time with others (like a game or collaboration)"],
+    "default": "Just me"
+  }
+]
+</brainstorm-questions>
+
+Each question has a short snake_case "id", a friendly "prompt", 2-${MAX_BRAINSTORM_OPTIONS} "options" (no escape-hatch option — the form has its own build button) and a "default": the option you'd pick if the user doesn't answer. Use [] for no questions.`;
+}
+
+/**
+ * Build the generation prompt once the brainstorm questions are answered.
+ * Same skill guidance (translation layer, brief), the answers in place of
+ * the Q&A, then the generate instructions.
+ */
+export function buildBrainstormGeneratePrompt(
+  ctx: ServerContext,
+  userPrompt: string,
+  generateContext: string,
+  answers: { prompt: string; answer: string }[],
+  entry = APP_ENTRY,
+): string {
+  const skillContent = loadBrainstormSkill(ctx);
+  const answered = answers.length
+    ? answers.map(a => `- ${a.prompt} → ${a.answer}`).join('\n')
+    : '- (The user skipped the questions — use your best judgment.)';
+
+  return `${skillContent ? `${skillContent}\n\n---\n\n` : ''}The user wants to build: "${userPrompt}"
+
+The Q&A is done. The user's answers:
+${answered}
 
-IMPORTANT: This is a brand new app — there is no existing app.jsx. Create the file from scratch using the Write tool.
+Don't ask any more questions. Map the answers to the app using the translation principles above, present the brief and then immediately start generating. Use the following instructions to generate the app. These instructions are for your internal use only.
+
+IMPORTANT: This is a brand new app — there is no existing ${entry}. Create the file from scratch using the Write tool.
 
 <generate-instructions>
 ${generateContext}
-</generate-instructions>
-
-Start now. Assess the prompt and either ask your first question or present the brief directly if the prompt is clear enough.`;
+</generate-instructions>`;
 }
 
 // --- Theme prompt builders ---
@@ -590,7 +665,9 @@ export function extractDataSchema(appCode: string): string {
  * Build the prompt for multi-pass theme switch (Pass 2: creative restyle).
  *
  * The caller (theme.ts) handles Pass 1 (mechanical token replacement) and
- * passes in the updated app code for Pass 2 prompt construction.
+ * passes in the updated app code for Pass 2 prompt construction. `fileName`
+ * is the file holding the theme sections (a src/ module in multi-file apps);
+ * `typescript` is set for app.tsx apps.
  */
 export function buildThemePromptMultiPass(
   ctx: ServerContext,
@@ -598,18 +675,20 @@ export function buildThemePromptMultiPass(
   themeName: string,
   themeContent: string,
   pass1Code: string,
+  fileName = 'app.jsx',
+  typescript = false,
 ): string {
-  const prompt = `Restyle ONLY the marked theme sections in app.jsx for the "${themeName}" theme.
+  const prompt = `Restyle ONLY the marked theme sections in ${fileName} for the "${themeName}" theme.
 
-=== CURRENT app.jsx ===
+=== CURRENT ${fileName} ===
 
-\`\`\`jsx
+\`\`\`${typescript ? 'tsx' : 'jsx'}
 ${pass1Code}
 \`\`\`
 
 === WHAT TO EDIT ===
 
-You MUST only edit content between these marker pairs in app.jsx:
+You MUST only edit content between these marker pairs in ${fileName}:
 - \`/* @theme:surfaces */\` ... \`/* @theme:surfaces:end */\` — CSS classes for shadows, borders, backgrounds, glass effects
 - \`/* @theme:motion */\` ... \`/* @theme:motion:end */\` — @keyframes and animation definitions
 - \`{/* @theme:decoration */}\` ... \`{/* @theme:decoration:end */}\` — SVG elements and atmospheric backgrounds
@@ -624,7 +703,7 @@ ${extractPass2ThemeContext(themeContent, 12000)}
 - Match the theme's personality: shadows, glass effects, gradients, animations, SVG decorations.
 - Do NOT modify anything outside the markers — no layout, no logic, no tokens, no typography.
 - If you need to change anything outside a marker, STOP and explain why instead of editing.
-- No import statements, no TypeScript, keep export default App.
+- No import statements, ${typescript ? 'keep the code TypeScript' : 'no TypeScript'}, keep the file's exports.
 - Never use CSS unicode escapes (\\2192, \\2022, \\00BB). Use actual Unicode characters instead: → ● « etc. CSS escapes break Babel.
 ${extractDataSchema(pass1Code)}`;
 
@@ -633,6 +712,7 @@ ${extractDataSchema(pass1Code)}`;
 
 /**
  * Build the prompt for legacy theme switch (full-file Claude restyle, no markers).
+ * `fileName` is the app's entry; `typescript` is set for app.tsx apps.
  */
 export function buildThemePromptLegacy(
   ctx: ServerContext,
@@ -641,6 +721,8 @@ export function buildThemePromptLegacy(
   themeContent: string,
   appCode: string,
   colors: any,
+  fileName = 'app.jsx',
+  typescript = false,
 ): string {
   let rootCss = colors?.rootBlock || '';
   if (!rootCss) {
@@ -648,11 +730,11 @@ export function buildThemePromptLegacy(
     if (rootMatch) rootCss = rootMatch[0];
   }
 
-  const prompt = `Restyle app.jsx to the "${themeName}" (${themeId}) theme.
+  const prompt = `Restyle ${fileName} to the "${themeName}" (${themeId}) theme.
 
-=== CURRENT app.jsx ===
+=== CURRENT ${fileName} ===
 
-\`\`\`jsx
+\`\`\`${typescript ? 'tsx' : 'jsx'}
 ${appCode}
 \`\`\`
 
@@ -685,7 +767,7 @@ CHANGE (visual only):
 KEEP UNCHANGED:
 - All components, hooks, functions, state, data models, layout structure
 - All TinyBase hooks, table names, cell names, data models
-- No import statements, no TypeScript, keep export default App
+- No import statements, ${typescript ? 'keep the code TypeScript' : 'no TypeScript'}, keep export default App
 - Never use CSS unicode escapes (\\2192, \\2022, \\00BB). Use actual Unicode characters instead: → ● « etc. CSS escapes break Babel.`;
 
   return prompt;
@@ -0,0 +1,193 @@
+/**
+ * Review mode — stage a chat turn's source edits for accept/reject.
+ *
+ * The persistent bridge edits the app's source in the app directory
+ * (Claude's cwd): app.jsx (or app.tsx) and any modules under src/. In review
+ * mode the accepted source files are copied aside to
+ * `.vibes/review/base.json` when the turn starts; when the turn ends, the
+ * bridge's result moves to `.vibes/review/proposed.json` and the base files
+ * are put back — including removing files the turn created. The source
+ * therefore only ever holds accepted code outside a turn, and the proposal
+ * is applied by `acceptChange`.
+ *
+ * The pending change is persisted as `.vibes/review/pending.json` so a
+ * reconnecting or restarted editor can re-render it.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync, rmSync } from 'fs';
+import { dirname, join, relative, sep } from 'path';
+import { createUnifiedDiff, diffStats } from '../lib/unified-diff.js';
+import { APP_ENTRY, APP_ENTRY_TS, listAppModules } from '../lib/app-source.js';
+
+export interface PendingChange {
+  id: string;
+  /** The chat message that produced the change. */
+  prompt: string;
+  /** Unified diff of every source file the turn changed, created or deleted. */
+  diff: string;
+  added: number;
+  removed: number;
+  createdAt: number;
+}
+
+export type ReviewResult =
+  | { ok: true; change: PendingChange }
+  | { ok: false; error: string };
+
+/** Source file contents keyed by path relative to the app directory. */
+type SourceFiles = Record<string, string>;
+
+function reviewDir(appDir: string): string {
+  return join(appDir, '.vibes', 'review');
+}
+
+function paths(appDir: string) {
+  const dir = reviewDir(appDir);
+  return {
+    dir,
+    base: join(dir, 'base.json'),
+    proposed: join(dir, 'proposed.json'),
+    pending: join(dir, 'pending.json'),
+  };
+}
+
+/**
+ * The app's source files relative to appDir: whichever entry files exist
+ * (a turn may switch app.jsx to app.tsx), then the src/ modules.
+ */
+function listSourceFiles(appDir: string): string[] {
+  const entries = [APP_ENTRY, APP_ENTRY_TS].filter(name => existsSync(join(appDir, name)));
+  const modules = listAppModules(appDir).map((file: string) => relative(appDir, file).split(sep).join('/'));
+  return [...entries, ...modules];
+}
+
+function readSources(appDir: string): SourceFiles {
+  const files: SourceFiles = {};
+  for (const name of listSourceFiles(appDir)) files[name] = readFileSync(join(appDir, name), 'utf-8');
+  return files;
+}
+
+/**
+ * Make the app's source match `files`: remove source files it doesn't list
+ * and write the ones whose content differs.
+ */
+function writeSources(appDir: string, files: SourceFiles): void {
+  for (const name of listSourceFiles(appDir)) {
+    if (!(name in files)) rmSync(join(appDir, name), { force: true });
+  }
+  for (const [name, content] of Object.entries(files)) {
+    const path = join(appDir, name);
+    if (existsSync(path) && readFileSync(path, 'utf-8') === content) continue;
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, content, 'utf-8');
+  }
+}
+
+function readStaged(path: string): SourceFiles {
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Unified diff of every file that differs between two versions of the
+ * source, one file after another. Created and deleted files diff against
+ * /dev/null.
+ */
+function diffSources(before: SourceFiles, after: SourceFiles): string {
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return names.map(name => createUnifiedDiff(before[name] ?? '', after[name] ?? '', {
+    oldLabel: name in before ? `a/${name}` : '/dev/null',
+    newLabel: name in after ? `b/${name}` : '/dev/null',
+  })).join('');
+}
+
+/**
+ * Return the change awaiting a decision, or null.
+ */
+export function getPendingChange(appDir: string): PendingChange | null {
+  const p = paths(appDir);
+  if (!existsSync(p.pending) || !existsSync(p.proposed)) return null;
+  try {
+    return JSON.parse(readFileSync(p.pending, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Set the accepted source files aside before a review turn.
+ */
+export function beginStaging(appDir: string): void {
+  const p = paths(appDir);
+  mkdirSync(p.dir, { recursive: true });
+  writeFileSync(p.base, JSON.stringify(readSources(appDir)), 'utf-8');
+}
+
+/**
+ * End a review turn: move the bridge's source into proposed.json, restore
+ * the accepted files, and persist the pending change. Returns null when the
+ * turn made no edits.
+ */
+export function collectProposal(appDir: string, prompt: string): PendingChange | null {
+  const p = paths(appDir);
+  if (!existsSync(p.base)) return null;
+
+  const before = readStaged(p.base);
+  const after = readSources(appDir);
+  const diff = diffSources(before, after);
+  writeSources(appDir, before);
+
+  if (!diff) {
+    clearReview(appDir);
+    return null;
+  }
+
+  writeFileSync(p.proposed, JSON.stringify(after), 'utf-8');
+  const change: PendingChange = {
+    id: Date.now().toString(36),
+    prompt: String(prompt || '').slice(0, 500),
+    diff,
+    ...diffStats(diff),
+    createdAt: Date.now(),
+  };
+  writeFileSync(p.pending, JSON.stringify(change, null, 2), 'utf-8');
+  return change;
+}
+
+/**
+ * Abandon an in-flight review turn (cancel, error) and restore the accepted
+ * source files.
+ */
+export function discardStaging(appDir: string): void {
+  const p = paths(appDir);
+  if (existsSync(p.base) && !existsSync(p.pending)) {
+    writeSources(appDir, readStaged(p.base));
+  }
+  clearReview(appDir);
+}
+
+/**
+ * Apply the pending change to the app's source files.
+ */
+export function acceptChange(appDir: string, id: string): ReviewResult {
+  const change = getPendingChange(appDir);
+  if (!change) return { ok: false, error: 'No pending change to accept.' };
+  if (id && change.id !== id) return { ok: false, error: `Change ${id} is no longer pending.` };
+  writeSources(appDir, readStaged(paths(appDir).proposed));
+  clearReview(appDir);
+  return { ok: true, change };
+}
+
+/**
+ * Drop the pending change. The source already holds the accepted version.
+ */
+export function rejectChange(appDir: string, id: string): ReviewResult {
+  const change = getPendingChange(appDir);
+  if (!change) return { ok: false, error: 'No pending change to reject.' };
+  if (id && change.id !== id) return { ok: false, error: `Change ${id} is no longer pending.` };
+  clearReview(appDir);
+  return { ok: true, change };
+}
+
+function clearReview(appDir: string): void {
+  try { rmSync(reviewDir(appDir), { recursive: true, force: true }); } catch {}
+}
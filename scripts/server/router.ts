@@ -5,18 +5,24 @@
  * Static file fallback uses Bun.file() for zero-copy serving.
  */
 
-import { readFileSync, existsSync, readdirSync, mkdirSync, copyFileSync, statSync, writeFileSync, renameSync } from 'fs';
+import { readFileSync, existsSync, readdirSync, mkdirSync, copyFileSync, cpSync, statSync, writeFileSync, renameSync } from 'fs';
 import { join, extname, resolve, basename } from 'path';
 import { homedir } from 'os';
 import { resolveClaudeBin, cleanEnv } from '../lib/claude-subprocess.js';
 import type { ServerContext } from './config.ts';
 import { getRecommendedThemeIds, loadOpenRouterKey } from './config.ts';
 import { resolveProjectDir, resolveAppJsxPath } from './app-context.js';
+import { APP_SOURCE_DIR, resolveAppEntry } from '../lib/app-source.js';
 import { assembleAppFrame } from './handlers/generate.ts';
 import { serveReferenceFrame } from './handlers/reference-frame.ts';
 import { loadRegistry, saveRegistry, getCloudflareConfig, setCloudflareConfig, getApp, setApp, addRecentProject, getRecentProjects } from '../lib/registry.js';
 import { pickFolder } from '../lib/folder-picker.js';
 import { initVibesJson, readVibesJson, writeVibesJson } from '../lib/vibes-json.js';
+import { listSnapshots, readSnapshot, diffSnapshots } from '../lib/history.js';
+import { restoreFromBackup } from '../lib/backup.js';
+import { diffStats } from '../lib/unified-diff.js';
+import { loadRuntimeErrors, clearRuntimeErrors } from './runtime-errors.ts';
+import { summarizeUsage } from './usage.ts';
 import { readCachedTokens, isTokenExpired, getAccessToken, startLoginFlow, removeCachedTokens } from '../lib/cli-auth.js';
 import { OIDC_AUTHORITY, OIDC_CLIENT_ID } from '../lib/auth-constants.js';
 import { validateClerkKey, validateClerkSecretKey, validateClerkCredentials, validateCloudflareCredentials } from './validation.ts';
@@ -208,10 +214,10 @@ function serveSkills(ctx: ServerContext): Response {
   return json(catalog);
 }
 
-function serveAppFrame(ctx: ServerContext, url: URL): Response {
+async function serveAppFrame(ctx: ServerContext, url: URL): Promise<Response> {
   const appName = sanitizeAppName(url.searchParams.get('app') || '');
   const appDir = resolveProjectDir(ctx, appName || undefined);
-  const appPath = appDir ? join(appDir, 'app.jsx') : null;
+  const appPath = appDir ? resolveAppEntry(appDir) : null;
   if (!appPath || !existsSync(appPath)) {
     return new Response(`<!DOCTYPE html>
 <html><head><style>
@@ -222,7 +228,7 @@ function serveAppFrame(ctx: ServerContext, url: URL): Response {
       headers: { 'Content-Type': 'text/html', ...corsHeaders() },
     });
   }
-  const assembled = assembleAppFrame(ctx, appName);
+  const assembled = await assembleAppFrame(ctx, appName);
   return new Response(assembled, { headers: { 'Content-Type': 'text/html', ...corsHeaders() } });
 }
 
@@ -434,7 +440,7 @@ function editorListApps(ctx: ServerContext): Response {
     const userAppNames = new Set<string>();
     for (const name of readdirSync(ctx.appsDir)) {
       const dir = join(ctx.appsDir, name);
-      const appFile = join(dir, 'app.jsx');
+      const appFile = resolveAppEntry(dir);
       if (!existsSync(appFile)) continue;
       const st = statSync(appFile);
       const firstLine = readFileSync(appFile, 'utf-8').split('\n')[0] || '';
@@ -457,7 +463,7 @@ function editorListApps(ctx: ServerContext): Response {
       for (const name of readdirSync(ctx.examplesDir)) {
         if (userAppNames.has(name)) continue;
         const dir = join(ctx.examplesDir, name);
-        const appFile = join(dir, 'app.jsx');
+        const appFile = resolveAppEntry(dir);
         if (!existsSync(appFile)) continue;
         const firstLine = readFileSync(appFile, 'utf-8').split('\n')[0] || '';
         const themeMatch = firstLine.match(/id:\s*"([^"]+)".*?name:\s*"([^"]+)"/);
@@ -512,14 +518,16 @@ function serveScreenSaver(ctx: ServerContext): Response {
 function editorLoadApp(ctx: ServerContext, url: URL): Response {
   const name = sanitizeAppName(url.searchParams.get('name') || '');
   if (!name) return new Response('Missing name', { status: 400, headers: corsHeaders() });
-  const src = join(ctx.appsDir, name, 'app.jsx');
+  const src = resolveAppEntry(join(ctx.appsDir, name));
   if (!existsSync(src)) {
     // Copy-on-write: if it's a bundled example, copy to user's appsDir
-    const exampleSrc = join(ctx.examplesDir, name, 'app.jsx');
+    const exampleSrc = resolveAppEntry(join(ctx.examplesDir, name));
     if (!existsSync(exampleSrc)) return new Response('App not found', { status: 404, headers: corsHeaders() });
     const dest = join(ctx.appsDir, name);
     mkdirSync(dest, { recursive: true });
-    copyFileSync(exampleSrc, join(dest, 'app.jsx'));
+    copyFileSync(exampleSrc, join(dest, basename(exampleSrc)));
+    const exampleModules = join(ctx.examplesDir, name, APP_SOURCE_DIR);
+    if (existsSync(exampleModules)) cpSync(exampleModules, join(dest, APP_SOURCE_DIR), { recursive: true });
     // Also copy screenshot if available
     const exampleScreenshot = join(ctx.examplesDir, name, 'screenshot.png');
     if (existsSync(exampleScreenshot)) {
@@ -615,6 +623,69 @@ async function editorWriteApp(ctx: ServerContext, req: Request, url: URL): Promi
   }
 }
 
+// --- Version history (lib/history.js) ---
+
+function editorHistoryList(ctx: ServerContext, url: URL): Response {
+  const appName = sanitizeAppName(url.searchParams.get('app') || '') || undefined;
+  const appPath = resolveAppJsxPath(ctx, appName);
+  return json({ ok: true, snapshots: listSnapshots(appPath) });
+}
+
+function editorHistorySnapshot(ctx: ServerContext, url: URL): Response {
+  const appName = sanitizeAppName(url.searchParams.get('app') || '') || undefined;
+  const id = url.searchParams.get('id') || '';
+  if (!id) return json({ ok: false, error: 'Missing id' }, 400);
+  const content = readSnapshot(resolveAppJsxPath(ctx, appName), id);
+  if (content === null) return json({ ok: false, error: `Snapshot not found: ${id}` }, 404);
+  return new Response(content, { headers: { 'Content-Type': 'text/javascript', ...corsHeaders() } });
+}
+
+function editorHistoryDiff(ctx: ServerContext, url: URL): Response {
+  const appName = sanitizeAppName(url.searchParams.get('app') || '') || undefined;
+  const from = url.searchParams.get('from') || '';
+  const to = url.searchParams.get('to') || undefined;
+  if (!from) return json({ ok: false, error: 'Missing from' }, 400);
+  const result = diffSnapshots(resolveAppJsxPath(ctx, appName), from, to);
+  if (!result.ok) return json(result, 404);
+  return json({ ok: true, diff: result.diff, ...diffStats(result.diff) });
+}
+
+async function editorHistoryRestore(ctx: ServerContext, req: Request, url: URL): Promise<Response> {
+  try {
+    const appName = sanitizeAppName(url.searchParams.get('app') || '') || undefined;
+    const { id } = await parseJsonBody(req);
+    if (!id) return json({ ok: false, error: 'Missing id' }, 400);
+    const result = restoreFromBackup(resolveAppJsxPath(ctx, appName), String(id));
+    if (!result.success) return json({ ok: false, error: result.error }, 404);
+    broadcast({ type: 'app_updated' });
+    return json({ ok: true, snapshot: result.snapshot });
+  } catch (err: any) {
+    return json({ ok: false, error: err.message }, err.status || 400);
+  }
+}
+
+function editorRuntimeErrors(ctx: ServerContext, url: URL): Response {
+  const appName = sanitizeAppName(url.searchParams.get('app') || '') || undefined;
+  const appDir = resolveProjectDir(ctx, appName);
+  if (!appDir) return json({ ok: true, errors: [] });
+  return json({ ok: true, errors: loadRuntimeErrors(appDir).reverse() });
+}
+
+function editorClearRuntimeErrors(ctx: ServerContext, url: URL): Response {
+  const appName = sanitizeAppName(url.searchParams.get('app') || '') || undefined;
+  const appDir = resolveProjectDir(ctx, appName);
+  if (appDir) clearRuntimeErrors(appDir);
+  return json({ ok: true });
+}
+
+// --- Usage ledger (usage.ts) ---
+
+function editorUsage(ctx: ServerContext, url: URL): Response {
+  const appName = sanitizeAppName(url.searchParams.get('app') || '') || undefined;
+  const days = Math.min(365, parseInt(url.searchParams.get('days') || '', 10) || 30);
+  return json({ ok: true, ...summarizeUsage({ appDir: resolveProjectDir(ctx, appName), days }) });
+}
+
 const MAX_UPLOAD_SIZE = 500 * 1024 * 1024; // 500MB for reference file uploads
 
 async function editorUploadFile(ctx: ServerContext, req: Request): Promise<Response> {
@@ -812,7 +883,7 @@ async function editorOpenProject(ctx: ServerContext, req: Request): Promise<Resp
     displayName: config?.displayName || null,
   });
 
-  const appJsxExists = existsSync(join(projectPathSafe, 'app.jsx'));
+  const appJsxExists = existsSync(resolveAppEntry(projectPathSafe));
 
   return json({ ok: true, projectDir: projectPathSafe, config, hasApp: appJsxExists });
 }
@@ -885,6 +956,13 @@ export function createRouter(ctx: ServerContext) {
       case 'POST /editor/apps/rename':     return editorRenameApp(ctx, url);
       case 'POST /editor/apps/screenshot':  return editorSaveScreenshot(ctx, req, url);
       case 'POST /editor/apps/write':       return editorWriteApp(ctx, req, url);
+      case 'GET /editor/history':           return editorHistoryList(ctx, url);
+      case 'GET /editor/history/snapshot':  return editorHistorySnapshot(ctx, url);
+      case 'GET /editor/history/diff':      return editorHistoryDiff(ctx, url);
+      case 'POST /editor/history/restore':  return editorHistoryRestore(ctx, req, url);
+      case 'GET /editor/runtime-errors':    return editorRuntimeErrors(ctx, url);
+      case 'POST /editor/runtime-errors/clear': return editorClearRuntimeErrors(ctx, url);
+      case 'GET /editor/usage':             return editorUsage(ctx, url);
       case 'POST /editor/upload':           return editorUploadFile(ctx, req);
       case 'GET /editor/deployments':       return editorListDeployments(ctx);
       case 'POST /editor/pick-folder':      return editorPickFolder(ctx);
@@ -0,0 +1,112 @@
+/**
+ * Runtime error log — crashes reported by the preview iframe.
+ *
+ * validateAppJsx only catches syntax errors; React render errors and
+ * uncaught exceptions only show up in the browser. The preview template
+ * posts them to the editor, which forwards them here over the WebSocket.
+ * Each app keeps its own log at `.vibes/runtime-errors.json`.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync, unlinkSync } from 'fs';
+import { join } from 'path';
+
+/** Entries kept per app — oldest are dropped first. */
+const MAX_ENTRIES = 50;
+
+/** A repeat of the latest error within this window bumps its count instead. */
+const DUPLICATE_WINDOW_MS = 5_000;
+
+/** Consecutive automatic fix turns before we stop and leave it to the user. */
+export const MAX_AUTO_FIX_ATTEMPTS = 3;
+
+export interface RuntimeErrorEntry {
+  id: string;
+  timestamp: number;
+  error: string;
+  stack: string;
+  componentStack: string;
+  /** Recent console output from the preview, one `[level] message` per line. */
+  console: string;
+  /** 'boundary' (React error boundary) | 'window' (uncaught error / rejection) */
+  source: string;
+  count: number;
+}
+
+function logPath(appDir: string): string {
+  return join(appDir, '.vibes', 'runtime-errors.json');
+}
+
+function clip(value: unknown, max: number): string {
+  return typeof value === 'string' ? value.slice(0, max) : '';
+}
+
+export function loadRuntimeErrors(appDir: string): RuntimeErrorEntry[] {
+  const path = logPath(appDir);
+  if (!existsSync(path)) return [];
+  try {
+    const parsed = JSON.parse(readFileSync(path, 'utf-8'));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Append a report from the preview. Returns the stored entry and whether it
+ * repeated the latest one, or null when the report has no error message.
+ */
+export function recordRuntimeError(appDir: string, report: any): { entry: RuntimeErrorEntry; duplicate: boolean } | null {
+  const error = clip(report?.error, 2000).trim();
+  if (!error) return null;
+  const stack = clip(report?.stack, 4000);
+
+  const entries = loadRuntimeErrors(appDir);
+  const now = Date.now();
+  const latest = entries[entries.length - 1];
+  let entry: RuntimeErrorEntry;
+  let duplicate = false;
+
+  if (latest && latest.error === error && latest.stack === stack && now - latest.timestamp < DUPLICATE_WINDOW_MS) {
+    latest.count++;
+    latest.timestamp = now;
+    entry = latest;
+    duplicate = true;
+  } else {
+    entry = {
+      id: now.toString(36),
+      timestamp: now,
+      error,
+      stack,
+      componentStack: clip(report?.componentStack, 2000),
+      console: clip(report?.console, 4000),
+      source: report?.source === 'window' ? 'window' : 'boundary',
+      count: 1,
+    };
+    entries.push(entry);
+  }
+
+  try {
+    mkdirSync(join(appDir, '.vibes'), { recursive: true });
+    writeFileSync(logPath(appDir), JSON.stringify(entries.slice(-MAX_ENTRIES), null, 2));
+  } catch (err) {
+    console.error('[runtime-errors] Write failed:', err);
+  }
+  return { entry, duplicate };
+}
+
+export function clearRuntimeErrors(appDir: string): void {
+  try { unlinkSync(logPath(appDir)); } catch {}
+}
+
+/**
+ * Chat message for an automatic fix turn. `fileName` is the app's entry;
+ * `typescript` is set for app.tsx apps.
+ */
+export function buildRuntimeFixPrompt(entry: RuntimeErrorEntry, fileName = 'app.jsx', typescript = false): string {
+  const parts = ['The app crashed at runtime in the preview.', '', `Error: ${entry.error}`];
+  if (entry.stack) parts.push('', 'Stack:', entry.stack);
+  if (entry.componentStack) parts.push('', 'Component: ' + entry.componentStack);
+  if (entry.console) parts.push('', 'Recent console:', entry.console);
+  parts.push('', `Find the cause in ${fileName} or the src/ modules it imports and fix it.${typescript ? ' Keep the code TypeScript.' : ''} Keep everything else unchanged.`);
+  return parts.join('\n');
+}
@@ -0,0 +1,127 @@
+/**
+ * Self-hosted app server — the runtime of a `selfhost` deploy bundle.
+ *
+ * Serves the bundle's public/ directory and runs TinyBase sync at /sync,
+ * persisted under the data directory. The page's `__WS_URL__` is filled in
+ * per request from the Host header, so the same bundle works on localhost,
+ * a LAN address or behind a TLS proxy (X-Forwarded-Proto: https → wss).
+ *
+ * The relay doesn't enforce public/permissions.json: self-hosted apps are
+ * public, so there is no verified sign-in to check writers against, and
+ * the ids clients send could be anyone's. The app still applies the owner
+ * rules on each device.
+ *
+ * selfhost.ts bundles this file with its dependencies into the output's
+ * server.js (entry: main), so a bundle runs without installing anything:
+ *
+ *   bun server.js [--port 8080] [--data ./data]     (or PORT / DATA_DIR)
+ */
+
+import { createServer } from 'http';
+import { existsSync, readFileSync, statSync } from 'fs';
+import { join, dirname, extname, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+import { attachSyncServer } from './sync-server.ts';
+
+const CONTENT_TYPES: Record<string, string> = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+};
+
+export interface SelfhostServerOptions {
+  /** Bundle directory (holds public/). */
+  root: string;
+  port?: number;
+  /** Sync data directory, relative to root unless absolute. */
+  dataDir?: string;
+}
+
+/**
+ * Start serving a bundle. Resolves once listening.
+ */
+export async function startSelfhostServer(options: SelfhostServerOptions) {
+  const publicDir = resolve(options.root, 'public');
+  const dataDir = resolve(options.root, options.dataDir || 'data');
+
+  const server = createServer((req, res) => {
+    const path = decodeURIComponent(new URL(req.url || '/', 'http://localhost').pathname);
+    let file = resolve(publicDir, '.' + path);
+    if (file !== publicDir && !file.startsWith(publicDir + sep)) file = '';
+    if (file && existsSync(file) && statSync(file).isDirectory()) file = join(file, 'index.html');
+    if (!file || !existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    let body: string | Buffer = readFileSync(file);
+    if (file.endsWith('index.html')) {
+      const proto = req.headers['x-forwarded-proto'] === 'https' ? 'wss' : 'ws';
+      body = body.toString('utf8').replaceAll('__WS_URL__', `${proto}://${req.headers.host}/sync`);
+    }
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[extname(file).toLowerCase()] || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+    });
+    res.end(body);
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+  const syncServer = attachSyncServer(wss, { dataDir });
+  server.on('upgrade', (req, socket, head) => {
+    if (!/^\/sync\/?(\?|$)/.test(req.url || '')) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  await new Promise<void>((ready, fail) => {
+    server.once('error', fail);
+    server.listen(options.port ?? 8080, () => ready());
+  });
+  const port = (server.address() as { port: number }).port;
+
+  return {
+    port,
+    shutdown: async () => {
+      await syncServer.destroy();
+      for (const client of wss.clients) client.terminate();
+      wss.close();
+      server.closeAllConnections();
+      await new Promise<void>(done => server.close(() => done()));
+    },
+  };
+}
+
+/**
+ * CLI entry of the bundled server.js; the bundle sits at the bundle root.
+ */
+export async function main() {
+  const arg = (flag: string) => process.argv.find((_, i, a) => a[i - 1] === flag);
+  const { port, shutdown } = await startSelfhostServer({
+    root: dirname(fileURLToPath(import.meta.url)),
+    port: parseInt(arg('--port') || process.env.PORT || '8080', 10),
+    dataDir: arg('--data') || process.env.DATA_DIR,
+  });
+  console.log(`Serving on http://localhost:${port}`);
+  const stop = () => shutdown().then(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
@@ -0,0 +1,90 @@
+/**
+ * `selfhost` deploy target — write an app as a directory users run themselves.
+ *
+ *   <outDir>/
+ *     server.js     selfhost-server.ts bundled with tinybase and ws
+ *     public/       assembled index.html, platform files, app assets
+ *     data/         sync data, created by server.js (kept across rebuilds)
+ *     README.md
+ */
+
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join, dirname, resolve, sep } from 'path';
+import { populateConnectConfig } from '../lib/env-utils.js';
+
+const SERVER_ENTRY = join(import.meta.dirname, 'selfhost-server.ts');
+
+/**
+ * Bundle the self-host server into one ESM file that runs under Bun or Node.
+ */
+export async function buildSelfhostServer(outFile: string): Promise<void> {
+  const { build } = await import('esbuild');
+  await build({
+    stdin: {
+      contents: `import { main } from ${JSON.stringify(SERVER_ENTRY)};\nmain();\n`,
+      resolveDir: import.meta.dirname,
+      loader: 'ts',
+    },
+    outfile: outFile,
+    bundle: true,
+    platform: 'node',
+    format: 'esm',
+    target: 'node18',
+    // ws is CommonJS and requires Node builtins
+    banner: { js: "import { createRequire } from 'module';\nconst require = createRequire(import.meta.url);" },
+    // Optional native speedups for ws
+    external: ['bufferutil', 'utf-8-validate'],
+    // Everything is inlined into the entry, so no module's CLI block may run
+    define: { 'import.meta.main': 'false' },
+    logLevel: 'silent',
+  });
+}
+
+function readme(appName: string): string {
+  return `# ${appName}
+
+Self-hosted Vibes app. Requires [Bun](https://bun.sh) (or Node 18+).
+
+\`\`\`bash
+bun server.js                # http://localhost:8080
+bun server.js --port 3000 --data /var/lib/${appName}
+\`\`\`
+
+\`PORT\` and \`DATA_DIR\` work too. Shared data syncs over \`/sync\` and is
+saved in \`data/\`. Behind an HTTPS proxy, forward \`X-Forwarded-Proto\` and
+WebSocket upgrades.
+`;
+}
+
+/**
+ * Write the bundle. `files` is a Deploy API files map (index.html, platform
+ * files, assets; binary values prefixed with "base64:"). Replaces any
+ * previous bundle in outDir except its data/.
+ */
+export async function writeSelfhostBundle(opts: {
+  outDir: string;
+  appName: string;
+  files: Record<string, string>;
+}): Promise<{ outDir: string; fileCount: number }> {
+  const outDir = resolve(opts.outDir);
+  const publicDir = join(outDir, 'public');
+  for (const path of Object.keys(opts.files)) {
+    if (!resolve(publicDir, path).startsWith(publicDir + sep)) throw new Error(`Invalid file path: ${path}`);
+  }
+  rmSync(publicDir, { recursive: true, force: true });
+  mkdirSync(publicDir, { recursive: true });
+
+  for (const [path, content] of Object.entries(opts.files)) {
+    const target = resolve(publicDir, path);
+    const data = path === 'index.html'
+      // __WS_URL__ stays in place; server.js fills it per request
+      ? populateConnectConfig(content, { '__APP_NAME__': opts.appName, '__APP_PUBLIC__': 'true' })
+      : content.startsWith('base64:') ? Buffer.from(content.slice(7), 'base64') : content;
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, data);
+  }
+
+  await buildSelfhostServer(join(outDir, 'server.js'));
+  writeFileSync(join(outDir, 'README.md'), readme(opts.appName));
+  return { outDir, fileCount: Object.keys(opts.files).length };
+}
@@ -0,0 +1,212 @@
+/**
+ * App sessions — per-app-directory state for the editor's WebSocket server.
+ *
+ * Each session owns its persistent bridge (and with it the bridge's event
+ * ring buffer), its turn state and the connections subscribed to it, so two
+ * tabs working on different apps never share a Claude process or see each
+ * other's events. ws.ts creates bridges lazily; this module only tracks
+ * sessions and evicts old ones.
+ *
+ * Limits: at most MAX_IDLE_BRIDGES bridges stay alive while not streaming
+ * (least recently active, unwatched ones are killed first — the next turn
+ * resumes the persisted Claude session in a new bridge), and at most
+ * MAX_SESSIONS bridge-less, unwatched sessions are kept around.
+ */
+
+import type { PersistentBridge } from './claude-bridge.ts';
+import { createTurnQueue, clearQueue, type TurnQueue } from './turn-queue.ts';
+import type { BrainstormQuestion } from './brainstorm.ts';
+import type { Collaborator } from './collab.ts';
+
+/** A subscribed connection (a Bun ServerWebSocket in the editor server). */
+export interface SessionClient {
+  send(data: string): unknown;
+  /** Connection state; `collaborator` is set in LAN collaboration mode. */
+  data?: { collaborator?: Collaborator };
+}
+
+export interface AppSession {
+  readonly appDir: string;
+  bridge: PersistentBridge | null;
+  clients: Set<SessionClient>;
+  /** Last time a message or bridge event touched the session. */
+  lastActive: number;
+  /** Delays bridge teardown after the last client disconnects. */
+  graceTimer: ReturnType<typeof setTimeout> | null;
+  /** Latest app.jsx / src/ module mtime at the last reassembly check. */
+  lastAppJsxMtime: number;
+  /** Streaming tokens of the current turn, for chat history. */
+  streamingTextBuffer: string;
+  /** The in-flight bridge turn — tags the history snapshot recorded when it ends. */
+  currentTurn: { source: 'chat' | 'generate'; message: string } | null;
+  /** Chat messages waiting for the running turn (turn-queue.ts). */
+  turnQueue: TurnQueue;
+  /** Review-mode turn in flight — its edits are staged (see review.ts), not applied. */
+  reviewTurn: { message: string } | null;
+  /** Brainstorm questions awaiting the user's answers; generation starts on `brainstorm_answers`. */
+  brainstorm: {
+    id: string;
+    prompt: string;
+    generatePrompt: string;
+    initialStage: 'reading_reference' | 'foundation';
+    questions: BrainstormQuestion[];
+    /** Generate app.tsx instead of app.jsx. */
+    typescript: boolean;
+  } | null;
+  /** Consecutive automatic runtime-error fix turns; reset by any user turn. */
+  autoFixAttempts: number;
+  /** A migration turn was already requested since the user's last message. */
+  schemaMigrationRequested: boolean;
+  /**
+   * Latest lint of the app source (LintDiagnostic[] from lib/lint-app.js),
+   * the fixes applied since it was last reported and whether it changed.
+   */
+  lint: { diagnostics: any[]; fixed: number; due: boolean };
+  /** A lint fix turn was already requested since the user's last message. */
+  lintFixRequested: boolean;
+  /** index.html was reassembled since its last render check. */
+  renderCheckDue: boolean;
+  /** The render check in flight; a newer check supersedes its result. */
+  renderCheckRun: { seq: number; done: Promise<void> } | null;
+  renderCheckSeq: number;
+  /** Findings of the latest accessibility audit (A11yFinding[]), until the next reassembly. */
+  a11yFindings: any[] | null;
+}
+
+export const MAX_IDLE_BRIDGES = 3;
+export const MAX_SESSIONS = 20;
+
+const sessions = new Map<string, AppSession>();
+const clientSessions = new WeakMap<SessionClient, AppSession>();
+
+function createSession(appDir: string): AppSession {
+  return {
+    appDir,
+    bridge: null,
+    clients: new Set(),
+    lastActive: Date.now(),
+    graceTimer: null,
+    lastAppJsxMtime: 0,
+    streamingTextBuffer: '',
+    currentTurn: null,
+    turnQueue: createTurnQueue(),
+    reviewTurn: null,
+    brainstorm: null,
+    autoFixAttempts: 0,
+    schemaMigrationRequested: false,
+    lint: { diagnostics: [], fixed: 0, due: false },
+    lintFixRequested: false,
+    renderCheckDue: false,
+    renderCheckRun: null,
+    renderCheckSeq: 0,
+    a11yFindings: null,
+  };
+}
+
+/**
+ * Get the session for an app directory, creating it if needed.
+ */
+export function getSession(appDir: string): AppSession {
+  let session = sessions.get(appDir);
+  if (!session) {
+    session = createSession(appDir);
+    sessions.set(appDir, session);
+  }
+  session.lastActive = Date.now();
+  return session;
+}
+
+/**
+ * The session for an app directory, or null if there is none.
+ */
+export function findSession(appDir: string): AppSession | null {
+  return sessions.get(appDir) || null;
+}
+
+export function listSessions(): AppSession[] {
+  return [...sessions.values()];
+}
+
+/**
+ * The session a client is subscribed to, or null.
+ */
+export function sessionOf(client: SessionClient): AppSession | null {
+  return clientSessions.get(client) || null;
+}
+
+/**
+ * Subscribe a client to a session, leaving its previous one. Cancels the
+ * session's grace period. Returns the session the client left, if any.
+ */
+export function subscribe(client: SessionClient, session: AppSession): AppSession | null {
+  const previous = unsubscribe(client);
+  session.clients.add(client);
+  clientSessions.set(client, session);
+  if (session.graceTimer) {
+    clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+  }
+  return previous === session ? null : previous;
+}
+
+/**
+ * Remove a client from its session. Returns that session, if any.
+ */
+export function unsubscribe(client: SessionClient): AppSession | null {
+  const session = clientSessions.get(client) || null;
+  if (session) {
+    session.clients.delete(client);
+    clientSessions.delete(client);
+  }
+  return session;
+}
+
+/**
+ * Kill a session's bridge (if any) and cancel its grace period.
+ */
+export function killBridge(session: AppSession): void {
+  if (session.graceTimer) {
+    clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+  }
+  if (session.bridge) {
+    session.bridge.kill();
+    session.bridge = null;
+  }
+  session.currentTurn = null;
+  clearQueue(session.turnQueue);
+  session.reviewTurn = null;
+  session.streamingTextBuffer = '';
+}
+
+/**
+ * Enforce the session limits. `keep` (the session about to be used) is
+ * never evicted. Returns the app dirs whose bridges were killed.
+ */
+export function evictSessions(keep?: AppSession): string[] {
+  const idle = listSessions()
+    .filter(s => s !== keep && s.bridge && s.bridge.state !== 'streaming')
+    // Unwatched first, then least recently active
+    .sort((a, b) => (Math.sign(a.clients.size) - Math.sign(b.clients.size)) || (a.lastActive - b.lastActive));
+  const killed: string[] = [];
+  for (const session of idle.slice(0, Math.max(0, idle.length - MAX_IDLE_BRIDGES))) {
+    killBridge(session);
+    killed.push(session.appDir);
+  }
+
+  const dormant = listSessions()
+    .filter(s => s !== keep && !s.bridge && s.clients.size === 0)
+    .sort((a, b) => a.lastActive - b.lastActive);
+  for (const session of dormant.slice(0, Math.max(0, dormant.length - MAX_SESSIONS))) {
+    sessions.delete(session.appDir);
+  }
+  return killed;
+}
+
+/**
+ * Kill every bridge and forget all sessions. Called during server shutdown.
+ */
+export function destroyAllSessions(): void {
+  for (const session of sessions.values()) killBridge(session);
+  sessions.clear();
+}
@@ -0,0 +1,186 @@
+/**
+ * Table permissions, enforced by the sync relay.
+ *
+ * Rules come from the app's vibes.json (lib/sync-permissions.js): for each
+ * table, who may create, update and delete rows — anyone, signed-in users,
+ * the row's owner or nobody. Tables declared with `defineSchema({ private:
+ * [...] })` are owner-only. The template stamps each row with an `owner`
+ * cell holding the writer's user id (see template.delta.html), and the
+ * per-user values table (`userValues`, one row per user keyed by their id)
+ * is always private.
+ *
+ * Peers forward each other's data while syncing, so a change can't be judged
+ * by who sent it alone. The guard compares each row change against the
+ * server's copy of the store: changes that carry nothing newer than the
+ * server already has pass through, and newer cells must be allowed to their
+ * sender. A row the server doesn't have is a create, one left without cells
+ * a delete, and anything else an update. In tables with owner rules a new
+ * row must be stamped with its sender as owner, and an owner may not hand a
+ * row to someone else. Rejected rows are dropped from the message, so they
+ * stay on the sender's device.
+ *
+ * TinyBase sync payloads are `toClientId\n[requestId, message, body]`. Row
+ * data travels in ContentDiff messages and in responses to table, row and
+ * cell diff requests, so the guard notes the type of each request it sees
+ * to read the response.
+ */
+
+import type { MergeableStore } from 'tinybase';
+import { privatePermissions } from '../lib/sync-permissions.js';
+
+export const OWNER_CELL = 'owner';
+export const USER_VALUES_TABLE = 'userValues';
+
+// TinyBase synchronizer message types
+const RESPONSE = 0;
+const CONTENT_DIFF = 3;
+const GET_TABLE_DIFF = 4;
+const GET_ROW_DIFF = 5;
+const GET_CELL_DIFF = 6;
+const GET_VALUE_DIFF = 7;
+
+/** Requests whose responses are remembered at most, per path. */
+const MAX_PENDING_REQUESTS = 1000;
+
+type CellStamp = [unknown, string?, number?];
+type RowStamp = [Record<string, CellStamp>, string?, number?];
+type TableStamp = [Record<string, RowStamp>, string?, number?];
+type TablesStamp = [Record<string, TableStamp>, string?, number?];
+
+export type AccessLevel = 'anyone' | 'signedIn' | 'owner' | 'nobody';
+export type TableOperation = 'create' | 'update' | 'delete';
+
+export interface SyncPermissions {
+  tables: Record<string, Record<TableOperation, AccessLevel>>;
+}
+
+/** Who a connection writes as. */
+export interface SyncIdentity {
+  id: string;
+  /** Verified sign-in, as opposed to a self-asserted device id. */
+  signedIn: boolean;
+}
+
+export interface OwnershipGuard {
+  /** Note a payload relayed to a client (requests it is asked to answer). */
+  outgoing(payload: string): void;
+  /**
+   * A client's payload with the row changes it may not make removed, or
+   * null to drop it. `identity` is who the client writes as.
+   */
+  incoming(payload: string, identity: SyncIdentity | null): string | null;
+}
+
+function parsePayload(payload: string): [string, [string, number, any]] | null {
+  const splitAt = payload.indexOf('\n');
+  if (splitAt === -1) return null;
+  try {
+    const message = JSON.parse(payload.slice(splitAt + 1));
+    return Array.isArray(message) ? [payload.slice(0, splitAt), message as [string, number, any]] : null;
+  } catch {
+    return null;
+  }
+}
+
+function allows(level: AccessLevel, identity: SyncIdentity | null, owner: unknown): boolean {
+  switch (level) {
+    case 'anyone': return true;
+    case 'signedIn': return !!identity?.signedIn;
+    case 'owner': return !!identity && owner === identity.id;
+    default: return false;
+  }
+}
+
+/**
+ * Guard for one sync path. `store` is the server's copy of that path's data.
+ */
+export function createOwnershipGuard(permissions: SyncPermissions, store: MergeableStore): OwnershipGuard {
+  const userValuesRules = (privatePermissions([USER_VALUES_TABLE]) as SyncPermissions).tables[USER_VALUES_TABLE];
+  const rulesFor = (tableId: string) =>
+    tableId === USER_VALUES_TABLE ? userValuesRules : permissions.tables[tableId];
+  const pending = new Map<string, number>();
+  // Rows created by a change the server store may not have applied yet, and their owners
+  const claimed = new Map<string, unknown>();
+
+  function notePending(requestId: string, type: number) {
+    if (pending.size >= MAX_PENDING_REQUESTS) pending.delete(pending.keys().next().value!);
+    pending.set(requestId, type);
+  }
+
+  function noteRequest([requestId, type]: [string, number, any]) {
+    if (type >= GET_TABLE_DIFF && type <= GET_VALUE_DIFF) notePending(requestId, type);
+  }
+
+  function mayWrite(tableId: string, rowId: string, cells: Record<string, CellStamp>, identity: SyncIdentity | null): boolean {
+    const rules = rulesFor(tableId);
+    if (!rules) return true;
+    const stored: Record<string, CellStamp> =
+      (store.getMergeableCellDiff({ [tableId]: { [rowId]: {} } }) as any)[0][tableId]?.[0][rowId]?.[0] || {};
+    const newer = Object.entries(cells).filter(([cellId, [, hlc = '']]) => hlc > (stored[cellId]?.[1] ?? ''));
+    if (!newer.length) return true;
+    if (tableId === USER_VALUES_TABLE && rowId !== identity?.id) return false;
+
+    const key = JSON.stringify([tableId, rowId]);
+    const live = new Set(Object.keys(stored).filter(cellId => stored[cellId][0] !== null));
+    const exists = claimed.has(key) || live.size > 0;
+    for (const [cellId, [value]] of newer) {
+      if (value === null) live.delete(cellId);
+      else live.add(cellId);
+    }
+    // Deleting a row the server never had changes nothing
+    if (!exists && !live.size) return true;
+    const operation: TableOperation = !exists ? 'create' : live.size ? 'update' : 'delete';
+
+    const owned = Object.values(rules).includes('owner');
+    const owner = claimed.has(key) ? claimed.get(key) : stored[OWNER_CELL]?.[0] ?? null;
+    if (!allows(rules[operation], identity, owner)) return false;
+    const stamp = newer.find(([cellId]) => cellId === OWNER_CELL)?.[1];
+    if (operation === 'create') {
+      if (owned && (!identity || stamp?.[0] !== identity.id)) return false;
+      claimed.set(key, stamp?.[0] ?? null);
+      return true;
+    }
+    // Owners may delete their rows but not give them away
+    return !owned || !stamp || stamp[0] === owner || (operation === 'delete' && stamp[0] === null);
+  }
+
+  function filterTables(tablesStamp: TablesStamp | undefined, identity: SyncIdentity | null) {
+    const tables = tablesStamp?.[0];
+    if (!tables || typeof tables !== 'object') return;
+    for (const [tableId, tableStamp] of Object.entries(tables)) {
+      if (!rulesFor(tableId)) continue;
+      const rows = tableStamp?.[0] || {};
+      for (const [rowId, rowStamp] of Object.entries(rows)) {
+        if (!mayWrite(tableId, rowId, rowStamp?.[0] || {}, identity)) delete rows[rowId];
+      }
+    }
+  }
+
+  return {
+    outgoing(payload) {
+      const parsed = parsePayload(payload);
+      if (parsed) noteRequest(parsed[1]);
+    },
+
+    incoming(payload, identity) {
+      const parsed = parsePayload(payload);
+      if (!parsed) return null;
+      const [toClientId, message] = parsed;
+      const [requestId, type, body] = message;
+
+      if (type === CONTENT_DIFF) {
+        filterTables(body?.[0], identity);
+      } else if (type === RESPONSE) {
+        const requestType = pending.get(requestId);
+        if (requestType === undefined) return payload;
+        // A broadcast request may be answered by several clients
+        if (requestType === GET_CELL_DIFF) filterTables(body, identity);
+        else if (requestType !== GET_VALUE_DIFF) filterTables(body?.[0], identity);
+      } else {
+        noteRequest(message);
+        return payload;
+      }
+      return `${toClientId}\n${JSON.stringify(message)}`;
+    },
+  };
+}
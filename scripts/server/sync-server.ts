@@ -1,14 +1,177 @@
-import { createWsServer } from 'tinybase/synchronizers/synchronizer-ws-server';
-import { WebSocketServer } from 'ws';
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import type { IncomingMessage } from 'http';
+import { join } from 'path';
+import { createMergeableStore, type MergeableStore } from 'tinybase';
+import { createCustomPersister } from 'tinybase/persisters';
+import { createFilePersister } from 'tinybase/persisters/persister-file';
+import { createWsServer, type WsServer } from 'tinybase/synchronizers/synchronizer-ws-server';
+import { WebSocketServer, type RawData, type WebSocket } from 'ws';
+import { createOwnershipGuard, type OwnershipGuard, type SyncIdentity, type SyncPermissions } from './sync-ownership.ts';
+import { parsePermissions, privatePermissions } from '../lib/sync-permissions.js';
 
 const DEFAULT_SYNC_PORT = 3334;
 
-export function startSyncServer(port: number = DEFAULT_SYNC_PORT) {
-  const wss = new WebSocketServer({ port });
+export interface SyncServerOptions {
+  /** Persist each sync path to a JSON file here. Omit for a relay only. */
+  dataDir?: string;
+  /**
+   * Table permissions to enforce (sync-ownership.ts), for every path or
+   * looked up when a path opens. Enforcing them needs a server-side copy of
+   * each store, so the server keeps one in memory when there is no dataDir.
+   */
+  permissions?: SyncPermissions | ((pathId: string) => SyncPermissions);
+  /** Tables whose rows only their owner may change, on top of `permissions`. */
+  privateTables?: string[];
+  /**
+   * Who a connection writes as. Defaults to identifyFromUrl — pass a
+   * function that verifies the credential where it matters.
+   */
+  identify?: (request: IncomingMessage) => SyncIdentity | null;
+}
+
+const PATH_REGEX = /\/([^?]*)/;
+
+/**
+ * The `sub` claim of a JWT, read without checking its signature.
+ */
+export function tokenSubject(token: string): string | null {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return typeof claims.sub === 'string' && claims.sub ? claims.sub : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Identity from the sync URL the template builds: private apps add the
+ * user's access token (`token`), which makes them signed in as its subject;
+ * public apps add their device id (`owner`), which clients assert
+ * themselves. The token's signature isn't checked — fine for local testing,
+ * but a production relay must verify it against the OIDC issuer.
+ */
+export function identifyFromUrl(request: IncomingMessage): SyncIdentity | null {
+  const params = new URL(request.url || '/', 'http://localhost').searchParams;
+  const token = params.get('token');
+  const subject = token ? tokenSubject(token) : null;
+  if (subject) return { id: subject, signedIn: true };
+  const owner = params.get('owner');
+  return owner ? { id: owner, signedIn: false } : null;
+}
+
+/**
+ * Load deployed permissions (permissions.json, or a vibes.json with a
+ * `permissions` section). Null when the file doesn't exist.
+ */
+export function loadPermissionsFile(file: string): SyncPermissions | null {
+  if (!existsSync(file)) return null;
+  const raw = JSON.parse(readFileSync(file, 'utf8'));
+  return parsePermissions(raw.permissions ?? raw) as SyncPermissions;
+}
+
+/**
+ * Persister for a server-side store that only lives as long as its path.
+ */
+function createMemoryPersister(store: MergeableStore) {
+  return createCustomPersister(store, async () => undefined, async () => {}, () => 0, () => {}, undefined, 2);
+}
+
+/**
+ * Run TinyBase sync over an existing `ws` server. Clients on the same URL
+ * path share one store.
+ */
+export function attachSyncServer(wss: WebSocketServer, options: SyncServerOptions = {}): WsServer {
+  const { dataDir, permissions, privateTables = [] } = options;
+  if (dataDir) mkdirSync(dataDir, { recursive: true });
+  const declared = privatePermissions(privateTables) as SyncPermissions;
+  const permissionsFor = typeof permissions === 'function' ? permissions : () => permissions ?? { tables: {} };
+  const guards = permissions || privateTables.length
+    ? guardSyncServer(wss, (pathId) => ({ tables: { ...declared.tables, ...permissionsFor(pathId).tables } }), options.identify)
+    : null;
+
   // createWsServer without a persister factory acts as a routing server:
   // clients sync state with each other via the server's message relay.
   // No server-side store is needed for eval-mode in-memory testing.
-  const tinybaseServer = createWsServer(wss);
+  if (!dataDir && !guards) return createWsServer(wss);
+
+  const server = createWsServer(wss, (pathId) => {
+    const store = createMergeableStore();
+    const persister = dataDir
+      ? createFilePersister(store, join(dataDir, `${pathId.replace(/[^\w-]/g, '_') || 'default'}.json`))
+      : createMemoryPersister(store);
+    return guards ? [persister, guards.ready(pathId)] : persister;
+  });
+  guards?.attach(server);
+  return server;
+}
+
+interface GuardedPath {
+  /** Resolves once the path's server store has loaded. */
+  guard: Promise<OwnershipGuard>;
+  current?: OwnershipGuard;
+  ready(store: MergeableStore): void;
+}
+
+/**
+ * Put an OwnershipGuard between each client socket and the WsServer. Must
+ * run before createWsServer so it sees connections first; messages wait
+ * until the path's server store has loaded. Hand `ready(pathId)` to
+ * createWsServer as each persister's then-callback and `attach` the
+ * resulting server.
+ */
+export function guardSyncServer(
+  wss: WebSocketServer,
+  permissionsFor: (pathId: string) => SyncPermissions,
+  identify: (request: IncomingMessage) => SyncIdentity | null = identifyFromUrl,
+) {
+  const paths = new Map<string, GuardedPath>();
+  const pathFor = (pathId: string) => {
+    if (!paths.has(pathId)) {
+      const path = {} as GuardedPath;
+      path.guard = new Promise((resolve) => {
+        path.ready = (store) => resolve(path.current = createOwnershipGuard(permissionsFor(pathId), store));
+      });
+      paths.set(pathId, path);
+    }
+    return paths.get(pathId)!;
+  };
+
+  wss.on('connection', (client: WebSocket, request: IncomingMessage) => {
+    const pathId = PATH_REGEX.exec(request.url || '')?.[1];
+    if (pathId === undefined) return;
+    const path = pathFor(pathId);
+    const identity = identify(request);
+
+    const send = client.send.bind(client);
+    client.send = ((data: any, ...rest: any[]) => {
+      path.current?.outgoing(String(data));
+      return (send as any)(data, ...rest);
+    }) as typeof client.send;
+
+    const on = client.on.bind(client);
+    client.on = ((event: string, listener: (...args: any[]) => void) =>
+      on(event as any, event !== 'message' ? listener : (data: RawData) => {
+        path.guard.then((guard) => {
+          const payload = guard.incoming(data.toString(), identity);
+          if (payload !== null) listener(payload);
+        });
+      })) as typeof client.on;
+  });
+
+  return {
+    ready: (pathId: string) => (store: MergeableStore) => pathFor(pathId).ready(store),
+    // A path's store goes away with its last client; start afresh next time
+    attach: (server: WsServer) => server.addPathIdsListener((_, pathId, addedOrRemoved) => {
+      if (addedOrRemoved === -1) paths.delete(pathId);
+    }),
+  };
+}
+
+export function startSyncServer(port: number = DEFAULT_SYNC_PORT, options: SyncServerOptions = {}) {
+  const wss = new WebSocketServer({ port });
+  const tinybaseServer = attachSyncServer(wss, options);
 
   console.log(`[eval-mode] TinyBase sync server running on ws://localhost:${port}`);
 
@@ -21,11 +184,13 @@ export function startSyncServer(port: number = DEFAULT_SYNC_PORT) {
 }
 
 if (import.meta.main) {
-  const port = parseInt(
-    process.argv.find((_, i, a) => a[i - 1] === '--port') || String(DEFAULT_SYNC_PORT),
-    10,
-  );
-  const { shutdown } = startSyncServer(port);
+  const arg = (flag: string) => process.argv.find((_, i, a) => a[i - 1] === flag);
+  const port = parseInt(arg('--port') || String(DEFAULT_SYNC_PORT), 10);
+  const privateTables = arg('--private')?.split(',').map(id => id.trim()).filter(Boolean);
+  const permissionsFile = arg('--permissions');
+  const permissions = permissionsFile ? loadPermissionsFile(permissionsFile) : null;
+  if (permissionsFile && !permissions) throw new Error(`Permissions file not found: ${permissionsFile}`);
+  const { shutdown } = startSyncServer(port, { dataDir: arg('--data'), permissions: permissions ?? undefined, privateTables });
   process.on('SIGINT', () => {
     shutdown();
     process.exit(0);
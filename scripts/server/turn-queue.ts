@@ -0,0 +1,139 @@
+/**
+ * Turn queue — follow-up prompts sent while an app's bridge is busy.
+ *
+ * A chat message that arrives while the session's bridge is streaming (or
+ * while earlier messages are still waiting) is queued instead of dropped.
+ * ws.ts starts the next queued turn whenever the bridge is ready for another
+ * message (`PersistentBridge.onReady`); until then the user can reorder or
+ * remove queued prompts.
+ *
+ * Every change goes to the session's clients as a `queue_update` event that
+ * lists the running turn (if it came from the queue) and the queued ones in
+ * the order they will run. A turn that was removed or cancelled is listed
+ * once more, with status `cancelled`, in the update that drops it.
+ */
+
+export type QueuedTurnStatus = 'queued' | 'running' | 'cancelled';
+
+export interface QueuedTurn {
+  id: string;
+  status: QueuedTurnStatus;
+  /** The prompt as the user typed it. */
+  message: string;
+  queuedAt: number;
+  /** Who sent it, in LAN collaboration mode. */
+  author?: string;
+  /** What the caller needs to start the turn (ws.ts: the client message and its context). */
+  request: any;
+}
+
+export interface TurnQueue {
+  /** The queued turn the bridge is running now, if any. */
+  running: QueuedTurn | null;
+  queued: QueuedTurn[];
+}
+
+export const MAX_QUEUED_TURNS = 20;
+
+let idSeq = 0;
+
+export function createTurnQueue(): TurnQueue {
+  return { running: null, queued: [] };
+}
+
+/**
+ * Append a turn. Returns null when the queue is full.
+ */
+export function enqueueTurn(queue: TurnQueue, message: string, request: any, now = Date.now()): QueuedTurn | null {
+  if (queue.queued.length >= MAX_QUEUED_TURNS) return null;
+  const turn: QueuedTurn = {
+    id: `${now.toString(36)}-${++idSeq}`,
+    status: 'queued',
+    message,
+    queuedAt: now,
+    request,
+  };
+  queue.queued.push(turn);
+  return turn;
+}
+
+/**
+ * Move the first queued turn to running. The previous running turn (which
+ * has ended by then) is dropped.
+ */
+export function takeNextTurn(queue: TurnQueue): QueuedTurn | null {
+  const next = queue.queued.shift() || null;
+  if (next) next.status = 'running';
+  queue.running = next;
+  return next;
+}
+
+/**
+ * The running turn ended. Returns it, or null if it wasn't a queued turn.
+ */
+export function finishRunningTurn(queue: TurnQueue): QueuedTurn | null {
+  const turn = queue.running;
+  queue.running = null;
+  return turn;
+}
+
+/**
+ * The running turn was interrupted. Returns it marked cancelled, or null.
+ */
+export function cancelRunningTurn(queue: TurnQueue): QueuedTurn | null {
+  const turn = finishRunningTurn(queue);
+  if (turn) turn.status = 'cancelled';
+  return turn;
+}
+
+/**
+ * Remove a turn that hasn't started. Returns it marked cancelled, or null
+ * if no queued turn has that id.
+ */
+export function removeQueuedTurn(queue: TurnQueue, id: string): QueuedTurn | null {
+  const index = queue.queued.findIndex(t => t.id === id);
+  if (index === -1) return null;
+  const [turn] = queue.queued.splice(index, 1);
+  turn.status = 'cancelled';
+  return turn;
+}
+
+/**
+ * Move a queued turn to `index` (clamped to the queue). Returns false if no
+ * queued turn has that id.
+ */
+export function moveQueuedTurn(queue: TurnQueue, id: string, index: number): boolean {
+  const from = queue.queued.findIndex(t => t.id === id);
+  if (from === -1) return false;
+  const [turn] = queue.queued.splice(from, 1);
+  const to = Math.max(0, Math.min(Number.isFinite(index) ? Math.trunc(index) : 0, queue.queued.length));
+  queue.queued.splice(to, 0, turn);
+  return true;
+}
+
+/**
+ * Cancel every queued turn and forget the running one. Returns the turns
+ * that were cancelled.
+ */
+export function clearQueue(queue: TurnQueue): QueuedTurn[] {
+  const cancelled = [cancelRunningTurn(queue), ...queue.queued].filter((t): t is QueuedTurn => !!t);
+  for (const turn of cancelled) turn.status = 'cancelled';
+  queue.queued = [];
+  return cancelled;
+}
+
+export function hasQueuedTurns(queue: TurnQueue): boolean {
+  return queue.running !== null || queue.queued.length > 0;
+}
+
+/**
+ * The `queue_update` event for the queue's current state, plus the turns
+ * that just left it.
+ */
+export function queueUpdateEvent(queue: TurnQueue, cancelled: QueuedTurn[] = []): object {
+  const turns = [...(queue.running ? [queue.running] : []), ...queue.queued, ...cancelled];
+  return {
+    type: 'queue_update',
+    turns: turns.map(({ id, status, message, queuedAt, author }) => ({ id, status, message, queuedAt, ...(author && { author }) })),
+  };
+}
@@ -0,0 +1,308 @@
+/**
+ * Usage ledger — token and cost accounting for every model call.
+ *
+ * Each app keeps its own ledger at `.vibes/usage.json`: running totals plus
+ * the last MAX_ENTRIES calls (bridge turns, runOneShot runs, OpenRouter
+ * image requests). Daily totals per app are also rolled up into
+ * `~/.vibes/usage-daily.json`, so the editor can show spend across apps
+ * without opening every project.
+ *
+ * Budget warnings are opt-in: with VIBES_DAILY_BUDGET_USD set, the call
+ * that takes today's spend (all apps) past 80% or 100% of the budget
+ * returns a warning, which callers send as a `budget_warning` status event.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync, renameSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { homedir } from 'os';
+
+/** Calls kept per app — totals still count trimmed ones. */
+const MAX_ENTRIES = 500;
+
+/** Share of the daily budget that triggers the first warning. */
+const BUDGET_WARN_RATIO = 0.8;
+
+export type UsageSource = 'generate' | 'chat' | 'brainstorm' | 'theme' | 'save_theme' | 'image';
+
+export interface UsageTotals {
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheWriteTokens: number;
+  costUsd: number;
+}
+
+export interface UsageEntry {
+  id: string;
+  timestamp: number;
+  source: UsageSource;
+  model: string | null;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheWriteTokens: number;
+  costUsd: number;
+  durationMs: number | null;
+}
+
+/** What a caller knows about one call; missing counts are zero. */
+export interface UsageReport {
+  source: UsageSource;
+  model?: string | null;
+  inputTokens?: number;
+  outputTokens?: number;
+  cacheReadTokens?: number;
+  cacheWriteTokens?: number;
+  costUsd?: number | null;
+  durationMs?: number | null;
+}
+
+export interface UsageLedger {
+  totals: UsageTotals;
+  entries: UsageEntry[];
+}
+
+export interface BudgetWarning {
+  level: 'near' | 'exceeded';
+  date: string;
+  spentUsd: number;
+  budgetUsd: number;
+}
+
+/** `~/.vibes/usage-daily.json` — app dir → day → totals. */
+interface UsageRollup {
+  apps: Record<string, Record<string, UsageTotals>>;
+}
+
+function ledgerPath(appDir: string): string {
+  return join(appDir, '.vibes', 'usage.json');
+}
+
+function rollupPath(): string {
+  return join(process.env.VIBES_HOME || homedir(), '.vibes', 'usage-daily.json');
+}
+
+function count(value: unknown): number {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+function emptyTotals(): UsageTotals {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0 };
+}
+
+function addTo(totals: UsageTotals, entry: Omit<UsageTotals, 'calls'> & { calls?: number }): UsageTotals {
+  totals.calls += entry.calls ?? 1;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.cacheReadTokens += entry.cacheReadTokens;
+  totals.cacheWriteTokens += entry.cacheWriteTokens;
+  totals.costUsd += entry.costUsd;
+  return totals;
+}
+
+function readJson(path: string): any {
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(path: string, value: unknown): void {
+  // Write-then-rename so a crash mid-write never leaves a truncated ledger
+  mkdirSync(dirname(path), { recursive: true });
+  const tmpPath = `${path}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Local calendar day of a timestamp, `YYYY-MM-DD`.
+ */
+export function dayKey(timestamp: number): string {
+  const d = new Date(timestamp);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Usage fields of a Claude stream-json `result` event.
+ */
+export function fromClaudeUsage(usage: any, costUsd: number | null | undefined): Omit<UsageReport, 'source'> {
+  return {
+    inputTokens: count(usage?.input_tokens),
+    outputTokens: count(usage?.output_tokens),
+    cacheReadTokens: count(usage?.cache_read_input_tokens),
+    cacheWriteTokens: count(usage?.cache_creation_input_tokens),
+    costUsd: costUsd ?? null,
+  };
+}
+
+/**
+ * Usage fields of an OpenRouter chat completion (`usage.cost` is present
+ * when the request asked for `usage: { include: true }`).
+ */
+export function fromOpenRouterUsage(usage: any): Omit<UsageReport, 'source'> {
+  return {
+    inputTokens: count(usage?.prompt_tokens),
+    outputTokens: count(usage?.completion_tokens),
+    cacheReadTokens: count(usage?.prompt_tokens_details?.cached_tokens),
+    costUsd: typeof usage?.cost === 'number' ? usage.cost : null,
+  };
+}
+
+export function loadUsage(appDir: string): UsageLedger {
+  const parsed = readJson(ledgerPath(appDir));
+  return {
+    totals: { ...emptyTotals(), ...(parsed?.totals || {}) },
+    entries: Array.isArray(parsed?.entries) ? parsed.entries : [],
+  };
+}
+
+function loadRollup(): UsageRollup {
+  const parsed = readJson(rollupPath());
+  return { apps: parsed?.apps && typeof parsed.apps === 'object' ? parsed.apps : {} };
+}
+
+/**
+ * The daily budget in USD from VIBES_DAILY_BUDGET_USD, or null if unset.
+ */
+export function getDailyBudgetUsd(): number | null {
+  const budget = parseFloat(process.env.VIBES_DAILY_BUDGET_USD || '');
+  return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+function spentOn(rollup: UsageRollup, date: string): number {
+  let spent = 0;
+  for (const days of Object.values(rollup.apps)) spent += days[date]?.costUsd || 0;
+  return spent;
+}
+
+/**
+ * Record one model call for an app. Returns the stored entry and a budget
+ * warning if this call crossed a budget threshold, or null when the report
+ * carries no tokens and no cost (e.g. a cancelled run).
+ */
+export function recordUsage(appDir: string, report: UsageReport, now: number = Date.now()): { entry: UsageEntry; warning: BudgetWarning | null } | null {
+  const entry: UsageEntry = {
+    id: now.toString(36),
+    timestamp: now,
+    source: report.source,
+    model: report.model || null,
+    inputTokens: count(report.inputTokens),
+    outputTokens: count(report.outputTokens),
+    cacheReadTokens: count(report.cacheReadTokens),
+    cacheWriteTokens: count(report.cacheWriteTokens),
+    costUsd: count(report.costUsd),
+    durationMs: report.durationMs ?? null,
+  };
+  if (!entry.inputTokens && !entry.outputTokens && !entry.cacheReadTokens && !entry.cacheWriteTokens && !entry.costUsd) {
+    return null;
+  }
+
+  const ledger = loadUsage(appDir);
+  addTo(ledger.totals, entry);
+  ledger.entries.push(entry);
+  ledger.entries = ledger.entries.slice(-MAX_ENTRIES);
+
+  const date = dayKey(now);
+  const rollup = loadRollup();
+  const spentBefore = spentOn(rollup, date);
+  const days = rollup.apps[appDir] || (rollup.apps[appDir] = {});
+  days[date] = addTo({ ...emptyTotals(), ...days[date] }, entry);
+
+  try {
+    writeJson(ledgerPath(appDir), ledger);
+    writeJson(rollupPath(), rollup);
+  } catch (err) {
+    console.error('[usage] Write failed:', err);
+  }
+
+  let warning: BudgetWarning | null = null;
+  const budgetUsd = getDailyBudgetUsd();
+  if (budgetUsd) {
+    const spentUsd = spentBefore + entry.costUsd;
+    if (spentBefore < budgetUsd && spentUsd >= budgetUsd) {
+      warning = { level: 'exceeded', date, spentUsd, budgetUsd };
+    } else if (spentBefore < budgetUsd * BUDGET_WARN_RATIO && spentUsd >= budgetUsd * BUDGET_WARN_RATIO) {
+      warning = { level: 'near', date, spentUsd, budgetUsd };
+    }
+  }
+  return { entry, warning };
+}
+
+/**
+ * The `status` event sent to the editor for a budget warning.
+ */
+export function budgetWarningEvent(warning: BudgetWarning): object {
+  const spent = `$${warning.spentUsd.toFixed(2)} of your $${warning.budgetUsd.toFixed(2)} daily budget`;
+  return {
+    type: 'status',
+    status: 'budget_warning',
+    ...warning,
+    message: warning.level === 'exceeded' ? `Daily budget exceeded — ${spent} spent today.` : `Nearing your daily budget — ${spent} spent today.`,
+  };
+}
+
+/**
+ * Usage overview for the editor: today's spend, daily totals across apps
+ * for the last `days` days, per-app totals and, for `appDir`, that app's
+ * totals, its kept calls grouped by source and the most recent ones.
+ */
+export function summarizeUsage(opts: { appDir?: string | null; days?: number; now?: number } = {}) {
+  const now = opts.now ?? Date.now();
+  const dayCount = Math.max(1, opts.days ?? 30);
+  const rollup = loadRollup();
+  const today = dayKey(now);
+
+  const dates: string[] = [];
+  for (let i = dayCount - 1; i >= 0; i--) {
+    const d = new Date(now);
+    d.setDate(d.getDate() - i);
+    dates.push(dayKey(d.getTime()));
+  }
+
+  const daily = dates.map(date => {
+    const totals = emptyTotals();
+    for (const days of Object.values(rollup.apps)) {
+      if (days[date]) addTo(totals, days[date]);
+    }
+    return { date, ...totals };
+  });
+
+  const apps = Object.entries(rollup.apps)
+    .map(([dir, days]) => {
+      const totals = emptyTotals();
+      for (const dayTotals of Object.values(days)) addTo(totals, dayTotals);
+      return { appDir: dir, name: basename(dir), today: { ...emptyTotals(), ...days[today] }, totals };
+    })
+    .sort((a, b) => b.totals.costUsd - a.totals.costUsd);
+
+  const budgetUsd = getDailyBudgetUsd();
+  const spentToday = daily[daily.length - 1].costUsd;
+
+  let app = null;
+  if (opts.appDir) {
+    const ledger = loadUsage(opts.appDir);
+    const bySource: Partial<Record<UsageSource, UsageTotals>> = {};
+    for (const entry of ledger.entries) {
+      addTo(bySource[entry.source] || (bySource[entry.source] = emptyTotals()), entry);
+    }
+    app = {
+      appDir: opts.appDir,
+      name: basename(opts.appDir),
+      totals: ledger.totals,
+      bySource,
+      recent: ledger.entries.slice(-50).reverse(),
+    };
+  }
+
+  return {
+    today: daily[daily.length - 1],
+    daily,
+    apps,
+    app,
+    budget: budgetUsd ? { dailyUsd: budgetUsd, spentTodayUsd: spentToday, remainingUsd: Math.max(0, budgetUsd - spentToday) } : null,
+  };
+}
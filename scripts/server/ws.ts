@@ -6,34 +6,76 @@
  * remain as direct handlers.
  *
  * Features:
- * - Persistent bridge: single Claude process across turns
- * - Grace period: 30s reconnection window on disconnect
+ * - Sessions: one persistent bridge + turn state per app directory (sessions.ts);
+ *   each connection subscribes to the session of the app it has open
+ * - Persistent bridge: single Claude process per app across turns
+ * - Grace period: 30s reconnection window after a session's last client leaves
  * - Write-gating: only the most-recently-connected client can send messages
- * - Reassembly trigger: auto-assembles index.html after app.jsx edits
- * - App switching: interrupt + reload history on app change
+ * - Reassembly trigger: auto-assembles index.html after edits to app.jsx or src/
+ * - App switching: reload history; the app left behind keeps its session
+ * - Version history: snapshots app.jsx after each turn, tagged with its prompt
+ * - Review mode: chat edits are staged as a proposed_change until accepted
+ * - Runtime errors: preview crashes are logged per app and can trigger a fix turn
+ * - Render check: optional headless mount of index.html after each turn (ctx.renderCheck)
+ * - Schema changes: edits that orphan saved data trigger a migration turn
+ * - Lint: each reassembly lints the source (lib/lint-app.js), applies the
+ *   mechanical fixes, and errors left at the end of a turn trigger a fix turn
+ * - Accessibility: on request, audits the rendered app (lib/a11y-audit.js)
+ *   and can hand the findings to a fix turn
+ * - Usage: each turn's tokens and cost go to the app's usage ledger (usage.ts)
+ * - Turn queue: chat messages sent during a turn wait their turn (turn-queue.ts)
+ * - Brainstorm: new apps start with a form of questions (brainstorm.ts); the
+ *   answers start generation
+ * - LAN collaboration: with ctx.collab, each connection is a named
+ *   collaborator (collab.ts); prompts carry their author to history, the
+ *   queue and the other clients of the session
  */
 
-import { existsSync, mkdirSync, copyFileSync, unlinkSync, readFileSync, writeFileSync, statSync } from 'fs';
-import { join, resolve, basename } from 'path';
+import { existsSync, mkdirSync, copyFileSync, cpSync, unlinkSync, readFileSync, writeFileSync } from 'fs';
+import { join, resolve, basename, dirname } from 'path';
 import type { ServerWebSocket } from 'bun';
 import type { ServerContext } from './config.ts';
 import { reloadThemes } from './config.ts';
 import { resolveAppJsxPath, resolveProjectDir } from './app-context.js';
 import { createBridge, cancelCurrent, type PersistentBridge, type EventCallback } from './claude-bridge.ts';
-import { buildChatPrompt, buildGeneratePrompt, buildBrainstormPrompt } from './prompt-builders.ts';
+import { buildChatPrompt, buildGeneratePrompt, buildBrainstormGeneratePrompt } from './prompt-builders.ts';
 import { loadHistory, appendMessage, clearHistory } from './chat-history.ts';
 import { sanitizeAppJsx } from './post-process.ts';
-import { validateAppJsx } from '../lib/validate-app-jsx.ts';
+import { validateAppSource } from '../lib/validate-app-jsx.ts';
+import { lintAppSource, buildLintFixPrompt } from '../lib/lint-app.js';
+import { buildA11yFixPrompt } from '../lib/a11y-audit.js';
+import { APP_ENTRY, APP_ENTRY_TS, APP_SOURCE_DIR, appSourceMtime, isTypeScriptApp, resolveAppEntry, writeTypeScriptSupport } from '../lib/app-source.js';
+import { recordSnapshot, listSnapshots, readSnapshotFiles } from '../lib/history.js';
+import { recordRuntimeError, buildRuntimeFixPrompt, MAX_AUTO_FIX_ATTEMPTS } from './runtime-errors.ts';
+import { detectSchemaChange, buildMigrationPrompt, type SchemaChange } from './data-schema.ts';
+import { beginStaging, collectProposal, discardStaging, acceptChange, rejectChange, getPendingChange, type PendingChange } from './review.ts';
 import { handleThemeSwitch, handlePaletteTheme } from './handlers/theme.ts';
 import { handleDeploy } from './handlers/deploy.ts';
 import { handleSaveTheme } from './handlers/create-theme.ts';
 import { handleGenerateImage } from './handlers/image-gen.ts';
+import { askBrainstormQuestions } from './handlers/brainstorm.ts';
+import { resolveBrainstormAnswers } from './brainstorm.ts';
+import { clearBridgePersistence, loadEventLog } from './bridge-persistence.ts';
+import { recordUsage, fromClaudeUsage, budgetWarningEvent, type BudgetWarning } from './usage.ts';
+import { createCollaborator, sanitizeCollaboratorName, collaboratorsEvent, type Collaborator } from './collab.ts';
+import {
+  enqueueTurn, takeNextTurn, finishRunningTurn, cancelRunningTurn, removeQueuedTurn, moveQueuedTurn, clearQueue, hasQueuedTurns,
+  queueUpdateEvent, MAX_QUEUED_TURNS, type QueuedTurn,
+} from './turn-queue.ts';
+import {
+  getSession, findSession, listSessions, sessionOf, subscribe, unsubscribe, killBridge, evictSessions, destroyAllSessions,
+  type AppSession, type SessionClient,
+} from './sessions.ts';
 
 // --- Types ---
 
 export interface WsData {
   ctx: ServerContext;
   onEvent: EventCallback;
+  /** The connection comes from the host's machine (set at upgrade). */
+  fromHost?: boolean;
+  /** Set in LAN collaboration mode. */
+  collaborator?: Collaborator;
 }
 
 // --- Event Translation Layer ---
@@ -88,145 +130,415 @@ export function createEventAdapter(ws: ServerWebSocket<WsData>): EventCallback {
 
 const connectedClients = new Set<ServerWebSocket<WsData>>();
 
+/** In-process subscribers (e.g. the headless CLI) that see every broadcast. */
+const broadcastListeners = new Set<(msg: any) => void>();
+
 export function broadcast(msg: object): void {
   const data = JSON.stringify(msg);
   for (const ws of connectedClients) {
     try { ws.send(data); } catch {}
   }
+  for (const listener of broadcastListeners) {
+    try { listener(msg); } catch (err) { console.error('[WS] Broadcast listener error:', err); }
+  }
 }
 
-// --- Session State ---
+/**
+ * Receive every broadcast message without a WebSocket connection.
+ * Returns an unsubscribe function.
+ */
+export function onBroadcast(listener: (msg: any) => void): () => void {
+  broadcastListeners.add(listener);
+  return () => { broadcastListeners.delete(listener); };
+}
 
-/** The persistent bridge instance (lazily created on first message). */
-let bridge: PersistentBridge | null = null;
+const bridgeExitListeners = new Set<(appDir: string, exitCode: number | null) => void>();
+
+/**
+ * Hear when an app's model process dies on its own (see
+ * PersistentBridge.onExit). Returns an unsubscribe function.
+ */
+export function onBridgeExit(listener: (appDir: string, exitCode: number | null) => void): () => void {
+  bridgeExitListeners.add(listener);
+  return () => { bridgeExitListeners.delete(listener); };
+}
 
-/** Current app directory the bridge is operating in. */
-let currentAppDirPath: string | null = null;
+// --- Sessions ---
 
-/** Grace period timer — delays bridge teardown on disconnect. */
-let graceTimer: ReturnType<typeof setTimeout> | null = null;
+/** Grace period — delays a session's bridge teardown after its last client disconnects. */
 const GRACE_PERIOD_MS = 30_000;
 
-/** Track app.jsx mtime for reassembly detection. */
-let lastAppJsxMtime: number = 0;
+/** Cancels legacy one-shot operations once no client at all is connected. */
+let legacyGraceTimer: ReturnType<typeof setTimeout> | null = null;
 
-/** Accumulate streaming tokens for chat history. */
-let streamingTextBuffer: string = '';
+/** Kill a render check that hasn't finished by then (e.g. an infinite render loop). */
+const RENDER_CHECK_TIMEOUT_MS = 30_000;
+
+/** Persisted events replayed on reconnect when the app has no live bridge. */
+const EVENT_REPLAY_MAX = 1000;
+
+/**
+ * Send a message to a session's clients (but `except`) and in-process listeners.
+ */
+function emitToSession(session: AppSession, msg: object, except?: SessionClient): void {
+  const data = JSON.stringify(msg);
+  for (const client of session.clients) {
+    if (client === except) continue;
+    try { client.send(data); } catch {}
+  }
+  for (const listener of broadcastListeners) {
+    try { listener(msg); } catch (err) { console.error('[WS] Broadcast listener error:', err); }
+  }
+}
+
+/**
+ * Tell a session's clients who has its app open (LAN collaboration).
+ */
+function emitCollaborators(session: AppSession): void {
+  const collaborators = [...session.clients].map(c => c.data?.collaborator).filter((c): c is Collaborator => !!c);
+  emitToSession(session, collaboratorsEvent(collaborators));
+}
+
+/**
+ * Get the session for an app directory and subscribe the client (if any)
+ * to it, so the client sees that app's bridge events.
+ */
+function openSession(appDir: string, client?: SessionClient): AppSession {
+  const session = getSession(appDir);
+  if (client) subscribe(client, session);
+  return session;
+}
 
 // --- Bridge Management ---
 
 /**
- * Get or create the bridge for the given app directory.
+ * Get or create the bridge for a session.
  * The bridge is lazily created on first use and reused across reconnections.
  */
-function getOrCreateBridge(ctx: ServerContext, appDir: string): PersistentBridge {
-  // If bridge exists for a different app, kill it
-  if (bridge && currentAppDirPath !== appDir) {
-    console.log(`[WS] App changed from ${currentAppDirPath} to ${appDir} — killing bridge`);
-    bridge.kill();
-    bridge = null;
-  }
+function getOrCreateBridge(ctx: ServerContext, session: AppSession): PersistentBridge {
+  const { appDir } = session;
+  session.lastActive = Date.now();
 
-  if (!bridge) {
-    currentAppDirPath = appDir;
+  if (!session.bridge) {
+    for (const evicted of evictSessions(session)) {
+      console.log(`[WS] Evicted idle bridge for ${evicted}`);
+    }
     // Snapshot app.jsx mtime before bridge starts
-    snapshotAppJsxMtime(appDir);
+    snapshotAppJsxMtime(session);
+
+    session.streamingTextBuffer = '';
+    const bridge = createBridge(appDir, (event: any) => {
+      session.lastActive = Date.now();
 
-    streamingTextBuffer = '';
-    bridge = createBridge(appDir, (event: any) => {
       // Accumulate streaming text for chat history (Bug 4 fix)
       if (event.type === 'token' && event.text) {
-        streamingTextBuffer += event.text;
+        session.streamingTextBuffer += event.text;
+      }
+
+      // Check for app.jsx edits on tool_result. Review turns hold edits back
+      // until the user accepts them, so don't reassemble mid-turn.
+      if (event.type === 'tool_result' && !event.is_error && !session.reviewTurn) {
+        checkAndReassemble(ctx, session);
       }
 
-      // Check for app.jsx edits on tool_result
-      if (event.type === 'tool_result' && !event.is_error) {
-        checkAndReassemble(ctx, appDir);
+      // Bill the turn to the app's usage ledger
+      let budgetWarning: BudgetWarning | null = null;
+      if (event.type === 'complete') {
+        const recorded = recordUsage(appDir, {
+          source: session.currentTurn?.source || 'chat',
+          model: event.model,
+          durationMs: event.duration,
+          ...fromClaudeUsage(event.usage, event.turnCost),
+        });
+        budgetWarning = recorded?.warning || null;
+      }
+
+      // Review turn ended: stage the result as a proposal (or discard on error)
+      let proposed: PendingChange | null = null;
+      if (session.reviewTurn && (event.type === 'complete' || event.type === 'error')) {
+        if (event.type === 'complete') {
+          proposed = collectProposal(appDir, session.reviewTurn.message);
+        } else {
+          discardStaging(appDir);
+        }
+        session.reviewTurn = null;
+        snapshotAppJsxMtime(session);
+      }
+
+      // Turn ended (successfully or not): snapshot the app source if it changed
+      let schemaChange: SchemaChange | null = null;
+      if ((event.type === 'complete' || event.type === 'error') && session.currentTurn) {
+        const snapshot = recordSnapshot(resolveAppEntry(appDir), session.currentTurn);
+        // Generate replaces the app wholesale; only edits are held to its data
+        if (snapshot && event.type === 'complete' && session.currentTurn.source === 'chat') {
+          schemaChange = findSchemaChange(appDir, snapshot.id);
+        }
+        session.currentTurn = null;
       }
 
       // On completion: final reassembly check + save full response to chat history
       if (event.type === 'complete') {
-        checkAndReassemble(ctx, appDir);
+        checkAndReassemble(ctx, session);
+        if (ctx.renderCheck && session.renderCheckDue) startRenderCheck(ctx, session);
         // If the bridge is (or was just) interrupted, we already appended
         // an "Interrupted" system message for this turn — don't then stack
         // the partial assistant response on top. SIGINT can take a moment
         // to land, so Claude may still emit a final `result` after cancel;
         // drop it here so the chat history stays consistent with what the
         // user actually saw.
-        const interrupted = bridge && bridge.state === 'interrupted';
+        const interrupted = session.bridge && session.bridge.state === 'interrupted';
         if (!interrupted) {
-          const fullResponse = streamingTextBuffer || event.result || '';
+          const fullResponse = session.streamingTextBuffer || event.result || '';
           if (fullResponse) {
             appendMessage(appDir, { role: 'assistant', content: fullResponse });
           }
         }
-        streamingTextBuffer = '';
+        session.streamingTextBuffer = '';
       }
 
-      // Forward to all connected clients
-      broadcast(event);
+      // Forward to the session's clients
+      emitToSession(session, event);
+      if (budgetWarning) emitToSession(session, budgetWarningEvent(budgetWarning));
+
+      // Proposal goes out after `complete` so the UI has finalized the turn
+      if (proposed) {
+        appendMessage(appDir, { role: 'system', content: `Proposed change (+${proposed.added}/-${proposed.removed} lines) — awaiting review` });
+        session.bridge?.emit({ type: 'proposed_change', ...proposed });
+      }
+      if (schemaChange) requestSchemaMigration(ctx, session, schemaChange, false);
+      else if (event.type === 'complete' && !proposed) reportLint(ctx, session, false);
     }, ctx.projectRoot);
+    bridge.onReady = () => startNextTurn(session);
+    bridge.onExit = (exitCode) => {
+      for (const listener of bridgeExitListeners) listener(appDir, exitCode);
+    };
+    session.bridge = bridge;
     console.log(`[WS] Created persistent bridge for ${appDir}`);
   }
 
-  return bridge;
+  return session.bridge;
 }
 
 /**
- * Snapshot the current mtime of app.jsx for change detection.
+ * A turn is running (or stopping) on the session's bridge, or messages are
+ * already waiting — a new chat message has to queue.
  */
-function snapshotAppJsxMtime(appDir: string): void {
-  const appPath = join(appDir, 'app.jsx');
-  try {
-    lastAppJsxMtime = statSync(appPath).mtimeMs;
-  } catch {
-    lastAppJsxMtime = 0;
+function isSessionBusy(session: AppSession): boolean {
+  const state = session.bridge?.state;
+  return state === 'streaming' || state === 'interrupted' || hasQueuedTurns(session.turnQueue);
+}
+
+/**
+ * Run a chat message as a bridge turn. Returns false if it was refused.
+ */
+function startChatTurn(ctx: ServerContext, session: AppSession, msg: any, onEvent: EventCallback): boolean {
+  const { appDir } = session;
+  const review = !!msg.review && existsSync(resolveAppEntry(appDir));
+  if (review && getPendingChange(appDir)) {
+    onEvent({ type: 'error', message: 'Accept or reject the pending change before sending another message.' });
+    return false;
+  }
+  const prompt = buildChatPrompt(ctx, msg.message, {
+    effects: msg.effects,
+    animationId: msg.animationId,
+    reference: msg.reference,
+    skillId: msg.skillId,
+    appName: msg.app,
+  });
+  if (!msg.autoFix) session.autoFixAttempts = 0;
+  if (!msg.schemaMigration) session.schemaMigrationRequested = false;
+  if (!msg.lintFix && !msg.schemaMigration && !msg.autoFix) session.lintFixRequested = false;
+  appendMessage(appDir, { role: 'user', content: msg.message, ...(msg.author && { author: msg.author }) });
+  const b = getOrCreateBridge(ctx, session);
+  beginTurn(session, 'chat', msg.message);
+  if (review) {
+    beginStaging(appDir);
+    session.reviewTurn = { message: msg.message };
+  }
+  // Chat turns suppress generate-only staged-preview events.
+  b.setTurnMode('chat');
+  b.sendMessage(prompt);
+  return true;
+}
+
+/**
+ * The bridge is ready for another message: retire the queued turn that just
+ * ended (if any) and start the next one. A queued message that's refused
+ * when its turn comes (e.g. a review is pending by then) is cancelled.
+ */
+function startNextTurn(session: AppSession): void {
+  const queue = session.turnQueue;
+  const finished = finishRunningTurn(queue);
+  const cancelled: QueuedTurn[] = [];
+  // Another message already got the bridge
+  const busy = session.bridge?.state === 'streaming' || session.bridge?.state === 'interrupted';
+  for (let next = busy ? null : takeNextTurn(queue); next; next = takeNextTurn(queue)) {
+    const { ctx, msg, onEvent } = next.request;
+    console.log(`[WS] Starting queued turn ${next.id} (${queue.queued.length} still waiting)`);
+    if (startChatTurn(ctx, session, msg, onEvent)) break;
+    next.status = 'cancelled';
+    cancelled.push(next);
   }
+  if (finished || queue.running || cancelled.length) emitQueueUpdate(session, cancelled);
+}
+
+/**
+ * Send the session's queue to its clients after it changed.
+ */
+function emitQueueUpdate(session: AppSession, cancelled: QueuedTurn[] = []): void {
+  emitToSession(session, queueUpdateEvent(session.turnQueue, cancelled));
+}
+
+/**
+ * Run a generate prompt as a bridge turn.
+ */
+function startGenerateTurn(
+  ctx: ServerContext,
+  session: AppSession,
+  userPrompt: string,
+  prompt: string,
+  initialStage: 'reading_reference' | 'foundation',
+): void {
+  const b = getOrCreateBridge(ctx, session);
+  beginTurn(session, 'generate', userPrompt);
+  // Generate turns emit the full staged-preview sequence; set mode
+  // BEFORE sendMessage so the stream parser sees it from the first
+  // tool_use.
+  b.setTurnMode('generate', initialStage);
+  b.sendMessage(prompt);
+}
+
+/**
+ * Start tracking a bridge turn for version history. Records the pre-turn
+ * app source first (deduped by content), so edits made outside the bridge —
+ * theme switches, manual writes — stay reachable from the timeline.
+ */
+function beginTurn(session: AppSession, source: 'chat' | 'generate', message: string): void {
+  recordSnapshot(resolveAppEntry(session.appDir), { source: 'baseline' });
+  session.currentTurn = { source, message };
 }
 
 /**
- * Parse app.jsx with Bun's built-in transpiler to catch syntax errors
- * (unterminated strings, unbalanced braces, invalid JSX) that come from
- * truncated / malformed model output — e.g. when the upstream stream cuts
- * off mid-token during a provider incident. Cheap, zero-dep, runs in a
- * few ms for a typical app.
+ * Compare a new app snapshot with the one before it. The schema is read from
+ * the entry and its src/ modules together, so moving a table's hooks into a
+ * module isn't a change. Returns the breaking data schema change, or null if
+ * there is none or the edit already ships a migration for it.
  */
+function findSchemaChange(appDir: string, snapshotId: string): SchemaChange | null {
+  const appPath = resolveAppEntry(appDir);
+  const snapshots = listSnapshots(appPath);
+  const index = snapshots.findIndex((s: any) => s.id === snapshotId);
+  const previous = index === -1 ? undefined : snapshots[index + 1];
+  if (!previous) return null;
+  const source = (id: string) => Object.values(readSnapshotFiles(appPath, id) || {}).join('\n');
+  const change = detectSchemaChange(source(previous.id), source(snapshotId));
+  return change && !change.migrated ? change : null;
+}
+
 /**
- * Check if app.jsx was modified since last snapshot. If so, run post-processing
- * and reassembly, then broadcast app_updated.
+ * Send a breaking schema change to the session and ask the model for a
+ * migration. Only once per user message, so a change it can't migrate
+ * doesn't loop.
  */
-function checkAndReassemble(ctx: ServerContext, appDir: string): void {
-  const appPath = join(appDir, 'app.jsx');
+function requestSchemaMigration(ctx: ServerContext, session: AppSession, change: SchemaChange, review: boolean): void {
+  const migration = session.schemaMigrationRequested ? 'unresolved' : 'requested';
+  emitToSession(session, { type: 'schema_change', ...change, migration });
+  console.log(`[WS] Schema change (${migration}): ${change.changes.join('; ')}`);
+  if (migration === 'unresolved') return;
+
+  session.schemaMigrationRequested = true;
+  // Defer: the bridge returns to idle only after this turn's events are out
+  setTimeout(() => {
+    handleClientMessage(ctx, {
+      type: 'chat',
+      message: buildMigrationPrompt(change, basename(resolveAppEntry(session.appDir)), isTypeScriptApp(session.appDir)),
+      app: basename(session.appDir),
+      review,
+      schemaMigration: true,
+    }, (event: any) => emitToSession(session, event)).catch(err => console.error('[WS] Migration turn failed:', err));
+  }, 0);
+}
+
+/**
+ * Send the lint of the source edited since the last report to the session.
+ * Errors go back to the model as a fix turn, once per user message, so
+ * errors it can't fix don't loop.
+ */
+function reportLint(ctx: ServerContext, session: AppSession, review: boolean): void {
+  const { lint } = session;
+  if (!lint.due) return;
+  const { diagnostics, fixed } = lint;
+  session.lint = { diagnostics, fixed: 0, due: false };
+  const errors = diagnostics.filter(d => d.severity === 'error').length;
+  const fix = errors === 0 ? null : session.lintFixRequested ? 'unresolved' : 'requested';
+  if (!fix && !fixed && diagnostics.length === 0) return;
+  emitToSession(session, { type: 'lint', diagnostics, fixed, fix });
+  console.log(`[WS] Lint: ${errors} errors, ${diagnostics.length - errors} warnings, ${fixed} fixed${fix ? ` (fix ${fix})` : ''}`);
+  if (fix !== 'requested') return;
+
+  session.lintFixRequested = true;
+  // Defer: the bridge returns to idle only after this turn's events are out
+  setTimeout(() => {
+    handleClientMessage(ctx, {
+      type: 'chat',
+      message: buildLintFixPrompt(diagnostics),
+      app: basename(session.appDir),
+      review,
+      lintFix: true,
+    }, (event: any) => emitToSession(session, event)).catch(err => console.error('[WS] Lint fix turn failed:', err));
+  }, 0);
+}
+
+/**
+ * Snapshot the latest mtime of app.jsx and its src/ modules for change detection.
+ */
+function snapshotAppJsxMtime(session: AppSession): void {
+  session.lastAppJsxMtime = appSourceMtime(session.appDir);
+}
+
+/**
+ * Check if app.jsx or a src/ module was modified since last snapshot. If so,
+ * run post-processing and reassembly, then broadcast app_updated.
+ */
+function checkAndReassemble(ctx: ServerContext, session: AppSession): void {
+  const { appDir } = session;
   try {
-    const currentMtime = statSync(appPath).mtimeMs;
-    console.log(`[WS] checkAndReassemble: mtime=${currentMtime} last=${lastAppJsxMtime} changed=${currentMtime > lastAppJsxMtime}`);
-    if (currentMtime > lastAppJsxMtime) {
-      lastAppJsxMtime = currentMtime;
-      console.log(`[WS] app.jsx modified — running post-process and reassembly`);
+    // 0 while app.jsx doesn't exist yet — nothing to reassemble
+    const currentMtime = appSourceMtime(appDir);
+    console.log(`[WS] checkAndReassemble: mtime=${currentMtime} last=${session.lastAppJsxMtime} changed=${currentMtime > session.lastAppJsxMtime}`);
+    if (currentMtime > session.lastAppJsxMtime) {
+      session.lastAppJsxMtime = currentMtime;
+      console.log(`[WS] App source modified — running post-process and reassembly`);
 
       // Syntax-check the generated code before we let it propagate to
       // index.html and the preview frame's Babel transformer. Catches
       // truncated / malformed output from upstream model incidents.
-      const syntax = validateAppJsx(join(appDir, 'app.jsx'));
+      const syntax = validateAppSource(appDir);
       if (!syntax.ok) {
-        console.warn(`[WS] app.jsx has syntax errors, skipping assembly: ${syntax.error}`);
-        broadcast({ type: 'app_invalid', error: syntax.error });
+        console.warn(`[WS] App source has syntax errors, skipping assembly: ${syntax.error}`);
+        emitToSession(session, { type: 'app_invalid', error: syntax.error });
         return;
       }
 
       // Post-process (sanitize CSS escapes, strip redeclared globals)
       sanitizeAppJsx(appDir);
 
+      // Lint for template-global misuse; the fixes land before assembly
+      const { diagnostics, fixed } = lintAppSource(appDir, { fix: true });
+      session.lint = { diagnostics, fixed: session.lint.fixed + fixed, due: true };
+
       // Reassemble index.html
       try {
         const proc = Bun.spawnSync({
-          cmd: ['bun', join(ctx.projectRoot, 'scripts/assemble.js'), 'app.jsx', 'index.html'],
+          cmd: ['bun', join(ctx.projectRoot, 'scripts/assemble.js'), basename(resolveAppEntry(appDir)), 'index.html'],
           cwd: appDir,
           stdout: 'pipe',
           stderr: 'pipe',
         });
         if (proc.exitCode === 0) {
           console.log(`[WS] Reassembled index.html for ${appDir}`);
+          session.renderCheckDue = true;
+          session.a11yFindings = null;
         } else {
           console.warn(`[WS] Reassembly failed (exit ${proc.exitCode}): ${proc.stderr?.toString().slice(0, 200)}`);
         }
@@ -234,319 +546,631 @@ function checkAndReassemble(ctx: ServerContext, appDir: string): void {
         console.warn(`[WS] Reassembly error: ${err.message}`);
       }
 
-      broadcast({ type: 'app_updated' });
+      emitToSession(session, { type: 'app_updated' });
     }
   } catch {
-    // app.jsx doesn't exist yet — nothing to reassemble
+    // A source file vanished mid-check — the next check picks it up
   }
 }
 
 /**
- * Switch to a different app directory. Interrupts current bridge if streaming.
+ * Run scripts/render-check.js on an app's index.html in a subprocess, so the
+ * app's own timers and listeners can't outlive the check inside the server.
+ * Never throws: a check that can't finish reports that as its error.
  */
-function switchApp(ctx: ServerContext, newAppDir: string): void {
-  if (bridge) {
-    if (bridge.state === 'streaming') {
-      bridge.interrupt();
-    }
-    if (currentAppDirPath !== newAppDir) {
-      bridge.kill();
-      bridge = null;
+async function runRenderCheckProcess(ctx: ServerContext, appDir: string, args: string[] = []): Promise<any> {
+  const startedAt = Date.now();
+  try {
+    const proc = Bun.spawn({
+      cmd: ['bun', join(ctx.projectRoot, 'scripts/render-check.js'), 'index.html', '--json', '--name', basename(appDir), ...args],
+      cwd: appDir,
+      stdout: 'pipe',
+      stderr: 'pipe',
+    });
+    const timer = setTimeout(() => proc.kill(), RENDER_CHECK_TIMEOUT_MS);
+    const [stdout, stderr] = await Promise.all([new Response(proc.stdout).text(), new Response(proc.stderr).text(), proc.exited]);
+    clearTimeout(timer);
+    try {
+      return JSON.parse(stdout.trim().split('\n').pop() || '');
+    } catch {
+      const reason = proc.signalCode ? `timed out after ${RENDER_CHECK_TIMEOUT_MS / 1000}s` : (stderr.trim().split('\n').pop() || `exit ${proc.exitCode}`);
+      return { ok: false, empty: false, errors: [`Render check did not finish: ${reason}`], warnings: [], durationMs: Date.now() - startedAt };
     }
+  } catch (err: any) {
+    return { ok: false, empty: false, errors: [`Render check did not finish: ${err.message}`], warnings: [], durationMs: Date.now() - startedAt };
   }
-  currentAppDirPath = newAppDir;
 }
 
-// --- WebSocket Handler ---
-
-export function createWsHandler(ctx: ServerContext) {
-  return {
-    maxPayloadLength: 5 * 1024 * 1024, // 5MB — files now upload via HTTP POST
-    idleTimeout: 255,
-
-    open(ws: ServerWebSocket<WsData>) {
-      console.log('[WS] Client connected');
-      ws.data.onEvent = createEventAdapter(ws);
-      connectedClients.add(ws);
+/**
+ * Mount the freshly assembled index.html headlessly and broadcast the result
+ * as `render_check`.
+ */
+function startRenderCheck(ctx: ServerContext, session: AppSession): void {
+  const { appDir } = session;
+  session.renderCheckDue = false;
+  const seq = ++session.renderCheckSeq;
+
+  const done = (async () => {
+    const result = await runRenderCheckProcess(ctx, appDir);
+    if (seq !== session.renderCheckSeq) return;
+    console.log(`[WS] Render check ${result.ok ? 'passed' : 'failed'} in ${result.durationMs}ms (${result.errors.length} errors, ${result.warnings.length} warnings)`);
+    emitToSession(session, { type: 'render_check', ...result });
+  })();
+
+  session.renderCheckRun = { seq, done };
+}
 
-      // Cancel grace period if reconnecting within window
-      if (graceTimer) {
-        clearTimeout(graceTimer);
-        graceTimer = null;
-        console.log('[WS] Reconnected within grace period — bridge preserved');
-      }
+/**
+ * Audit the app's accessibility (lib/a11y-audit.js) in a render check and
+ * send the findings as `a11y_report`. The session keeps them for a
+ * `fix_a11y` turn until the app is next reassembled.
+ */
+async function runA11yAudit(ctx: ServerContext, session: AppSession): Promise<void> {
+  const { appDir } = session;
+  const result = await runRenderCheckProcess(ctx, appDir, ['--a11y']);
+  const findings = result.a11y || [];
+  // The audit needs a mounted app; a crash is the render check's to report
+  const error = result.a11y ? null : (result.errors[0] || 'The app did not render.');
+  session.a11yFindings = error ? null : findings;
+  console.log(`[WS] Accessibility audit ${error ? 'failed' : `found ${findings.length} issues`} in ${result.durationMs}ms`);
+  emitToSession(session, { type: 'a11y_report', findings, error, durationMs: result.durationMs });
+}
 
-    },
+/**
+ * Resolves once the latest render check of every session (if any) has
+ * sent its result.
+ */
+export async function waitForRenderCheck(): Promise<void> {
+  for (const session of listSessions()) {
+    while (session.renderCheckRun) {
+      const run = session.renderCheckRun;
+      await run.done;
+      if (session.renderCheckRun === run) session.renderCheckRun = null;
+    }
+  }
+}
 
-    async message(ws: ServerWebSocket<WsData>, message: string | Buffer) {
-      let msg: any;
-      try {
-        msg = JSON.parse(typeof message === 'string' ? message : message.toString());
-      } catch {
-        ws.data.onEvent({ type: 'error', message: 'Invalid JSON' });
-        return;
-      }
+/**
+ * Point a client at another app's session. Sessions are independent, so
+ * the app it leaves keeps its bridge (until evicted) and any running turn.
+ */
+function switchApp(newAppDir: string, client?: SessionClient): AppSession {
+  const session = openSession(newAppDir, client);
+  evictSessions(session);
+  return session;
+}
 
-      const onEvent = ws.data.onEvent;
+// --- Message Dispatch ---
 
-      // Handle reconnect — replay events from ring buffer
-      if (msg.type === 'reconnect') {
-        const lastSeq = msg.lastSeq || 0;
-        if (bridge) {
-          const events = bridge.eventLog.filter(e => e.seq > lastSeq);
-          for (const { event } of events) {
-            try {
-              ws.send(JSON.stringify(event));
-            } catch { break; }
+/**
+ * Dispatch one client message. Shared by the WebSocket handler and the
+ * headless CLI, which drive the same code paths with their own `onEvent`.
+ * `client` is the sending connection; it's subscribed to the session of
+ * the app it works on.
+ */
+export async function handleClientMessage(ctx: ServerContext, msg: any, onEvent: EventCallback, client?: SessionClient): Promise<void> {
+  try {
+    switch (msg.type) {
+      // --- Bridge-routed messages ---
+
+      case 'chat': {
+        const appDir = resolveProjectDir(ctx, msg.app) || ctx.projectRoot;
+        const session = openSession(appDir, client);
+        if (!isSessionBusy(session)) {
+          // Collaborators see the prompt too; the sender already shows it
+          if (startChatTurn(ctx, session, msg, onEvent) && msg.author) {
+            emitToSession(session, { type: 'user_message', content: msg.message, author: msg.author }, client);
           }
-          console.log(`[WS] Replayed ${events.length} events since seq ${lastSeq}`);
+          break;
         }
-        return;
+        // A turn is running: wait for it (startNextTurn picks this up)
+        const queued = enqueueTurn(session.turnQueue, String(msg.message || ''), { ctx, msg, onEvent });
+        if (!queued) {
+          onEvent({ type: 'error', message: `${MAX_QUEUED_TURNS} messages are already waiting. Remove one or wait for the current turn to finish.` });
+          break;
+        }
+        if (msg.author) queued.author = msg.author;
+        console.log(`[WS] Queued turn ${queued.id} (${session.turnQueue.queued.length} waiting)`);
+        emitQueueUpdate(session);
+        break;
       }
 
-      try {
-        switch (msg.type) {
-          // --- Bridge-routed messages ---
-
-          case 'chat': {
-            const appDir = resolveProjectDir(ctx, msg.app) || ctx.projectRoot;
-            const prompt = buildChatPrompt(ctx, msg.message, {
-              effects: msg.effects,
-              animationId: msg.animationId,
-              reference: msg.reference,
-              skillId: msg.skillId,
-              appName: msg.app,
-            });
-            appendMessage(appDir, { role: 'user', content: msg.message });
-            const b = getOrCreateBridge(ctx, appDir);
-            // Chat turns suppress generate-only staged-preview events.
-            b.setTurnMode('chat');
-            b.sendMessage(prompt);
+      case 'queue_remove':
+      case 'queue_move': {
+        const session = (client && sessionOf(client)) || findSession(resolveProjectDir(ctx, msg.app) || ctx.projectRoot);
+        const id = String(msg.id || '');
+        if (msg.type === 'queue_remove') {
+          const removed = session && removeQueuedTurn(session.turnQueue, id);
+          if (!removed) {
+            onEvent({ type: 'error', message: 'That message has already started or was removed.' });
             break;
           }
+          emitQueueUpdate(session, [removed]);
+        } else {
+          if (!session || !moveQueuedTurn(session.turnQueue, id, Number(msg.index))) {
+            onEvent({ type: 'error', message: 'That message has already started or was removed.' });
+            break;
+          }
+          emitQueueUpdate(session);
+        }
+        break;
+      }
 
-          case 'generate': {
-            if (!msg.prompt) {
-              onEvent({ type: 'error', message: 'Please describe what you want to build.' });
-              break;
-            }
+      case 'runtime_error': {
+        // Crash reported by the preview iframe (forwarded by the editor)
+        const appDir = resolveProjectDir(ctx, msg.app) || ctx.projectRoot;
+        const recorded = recordRuntimeError(appDir, msg);
+        if (!recorded) break;
+        const { entry, duplicate } = recorded;
+        const session = openSession(appDir, client);
+
+        // Auto-fix is opted into per message; never interrupt a running turn
+        // or stack edits on top of a change awaiting review.
+        let autoFix: { attempt: number; max: number } | null = null;
+        let skipped: string | null = null;
+        if (msg.autoFix && !duplicate) {
+          if (isSessionBusy(session)) skipped = 'busy';
+          else if (getPendingChange(appDir)) skipped = 'pending_review';
+          else if (session.autoFixAttempts >= MAX_AUTO_FIX_ATTEMPTS) skipped = 'retry_cap';
+          else autoFix = { attempt: ++session.autoFixAttempts, max: MAX_AUTO_FIX_ATTEMPTS };
+        }
+        emitToSession(session, { type: 'runtime_error_logged', entry, duplicate, autoFix, skipped });
+        console.log(`[WS] Runtime error (${entry.source}${duplicate ? `, x${entry.count}` : ''}): ${entry.error.slice(0, 120)}`);
+
+        if (autoFix) {
+          await handleClientMessage(ctx, {
+            type: 'chat',
+            message: buildRuntimeFixPrompt(entry, basename(resolveAppEntry(appDir)), isTypeScriptApp(appDir)),
+            app: msg.app,
+            review: msg.review,
+            autoFix: true,
+          }, onEvent, client);
+        }
+        break;
+      }
 
-            // Sync projectDir from client
-            ctx.projectDir = msg.projectDir || null;
+      case 'accept_change':
+      case 'reject_change': {
+        const session = (client && sessionOf(client)) || openSession(resolveProjectDir(ctx, msg.app) || ctx.projectRoot, client);
+        const { appDir } = session;
+        const accepting = msg.type === 'accept_change';
+        const result = accepting ? acceptChange(appDir, msg.id) : rejectChange(appDir, msg.id);
+        if (!result.ok) {
+          onEvent({ type: 'error', message: result.error });
+          break;
+        }
+        const { change } = result;
+        const lines = `+${change.added}/-${change.removed} lines`;
+        appendMessage(appDir, { role: 'system', content: accepting ? `Accepted change (${lines})` : `Rejected change (${lines})` });
+        const decision = { type: accepting ? 'change_accepted' : 'change_rejected', id: change.id, added: change.added, removed: change.removed };
+        if (session.bridge) session.bridge.emit(decision); else emitToSession(session, decision);
+        if (accepting) {
+          const snapshot = recordSnapshot(resolveAppEntry(appDir), { source: 'chat', message: change.prompt });
+          // Force reassembly: collectProposal already bumped the mtime
+          session.lastAppJsxMtime = 0;
+          checkAndReassemble(ctx, session);
+          if (ctx.renderCheck && session.renderCheckDue) startRenderCheck(ctx, session);
+          const schemaChange = snapshot && findSchemaChange(appDir, snapshot.id);
+          if (schemaChange) requestSchemaMigration(ctx, session, schemaChange, true);
+          else reportLint(ctx, session, true);
+        }
+        console.log(`[WS] ${accepting ? 'Accepted' : 'Rejected'} change ${change.id} (${lines})`);
+        break;
+      }
 
-            if (!ctx.projectDir) {
-              onEvent({ type: 'error', message: 'Please choose a project folder first.' });
-              break;
-            }
+      case 'a11y_audit': {
+        const session = (client && sessionOf(client)) || openSession(resolveProjectDir(ctx, msg.app) || ctx.projectRoot, client);
+        if (!existsSync(join(session.appDir, 'index.html'))) {
+          onEvent({ type: 'error', message: 'Generate an app before checking its accessibility.' });
+          break;
+        }
+        // Audit what the preview shows, including edits not yet assembled
+        checkAndReassemble(ctx, session);
+        await runA11yAudit(ctx, session);
+        break;
+      }
 
-            const newAppDir = ctx.projectDir;
-            const appName = basename(ctx.projectDir);
-            onEvent({ type: 'app_created', name: appName });
-
-            // Build the generate context (theme, style guide, TinyBase patterns)
-            const result = buildGeneratePrompt(ctx, msg.prompt, {
-              themeId: msg.themeId,
-              reference: msg.reference,
-              useAI: !!msg.useAI,
-            });
-
-            const themeColors = ctx.themeColors[result.themeId] || null;
-            onEvent({ type: 'theme_selected', themeId: result.themeId, themeName: result.themeName, themeBackground: themeColors?.bg || null });
-
-            // Switch to new app directory and save user message
-            switchApp(ctx, newAppDir);
-            appendMessage(newAppDir, { role: 'user', content: msg.prompt });
-
-            // Staged-preview prelude: for reference-path generate, show the
-            // user their uploaded reference while Claude reads it; then emit
-            // the initial generation_stage so the UI shows the correct
-            // staged-preview label from the start.
-            const isReferencePath = result.isReference;
-            const initialStage: 'reading_reference' | 'foundation' = isReferencePath ? 'reading_reference' : 'foundation';
-
-            if (isReferencePath) {
-              const refName = msg.reference?.name as string | undefined;
-              const isTextRef = !!refName && /\.(txt|md|csv|tsv|json|xml|rtf)$/i.test(refName);
-              if (refName && !isTextRef) {
-                const refKind = result.isHtmlRef ? 'html' : 'image';
-                const vibesTmpPath = join(ctx.projectRoot, '.vibes-tmp', refName);
-                if (existsSync(vibesTmpPath)) {
-                  onEvent({
-                    type: 'reference_preview',
-                    src: `/reference-frame?name=${encodeURIComponent(refName)}&kind=${refKind}`,
-                  });
-                }
-              }
-            }
+      case 'fix_a11y': {
+        const session = (client && sessionOf(client)) || openSession(resolveProjectDir(ctx, msg.app) || ctx.projectRoot, client);
+        if (!session.a11yFindings) {
+          onEvent({ type: 'error', message: 'The app changed since the last accessibility check. Run the check again.' });
+          break;
+        }
+        if (!session.a11yFindings.length) {
+          onEvent({ type: 'error', message: 'The last accessibility check found nothing to fix.' });
+          break;
+        }
+        await handleClientMessage(ctx, {
+          type: 'chat',
+          message: buildA11yFixPrompt(session.a11yFindings),
+          app: msg.app,
+          review: msg.review,
+        }, onEvent, client);
+        break;
+      }
 
-            onEvent({ type: 'generation_stage', stage: initialStage });
+      case 'generate': {
+        if (!msg.prompt) {
+          onEvent({ type: 'error', message: 'Please describe what you want to build.' });
+          break;
+        }
 
-            // Try brainstorm first — includes generate instructions for after Q&A
-            const brainstormPrompt = buildBrainstormPrompt(ctx, msg.prompt, result.prompt);
-            const b = getOrCreateBridge(ctx, newAppDir);
+        // Sync projectDir from client
+        ctx.projectDir = msg.projectDir || null;
 
-            // Generate turns emit the full staged-preview sequence; set mode
-            // BEFORE sendMessage so the stream parser sees it from the first
-            // tool_use.
-            b.setTurnMode('generate', initialStage);
+        if (!ctx.projectDir) {
+          onEvent({ type: 'error', message: 'Please choose a project folder first.' });
+          break;
+        }
 
-            if (brainstormPrompt) {
-              b.sendMessage(brainstormPrompt);
-            } else {
-              // Fallback: no brainstorm skill found, generate directly
-              b.sendMessage(result.prompt);
-            }
-            break;
-          }
+        const newAppDir = ctx.projectDir;
+        const appName = basename(ctx.projectDir);
+        onEvent({ type: 'app_created', name: appName });
 
-          case 'theme':
-            // Theme switch uses multi-pass logic (Pass 1 mechanical + Pass 2 Claude).
-            // This involves reading/writing app.jsx directly and running a one-shot
-            // Claude call with guardrails. Keep using the existing handler for now
-            // since it has complex validation logic that doesn't fit pure bridge routing.
-            await handleThemeSwitch(ctx, onEvent, msg.themeId, msg.model, msg.app || undefined);
-            break;
+        // Typed apps: the editor's TypeScript toggle, or an existing app.tsx
+        const typescript = !!msg.typescript || isTypeScriptApp(newAppDir);
+        if (typescript) writeTypeScriptSupport(newAppDir);
 
-          case 'cancel': {
-            // Try bridge interrupt first, fall back to legacy lock
-            if (bridge && bridge.state === 'streaming') {
-              bridge.interrupt();
-              const appDir = currentAppDirPath || ctx.projectRoot;
-              appendMessage(appDir, { role: 'system', content: 'Interrupted' });
-            } else if (!cancelCurrent()) {
-              onEvent({ type: 'error', message: 'No request in progress.' });
-            }
-            break;
-          }
+        // Build the generate context (theme, style guide, TinyBase patterns)
+        const result = buildGeneratePrompt(ctx, msg.prompt, {
+          themeId: msg.themeId,
+          reference: msg.reference,
+          useAI: !!msg.useAI,
+          typescript,
+        });
 
-          case 'reset': {
-            const appDir = currentAppDirPath || ctx.projectRoot;
-            if (bridge) {
-              bridge.reset();
+        const themeColors = ctx.themeColors[result.themeId] || null;
+        onEvent({ type: 'theme_selected', themeId: result.themeId, themeName: result.themeName, themeBackground: themeColors?.bg || null });
+
+        // Switch to new app directory and save user message
+        const session = switchApp(newAppDir, client);
+        if (session.bridge?.state === 'streaming') session.bridge.interrupt();
+        // A new app makes follow-ups queued for the old one moot
+        if (hasQueuedTurns(session.turnQueue)) emitQueueUpdate(session, clearQueue(session.turnQueue));
+        session.autoFixAttempts = 0;
+        session.lintFixRequested = false;
+        appendMessage(newAppDir, { role: 'user', content: msg.prompt });
+
+        // Staged-preview prelude: for reference-path generate, show the
+        // user their uploaded reference while Claude reads it; then emit
+        // the initial generation_stage so the UI shows the correct
+        // staged-preview label from the start.
+        const isReferencePath = result.isReference;
+        const initialStage: 'reading_reference' | 'foundation' = isReferencePath ? 'reading_reference' : 'foundation';
+
+        if (isReferencePath) {
+          const refName = msg.reference?.name as string | undefined;
+          const isTextRef = !!refName && /\.(txt|md|csv|tsv|json|xml|rtf)$/i.test(refName);
+          if (refName && !isTextRef) {
+            const refKind = result.isHtmlRef ? 'html' : 'image';
+            const vibesTmpPath = join(ctx.projectRoot, '.vibes-tmp', refName);
+            if (existsSync(vibesTmpPath)) {
+              onEvent({
+                type: 'reference_preview',
+                src: `/reference-frame?name=${encodeURIComponent(refName)}&kind=${refKind}`,
+              });
             }
-            clearHistory(appDir);
-            onEvent({ type: 'status', status: 'idle', progress: 0, stage: 'Reset' });
-            console.log(`[WS] Session reset for ${appDir}`);
-            break;
           }
+        }
 
-          case 'switch_app': {
-            const newAppDir = msg.projectDir || ctx.projectDir || join(ctx.appsDir, msg.name);
-            ctx.projectDir = msg.projectDir || ctx.projectDir || null;
-            switchApp(ctx, newAppDir);
-            const history = loadHistory(newAppDir);
-            onEvent({ type: 'history', messages: history });
-            console.log(`[WS] Switched to app: ${msg.name || basename(newAppDir)} (${history.length} history messages)`);
+        onEvent({ type: 'generation_stage', stage: initialStage });
+        session.brainstorm = null;
+
+        // Brainstorm first: the questions go to the editor as a form and
+        // `brainstorm_answers` starts generation. Headless callers pass
+        // `brainstorm: false` since nobody can answer.
+        if (msg.brainstorm !== false) {
+          const { questions, cancelled } = await askBrainstormQuestions(ctx, onEvent, newAppDir, msg.prompt, msg.model);
+          if (cancelled) break;
+          if (questions?.length) {
+            const id = Date.now().toString(36);
+            session.brainstorm = { id, prompt: msg.prompt, generatePrompt: result.prompt, initialStage, questions, typescript };
+            appendMessage(newAppDir, { role: 'assistant', content: `A few questions before I build:\n${questions.map(q => `- ${q.prompt}`).join('\n')}` });
+            onEvent({ type: 'brainstorm_questions', id, prompt: msg.prompt, questions });
             break;
           }
+        }
 
-          // --- Non-bridge handlers (unchanged) ---
+        // No questions (prompt already clear, no brainstorm skill, or the
+        // run failed): generate directly
+        startGenerateTurn(ctx, session, msg.prompt, result.prompt, initialStage);
+        break;
+      }
 
-          case 'deploy':
-            await handleDeploy(ctx, onEvent, msg.target, msg.name, undefined, msg.app || undefined, !!msg.isPrivate);
-            break;
+      case 'brainstorm_answers': {
+        const session = (client && sessionOf(client)) || findSession(msg.projectDir || resolveProjectDir(ctx, msg.app) || ctx.projectRoot);
+        const pending = session?.brainstorm;
+        if (!session || !pending || pending.id !== msg.id) {
+          onEvent({ type: 'error', message: 'These questions are no longer open. Describe your app again to start over.' });
+          break;
+        }
+        session.brainstorm = null;
+        const answers = resolveBrainstormAnswers(pending.questions, msg.answers);
+        appendMessage(session.appDir, { role: 'user', content: answers.map(a => `${a.prompt} ${a.answer}`).join('\n') });
+        onEvent({ type: 'generation_stage', stage: pending.initialStage });
+        startGenerateTurn(ctx, session, pending.prompt, buildBrainstormGeneratePrompt(ctx, pending.prompt, pending.generatePrompt, answers, pending.typescript ? APP_ENTRY_TS : APP_ENTRY), pending.initialStage);
+        console.log(`[WS] Brainstorm answered (${answers.length}/${pending.questions.length}) — generating`);
+        break;
+      }
 
-          case 'save_theme': {
-            const name = String(msg.name || '').replace(/[\x00-\x1f]/g, '').trim().slice(0, 100);
-            if (!name) {
-              onEvent({ type: 'error', message: 'Theme name is required' });
-              break;
-            }
-            await handleSaveTheme(ctx, onEvent, name, msg.model, msg.app || undefined);
-            break;
+      case 'theme':
+        // Theme switch uses multi-pass logic (Pass 1 mechanical + Pass 2 Claude).
+        // This involves reading/writing app.jsx directly and running a one-shot
+        // Claude call with guardrails. Keep using the existing handler for now
+        // since it has complex validation logic that doesn't fit pure bridge routing.
+        await handleThemeSwitch(ctx, onEvent, msg.themeId, msg.model, msg.app || undefined);
+        break;
+
+      case 'cancel': {
+        // Try bridge interrupt first, fall back to legacy lock
+        const session = (client && sessionOf(client)) || findSession(resolveProjectDir(ctx, msg.app) || ctx.projectRoot);
+        if (session?.bridge && session.bridge.state === 'streaming') {
+          session.bridge.interrupt();
+          // Messages queued behind it still run once the bridge has stopped
+          const cancelled = cancelRunningTurn(session.turnQueue);
+          if (cancelled) emitQueueUpdate(session, [cancelled]);
+          if (session.reviewTurn) {
+            discardStaging(session.appDir);
+            session.reviewTurn = null;
           }
+          appendMessage(session.appDir, { role: 'system', content: 'Interrupted' });
+        } else if (!cancelCurrent()) {
+          onEvent({ type: 'error', message: 'No request in progress.' });
+        }
+        break;
+      }
 
-          case 'generate_image':
-            await handleGenerateImage(ctx, onEvent, msg.prompt, msg.model);
-            break;
+      case 'reset': {
+        const session = (client && sessionOf(client)) || findSession(resolveProjectDir(ctx, msg.app) || ctx.projectRoot);
+        const appDir = session?.appDir || resolveProjectDir(ctx, msg.app) || ctx.projectRoot;
+        if (session && hasQueuedTurns(session.turnQueue)) emitQueueUpdate(session, clearQueue(session.turnQueue));
+        if (session?.bridge) {
+          session.bridge.reset();
+        } else {
+          // No live bridge: still forget the session a new one would resume
+          clearBridgePersistence(appDir);
+        }
+        clearHistory(appDir);
+        onEvent({ type: 'status', status: 'idle', progress: 0, stage: 'Reset' });
+        console.log(`[WS] Session reset for ${appDir}`);
+        break;
+      }
 
-          case 'palette_theme':
-            await handlePaletteTheme(ctx, onEvent, msg.colors, msg.app || undefined);
-            break;
+      case 'switch_app': {
+        const newAppDir = msg.projectDir || ctx.projectDir || join(ctx.appsDir, msg.name);
+        ctx.projectDir = msg.projectDir || ctx.projectDir || null;
+        const left = client ? sessionOf(client) : null;
+        const session = switchApp(newAppDir, client);
+        if (ctx.collab) {
+          if (left && left !== session) emitCollaborators(left);
+          emitCollaborators(session);
+        }
+        session.autoFixAttempts = 0;
+        const history = loadHistory(newAppDir);
+        onEvent({ type: 'history', messages: history });
+        const pending = getPendingChange(newAppDir);
+        if (pending) onEvent({ type: 'proposed_change', ...pending });
+        if (session.brainstorm) {
+          const { id, prompt, questions } = session.brainstorm;
+          onEvent({ type: 'brainstorm_questions', id, prompt, questions });
+        }
+        onEvent(queueUpdateEvent(session.turnQueue));
+        console.log(`[WS] Switched to app: ${msg.name || basename(newAppDir)} (${history.length} history messages)`);
+        break;
+      }
 
-          case 'window_control':
-            if (ctx.onWindowControl) {
-              ctx.onWindowControl(msg.action);
-            }
-            break;
+      // --- Non-bridge handlers (unchanged) ---
 
-          case 'delete_theme': {
-            const themeId = String(msg.themeId || '').replace(/[^a-z0-9-]/gi, '').slice(0, 60);
-            if (!themeId) {
-              onEvent({ type: 'error', message: 'Theme ID is required' });
-              break;
-            }
-            const themeFile = join(ctx.themeDir, `${themeId}.txt`);
-            if (!existsSync(themeFile)) {
-              onEvent({ type: 'error', message: `Theme "${themeId}" not found` });
-              break;
-            }
-            unlinkSync(themeFile);
-            const catalogPath = join(ctx.themeDir, 'catalog.txt');
-            if (existsSync(catalogPath)) {
-              const catalog = readFileSync(catalogPath, 'utf-8');
-              const updated = catalog.split('\n').filter(line => !line.includes(`| ${themeId} |`)).join('\n');
-              writeFileSync(catalogPath, updated, 'utf-8');
-            }
-            reloadThemes(ctx);
-            onEvent({ type: 'theme_deleted', themeId });
-            console.log(`[DeleteTheme] Deleted theme "${themeId}"`);
+      case 'deploy':
+        await handleDeploy(ctx, onEvent, msg.target, msg.name, undefined, msg.app || undefined, !!msg.isPrivate, {
+          stage: msg.stage || undefined,
+          rollback: msg.rollback || undefined,
+          promote: msg.promote || undefined,
+        });
+        break;
+
+      case 'save_theme': {
+        const name = String(msg.name || '').replace(/[\x00-\x1f]/g, '').trim().slice(0, 100);
+        if (!name) {
+          onEvent({ type: 'error', message: 'Theme name is required' });
+          break;
+        }
+        await handleSaveTheme(ctx, onEvent, name, msg.model, msg.app || undefined);
+        break;
+      }
+
+      case 'generate_image':
+        await handleGenerateImage(ctx, onEvent, msg.prompt, msg.model, msg.app || undefined);
+        break;
+
+      case 'palette_theme':
+        await handlePaletteTheme(ctx, onEvent, msg.colors, msg.app || undefined);
+        break;
+
+      case 'window_control':
+        if (ctx.onWindowControl) {
+          ctx.onWindowControl(msg.action);
+        }
+        break;
+
+      case 'delete_theme': {
+        const themeId = String(msg.themeId || '').replace(/[^a-z0-9-]/gi, '').slice(0, 60);
+        if (!themeId) {
+          onEvent({ type: 'error', message: 'Theme ID is required' });
+          break;
+        }
+        const themeFile = join(ctx.themeDir, `${themeId}.txt`);
+        if (!existsSync(themeFile)) {
+          onEvent({ type: 'error', message: `Theme "${themeId}" not found` });
+          break;
+        }
+        unlinkSync(themeFile);
+        const catalogPath = join(ctx.themeDir, 'catalog.txt');
+        if (existsSync(catalogPath)) {
+          const catalog = readFileSync(catalogPath, 'utf-8');
+          const updated = catalog.split('\n').filter(line => !line.includes(`| ${themeId} |`)).join('\n');
+          writeFileSync(catalogPath, updated, 'utf-8');
+        }
+        reloadThemes(ctx);
+        onEvent({ type: 'theme_deleted', themeId });
+        console.log(`[DeleteTheme] Deleted theme "${themeId}"`);
+        break;
+      }
+
+      case 'save_app': {
+        const name = (msg.name || '').toLowerCase().replace(/[^a-z0-9-]/g, '').slice(0, 63);
+        if (!name) {
+          onEvent({ type: 'error', message: 'App name is required' });
+          break;
+        }
+        if (ctx.projectDir) {
+          // Project folder mode: files already in place, just acknowledge
+          if (!existsSync(resolveAppEntry(ctx.projectDir))) {
+            onEvent({ type: 'error', message: 'No app.jsx to save' });
             break;
           }
-
-          case 'save_app': {
-            const name = (msg.name || '').toLowerCase().replace(/[^a-z0-9-]/g, '').slice(0, 63);
-            if (!name) {
-              onEvent({ type: 'error', message: 'App name is required' });
-              break;
-            }
-            if (ctx.projectDir) {
-              // Project folder mode: files already in place, just acknowledge
-              if (!existsSync(join(ctx.projectDir, 'app.jsx'))) {
-                onEvent({ type: 'error', message: 'No app.jsx to save' });
-                break;
-              }
-              onEvent({ type: 'app_saved', name });
-              console.log(`[Save] Project folder save acknowledged: ${ctx.projectDir}`);
-            } else {
-              // Legacy mode: copy to ~/.vibes/apps/
-              const sourceApp = msg.app || undefined;
-              const appSrc = resolveAppJsxPath(ctx, sourceApp);
-              if (!existsSync(appSrc)) {
-                onEvent({ type: 'error', message: 'No app.jsx to save' });
-                break;
-              }
-              const dest = join(ctx.appsDir, name);
-              mkdirSync(dest, { recursive: true });
-              if (resolve(appSrc) !== resolve(join(dest, 'app.jsx'))) {
-                copyFileSync(appSrc, join(dest, 'app.jsx'));
-              }
-              onEvent({ type: 'app_saved', name });
-              console.log(`[Save] Saved app to ${dest}`);
-            }
+          onEvent({ type: 'app_saved', name });
+          console.log(`[Save] Project folder save acknowledged: ${ctx.projectDir}`);
+        } else {
+          // Legacy mode: copy to ~/.vibes/apps/
+          const sourceApp = msg.app || undefined;
+          const appSrc = resolveAppJsxPath(ctx, sourceApp);
+          if (!existsSync(appSrc)) {
+            onEvent({ type: 'error', message: 'No app.jsx to save' });
             break;
           }
+          const dest = join(ctx.appsDir, name);
+          mkdirSync(dest, { recursive: true });
+          const entryName = basename(appSrc);
+          if (resolve(appSrc) !== resolve(join(dest, entryName))) {
+            copyFileSync(appSrc, join(dest, entryName));
+            const srcDir = join(dirname(appSrc), APP_SOURCE_DIR);
+            if (existsSync(srcDir)) cpSync(srcDir, join(dest, APP_SOURCE_DIR), { recursive: true });
+          }
+          onEvent({ type: 'app_saved', name });
+          console.log(`[Save] Saved app to ${dest}`);
         }
-      } catch (err: any) {
-        console.error('[WS] Handler error:', err);
-        onEvent({ type: 'error', message: `Internal error: ${err.message}` });
+        break;
+      }
+    }
+  } catch (err: any) {
+    console.error('[WS] Handler error:', err);
+    onEvent({ type: 'error', message: `Internal error: ${err.message}` });
+  }
+}
+
+// --- WebSocket Handler ---
+
+/**
+ * A per-connection view of the server context with its own `projectDir`,
+ * so each tab resolves messages against the project it has open. Writes to
+ * projectDir also update the shared context, which HTTP routes (preview,
+ * uploads) follow as "the most recently active project"; every other field
+ * reads and writes through to the shared context.
+ */
+export function createConnectionContext(ctx: ServerContext): ServerContext {
+  let projectDir = ctx.projectDir;
+  return new Proxy(ctx, {
+    get(target, key) {
+      return key === 'projectDir' ? projectDir : Reflect.get(target, key);
+    },
+    set(target, key, value) {
+      if (key === 'projectDir') projectDir = value;
+      return Reflect.set(target, key, value);
+    },
+  });
+}
+
+export function createWsHandler(ctx: ServerContext) {
+  return {
+    maxPayloadLength: 5 * 1024 * 1024, // 5MB — files now upload via HTTP POST
+    idleTimeout: 255,
+
+    open(ws: ServerWebSocket<WsData>) {
+      console.log('[WS] Client connected');
+      ws.data.ctx = createConnectionContext(ctx);
+      ws.data.onEvent = createEventAdapter(ws);
+      connectedClients.add(ws);
+      if (ctx.collab) {
+        const collaborator = createCollaborator(!!ws.data.fromHost);
+        ws.data.collaborator = collaborator;
+        ws.send(JSON.stringify({ type: 'collab_hello', ...collaborator }));
+      }
+      if (legacyGraceTimer) {
+        clearTimeout(legacyGraceTimer);
+        legacyGraceTimer = null;
       }
     },
 
+    async message(ws: ServerWebSocket<WsData>, message: string | Buffer) {
+      let msg: any;
+      try {
+        msg = JSON.parse(typeof message === 'string' ? message : message.toString());
+      } catch {
+        ws.data.onEvent({ type: 'error', message: 'Invalid JSON' });
+        return;
+      }
+
+      const { ctx: connCtx, onEvent, collaborator } = ws.data;
+
+      // LAN collaboration: the connection names itself, and the server
+      // (never the client) stamps its messages with that name
+      if (collaborator) {
+        if (msg.type === 'identify') {
+          collaborator.name = sanitizeCollaboratorName(msg.name) || collaborator.name;
+          const session = sessionOf(ws);
+          if (session) emitCollaborators(session);
+          return;
+        }
+        msg.author = collaborator.name;
+      } else {
+        delete msg.author;
+      }
+
+      // Handle reconnect — rejoin the app's session and replay events from
+      // its bridge's ring buffer, or from the persisted log after a restart
+      if (msg.type === 'reconnect') {
+        const lastSeq = msg.lastSeq || 0;
+        const appDir = sessionOf(ws)?.appDir || msg.projectDir || resolveProjectDir(connCtx, msg.app);
+        if (appDir) {
+          const session = openSession(appDir, ws);
+          if (collaborator) emitCollaborators(session);
+          const log = session.bridge ? session.bridge.eventLog : loadEventLog(appDir, EVENT_REPLAY_MAX);
+          const events = log.filter(e => e.seq > lastSeq);
+          for (const { event } of events) {
+            try {
+              ws.send(JSON.stringify(event));
+            } catch { break; }
+          }
+          if (hasQueuedTurns(session.turnQueue)) ws.send(JSON.stringify(queueUpdateEvent(session.turnQueue)));
+          console.log(`[WS] Replayed ${events.length} events since seq ${lastSeq}`);
+        }
+        return;
+      }
+
+      await handleClientMessage(connCtx, msg, onEvent, ws);
+    },
+
     close(ws: ServerWebSocket<WsData>) {
       console.log('[WS] Client disconnected');
       connectedClients.delete(ws);
-
-      // If no more clients, start grace period instead of immediate teardown
+      const session = unsubscribe(ws);
+      if (session && ws.data.collaborator) emitCollaborators(session);
+
+      // Last client of the session left: start its grace period instead of
+      // tearing the bridge down immediately
+      if (session && session.clients.size === 0 && session.bridge) {
+        console.log(`[WS] No clients for ${session.appDir} — starting ${GRACE_PERIOD_MS / 1000}s grace period`);
+        session.graceTimer = setTimeout(() => {
+          session.graceTimer = null;
+          console.log(`[WS] Grace period expired — tearing down bridge for ${session.appDir}`);
+          killBridge(session);
+          evictSessions();
+        }, GRACE_PERIOD_MS);
+      }
       if (connectedClients.size === 0) {
-        console.log(`[WS] No clients — starting ${GRACE_PERIOD_MS / 1000}s grace period`);
-        graceTimer = setTimeout(() => {
-          graceTimer = null;
-          console.log('[WS] Grace period expired — tearing down bridge');
-          if (bridge) {
-            bridge.kill();
-            bridge = null;
-          }
+        legacyGraceTimer = setTimeout(() => {
+          legacyGraceTimer = null;
           cancelCurrent(); // Clean up any legacy operations too
         }, GRACE_PERIOD_MS);
       }
@@ -555,15 +1179,12 @@ export function createWsHandler(ctx: ServerContext) {
 }
 
 /**
- * Kill the session bridge. Called during server shutdown.
+ * Kill every session's bridge. Called during server shutdown.
  */
 export function killSessionBridge(): void {
-  if (graceTimer) {
-    clearTimeout(graceTimer);
-    graceTimer = null;
-  }
-  if (bridge) {
-    bridge.kill();
-    bridge = null;
+  if (legacyGraceTimer) {
+    clearTimeout(legacyGraceTimer);
+    legacyGraceTimer = null;
   }
+  destroyAllSessions();
 }
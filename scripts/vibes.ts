@@ -0,0 +1,145 @@
+#!/usr/bin/env bun
+/**
+ * vibes — headless CLI for generate, chat, theme and deploy.
+ *
+ * Drives the same handlers as the editor (server/ws.ts) in-process, without
+ * the editor UI. Every event is written to stdout as one JSON object per line
+ * (NDJSON); server logs go to stderr.
+ *
+ * Usage:
+ *   bun scripts/vibes.ts generate "a habit tracker" [--theme slab]
+ *   bun scripts/vibes.ts chat "make the header sticky"
+ *   bun scripts/vibes.ts theme slab
+ *   bun scripts/vibes.ts deploy [--name myapp] [--private] [--stage staging]
+ *   bun scripts/vibes.ts deploy --promote staging | --rollback <deploy-id>
+ *
+ * Exit codes:
+ *   0    success
+ *   1    the run failed (error event, invalid app.jsx, failed render check)
+ *   2    usage error
+ *   3    deploy needs authentication (run `vibes deploy` once interactively)
+ *   130  interrupted
+ */
+
+if (typeof Bun === 'undefined') { console.error('vibes requires Bun. Install from https://bun.sh'); process.exit(1); }
+
+import { existsSync, mkdirSync } from 'fs';
+import { resolve, basename } from 'path';
+import { parseArgs, formatHelp } from './lib/cli-utils.js';
+import { readVibesJson } from './lib/vibes-json.js';
+import { resolveAppEntry } from './lib/app-source.js';
+import { loadConfig } from './server/config.ts';
+import { handleClientMessage, killSessionBridge } from './server/ws.ts';
+import { runHeadless, COMMANDS, EXIT, type HeadlessCommand } from './server/headless.ts';
+
+const schema = [
+  { name: 'dir', flag: '--dir', alias: '-C', type: 'string', description: 'Project directory (default: current directory)' },
+  { name: 'theme', flag: '--theme', type: 'string', description: 'Theme id for generate' },
+  { name: 'model', flag: '--model', type: 'string', description: 'Model for the theme pass' },
+  { name: 'name', flag: '--name', type: 'string', description: 'Deploy name (default: vibes.json name or folder name)' },
+  { name: 'target', flag: '--target', type: 'string', default: 'cloudflare', description: 'Deploy target: cloudflare or selfhost' },
+  { name: 'private', flag: '--private', type: 'boolean', description: 'Deploy as a private app' },
+  { name: 'stage', flag: '--stage', type: 'string', description: 'Deploy to <name>-<stage> instead of production' },
+  { name: 'rollback', flag: '--rollback', type: 'string', description: 'Redeploy a recorded deploy by id' },
+  { name: 'promote', flag: '--promote', type: 'string', description: "Redeploy a stage's latest deploy to production (or --stage)" },
+  { name: 'renderCheck', flag: '--render-check', type: 'boolean', description: 'Mount the app headlessly after generate/chat; fail on render errors' },
+];
+
+const meta = {
+  name: 'vibes',
+  description: 'Generate, edit, theme and deploy a Vibes app without the editor. Events stream to stdout as NDJSON.',
+  usage: 'vibes <generate|chat|theme|deploy> [prompt|theme] [options]',
+  examples: [
+    'vibes generate "a habit tracker" --theme slab',
+    'vibes chat "add a search box" --render-check',
+    'vibes chat "make the header sticky"',
+    'vibes theme slab',
+    'vibes deploy --private',
+    'vibes deploy --stage staging',
+    'vibes deploy --promote staging',
+  ],
+  notes: ['Exit codes: 0 success, 1 failed, 2 usage error, 3 auth required, 130 interrupted'],
+};
+
+function write(msg: object): void {
+  process.stdout.write(JSON.stringify(msg) + '\n');
+}
+
+function usageError(message: string): never {
+  console.error(`Error: ${message}\n\nRun with --help for usage information`);
+  process.exit(EXIT.USAGE);
+}
+
+async function main(): Promise<number> {
+  const { args, positionals } = parseArgs(schema);
+  if (args._help) {
+    process.stdout.write('\n' + formatHelp(meta, schema) + '\n');
+    return EXIT.OK;
+  }
+  if (args._errors) usageError(args._errors.join('\n'));
+
+  const [command, ...rest] = positionals;
+  if (!COMMANDS.includes(command as HeadlessCommand)) {
+    usageError(command ? `Unknown command: ${command}` : `Missing command (${COMMANDS.join(', ')})`);
+  }
+  const text = rest.join(' ').trim();
+  const dir = resolve(args.dir || process.cwd());
+
+  // Keep stdout pure NDJSON — config loading and handlers log freely
+  console.log = console.info = (...a: any[]) => console.error(...a);
+  const ctx = loadConfig();
+  if (args.renderCheck) ctx.renderCheck = true;
+
+  const themeId = command === 'theme' ? text : args.theme;
+  if (themeId && !ctx.themes.some(t => t.id === themeId)) usageError(`Unknown theme: ${themeId}`);
+
+  switch (command) {
+    case 'generate':
+      if (!text) usageError('generate needs a prompt');
+      mkdirSync(dir, { recursive: true });
+      break;
+    case 'chat':
+      if (!text) usageError('chat needs a message');
+      if (!existsSync(resolveAppEntry(dir))) usageError(`No app.jsx or app.tsx in ${dir}. Run \`vibes generate\` first.`);
+      break;
+    case 'theme':
+      if (!themeId) usageError('theme needs a theme id');
+      if (!existsSync(resolveAppEntry(dir))) usageError(`No app.jsx or app.tsx in ${dir}`);
+      break;
+  }
+
+  // Ctrl-C: interrupt the bridge turn the same way the editor's stop button does
+  process.on('SIGINT', async () => {
+    await handleClientMessage(ctx, { type: 'cancel' }, () => {});
+    write({ type: 'cancelled' });
+    killSessionBridge();
+    process.exit(EXIT.INTERRUPTED);
+  });
+
+  const name = args.name || readVibesJson(dir)?.name || basename(dir);
+  return runHeadless(ctx, command as HeadlessCommand, {
+    dir,
+    prompt: text,
+    themeId,
+    model: args.model || undefined,
+    name,
+    target: args.target,
+    isPrivate: args.private,
+    stage: args.stage,
+    rollback: args.rollback,
+    promote: args.promote,
+  }, write);
+}
+
+main().then(
+  (code) => {
+    killSessionBridge();
+    process.exit(code);
+  },
+  (err) => {
+    console.error(err);
+    write({ type: 'error', message: err?.message || String(err) });
+    killSessionBridge();
+    process.exit(EXIT.FAILED);
+  },
+);
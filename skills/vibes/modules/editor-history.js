@@ -0,0 +1,179 @@
+/**
+ * editor-history.js — Version timeline modal for app.jsx.
+ * State: snapshots[], selectedId
+ * Init receives: { historyModal, historyList, historyDiff, historyRestoreBtn }
+ * Callbacks: { getAppName() -> string|null, onRestored(snapshot) }
+ * Interface: window.EditorHistory = { init, open, close, toggle, refresh, select, restore }
+ */
+(function() {
+  // Private state
+  let snapshots = [];
+  let selectedId = null;
+  let elements = {};
+  let callbacks = {};
+  let escapeHtml = function(s) { return s; };
+
+  const SOURCE_LABELS = {
+    generate: 'Generated',
+    chat: 'Chat edit',
+    theme: 'Theme',
+    restore: 'Restored',
+    baseline: 'Before turn',
+    manual: 'Saved',
+  };
+
+  function init(els, cbs, escFn) {
+    elements = els;
+    callbacks = cbs || {};
+    if (escFn) escapeHtml = escFn;
+
+    // Click-outside to close modal
+    if (elements.historyModal) {
+      elements.historyModal.addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) close();
+      });
+    }
+    if (elements.historyRestoreBtn) {
+      elements.historyRestoreBtn.addEventListener('click', () => {
+        if (selectedId) restore(selectedId);
+      });
+    }
+  }
+
+  function appQuery() {
+    const name = callbacks.getAppName ? callbacks.getAppName() : null;
+    return name ? 'app=' + encodeURIComponent(name) : '';
+  }
+
+  function toggle() {
+    const modal = elements.historyModal;
+    if (!modal) return;
+    if (modal.classList.contains('open')) {
+      close();
+    } else {
+      open();
+    }
+  }
+
+  function open() {
+    if (elements.historyModal) elements.historyModal.classList.add('open');
+    refresh();
+  }
+
+  function close() {
+    if (elements.historyModal) elements.historyModal.classList.remove('open');
+  }
+
+  async function refresh() {
+    try {
+      const res = await fetch('/editor/history?' + appQuery());
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      snapshots = data.snapshots || [];
+    } catch (err) {
+      console.error('Failed to load history:', err);
+      snapshots = [];
+    }
+    if (!snapshots.some(s => s.id === selectedId)) selectedId = null;
+    renderList();
+    if (selectedId) {
+      select(selectedId);
+    } else {
+      renderDiff(null);
+    }
+  }
+
+  function formatTime(ts) {
+    const d = new Date(ts);
+    return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) + ' ' +
+      d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  }
+
+  function renderList() {
+    const list = elements.historyList;
+    if (!list) return;
+    if (snapshots.length === 0) {
+      list.innerHTML = '<div style="text-align:center;color:#555;padding:2rem;">No versions recorded yet</div>';
+      return;
+    }
+    list.innerHTML = snapshots.map((s, i) => {
+      const isActive = s.id === selectedId;
+      const activeStyle = isActive
+        ? 'border-color:var(--vibes-blue);box-shadow:4px 4px 0px 0px var(--vibes-blue), 4px 4px 0px 2px var(--vibes-near-black);'
+        : '';
+      const label = SOURCE_LABELS[s.source] || s.source;
+      return `<div class="anim-card" style="margin-bottom:0.5rem;${activeStyle}" data-snapshot-id="${escapeHtml(s.id)}">
+        <div class="anim-card-info" style="padding:0.6rem 0.75rem;">
+          <div class="anim-card-name">${escapeHtml(label)}${i === 0 ? ' <span style="color:#888;font-weight:600;">(latest)</span>' : ''}</div>
+          <div class="anim-card-desc">${escapeHtml(s.message || '')}</div>
+          <div style="font-size:0.6rem;color:#888;margin-top:0.25rem;">${escapeHtml(formatTime(s.timestamp))}</div>
+        </div>
+      </div>`;
+    }).join('');
+
+    list.querySelectorAll('[data-snapshot-id]').forEach(card => {
+      card.addEventListener('click', () => select(card.dataset.snapshotId));
+    });
+  }
+
+  function renderDiff(diff, stats) {
+    const pane = elements.historyDiff;
+    if (elements.historyRestoreBtn) elements.historyRestoreBtn.disabled = !selectedId;
+    if (!pane) return;
+    if (diff === null) {
+      pane.innerHTML = '<div style="color:#888;padding:1rem;">Select a version to compare it with the current app.</div>';
+      return;
+    }
+    if (!diff) {
+      pane.innerHTML = '<div style="color:#888;padding:1rem;">Identical to the current app.</div>';
+      return;
+    }
+    const header = stats
+      ? `<div style="font-size:0.7rem;color:#555;padding:0 0 0.5rem;">Changes since this version: <b>+${stats.added}</b> / <b>-${stats.removed}</b> lines</div>`
+      : '';
+    const lines = diff.split('\n').map(line => {
+      let color = 'inherit';
+      let bg = 'transparent';
+      if (line.startsWith('@@')) { color = '#6b46c1'; }
+      else if (line.startsWith('+') && !line.startsWith('+++')) { bg = 'rgba(46,160,67,0.15)'; }
+      else if (line.startsWith('-') && !line.startsWith('---')) { bg = 'rgba(218,54,51,0.15)'; }
+      return `<div style="color:${color};background:${bg};white-space:pre;">${escapeHtml(line) || ' '}</div>`;
+    }).join('');
+    pane.innerHTML = header + `<div style="font-family:ui-monospace,monospace;font-size:0.7rem;line-height:1.4;">${lines}</div>`;
+  }
+
+  async function select(id) {
+    selectedId = id;
+    renderList();
+    try {
+      const res = await fetch('/editor/history/diff?' + appQuery() + '&from=' + encodeURIComponent(id));
+      const data = await res.json();
+      if (!data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      renderDiff(data.diff, { added: data.added, removed: data.removed });
+    } catch (err) {
+      console.error('Failed to load diff:', err);
+      renderDiff('');
+    }
+  }
+
+  async function restore(id) {
+    const snap = snapshots.find(s => s.id === id);
+    const label = snap ? (snap.message || SOURCE_LABELS[snap.source] || id) : id;
+    if (!confirm('Restore app.jsx to this version?\n\n' + label + '\n\nThe current version stays in the timeline.')) return;
+    try {
+      const res = await fetch('/editor/history/restore?' + appQuery(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id }),
+      });
+      const data = await res.json();
+      if (!data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      if (callbacks.onRestored) callbacks.onRestored(data.snapshot);
+      close();
+    } catch (err) {
+      alert('Restore failed: ' + err.message);
+    }
+  }
+
+  window.EditorHistory = { init, open, close, toggle, refresh, select, restore };
+})();
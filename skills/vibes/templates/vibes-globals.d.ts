@@ -0,0 +1,145 @@
+/**
+ * Globals the Vibes template provides to app code (app.tsx and src/ modules).
+ *
+ * Apps never import these: the template imports React and TinyBase and puts
+ * the hooks in scope before the app's code. Copied next to app.tsx by the
+ * editor; React and TinyBase types come from @types/react and tinybase.
+ */
+
+import type * as ReactModule from 'react';
+import type * as UiReact from 'tinybase/ui-react';
+
+export {};
+
+declare global {
+  // --- React (imported by the template) ---
+  const React: typeof ReactModule;
+  const useState: typeof ReactModule.useState;
+  const useEffect: typeof ReactModule.useEffect;
+  const useRef: typeof ReactModule.useRef;
+  const useCallback: typeof ReactModule.useCallback;
+  const useMemo: typeof ReactModule.useMemo;
+  const useContext: typeof ReactModule.useContext;
+  const createContext: typeof ReactModule.createContext;
+  const Fragment: typeof ReactModule.Fragment;
+
+  // --- TinyBase hooks, bound to the app's store ---
+  const useTable: typeof UiReact.useTable;
+  const useRow: typeof UiReact.useRow;
+  const useCell: typeof UiReact.useCell;
+  const useValue: typeof UiReact.useValue;
+  const useValues: typeof UiReact.useValues;
+  const useRowIds: typeof UiReact.useRowIds;
+  const useSortedRowIds: typeof UiReact.useSortedRowIds;
+  const useRowCount: typeof UiReact.useRowCount;
+  const useHasRow: typeof UiReact.useHasRow;
+  const useHasCell: typeof UiReact.useHasCell;
+  const useHasValue: typeof UiReact.useHasValue;
+  const useCellIds: typeof UiReact.useCellIds;
+  const useTableIds: typeof UiReact.useTableIds;
+  const useAddRowCallback: typeof UiReact.useAddRowCallback;
+  const useSetCellCallback: typeof UiReact.useSetCellCallback;
+  const useSetRowCallback: typeof UiReact.useSetRowCallback;
+  const useSetPartialRowCallback: typeof UiReact.useSetPartialRowCallback;
+  const useDelRowCallback: typeof UiReact.useDelRowCallback;
+  const useDelCellCallback: typeof UiReact.useDelCellCallback;
+  const useDelTableCallback: typeof UiReact.useDelTableCallback;
+  const useSetValueCallback: typeof UiReact.useSetValueCallback;
+  const useDelValueCallback: typeof UiReact.useDelValueCallback;
+  const useCellState: typeof UiReact.useCellState;
+  const useRowState: typeof UiReact.useRowState;
+  const useValueState: typeof UiReact.useValueState;
+
+  // --- Vibes ---
+
+  /** Signed-in user, from the OIDC id_token claims. */
+  interface VibesUser {
+    id: string;
+    firstName: string;
+    lastName: string;
+    email: string;
+    username: string;
+    imageUrl: string;
+    groups: string[];
+  }
+
+  /** Sync state of the app's store. Must be called in the root App. */
+  function useApp(): { isReady: boolean; isSyncing: boolean; user: VibesUser | null };
+
+  function useUser(): { isSignedIn: boolean; isLoaded: boolean; user: VibesUser | null };
+
+  /** Id stamped in the `owner` cell of new rows: the signed-in user, else this device. */
+  function useOwnerId(): string;
+  /** Rows of a table whose `owner` is the current user. */
+  function useMyTable(tableId: string): import('tinybase').Table;
+  function useMyRowIds(tableId: string): string[];
+  /** A value of the current user's own, kept in the private `userValues` table. */
+  function useMyValue(valueId: string): import('tinybase').Cell | undefined;
+  function useMyValueState(valueId: string): [import('tinybase').Cell | undefined, (value: import('tinybase').Cell) => void];
+
+  interface VibesPeer {
+    /** This peer's tab; one user may have several. */
+    id: string;
+    /** Their useOwnerId(). */
+    ownerId: string;
+    /** Their useUser() identity; null in public apps. */
+    user: { id: string; email: string; firstName?: string; lastName?: string; username?: string; imageUrl?: string } | null;
+    state: Record<string, any>;
+  }
+  /**
+   * Other open tabs and their ephemeral state (cursor, selection, status).
+   * Never stored; peers drop out about 30s after they disconnect.
+   */
+  function usePresence<S extends Record<string, any> = Record<string, any>>(
+    initialState?: S,
+  ): [VibesPeer[], (update: Partial<S> | ((state: S) => S)) => void];
+
+  interface VibesAIMessage {
+    role: 'system' | 'user' | 'assistant';
+    content: string;
+  }
+
+  interface VibesAIOptions {
+    model: string;
+    messages: VibesAIMessage[];
+    /** Return the raw response body instead of the message text. */
+    raw?: boolean;
+    [option: string]: unknown;
+  }
+
+  interface VibesAIError {
+    code: string;
+    message: string;
+  }
+
+  /** AI calls through the Vibes proxy. Neither call throws; both return null on error. */
+  function useAI(): {
+    callAI(options: VibesAIOptions): Promise<string | null>;
+    streamAI(options: VibesAIOptions): AsyncIterable<string> | null;
+    loading: boolean;
+    error: VibesAIError | null;
+    clearError(): void;
+    isReady: boolean;
+  };
+
+  function useMobile(): boolean;
+  function useIsMobile(): boolean;
+
+  interface VibesSchema {
+    version: number;
+    tables?: Record<string, Record<string, { type: 'string' | 'number' | 'boolean'; default?: string | number | boolean }>>;
+    values?: Record<string, { type: 'string' | 'number' | 'boolean'; default?: string | number | boolean }>;
+    /** Per-user values (useMyValue), declared like `values`. */
+    userValues?: Record<string, { type: 'string' | 'number' | 'boolean'; default?: string | number | boolean }>;
+    /** Tables whose rows only their owner may change or delete. */
+    private?: string[];
+    /** Keyed by the version each migration upgrades to. */
+    migrations?: Record<number, (store: import('tinybase').MergeableStore) => void>;
+  }
+
+  function defineSchema<S extends VibesSchema>(schema: S): S;
+
+  interface Window {
+    __VIBES_THEMES__: { id: string; name: string }[];
+  }
+}